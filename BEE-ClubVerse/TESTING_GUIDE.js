@@ -100,11 +100,13 @@ Cookie: refreshToken=eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
 // Expected Response (200):
 {
   "message": "Token refreshed",
-  "accessToken": "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
+  "accessToken": "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...",
+  "refreshToken": "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."  // only when sent in the body
 }
 
 // Test Cases:
-✓ Valid refresh token → 200
+✓ Valid refresh token → 200, refresh token rotated
+✓ Same refresh token sent twice → 401 REFRESH_TOKEN_REUSED, session revoked
 ✓ Expired refresh token → 401
 ✓ Invalid token → 401
 ✓ Missing token → 401
@@ -244,9 +246,10 @@ Authorization: Bearer [token]
 - refreshToken deleted
 
 // Test Cases:
-✓ Valid token → 200, cookies cleared
-✓ Invalid token → 401
-✓ No token → 401
+✓ Valid token → 200, session revoked, cookies cleared
+✓ Refresh token after logout → 401 INVALID_REFRESH_TOKEN
+✓ Expired access token with refresh cookie → 200, session revoked
+✓ No token → 200, cookies cleared
 */
 
 // ============================================
@@ -1,45 +1,136 @@
 import express from 'express';
-import { protect, authorize, checkPermission } from '../middlewares/authAdvanced.js';
+import mongoose from 'mongoose';
+import { protect, authorize, checkPermission, requireVerifiedEmail, auditLog } from '../middlewares/authAdvanced.js';
 import User from '../models/user.js';
 import Reservation from '../models/reservation.js';
-import transporter from '../middlewares/mailer.js';
+import { queueEmail } from '../utils/outbox.js';
 import { saveReservationToFile } from '../utils/fileOps.js';
+import { findClubBySlug, findClubByName } from '../utils/clubCatalog.js';
+import { getClubAvailability, parseGuests, ACTIVE_STATUSES, HOLDING_STATUSES } from '../utils/availability.js';
+import { validateReservation, checkBookingInput, normalizeTime, checkChangeWindow, isValidDate } from '../utils/reservationRules.js';
+import { handleReservationCancelled, expireStaleOffers, claimOffer, leaveWaitlist } from '../utils/waitlist.js';
+import Waitlist from '../models/waitlist.js';
+import Club from '../models/club.js';
+import { getRole } from '../utils/roles.js';
+import { RESERVATION_STATUSES, changeReservationStatus } from '../utils/reservationStatus.js';
+import { applyNoShowPolicy, refreshReliability } from '../utils/reliability.js';
+import { auditChange } from '../utils/audit.js';
+import { parsePagination, parseSort, pageInfo } from '../utils/pagination.js';
+import { buildReservationFilter, RESERVATION_SORT_FIELDS } from '../utils/reservationFilters.js';
+import { EXPORT_FORMATS } from '../utils/reservationExport.js';
+import { venueDate } from '../utils/venueTime.js';
+import { withSlotLock } from '../utils/slotLock.js';
 
 const router = express.Router();
 
+// Send a rule conflict ({ status, error, code, ...details }) as an API error
+const sendConflict = (res, { status, ...body }) => res.status(status).json(body);
+
+/**
+ * GET /api/clubs/:slug/availability?date=YYYY-MM-DD
+ * Free tables per time slot for a club, worked out from existing reservations
+ * Public: defaults to today when no date is given
+ */
+router.get('/clubs/:slug/availability', async (req, res) => {
+  try {
+    const club = await findClubBySlug(req.params.slug);
+
+    if (!club) {
+      return res.status(404).json({
+        error: 'Club not found',
+        code: 'CLUB_NOT_FOUND'
+      });
+    }
+
+    const date = req.query.date || venueDate();
+    if (!isValidDate(date)) {
+      return res.status(400).json({
+        error: 'Date must be in YYYY-MM-DD format',
+        code: 'INVALID_DATE'
+      });
+    }
+
+    const availability = await getClubAvailability(club, date);
+
+    res.json({
+      message: 'Availability retrieved',
+      ...availability
+    });
+  } catch (error) {
+    console.error('Fetch availability error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch availability',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
 /**
  * POST /api/reservations
  * Create a new table reservation
- * Protected: User must be authenticated
+ * Protected: User must be authenticated with a verified email
  */
-router.post('/reservations', protect, async (req, res) => {
+router.post('/reservations', protect, requireVerifiedEmail, auditLog('CREATE_RESERVATION', 'reservation'), async (req, res) => {
   try {
-    const { name, email, phone, date, time, guests, specialRequests, club, clubLocation } = req.body;
+    const { name, email, phone, date, time, guests, specialRequests, clubSlug } = req.body;
+    let { club, clubLocation } = req.body;
     
     // Validation
-    if (!name || !email || !phone || !date || !time || !guests || !club) {
+    if (!name || !email || !phone || !date || !time || !guests || (!club && !clubSlug)) {
       return res.status(400).json({ 
         error: 'Missing required fields',
         code: 'VALIDATION_ERROR'
       });
     }
 
-    // Create reservation
-    const reservation = new Reservation({
-      userId: req.user._id,
-      name,
-      email,
-      phone,
-      date,
-      time,
-      guests,
-      specialRequests,
-      club,
-      clubLocation,
-      status: 'confirmed'
+    const knownClub = (await findClubBySlug(clubSlug)) || (await findClubByName(club));
+    if (!knownClub) {
+      return res.status(404).json({
+        error: 'Club not found',
+        code: 'CLUB_NOT_FOUND'
+      });
+    }
+    club = knownClub.name;
+    clubLocation = clubLocation || knownClub.location;
+
+    // Checked and stored under the night's lock, so concurrent bookings cannot overbook
+    const { reservation, status, conflict } = await withSlotLock(club, date, async () => {
+      // Opening hours, slot capacity and one booking per user per night
+      const conflict = await validateReservation(knownClub, {
+        userId: req.user._id,
+        date,
+        time,
+        guests
+      });
+      if (conflict) return { conflict };
+
+      // Guests with a history of no-shows may be blocked or need approval
+      const { status, conflict: policyError } = applyNoShowPolicy(knownClub, req.user);
+      if (policyError) return { conflict: policyError };
+
+      // Create reservation
+      const reservation = new Reservation({
+        userId: req.user._id,
+        name,
+        email,
+        phone,
+        date,
+        time,
+        guests,
+        specialRequests,
+        club,
+        clubLocation,
+        status
+      });
+
+      await reservation.save();
+      return { reservation, status };
     });
+    if (conflict) {
+      return sendConflict(res, conflict);
+    }
 
-    await reservation.save();
+    auditChange(res, { resourceId: reservation._id, after: reservation._data });
 
     // Save to file as backup
     saveReservationToFile({
@@ -56,35 +147,29 @@ router.post('/reservations', protect, async (req, res) => {
       createdAt: new Date().toISOString()
     });
 
-    // Send confirmation email
-    const mailOptions = {
-      from: process.env.EMAIL_USER,
-      to: email,
-      subject: `Your Table Reservation at ${club}`,
-      html: `<h2>Thank you for booking with Club-Verse!</h2>
-        <p>Hi ${name},</p>
-        <p>Your reservation at <b>${club}</b> is confirmed for <b>${date}</b> at <b>${time}</b> for <b>${guests}</b> guest(s).</p>
-        <p>Location: ${clubLocation || ''}</p>
-        <p>Special Requests: ${specialRequests || 'None'}</p>
-        <p>Reservation ID: ${reservation._id}</p>
-        <p>We look forward to hosting you!</p>
-        <br><small>This is an automated email. Please do not reply.</small>`
-    };
-
-    transporter.sendMail(mailOptions, (err, info) => {
-      if (err) {
-        console.error('Email send error:', err);
-      }
+    // Send confirmation (or "awaiting approval") email
+    queueEmail(status === 'pending' ? 'reservation-pending' : 'reservation-confirmed', email, {
+      name,
+      club,
+      date,
+      time,
+      guests,
+      clubLocation,
+      specialRequests: specialRequests || '',
+      reservationId: reservation._id
     });
 
     res.status(201).json({ 
-      message: 'Reservation successful! Confirmation email sent.',
+      message: status === 'pending'
+        ? 'Reservation request received. The venue will confirm it by email.'
+        : 'Reservation successful! Confirmation email sent.',
       reservation: {
         id: reservation._id,
         club,
         date,
         time,
-        guests
+        guests,
+        status
       }
     });
   } catch (error) {
@@ -120,19 +205,396 @@ router.get('/reservations/my-bookings', protect, async (req, res) => {
   }
 });
 
+/**
+ * Load a reservation and make sure it belongs to the requesting user
+ * @returns {object} { reservation } or { conflict } to send back
+ */
+const loadOwnReservation = async (id, user) => {
+  const reservation = await Reservation.findById(id);
+
+  if (!reservation) {
+    return { conflict: { status: 404, error: 'Reservation not found', code: 'NOT_FOUND' } };
+  }
+
+  if (String(reservation.userId) !== String(user._id)) {
+    return { conflict: { status: 403, error: 'Cannot access this resource', code: 'NOT_OWNER' } };
+  }
+
+  return { reservation };
+};
+
+const sendReservationChangeEmail = (template, reservation) => {
+  queueEmail(template, reservation.email, {
+    name: reservation.name,
+    club: reservation.club,
+    date: reservation.date,
+    time: reservation.time,
+    guests: reservation.guests,
+    reservationId: reservation._id
+  });
+};
+
+/**
+ * PATCH /api/reservations/:id
+ * Reschedule or edit own reservation (date, time, guests, special requests)
+ * Protected: Owner only, up to the cancellation cutoff before the slot
+ */
+router.patch('/reservations/:id', protect, auditLog('UPDATE_RESERVATION', 'reservation'), async (req, res) => {
+  try {
+    const { reservation, conflict: accessError } = await loadOwnReservation(req.params.id, req.user);
+    if (accessError) {
+      return sendConflict(res, accessError);
+    }
+
+    const windowError = checkChangeWindow(reservation);
+    if (windowError) {
+      return sendConflict(res, windowError);
+    }
+
+    const { date, time, guests, specialRequests } = req.body;
+    if (date === undefined && time === undefined && guests === undefined && specialRequests === undefined) {
+      return res.status(400).json({
+        error: 'Nothing to update',
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const next = {
+      date: date !== undefined ? String(date).trim() : reservation.date,
+      time: time !== undefined ? normalizeTime(time) : reservation.time,
+      guests: guests !== undefined ? String(guests).trim() : reservation.guests
+    };
+    // Compared in canonical form, so resending "9:30" for 09:30 changes nothing
+    const isReschedule = next.date !== reservation.date
+      || normalizeTime(next.time) !== normalizeTime(reservation.time)
+      || parseGuests(next.guests) !== parseGuests(reservation.guests);
+
+    const save = () => Reservation.findByIdAndUpdate(
+      reservation._id,
+      {
+        ...next,
+        ...(specialRequests !== undefined && { specialRequests }),
+        updatedAt: Date.now()
+      },
+      { new: true }
+    );
+
+    let updated;
+    if (isReschedule) {
+      const club = await findClubByName(reservation.club);
+      if (!club) {
+        return res.status(409).json({
+          error: 'This club is no longer taking bookings',
+          code: 'CLUB_NOT_FOUND'
+        });
+      }
+
+      const inputError = checkBookingInput(next);
+      if (inputError) {
+        return sendConflict(res, inputError);
+      }
+
+      const result = await withSlotLock(club.name, next.date, async () => {
+        const conflict = await validateReservation(club, { userId: req.user._id, ...next }, { excludeId: reservation._id });
+        return conflict ? { conflict } : { updated: await save() };
+      });
+      if (result.conflict) {
+        return sendConflict(res, result.conflict);
+      }
+      updated = result.updated;
+
+      // The table (or seats) left behind can go to the waitlist
+      handleReservationCancelled(reservation);
+    } else {
+      updated = await save();
+    }
+    auditChange(res, { resourceId: reservation._id, before: reservation, after: updated });
+
+    sendReservationChangeEmail('reservation-updated', updated);
+
+    res.json({
+      message: 'Reservation updated',
+      reservation: updated
+    });
+  } catch (error) {
+    console.error('Modify reservation error:', error);
+    res.status(500).json({
+      error: 'Failed to update reservation',
+      code: 'UPDATE_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/reservations/:id/cancel
+ * Cancel own reservation
+ * Protected: Owner only, up to the cancellation cutoff before the slot
+ */
+router.post('/reservations/:id/cancel', protect, auditLog('CANCEL_RESERVATION', 'reservation'), async (req, res) => {
+  try {
+    const { reservation, conflict: accessError } = await loadOwnReservation(req.params.id, req.user);
+    if (accessError) {
+      return sendConflict(res, accessError);
+    }
+
+    const windowError = checkChangeWindow(reservation);
+    if (windowError) {
+      return sendConflict(res, windowError);
+    }
+
+    // Same side effects as a staff cancellation: waitlist offer, reliability
+    const updated = await changeReservationStatus(reservation, 'cancelled');
+    auditChange(res, { resourceId: reservation._id, before: reservation, after: updated });
+
+    // changeReservationStatus already emails guests whose pending request is cancelled
+    if (reservation.status !== 'pending') {
+      sendReservationChangeEmail('reservation-cancelled', updated);
+    }
+
+    res.json({
+      message: 'Reservation cancelled',
+      reservation: updated
+    });
+  } catch (error) {
+    console.error('Cancel reservation error:', error);
+    res.status(500).json({
+      error: 'Failed to cancel reservation',
+      code: 'CANCEL_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/clubs/:slug/waitlist
+ * Join the waitlist for a fully booked slot
+ * Protected: User must be authenticated with a verified email
+ */
+router.post('/clubs/:slug/waitlist', protect, requireVerifiedEmail, async (req, res) => {
+  try {
+    const { name, email, phone, date, time, guests, specialRequests } = req.body;
+
+    if (!name || !email || !phone || !date || !time || !guests) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const club = await findClubBySlug(req.params.slug);
+    if (!club) {
+      return res.status(404).json({
+        error: 'Club not found',
+        code: 'CLUB_NOT_FOUND'
+      });
+    }
+
+    await expireStaleOffers();
+
+    // Only full slots take a waitlist; anything else is either bookable or invalid
+    const conflict = await validateReservation(club, { userId: req.user._id, date, time, guests });
+    if (!conflict) {
+      return res.status(409).json({
+        error: 'Tables are still available for this slot. Please book directly.',
+        code: 'SLOT_AVAILABLE'
+      });
+    }
+    if (!['SLOT_FULL', 'SLOT_CAPACITY_EXCEEDED'].includes(conflict.code)) {
+      return sendConflict(res, conflict);
+    }
+
+    const existingEntry = await Waitlist.findOne({
+      userId: req.user._id,
+      club: club.name,
+      date,
+      status: { $in: ['waiting', ...HOLDING_STATUSES] }
+    });
+    if (existingEntry) {
+      return res.status(409).json({
+        error: 'You are already on the waitlist for this club tonight',
+        code: 'ALREADY_WAITLISTED',
+        waitlistId: existingEntry._id
+      });
+    }
+
+    const entry = new Waitlist({
+      userId: req.user._id,
+      name,
+      email,
+      phone,
+      club: club.name,
+      clubSlug: club.slug,
+      clubLocation: club.location,
+      date,
+      time,
+      guests: String(guests),
+      specialRequests
+    });
+    await entry.save();
+
+    const position = await Waitlist.countDocuments({
+      club: club.name,
+      date,
+      status: 'waiting',
+      createdAt: { $lte: entry.createdAt }
+    });
+
+    res.status(201).json({
+      message: 'Added to waitlist. We will email you if a table opens up.',
+      waitlist: {
+        id: entry._id,
+        club: entry.club,
+        date,
+        time,
+        guests: entry.guests,
+        position
+      }
+    });
+  } catch (error) {
+    console.error('Join waitlist error:', error);
+    res.status(500).json({
+      error: 'Failed to join waitlist',
+      code: 'WAITLIST_ERROR'
+    });
+  }
+});
+
+/**
+ * GET /api/reservations/my-waitlist
+ * Get user's own waitlist entries
+ * Protected: User must be authenticated
+ */
+router.get('/reservations/my-waitlist', protect, async (req, res) => {
+  try {
+    await expireStaleOffers();
+
+    const entries = await Waitlist.find({ userId: req.user._id })
+      .select('-claimTokenHash')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      message: 'Waitlist entries retrieved',
+      count: entries.length,
+      waitlist: entries
+    });
+  } catch (error) {
+    console.error('Fetch waitlist error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch waitlist',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+/**
+ * DELETE /api/reservations/my-waitlist/:id
+ * Leave the waitlist; an open offer passes to the next party
+ * Protected: Owner only
+ */
+router.delete('/reservations/my-waitlist/:id', protect, auditLog('LEAVE_WAITLIST', 'waitlist'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({
+        error: 'Waitlist entry not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    const { entry, conflict } = await leaveWaitlist(req.params.id, req.user._id);
+    if (conflict) {
+      return sendConflict(res, conflict);
+    }
+
+    res.json({
+      message: 'You have left the waitlist',
+      waitlist: entry
+    });
+  } catch (error) {
+    console.error('Leave waitlist error:', error);
+    res.status(500).json({
+      error: 'Failed to leave waitlist',
+      code: 'WAITLIST_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/waitlist/claim/:token
+ * Claim a table offered to a waitlisted party, from the page the emailed
+ * link opens (GET /waitlist/claim/:token)
+ * Public: the single-use token identifies the offer
+ */
+router.post('/waitlist/claim/:token', async (req, res) => {
+  try {
+    const { reservation, entry, conflict } = await claimOffer(req.params.token);
+    if (conflict) {
+      return sendConflict(res, conflict);
+    }
+
+    queueEmail('reservation-confirmed', entry.email, {
+      name: entry.name,
+      club: entry.club,
+      date: entry.date,
+      time: entry.time,
+      guests: entry.guests,
+      reservationId: reservation._id
+    });
+
+    res.status(201).json({
+      message: 'Table claimed! Your reservation is confirmed.',
+      reservation: {
+        id: reservation._id,
+        club: entry.club,
+        date: entry.date,
+        time: entry.time,
+        guests: entry.guests
+      }
+    });
+  } catch (error) {
+    console.error('Claim waitlist offer error:', error);
+    res.status(500).json({
+      error: 'Failed to claim table',
+      code: 'CLAIM_ERROR'
+    });
+  }
+});
+
 /**
  * GET /api/admin/reservations
- * Get all reservations (Admin only)
+ * List reservations, a page at a time (Admin only)
  * Protected: User must be admin
+ * 
+ * @query {string} [club] - Club slug or name
+ * @query {string} [status] - Comma-separated statuses
+ * @query {string} [from] - YYYY-MM-DD, inclusive
+ * @query {string} [to] - YYYY-MM-DD, inclusive
+ * @query {string} [email] - Partial, case-insensitive guest email
+ * @query {string} [userId]
+ * @query {string} [sort=-createdAt] - e.g. "date,time" or "-createdAt"
+ * @query {number} [page=1]
+ * @query {number} [limit=50] - At most 200
  */
 router.get('/admin/reservations', protect, authorize('admin'), checkPermission(['view_reservations']), async (req, res) => {
   try {
-    const reservations = await Reservation.find()
-      .populate('userId', 'name email')
-      .sort({ createdAt: -1 });
+    const { filter, conflict } = await buildReservationFilter(req.query);
+    if (conflict) return sendConflict(res, conflict);
+
+    const { sort, conflict: sortError } = parseSort(req.query.sort, RESERVATION_SORT_FIELDS, '-createdAt');
+    if (sortError) return sendConflict(res, sortError);
+
+    const paging = parsePagination(req.query);
+
+    const [reservations, total] = await Promise.all([
+      Reservation.find(filter)
+        .populate('userId', 'name email')
+        .sort(sort)
+        .skip(paging.skip)
+        .limit(paging.limit),
+      Reservation.countDocuments(filter)
+    ]);
 
     res.json({
-      message: 'All reservations retrieved',
+      message: 'Reservations retrieved',
+      ...pageInfo(paging, total),
       count: reservations.length,
       reservations
     });
@@ -145,35 +607,77 @@ router.get('/admin/reservations', protect, authorize('admin'), checkPermission([
   }
 });
 
+/**
+ * GET /api/admin/reservations/export?format=csv
+ * Download reservations matching the listing filters (Admin only)
+ * Protected: User must be admin
+ *
+ * @query {string} [format=csv] - csv | ics
+ * @query {string} [sort=date,time] - Same fields as the listing
+ * Accepts the same club/status/from/to/email/userId filters as GET /api/admin/reservations
+ */
+router.get('/admin/reservations/export', protect, authorize('admin'), checkPermission(['view_reservations']), auditLog('EXPORT_RESERVATIONS', 'reservation'), async (req, res) => {
+  try {
+    const format = String(req.query.format || 'csv').toLowerCase();
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({
+        error: `Unsupported format. Use one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`,
+        code: 'INVALID_FORMAT'
+      });
+    }
+
+    const { filter, conflict } = await buildReservationFilter(req.query);
+    if (conflict) return sendConflict(res, conflict);
+
+    const { sort, conflict: sortError } = parseSort(req.query.sort, RESERVATION_SORT_FIELDS, 'date,time');
+    if (sortError) return sendConflict(res, sortError);
+
+    const reservations = await Reservation.find(filter).sort(sort);
+    const { contentType, render } = EXPORT_FORMATS[format];
+    const stamp = new Date().toISOString().split('T')[0];
+
+    res.set({
+      'Content-Type': contentType,
+      'Content-Disposition': `attachment; filename="reservations-${stamp}.${format}"`
+    });
+    res.send(render(reservations));
+  } catch (error) {
+    console.error('Export reservations error:', error);
+    res.status(500).json({
+      error: 'Failed to export reservations',
+      code: 'EXPORT_ERROR'
+    });
+  }
+});
+
 /**
  * PUT /api/admin/reservations/:id
  * Update reservation status (Admin only)
  * Protected: User must be admin
  */
-router.put('/admin/reservations/:id', protect, authorize('admin'), checkPermission(['manage_reservations']), async (req, res) => {
+router.put('/admin/reservations/:id', protect, authorize('admin'), checkPermission(['manage_reservations']), auditLog('ADMIN_UPDATE_RESERVATION', 'reservation'), async (req, res) => {
   try {
     const { status } = req.body;
 
-    if (!['confirmed', 'cancelled', 'completed'].includes(status)) {
+    if (!RESERVATION_STATUSES.includes(status)) {
       return res.status(400).json({ 
         error: 'Invalid status',
         code: 'INVALID_STATUS'
       });
     }
 
-    const reservation = await Reservation.findByIdAndUpdate(
-      req.params.id,
-      { status, updatedAt: Date.now() },
-      { new: true }
-    );
+    const existing = await Reservation.findById(req.params.id);
 
-    if (!reservation) {
+    if (!existing) {
       return res.status(404).json({ 
         error: 'Reservation not found',
         code: 'NOT_FOUND'
       });
     }
 
+    const reservation = await changeReservationStatus(existing, status);
+    auditChange(res, { resourceId: existing._id, before: existing, after: reservation });
+
     res.json({
       message: 'Reservation updated',
       reservation
@@ -192,7 +696,7 @@ router.put('/admin/reservations/:id', protect, authorize('admin'), checkPermissi
  * Delete reservation (Admin only)
  * Protected: User must be admin
  */
-router.delete('/admin/reservations/:id', protect, authorize('admin'), checkPermission(['manage_reservations']), async (req, res) => {
+router.delete('/admin/reservations/:id', protect, authorize('admin'), checkPermission(['manage_reservations']), auditLog('DELETE_RESERVATION', 'reservation'), async (req, res) => {
   try {
     const reservation = await Reservation.findByIdAndDelete(req.params.id);
 
@@ -203,6 +707,13 @@ router.delete('/admin/reservations/:id', protect, authorize('admin'), checkPermi
       });
     }
 
+    auditChange(res, { resourceId: reservation._id, before: reservation });
+
+    if (ACTIVE_STATUSES.includes(reservation.status)) {
+      handleReservationCancelled(reservation);
+    }
+    await refreshReliability(reservation.userId);
+
     res.json({
       message: 'Reservation deleted',
       deletedId: req.params.id
@@ -217,63 +728,102 @@ router.delete('/admin/reservations/:id', protect, authorize('admin'), checkPermi
 });
 
 /**
- * GET /api/admin/users
- * Get all users (Admin only)
+ * PUT /api/admin/users/:id/role
+ * Update user role (Admin only)
  * Protected: Admin role required
  */
-router.get('/admin/users', protect, authorize('admin'), checkPermission(['view_users']), async (req, res) => {
+router.put('/admin/users/:id/role', protect, authorize('admin'), checkPermission(['update_users']), auditLog('CHANGE_ROLE', 'user'), async (req, res) => {
   try {
-    const users = await User.find().select('-password');
+    const { role } = req.body;
+
+    if (!role || !(await getRole(role))) {
+      return res.status(400).json({ 
+        error: 'Invalid role',
+        code: 'INVALID_ROLE'
+      });
+    }
+
+    const existing = mongoose.isValidObjectId(req.params.id) && await User.findById(req.params.id).select('-password');
+
+    if (!existing) {
+      return res.status(404).json({ 
+        error: 'User not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      existing._id,
+      { role, updatedAt: Date.now() },
+      { new: true }
+    ).select('-password');
+    auditChange(res, { resourceId: user._id, before: existing, after: user });
 
     res.json({
-      message: 'Users retrieved',
-      count: users.length,
-      users
+      message: 'User role updated',
+      user
     });
   } catch (error) {
-    console.error('Fetch users error:', error);
+    console.error('Update user role error:', error);
     res.status(500).json({ 
-      error: 'Failed to fetch users',
-      code: 'FETCH_ERROR'
+      error: 'Failed to update user',
+      code: 'UPDATE_ERROR'
     });
   }
 });
 
 /**
- * PUT /api/admin/users/:id/role
- * Update user role (Admin only)
+ * PUT /api/admin/users/:id/clubs
+ * Assign the clubs a manager can act on (Admin only)
  * Protected: Admin role required
+ * 
+ * @body {string[]} clubs - Club slugs; an empty list removes all assignments
  */
-router.put('/admin/users/:id/role', protect, authorize('admin'), checkPermission(['update_users']), async (req, res) => {
+router.put('/admin/users/:id/clubs', protect, authorize('admin'), checkPermission(['update_users']), auditLog('ASSIGN_CLUBS', 'user'), async (req, res) => {
   try {
-    const { role } = req.body;
+    const { clubs } = req.body;
 
-    if (!['user', 'admin', 'manager'].includes(role)) {
+    if (!Array.isArray(clubs)) {
       return res.status(400).json({ 
-        error: 'Invalid role',
-        code: 'INVALID_ROLE'
+        error: 'Clubs must be an array of club slugs',
+        code: 'VALIDATION_ERROR'
       });
     }
 
-    const user = await User.findByIdAndUpdate(
-      req.params.id,
-      { role, updatedAt: Date.now() },
-      { new: true }
-    ).select('-password');
+    const slugs = [...new Set(clubs.map(slug => String(slug).toLowerCase()))];
+    const found = await Club.find({ slug: { $in: slugs } }).select('slug');
+    const unknown = slugs.filter(slug => !found.some(c => c.slug === slug));
 
-    if (!user) {
+    if (unknown.length > 0) {
+      return res.status(400).json({ 
+        error: 'Unknown clubs',
+        code: 'UNKNOWN_CLUB',
+        unknown
+      });
+    }
+
+    const existing = mongoose.isValidObjectId(req.params.id) && await User.findById(req.params.id).select('-password');
+
+    if (!existing) {
       return res.status(404).json({ 
         error: 'User not found',
         code: 'NOT_FOUND'
       });
     }
 
+    const user = await User.findByIdAndUpdate(
+      existing._id,
+      { managedClubs: slugs, updatedAt: Date.now() },
+      { new: true }
+    ).select('-password');
+    auditChange(res, { resourceId: user._id, before: existing, after: user });
+
     res.json({
-      message: 'User role updated',
+      message: 'Managed clubs updated',
       user
     });
   } catch (error) {
-    console.error('Update user role error:', error);
+    console.error('Assign clubs error:', error);
     res.status(500).json({ 
       error: 'Failed to update user',
       code: 'UPDATE_ERROR'
@@ -1,34 +1,100 @@
-import fs from 'fs';
-import path from 'path';
+import dotenv from 'dotenv';
 
-const command = process.argv[2]; 
+dotenv.config();
 
-const filePath = path.join(process.cwd(), 'data', 'reservations.json');
+/**
+ * ClubVerse admin CLI
+ * node cli.js <command> [subcommand] [arguments] [--json]
+ *
+ * Talks to the stores configured in .env (RESERVATION_STORE, USER_STORE).
+ * --json prints results, and errors as { error, code }, as JSON. Exit
+ * codes are listed in cli/io.js (EXIT_CODES).
+ */
 
-if (command === 'list') {
-  if (!fs.existsSync(filePath)) {
-    console.log('No reservations found.');
-    process.exit(0);
+// Imported after dotenv so the models see the configured stores
+const { EXIT_CODES, CliError, usageError, parseArgs, printResult, printError } = await import('./cli/io.js');
+const { connectMongo, readyStore, closeConnections } = await import('./cli/connections.js');
+const { default: Reservation } = await import('./models/reservation.js');
+const { default: User, getUserStore } = await import('./models/user.js');
+const { default: reservationCommands } = await import('./cli/reservationCommands.js');
+const { default: userCommands } = await import('./cli/userCommands.js');
+const { default: maintenanceCommands } = await import('./cli/maintenanceCommands.js');
+
+const COMMANDS = {
+  reservations: reservationCommands,
+  users: userCommands,
+  ...maintenanceCommands
+};
+
+// Network errors from either database driver
+const UNAVAILABLE_ERRORS = ['ECONNREFUSED', 'ENOTFOUND', 'ETIMEDOUT', 'EHOSTUNREACH'];
+
+const isGroup = (entry) => typeof entry.run !== 'function';
+
+function usage() {
+  const lines = ['Usage:'];
+  for (const [name, entry] of Object.entries(COMMANDS)) {
+    const specs = isGroup(entry) ? Object.values(entry) : [entry];
+    specs.forEach(spec => lines.push(`   node cli.js ${spec.usage}`));
+  }
+  lines.push('', 'Add --json to any command for machine-readable output.');
+  lines.push('Exit codes: 0 ok, 1 error, 2 usage, 3 not found, 4 refused/conflict, 5 database unavailable or unhealthy');
+  return lines.join('\n');
+}
+
+/**
+ * @returns {object} { spec, label, rest } for the command named by argv
+ */
+function resolveCommand(argv) {
+  const [name, sub, ...rest] = argv;
+
+  // `list` predates the reservations group
+  if (name === 'list') return { spec: reservationCommands.list, label: 'reservations list', rest: argv.slice(1) };
+
+  const entry = COMMANDS[name];
+  if (!entry) throw usageError(name ? `Unknown command "${name}"` : 'No command given');
+  if (!isGroup(entry)) return { spec: entry, label: name, rest: argv.slice(1) };
+
+  if (!entry[sub]) {
+    throw usageError(`${sub ? `Unknown ${name} command "${sub}"` : `Say what to do with ${name}`}: ${Object.keys(entry).join(', ')}`);
   }
+  return { spec: entry[sub], label: `${name} ${sub}`, rest };
+}
+
+async function main(argv) {
+  const json = argv.includes('--json');
 
-  const fileContent = fs.readFileSync(filePath, 'utf-8');
-  const reservations = JSON.parse(fileContent || '[]');
-
-  if (reservations.length === 0) {
-    console.log('No reservations found.');
-  } else {
-    console.log('📋 Reservations:\n--------------------------');
-    reservations.forEach((r, i) => {
-      console.log(`👤 Name: ${r.name}`);
-      console.log(`📧 Email: ${r.email}`);
-      console.log(`📅 Date: ${r.date}`);
-      console.log(`🕒 Time: ${r.time}`);
-      console.log(`👥 Guests: ${r.guests}`);
-      console.log(`🏢 Club: ${r.club}`);
-      console.log('--------------------------');
-    });
+  if (argv.length === 0 || ['help', '--help', '-h'].includes(argv[0])) {
+    console.log(usage());
+    return argv.length === 0 ? EXIT_CODES.USAGE : EXIT_CODES.OK;
+  }
+
+  try {
+    const { spec, label, rest } = resolveCommand(argv);
+    const { args, opts } = parseArgs(rest, { ...spec.options, json: 'boolean' });
+
+    if (spec.mongo !== false) await connectMongo();
+    if (spec.stores?.includes('reservations')) {
+      await readyStore(`the ${Reservation.backend} reservation store`, () => Reservation.ready());
+    }
+    if (spec.stores?.includes('users')) {
+      await readyStore(`the ${getUserStore()} user store`, () => User.init());
+    }
+
+    const result = await spec.run({ args, opts, command: label });
+    printResult(result, { json });
+    return result.exitCode ?? EXIT_CODES.OK;
+  } catch (error) {
+    const cliError = error instanceof CliError ? error
+      : UNAVAILABLE_ERRORS.includes(error.code) ? new CliError(error.message, 'DB_UNAVAILABLE', EXIT_CODES.UNAVAILABLE)
+        : new CliError(error.message, 'ERROR', EXIT_CODES.ERROR);
+
+    printError(cliError, { json });
+    if (cliError.exitCode === EXIT_CODES.USAGE && !json) console.error(`\n${usage()}`);
+    return cliError.exitCode;
+  } finally {
+    await closeConnections();
   }
-} else {
-  console.log('❌ Invalid command. Use:');
-  console.log('   node cli.js list');
 }
+
+process.exit(await main(process.argv.slice(2)));
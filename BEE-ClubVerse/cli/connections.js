@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+import { pool } from '../db.postgres.js';
+import { CliError, EXIT_CODES } from './io.js';
+
+/**
+ * CLI Connections
+ * Commands talk to the same stores as the server: MongoDB always (roles,
+ * clubs, audit log), plus PostgreSQL when RESERVATION_STORE or USER_STORE
+ * say so. Connections fail fast instead of waiting on mongoose's buffer.
+ */
+
+// Seconds to wait for MongoDB (CLI_CONNECT_TIMEOUT_SECONDS, default 5)
+const getConnectTimeoutMs = () => {
+  const n = Number(process.env.CLI_CONNECT_TIMEOUT_SECONDS);
+  return (Number.isFinite(n) && n > 0 ? n : 5) * 1000;
+};
+
+const unavailable = (what, error) => new CliError(`Can't reach ${what}: ${error.message}`, 'DB_UNAVAILABLE', EXIT_CODES.UNAVAILABLE);
+
+async function connectMongo() {
+  if (!process.env.MONGO_URI) {
+    throw new CliError('MONGO_URI is not set', 'DB_UNAVAILABLE', EXIT_CODES.UNAVAILABLE);
+  }
+  try {
+    await mongoose.connect(process.env.MONGO_URI, { serverSelectionTimeoutMS: getConnectTimeoutMs() });
+  } catch (error) {
+    throw unavailable('MongoDB', error);
+  }
+}
+
+/**
+ * Wait for a store to initialise (e.g. Reservation.ready()), reporting failures as unavailable
+ */
+async function readyStore(name, ready) {
+  try {
+    await ready();
+  } catch (error) {
+    throw unavailable(name, error);
+  }
+}
+
+async function closeConnections() {
+  try { await mongoose.disconnect(); } catch (e) {}
+  try { await pool.end(); } catch (e) {}
+}
+
+export { connectMongo, readyStore, closeConnections, getConnectTimeoutMs };
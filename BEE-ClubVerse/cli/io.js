@@ -0,0 +1,149 @@
+import os from 'os';
+import { diffChanges, writeAuditLog } from '../utils/audit.js';
+
+/**
+ * CLI Input and Output
+ * Argument parsing, exit codes and result printing shared by every
+ * command in cli.js. Commands return plain data; with --json it is
+ * printed as JSON for scripts, otherwise the command's own text form.
+ */
+
+const EXIT_CODES = {
+  OK: 0,
+  // Unexpected failure
+  ERROR: 1,
+  // Bad command, option or value
+  USAGE: 2,
+  NOT_FOUND: 3,
+  // The request was understood but refused (invalid transition, duplicate, failed verification)
+  CONFLICT: 4,
+  // A database could not be reached, or the health check failed
+  UNAVAILABLE: 5
+};
+
+/**
+ * An error the CLI reports as { error, code } and exits with `exitCode`
+ */
+class CliError extends Error {
+  constructor(message, code, exitCode = EXIT_CODES.ERROR) {
+    super(message);
+    this.code = code;
+    this.exitCode = exitCode;
+  }
+}
+
+const usageError = (message) => new CliError(message, 'USAGE', EXIT_CODES.USAGE);
+
+// HTTP-style conflicts from shared helpers (e.g. buildReservationFilter)
+const conflictError = ({ status, error, code }) => new CliError(
+  error,
+  code,
+  status === 404 ? EXIT_CODES.NOT_FOUND : status === 400 ? EXIT_CODES.USAGE : EXIT_CODES.CONFLICT
+);
+
+/**
+ * Split argv into positionals and options
+ * @param {string[]} argv - Arguments after the command name
+ * @param {object} spec - { optionName: 'string' | 'number' | 'boolean' }
+ * @returns {object} { args, opts }
+ */
+function parseArgs(argv, spec = {}) {
+  const args = [];
+  const opts = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      args.push(arg);
+      continue;
+    }
+
+    const [name, inline] = arg.slice(2).split(/=(.*)/s);
+    const type = spec[name];
+    if (!type) throw usageError(`Unknown option --${name}`);
+
+    if (type === 'boolean') {
+      if (inline !== undefined) throw usageError(`--${name} takes no value`);
+      opts[name] = true;
+      continue;
+    }
+
+    const value = inline ?? argv[++i];
+    if (value === undefined || (inline === undefined && value.startsWith('--'))) {
+      throw usageError(`--${name} needs a value`);
+    }
+    if (type === 'number') {
+      const n = Number(value);
+      if (!Number.isInteger(n) || n < 0) throw usageError(`--${name} must be a whole number`);
+      opts[name] = n;
+    } else {
+      opts[name] = value;
+    }
+  }
+
+  return { args, opts };
+}
+
+async function readStdin() {
+  if (process.stdin.isTTY) return '';
+  let input = '';
+  for await (const chunk of process.stdin) input += chunk;
+  return input;
+}
+
+/**
+ * Print a command's result
+ * @param {object} result - { data, text } where text is a line or lines for
+ *   people, or { raw } for output written as is (e.g. an export)
+ */
+function printResult({ data, text, raw }, { json }) {
+  if (raw !== undefined) {
+    process.stdout.write(raw);
+  } else if (json) {
+    console.log(JSON.stringify(data ?? null, null, 2));
+  } else if (text !== undefined) {
+    console.log([].concat(text).join('\n'));
+  }
+}
+
+function printError(error, { json }) {
+  const body = { error: error.message, code: error.code || 'ERROR' };
+  if (json) {
+    console.log(JSON.stringify(body, null, 2));
+  } else {
+    console.error(`❌ ${body.error}`);
+  }
+}
+
+/**
+ * Audit a change made from the command line, like the auditLog()
+ * middleware does for requests. Never records the arguments, which may
+ * hold a password.
+ */
+async function auditCliChange(command, action, resource, { resourceId, before = null, after = null }) {
+  await writeAuditLog({
+    userId: null,
+    userEmail: `cli:${process.env.USER || process.env.USERNAME || os.hostname()}`,
+    action,
+    resource,
+    resourceId: resourceId != null ? String(resourceId) : null,
+    method: 'CLI',
+    url: `cli.js ${command}`,
+    ip: null,
+    userAgent: `node ${process.version}`,
+    success: true,
+    changes: diffChanges(before, after)
+  });
+}
+
+export {
+  EXIT_CODES,
+  CliError,
+  usageError,
+  conflictError,
+  parseArgs,
+  readStdin,
+  printResult,
+  printError,
+  auditCliChange
+};
@@ -0,0 +1,222 @@
+import fs from 'fs/promises';
+import mongoose from 'mongoose';
+import { pool } from '../db.postgres.js';
+import Reservation from '../models/reservation.js';
+import User, { getUserStore } from '../models/user.js';
+import EmailOutbox from '../models/emailOutbox.js';
+import { seedDefaultRoles } from '../utils/roles.js';
+import { seedDefaultClubs } from '../utils/clubCatalog.js';
+import { parseImportRows, IMPORTERS } from '../utils/bulkImport.js';
+import { migrateUp, migrateDown, migrationStatus } from '../utils/migrations.js';
+import { connectMongo, getConnectTimeoutMs } from './connections.js';
+import { CliError, EXIT_CODES, usageError } from './io.js';
+
+/**
+ * `cli.js <seed|health|import|migrate>`
+ */
+
+const seed = {
+  usage: 'seed',
+  async run() {
+    const roles = await seedDefaultRoles();
+    const clubs = await seedDefaultClubs();
+    return {
+      data: { roles, clubs },
+      text: `🌱 Seeded ${roles} role(s) and ${clubs} club(s); existing ones were left as they are.`
+    };
+  }
+};
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`no answer after ${ms / 1000}s`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+const HEALTH_ICONS = { ok: '✅', warn: '⚠️ ', fail: '❌' };
+
+/**
+ * Each check resolves to a detail string when ok, or { warn } for problems
+ * that don't stop the app; throwing means it failed. Checks that need
+ * MongoDB fail straight away when it is unreachable.
+ */
+function healthChecks() {
+  const usesPostgres = Reservation.backend === 'postgres' || getUserStore() === 'postgres';
+
+  return [
+    {
+      name: 'mongodb',
+      async run() {
+        await connectMongo();
+        await mongoose.connection.db.admin().ping();
+        return mongoose.connection.host;
+      }
+    },
+    {
+      name: `reservations (${Reservation.backend})`,
+      needsMongo: Reservation.backend === 'mongodb',
+      async run() {
+        await Reservation.ready();
+        await Reservation.find({}).limit(1);
+        return 'reachable';
+      }
+    },
+    {
+      name: `users (${getUserStore()})`,
+      needsMongo: getUserStore() === 'mongodb',
+      async run() {
+        await User.init();
+        await User.findOne({}).select('_id');
+        return 'reachable';
+      }
+    },
+    ...(usesPostgres ? [{
+      name: 'postgres migrations',
+      async run() {
+        const status = await migrationStatus(pool);
+        const pending = status.filter(m => m.state === 'pending').length;
+        const missing = status.filter(m => m.state === 'missing').length;
+        const changed = status.filter(m => m.changed).length;
+        if (pending || missing || changed) {
+          return { warn: `${pending} pending, ${missing} applied without a file, ${changed} edited since applied` };
+        }
+        return `${status.length} applied`;
+      }
+    }] : []),
+    {
+      name: 'email outbox',
+      needsMongo: true,
+      async run() {
+        const failed = await EmailOutbox.countDocuments({ status: 'failed' });
+        return failed ? { warn: `${failed} email(s) failed for good; see GET /api/admin/email-outbox` } : 'no failed emails';
+      }
+    }
+  ];
+}
+
+const health = {
+  usage: 'health',
+  // Connects by itself, so an unreachable database is reported rather than fatal
+  mongo: false,
+  async run() {
+    const checks = [];
+    let mongoDown = false;
+
+    for (const check of healthChecks()) {
+      const started = Date.now();
+      let result;
+      try {
+        if (check.needsMongo && mongoDown) throw new Error('MongoDB is unreachable');
+        const outcome = await withTimeout(check.run(), getConnectTimeoutMs());
+        result = outcome?.warn ? { status: 'warn', detail: outcome.warn } : { status: 'ok', detail: outcome };
+      } catch (error) {
+        if (check.name === 'mongodb') mongoDown = true;
+        result = { status: 'fail', detail: error.message };
+      }
+      checks.push({ name: check.name, ...result, ms: Date.now() - started });
+    }
+
+    const status = checks.some(c => c.status === 'fail') ? 'unhealthy'
+      : checks.some(c => c.status === 'warn') ? 'degraded' : 'healthy';
+
+    return {
+      data: { status, checks },
+      text: [
+        ...checks.map(c => `${HEALTH_ICONS[c.status]} ${c.name.padEnd(28)} ${c.detail} (${c.ms}ms)`),
+        `Overall: ${status}`
+      ],
+      exitCode: status === 'unhealthy' ? EXIT_CODES.UNAVAILABLE : EXIT_CODES.OK
+    };
+  }
+};
+
+const importCommand = {
+  usage: 'import <reservations|users> <file.csv|file.json> [--dry-run]',
+  options: { 'dry-run': 'boolean' },
+  stores: ['reservations', 'users'],
+  async run({ args, opts }) {
+    const [type, file] = args;
+    if (!IMPORTERS[type] || !file) throw usageError('Give what to import (reservations or users) and a file');
+    const dryRun = Boolean(opts['dry-run']);
+
+    let input;
+    try {
+      input = await fs.readFile(file, 'utf-8');
+    } catch (error) {
+      throw new CliError(`Can't read ${file}: ${error.message}`, 'FILE_NOT_FOUND', EXIT_CODES.NOT_FOUND);
+    }
+
+    const { rows, conflict } = parseImportRows(input);
+    if (conflict) throw new CliError(conflict.error, conflict.code, EXIT_CODES.USAGE);
+
+    const report = await IMPORTERS[type](rows, { dryRun });
+    const rejected = report.results.filter(r => r.status === 'rejected');
+
+    const text = [
+      `📥 ${type}: ${report.total} row(s), ${report.accepted} accepted, ${report.rejected} rejected`,
+      ...rejected.map(r => `   ❌ Row ${r.row}: [${r.code}] ${r.error}`)
+    ];
+    if (report.rejected > 0) {
+      text.push(dryRun ? 'Dry run: fix the rows above before importing.' : 'Nothing was imported.');
+    } else {
+      text.push(dryRun ? '✅ Dry run passed; nothing was imported.' : `✅ Imported ${report.imported} ${type}.`);
+    }
+
+    return { data: report, text, exitCode: report.rejected > 0 ? EXIT_CODES.CONFLICT : EXIT_CODES.OK };
+  }
+};
+
+const migrationName = (m) => `${String(m.version).padStart(3, '0')}_${m.name}`;
+
+const migrate = {
+  usage: 'migrate <up|down|status> [--to <version>] [--steps <n>] [--version <n>]',
+  options: { to: 'number', steps: 'number', version: 'number' },
+  // Postgres schema only
+  mongo: false,
+  async run({ args, opts }) {
+    const [action] = args;
+    const list = (migrations) => migrations.map(m => ({ version: m.version, name: m.name }));
+
+    if (action === 'up') {
+      const applied = await migrateUp(pool, { to: opts.to });
+      return {
+        data: { applied: list(applied) },
+        text: [
+          ...applied.map(m => `   ⬆️  ${migrationName(m)}`),
+          applied.length ? `✅ Applied ${applied.length} migration(s).` : '✅ Schema is up to date.'
+        ]
+      };
+    }
+
+    if (action === 'down') {
+      const rolledBack = await migrateDown(pool, { steps: opts.steps ?? 1, to: opts.to, version: opts.version });
+      return {
+        data: { rolledBack: list(rolledBack) },
+        text: [
+          ...rolledBack.map(m => `   ⬇️  ${migrationName(m)}`),
+          rolledBack.length ? `✅ Rolled back ${rolledBack.length} migration(s).` : '✅ Nothing to roll back.'
+        ]
+      };
+    }
+
+    if (action === 'status') {
+      const status = await migrationStatus(pool);
+      const text = ['🗄️  Migrations:', '--------------------------'];
+      status.forEach(m => {
+        const when = m.appliedAt ? ` (${new Date(m.appliedAt).toISOString()})` : '';
+        const requires = Object.entries(m.requires).map(([name, value]) => `${name}=${value}`).join(', ');
+        const note = m.changed ? ' ⚠️ file changed since it was applied'
+          : m.state === 'inactive' ? ` (applies with ${requires})` : '';
+        text.push(`   ${m.state.padEnd(8)} ${migrationName(m)}${when}${note}`);
+      });
+      if (status.some(m => m.state === 'pending')) text.push('Run `node cli.js migrate up` to apply pending migrations.');
+      return { data: { migrations: status }, text };
+    }
+
+    throw usageError('Say up, down or status');
+  }
+};
+
+export default { seed, health, import: importCommand, migrate };
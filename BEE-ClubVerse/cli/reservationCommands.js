@@ -0,0 +1,154 @@
+import fs from 'fs/promises';
+import Reservation from '../models/reservation.js';
+import User from '../models/user.js';
+import { buildReservationFilter, RESERVATION_SORT_FIELDS } from '../utils/reservationFilters.js';
+import { changeReservationStatus } from '../utils/reservationStatus.js';
+import { ACTIVE_STATUSES } from '../utils/availability.js';
+import { EXPORT_FORMATS } from '../utils/reservationExport.js';
+import { parsePagination, parseSort, pageInfo } from '../utils/pagination.js';
+import { CliError, EXIT_CODES, usageError, conflictError, auditCliChange } from './io.js';
+
+/**
+ * `cli.js reservations <list|show|cancel|export>`
+ * The same filters as the admin listing: --club, --status, --from, --to,
+ * --email, plus --user (id or email) for one guest's bookings.
+ */
+
+const FILTER_OPTIONS = {
+  club: 'string',
+  status: 'string',
+  from: 'string',
+  to: 'string',
+  email: 'string',
+  user: 'string',
+  sort: 'string'
+};
+
+const notFound = (id) => new CliError(`Reservation ${id} not found`, 'NOT_FOUND', EXIT_CODES.NOT_FOUND);
+
+async function resolveFilter(opts, defaultSort) {
+  let userId;
+  if (opts.user) {
+    const user = opts.user.includes('@')
+      ? await User.findOne({ email: opts.user.toLowerCase() }).select('_id')
+      : { _id: opts.user };
+    if (!user) throw new CliError(`No user with email ${opts.user}`, 'USER_NOT_FOUND', EXIT_CODES.NOT_FOUND);
+    userId = String(user._id);
+  }
+
+  const { filter, conflict } = await buildReservationFilter({ ...opts, userId });
+  if (conflict) throw conflictError(conflict);
+
+  const { sort, conflict: sortError } = parseSort(opts.sort, RESERVATION_SORT_FIELDS, defaultSort);
+  if (sortError) throw conflictError(sortError);
+
+  return { filter, sort };
+}
+
+async function findReservation(id) {
+  if (!id) throw usageError('A reservation id is required');
+  const reservation = await Reservation.findById(id);
+  if (!reservation) throw notFound(id);
+  return reservation;
+}
+
+const summaryLine = (r) => `${String(r._id).padEnd(24)}  ${r.date} ${r.time}  ${r.status.padEnd(10)}  ${r.club}  ${r.name} <${r.email}> × ${r.guests}`;
+
+const list = {
+  usage: 'reservations list [--club <slug|name>] [--status <a,b>] [--from <YYYY-MM-DD>] [--to <YYYY-MM-DD>] [--email <text>] [--user <id|email>] [--sort <fields>] [--page <n>] [--limit <n>]',
+  options: { ...FILTER_OPTIONS, page: 'number', limit: 'number' },
+  stores: ['reservations'],
+  async run({ opts }) {
+    const { filter, sort } = await resolveFilter(opts, '-createdAt');
+    const paging = parsePagination(opts);
+
+    const [reservations, total] = await Promise.all([
+      Reservation.find(filter).sort(sort).skip(paging.skip).limit(paging.limit),
+      Reservation.countDocuments(filter)
+    ]);
+    const info = pageInfo(paging, total);
+
+    return {
+      data: { ...info, count: reservations.length, reservations },
+      text: total === 0
+        ? 'No reservations found.'
+        : [
+          `📋 ${total} reservation(s), page ${info.page} of ${info.totalPages}:`,
+          ...reservations.map(summaryLine)
+        ]
+    };
+  }
+};
+
+const show = {
+  usage: 'reservations show <id>',
+  stores: ['reservations'],
+  async run({ args }) {
+    const reservation = await findReservation(args[0]);
+    const fields = ['_id', 'status', 'club', 'clubLocation', 'date', 'time', 'guests', 'name', 'email', 'phone', 'userId', 'specialRequests', 'createdAt', 'updatedAt'];
+
+    return {
+      data: reservation,
+      text: fields
+        .filter(field => reservation[field] !== null && reservation[field] !== undefined)
+        .map(field => {
+          const value = reservation[field] instanceof Date ? reservation[field].toISOString() : reservation[field];
+          return `${field.padEnd(16)}${value}`;
+        })
+    };
+  }
+};
+
+const cancel = {
+  usage: 'reservations cancel <id>',
+  stores: ['reservations'],
+  async run({ args }) {
+    const existing = await findReservation(args[0]);
+    if (!ACTIVE_STATUSES.includes(existing.status)) {
+      throw new CliError(`A ${existing.status} reservation can't be cancelled`, 'INVALID_TRANSITION', EXIT_CODES.CONFLICT);
+    }
+
+    // Wait for the waitlist offer and emails, since the process exits next
+    const reservation = await changeReservationStatus(existing, 'cancelled', { waitForSideEffects: true });
+    await auditCliChange('reservations cancel', 'ADMIN_UPDATE_RESERVATION', 'reservation', {
+      resourceId: existing._id,
+      before: existing,
+      after: reservation
+    });
+
+    return {
+      data: reservation,
+      text: `✅ Cancelled ${reservation._id} (${reservation.name}, ${reservation.club} on ${reservation.date} at ${reservation.time}).`
+    };
+  }
+};
+
+const exportCommand = {
+  usage: `reservations export [--format <${Object.keys(EXPORT_FORMATS).join('|')}>] [--output <file>] [filters as for list]`,
+  options: { ...FILTER_OPTIONS, format: 'string', output: 'string' },
+  stores: ['reservations'],
+  async run({ opts }) {
+    const format = String(opts.format || 'csv').toLowerCase();
+    if (!EXPORT_FORMATS[format]) {
+      throw usageError(`Unsupported format. Use one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+    }
+
+    const { filter, sort } = await resolveFilter(opts, 'date,time');
+    const reservations = await Reservation.find(filter).sort(sort);
+    const content = EXPORT_FORMATS[format].render(reservations);
+    await auditCliChange('reservations export', 'EXPORT_RESERVATIONS', 'reservation', {});
+
+    // Without --output the export itself is the output, even with --json
+    if (!opts.output) {
+      return { raw: content };
+    }
+
+    await fs.writeFile(opts.output, content);
+    return {
+      data: { file: opts.output, format, count: reservations.length },
+      text: `✅ Exported ${reservations.length} reservation(s) to ${opts.output}.`
+    };
+  }
+};
+
+export default { list, show, cancel, export: exportCommand };
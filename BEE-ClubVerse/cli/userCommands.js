@@ -0,0 +1,169 @@
+import User from '../models/user.js';
+import { getRole } from '../utils/roles.js';
+import { hashPassword, isStrongPassword, PASSWORD_RULES_MESSAGE } from '../utils/password.js';
+import { revokeUserSessions } from '../utils/sessions.js';
+import { CliError, EXIT_CODES, usageError, readStdin, auditCliChange } from './io.js';
+
+/**
+ * `cli.js users <create-admin|set-role|lock|unlock|deactivate|activate>`
+ * Users are named by email or id. Every change is audited, and locking or
+ * deactivating an account signs it out everywhere.
+ */
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// "Until further notice" for locks without --minutes
+const LOCKED_INDEFINITELY = new Date('9999-12-31T23:59:59Z');
+
+async function findUser(ref) {
+  if (!ref) throw usageError('A user email or id is required');
+
+  let user = null;
+  if (ref.includes('@')) {
+    user = await User.findOne({ email: ref.toLowerCase() }).select('-password');
+  } else if (/^[a-f\d]{24}$/i.test(ref)) {
+    user = await User.findById(ref).select('-password');
+  } else {
+    throw usageError(`"${ref}" is neither an email nor a user id`);
+  }
+
+  if (!user) throw new CliError(`User ${ref} not found`, 'USER_NOT_FOUND', EXIT_CODES.NOT_FOUND);
+  return user;
+}
+
+/**
+ * Apply `changes` to a user and audit it
+ * @returns {Promise<object>} The updated user
+ */
+async function updateUser(command, action, existing, changes) {
+  const user = await User.findByIdAndUpdate(
+    existing._id,
+    { ...changes, updatedAt: Date.now() },
+    { new: true }
+  ).select('-password');
+  await auditCliChange(command, action, 'user', { resourceId: user._id, before: existing, after: user });
+  return user;
+}
+
+const createAdmin = {
+  usage: 'users create-admin --email <email> --name <name> (--password-stdin | --password <password>)',
+  stores: ['users'],
+  options: { email: 'string', name: 'string', password: 'string', 'password-stdin': 'boolean' },
+  async run({ opts }) {
+    const email = String(opts.email || '').trim().toLowerCase();
+    const name = String(opts.name || '').trim();
+    if (!EMAIL_PATTERN.test(email)) throw usageError('A valid --email is required');
+    if (!name) throw usageError('--name is required');
+
+    // Reading from stdin keeps the password out of shell history and `ps`
+    const password = opts['password-stdin'] ? (await readStdin()).replace(/\r?\n$/, '') : opts.password;
+    if (!password) throw usageError('Give a password with --password-stdin (or --password)');
+    if (!isStrongPassword(password)) {
+      throw new CliError(PASSWORD_RULES_MESSAGE, 'WEAK_PASSWORD', EXIT_CODES.USAGE);
+    }
+
+    if (!(await getRole('admin'))) {
+      throw new CliError('The admin role does not exist yet; run `node cli.js seed` first', 'INVALID_ROLE', EXIT_CODES.CONFLICT);
+    }
+    if (await User.findOne({ email }).select('_id')) {
+      throw new CliError(`A user with email ${email} already exists; use \`users set-role\` to promote them`, 'USER_EXISTS', EXIT_CODES.CONFLICT);
+    }
+
+    const user = new User({
+      name,
+      email,
+      password: await hashPassword(password),
+      role: 'admin',
+      // Created by an operator, so there is no inbox to confirm
+      emailVerified: true,
+      emailVerifiedAt: Date.now()
+    });
+    await user.save();
+
+    const created = user.toObject();
+    delete created.password;
+    await auditCliChange('users create-admin', 'CREATE_ADMIN', 'user', { resourceId: user._id, after: created });
+
+    return { data: created, text: `✅ Created admin ${email} (${user._id}).` };
+  }
+};
+
+const setRole = {
+  usage: 'users set-role <email|id> <role>',
+  stores: ['users'],
+  async run({ args }) {
+    const [ref, role] = args;
+    if (!role) throw usageError('A role is required');
+    if (!(await getRole(role))) throw new CliError(`Unknown role "${role}"`, 'INVALID_ROLE', EXIT_CODES.USAGE);
+
+    const existing = await findUser(ref);
+    const user = await updateUser('users set-role', 'CHANGE_ROLE', existing, { role });
+    return { data: user, text: `✅ ${user.email} is now ${role} (was ${existing.role}).` };
+  }
+};
+
+const lock = {
+  usage: 'users lock <email|id> [--minutes <n>]',
+  stores: ['users'],
+  options: { minutes: 'number' },
+  async run({ args, opts }) {
+    const existing = await findUser(args[0]);
+    const adminLockedUntil = opts.minutes ? new Date(Date.now() + opts.minutes * 60 * 1000) : LOCKED_INDEFINITELY;
+
+    const user = await updateUser('users lock', 'LOCK_USER', existing, { adminLockedUntil });
+    const revoked = await revokeUserSessions(user._id, 'admin');
+
+    const until = opts.minutes ? `until ${adminLockedUntil.toISOString()}` : 'until unlocked';
+    return {
+      data: { user, revokedSessions: revoked },
+      text: `🔒 Locked ${user.email} ${until}; signed out ${revoked} session(s).`
+    };
+  }
+};
+
+const unlock = {
+  usage: 'users unlock <email|id>',
+  stores: ['users'],
+  async run({ args }) {
+    const existing = await findUser(args[0]);
+    const user = await updateUser('users unlock', 'UNLOCK_USER', existing, {
+      adminLockedUntil: null,
+      lockUntil: null,
+      loginAttempts: 0
+    });
+    return { data: user, text: `🔓 Unlocked ${user.email}.` };
+  }
+};
+
+const deactivate = {
+  usage: 'users deactivate <email|id>',
+  stores: ['users'],
+  async run({ args }) {
+    const existing = await findUser(args[0]);
+    const user = await updateUser('users deactivate', 'DEACTIVATE_USER', existing, { isActive: false });
+    const revoked = await revokeUserSessions(user._id, 'admin');
+    return {
+      data: { user, revokedSessions: revoked },
+      text: `✅ Deactivated ${user.email}; signed out ${revoked} session(s).`
+    };
+  }
+};
+
+const activate = {
+  usage: 'users activate <email|id>',
+  stores: ['users'],
+  async run({ args }) {
+    const existing = await findUser(args[0]);
+    const user = await updateUser('users activate', 'ACTIVATE_USER', existing, { isActive: true });
+    return { data: user, text: `✅ Reactivated ${user.email}.` };
+  }
+};
+
+export default {
+  'create-admin': createAdmin,
+  'set-role': setRole,
+  lock,
+  unlock,
+  deactivate,
+  activate
+};
@@ -1,9 +1,10 @@
 import dotenv from 'dotenv';
-import { Pool } from 'pg';
+import pg from 'pg';
+import { migrateUp } from './utils/migrations.js';
 
 dotenv.config();
 
-const pool = new Pool({
+const pool = new pg.Pool({
   host: process.env.PGHOST || 'localhost',
   user: process.env.PGUSER || 'postgres',
   password: process.env.PGPASSWORD || '',
@@ -11,26 +12,20 @@ const pool = new Pool({
   port: process.env.PGPORT ? Number(process.env.PGPORT) : 5432,
 });
 
-async function initPostgres() {
-  const createSql = `
-  CREATE TABLE IF NOT EXISTS reservations (
-    id SERIAL PRIMARY KEY,
-    user_id TEXT,
-    name TEXT NOT NULL,
-    email TEXT NOT NULL,
-    phone TEXT NOT NULL,
-    date TEXT NOT NULL,
-    time TEXT NOT NULL,
-    guests TEXT NOT NULL,
-    special_requests TEXT,
-    club TEXT NOT NULL,
-    club_location TEXT,
-    status TEXT DEFAULT 'confirmed',
-    created_at TIMESTAMP WITHOUT TIME ZONE DEFAULT NOW(),
-    updated_at TIMESTAMP WITHOUT TIME ZONE DEFAULT NOW()
-  );
-  `;
-  await pool.query(createSql);
+// Query `types` that leave DATE and TIME values as the text Postgres sends
+// ("2030-06-01", "22:00:00") instead of Dates in the server's timezone
+const DATE_TIME_AS_TEXT = {
+  getTypeParser: (oid, format) => ([pg.types.builtins.DATE, pg.types.builtins.TIME].includes(oid)
+    ? (value) => value
+    : pg.types.getTypeParser(oid, format))
+};
+
+/**
+ * Bring the schema up to date (see migrations/ and utils/migrations.js)
+ * @returns {Promise<object[]>} Migrations applied
+ */
+async function initPostgres(db = pool) {
+  return migrateUp(db);
 }
 
-export { pool, initPostgres };
+export { pool, initPostgres, DATE_TIME_AS_TEXT };
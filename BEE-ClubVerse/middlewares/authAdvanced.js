@@ -1,5 +1,11 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/user.js';
+import Club from '../models/club.js';
+import { isTokenRevoked } from '../utils/authTokens.js';
+import { isSessionActive } from '../utils/sessions.js';
+import { isTwoFactorRequired } from '../utils/twoFactor.js';
+import { getRole, getRolePermissions } from '../utils/roles.js';
+import { diffChanges, writeAuditLog } from '../utils/audit.js';
 
 /**
  * Enhanced JWT Protection Middleware
@@ -36,6 +42,14 @@ const protect = async (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+    // Purpose-bound tokens (email verification, 2FA challenge) are not access tokens
+    if (decoded.purpose) {
+      return res.status(401).json({ 
+        error: 'Invalid token',
+        code: 'INVALID_TOKEN'
+      });
+    }
+
     // Find user
     const user = await User.findById(decoded.id).select('-password');
     
@@ -53,9 +67,27 @@ const protect = async (req, res, next) => {
       });
     }
 
+    if (user.isAdminLocked) {
+      return res.status(403).json({
+        error: 'Account locked by an administrator',
+        code: 'ACCOUNT_LOCKED_BY_ADMIN',
+        unlockTime: user.adminLockedUntil
+      });
+    }
+
+    // Signed before the user's sessions were revoked (password change/reset),
+    // or its session was signed out
+    if (isTokenRevoked(decoded, user) || (decoded.sid && !(await isSessionActive(decoded.sid)))) {
+      return res.status(401).json({ 
+        error: 'Session has been revoked',
+        code: 'TOKEN_REVOKED'
+      });
+    }
+
     // Attach user to request
     req.user = user;
     req.token = token;
+    req.sessionId = decoded.sid || null;
     
     next();
   } catch (error) {
@@ -101,9 +133,12 @@ const optionalAuth = async (req, res, next) => {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
       const user = await User.findById(decoded.id).select('-password');
       
-      if (user && user.isActive) {
+      const sessionActive = !decoded.sid || await isSessionActive(decoded.sid);
+
+      if (user && user.isActive && !user.isAdminLocked && !decoded.purpose && !isTokenRevoked(decoded, user) && sessionActive) {
         req.user = user;
         req.token = token;
+        req.sessionId = decoded.sid || null;
       }
     }
   } catch (error) {
@@ -116,10 +151,11 @@ const optionalAuth = async (req, res, next) => {
 
 /**
  * Role-Based Authorization Middleware
- * Checks if user has required role
+ * Checks if user has required role. Custom roles pass when their
+ * baseRole is allowed (see models/role.js).
  */
 const authorize = (...allowedRoles) => {
-  return (req, res, next) => {
+  return async (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({ 
         error: 'Authentication required',
@@ -127,22 +163,40 @@ const authorize = (...allowedRoles) => {
       });
     }
 
-    if (!allowedRoles.includes(req.user.role)) {
-      return res.status(403).json({ 
-        error: 'Insufficient permissions',
-        code: 'FORBIDDEN',
-        userRole: req.user.role,
-        requiredRoles: allowedRoles
+    try {
+      const role = await getRole(req.user.role);
+
+      if (!role || (!allowedRoles.includes(role.name) && !allowedRoles.includes(role.baseRole))) {
+        return res.status(403).json({ 
+          error: 'Insufficient permissions',
+          code: 'FORBIDDEN',
+          userRole: req.user.role,
+          requiredRoles: allowedRoles
+        });
+      }
+
+      // Staff must enrol in 2FA before using privileged routes when the policy is on
+      if (isTwoFactorRequired(role.baseRole) && !req.user.twoFactor?.enabled) {
+        return res.status(403).json({ 
+          error: 'Two-factor authentication must be enabled for this account',
+          code: 'TWO_FACTOR_SETUP_REQUIRED'
+        });
+      }
+
+      next();
+    } catch (error) {
+      console.error('Authorization error:', error.message);
+      return res.status(500).json({ 
+        error: 'Authorization error',
+        code: 'AUTH_ERROR'
       });
     }
-
-    next();
   };
 };
 
 /**
  * Permission-Based Authorization Middleware
- * Checks if user has specific permissions
+ * Checks if user has specific permissions (granted to their role in the database)
  */
 const checkPermission = (requiredPermissions) => {
   return async (req, res, next) => {
@@ -153,25 +207,16 @@ const checkPermission = (requiredPermissions) => {
       });
     }
 
-    // Define role-permission mapping
-    const rolePermissions = {
-      admin: [
-        'view_users', 'create_users', 'update_users', 'delete_users',
-        'view_reservations', 'manage_reservations',
-        'view_settings', 'update_settings',
-        'view_logs', 'manage_admins'
-      ],
-      manager: [
-        'view_users', 'view_reservations', 'manage_reservations',
-        'view_settings'
-      ],
-      user: [
-        'view_profile', 'update_profile',
-        'create_reservations', 'view_own_reservations'
-      ]
-    };
-
-    const userPermissions = rolePermissions[req.user.role] || [];
+    let userPermissions;
+    try {
+      userPermissions = await getRolePermissions(req.user.role);
+    } catch (error) {
+      console.error('Permission lookup error:', error.message);
+      return res.status(500).json({ 
+        error: 'Authorization error',
+        code: 'AUTH_ERROR'
+      });
+    }
 
     const hasPermission = requiredPermissions.every(perm => 
       userPermissions.includes(perm)
@@ -190,17 +235,88 @@ const checkPermission = (requiredPermissions) => {
   };
 };
 
+/**
+ * Club Scope Middleware
+ * Sets req.clubScope to the clubs the user may act on: null (every club)
+ * for admin-based roles, otherwise the clubs in user.managedClubs.
+ * Use after authorize()/checkPermission().
+ */
+const scopeToManagedClubs = async (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ 
+      error: 'Authentication required',
+      code: 'NO_AUTH'
+    });
+  }
+
+  try {
+    const role = await getRole(req.user.role);
+
+    if (role?.baseRole === 'admin') {
+      req.clubScope = null;
+      return next();
+    }
+
+    const clubs = await Club.find({ slug: { $in: req.user.managedClubs || [] } })
+      .select('name slug city')
+      .sort({ name: 1 });
+
+    if (clubs.length === 0) {
+      return res.status(403).json({ 
+        error: 'No clubs are assigned to this account',
+        code: 'NO_CLUBS_ASSIGNED'
+      });
+    }
+
+    req.clubScope = clubs;
+    next();
+  } catch (error) {
+    console.error('Club scope error:', error.message);
+    return res.status(500).json({ 
+      error: 'Authorization error',
+      code: 'AUTH_ERROR'
+    });
+  }
+};
+
+/**
+ * Email Verification Middleware
+ * Blocks actions that send mail to the user until their address is confirmed
+ */
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ 
+      error: 'Authentication required',
+      code: 'NO_AUTH'
+    });
+  }
+
+  if (!req.user.emailVerified) {
+    return res.status(403).json({ 
+      error: 'Please verify your email address first',
+      code: 'EMAIL_NOT_VERIFIED'
+    });
+  }
+
+  next();
+};
+
 /**
  * Resource Ownership Middleware
- * Checks if user owns the resource they're trying to access
+ * Checks if user owns the resource they're trying to access. Admin-based
+ * roles (custom ones included, as in authorize) may access any resource
+ * once they meet the 2FA policy.
  */
 const checkResourceOwnership = async (req, res, next) => {
   try {
     const resourceId = req.params.id || req.params.userId;
     const requestingUserId = req.user._id.toString();
 
-    // Allow admins to access any resource
-    if (req.user.role === 'admin') {
+    const role = await getRole(req.user.role);
+    const isAdmin = role?.baseRole === 'admin'
+      && (!isTwoFactorRequired(role.baseRole) || req.user.twoFactor?.enabled);
+
+    if (isAdmin) {
       return next();
     }
 
@@ -257,19 +373,23 @@ const createLoginLimiter = (maxAttempts = 5, lockoutTime = 30 * 60 * 1000) => {
 
 /**
  * Audit Logging Middleware
- * Logs user actions for security auditing
+ * Logs user actions for security auditing and stores them in the
+ * AuditLog collection, with before/after diffs when the handler
+ * recorded them via auditChange() (utils/audit.js)
  */
 const auditLog = (action, resource) => {
   return (req, res, next) => {
-    const originalSend = res.send;
+    res.on('finish', () => {
+      const change = res.locals.audit || {};
 
-    res.send = function(data) {
       const logEntry = {
         timestamp: new Date(),
         userId: req.user?._id,
-        userEmail: req.user?.email,
+        // Login attempts have no req.user yet
+        userEmail: req.user?.email || (typeof req.body?.email === 'string' ? req.body.email.toLowerCase() : undefined),
         action,
         resource,
+        resourceId: change.resourceId ?? req.params.id,
         method: req.method,
         url: req.originalUrl,
         ip: req.ip,
@@ -279,9 +399,14 @@ const auditLog = (action, resource) => {
 
       console.log('[AUDIT]', JSON.stringify(logEntry));
 
-      res.send = originalSend;
-      return originalSend.call(this, data);
-    };
+      writeAuditLog({
+        ...logEntry,
+        resourceId: logEntry.resourceId != null ? String(logEntry.resourceId) : null,
+        success: res.statusCode < 400,
+        changes: res.statusCode < 400 ? diffChanges(change.before, change.after) : [],
+        createdAt: logEntry.timestamp
+      });
+    });
 
     next();
   };
@@ -292,6 +417,8 @@ export {
   optionalAuth,
   authorize,
   checkPermission,
+  scopeToManagedClubs,
+  requireVerifiedEmail,
   checkResourceOwnership,
   createLoginLimiter,
   auditLog
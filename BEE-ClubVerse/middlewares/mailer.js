@@ -1,30 +1,112 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
 import nodemailer from 'nodemailer';
 
-const hasValidEmailConfig = 
-  process.env.EMAIL_USER && 
-  process.env.EMAIL_PASS && 
+/**
+ * Mail Transport
+ * Chosen by MAIL_TRANSPORT:
+ *   smtp     - SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS
+ *   gmail    - EMAIL_USER / EMAIL_PASS (the default when they are set)
+ *   sendmail - local sendmail binary (SENDMAIL_PATH)
+ *   file     - writes each message as an .eml file to MAIL_FILE_DIR
+ *   json     - prints the message as JSON instead of sending it
+ *   console  - logs the recipient only (the default without credentials)
+ * Every transport's sendMail() returns a promise. Application code should
+ * queue mail through utils/outbox.js rather than calling this directly.
+ */
+
+const hasValidEmailConfig =
+  process.env.EMAIL_USER &&
+  process.env.EMAIL_PASS &&
   !process.env.EMAIL_USER.includes('your-email') &&
   !process.env.EMAIL_PASS.includes('your-app-password');
 
-let transporter = null;
+const consoleTransport = {
+  sendMail: async (options) => {
+    console.log('[Email Mock] Would send email to:', options.to);
+    return { messageId: 'mock-' + Date.now() };
+  }
+};
+
+function createFileTransport(dir) {
+  const stream = nodemailer.createTransport({ streamTransport: true, buffer: true });
 
-if (hasValidEmailConfig) {
-  transporter = nodemailer.createTransport({
-    service: 'gmail',
-    auth: {
-      user: process.env.EMAIL_USER,
-      pass: process.env.EMAIL_PASS
+  return {
+    sendMail: async (options) => {
+      const info = await stream.sendMail(options);
+      await fs.promises.mkdir(dir, { recursive: true });
+
+      const file = path.join(dir, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.eml`);
+      await fs.promises.writeFile(file, info.message);
+      return { messageId: info.messageId, file };
     }
-  });
-  console.log('✓ Email service configured with valid credentials');
-} else {
-  console.warn('⚠ Email service disabled: no valid credentials in .env (EMAIL_USER and EMAIL_PASS must be configured)');
-  transporter = {
-    sendMail: (options, callback) => {
-      console.log('[Email Mock] Would send email to:', options.to);
-      if (callback) callback(null, { messageId: 'mock-' + Date.now() });
+  };
+}
+
+function createJsonTransport() {
+  const json = nodemailer.createTransport({ jsonTransport: true });
+
+  return {
+    sendMail: async (options) => {
+      const info = await json.sendMail(options);
+      console.log('[Email JSON]', info.message);
+      return { messageId: info.messageId };
     }
   };
 }
 
+const transportName = (process.env.MAIL_TRANSPORT || (hasValidEmailConfig ? 'gmail' : 'console')).toLowerCase();
+
+function createTransport(name) {
+  switch (name) {
+    case 'smtp':
+      return nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        ...(process.env.SMTP_USER && {
+          auth: { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        })
+      });
+    case 'gmail':
+      if (!hasValidEmailConfig) {
+        console.warn('⚠ Email service disabled: no valid credentials in .env (EMAIL_USER and EMAIL_PASS must be configured)');
+        return consoleTransport;
+      }
+      return nodemailer.createTransport({
+        service: 'gmail',
+        auth: {
+          user: process.env.EMAIL_USER,
+          pass: process.env.EMAIL_PASS
+        }
+      });
+    case 'sendmail':
+      return nodemailer.createTransport({
+        sendmail: true,
+        path: process.env.SENDMAIL_PATH || 'sendmail'
+      });
+    case 'file':
+      return createFileTransport(process.env.MAIL_FILE_DIR || path.join('logs', 'mail'));
+    case 'json':
+      return createJsonTransport();
+    case 'console':
+      console.warn('⚠ Email service disabled: messages are logged, not sent (set MAIL_TRANSPORT or EMAIL_USER/EMAIL_PASS)');
+      return consoleTransport;
+    default:
+      console.warn(`⚠ Unknown MAIL_TRANSPORT "${name}"; emails will be logged, not sent`);
+      return consoleTransport;
+  }
+}
+
+const transporter = createTransport(transportName);
+
+if (transporter !== consoleTransport) {
+  console.log(`✓ Email service configured (${transportName} transport)`);
+}
+
+// Sender address for every outgoing message
+const mailFrom = () => process.env.MAIL_FROM || process.env.EMAIL_USER;
+
+export { transportName, mailFrom };
 export default transporter;
@@ -1,10 +1,82 @@
 import dotenv from 'dotenv';
 import mongoose from 'mongoose';
 import { pool, initPostgres } from './db.postgres.js';
+import {
+  mongoEndpoint,
+  postgresEndpoint,
+  copyReservations,
+  verifyReservations,
+  DEFAULT_BATCH_SIZE
+} from './utils/reservationMigration.js';
 
 dotenv.config();
 
+/**
+ * Copy reservations between MongoDB and PostgreSQL (see utils/reservationMigration.js)
+ *
+ * Usage: node migrate_reservations.js [options]
+ *   --from <mongodb|postgres>  Source store (default mongodb); the other one is the target
+ *   --dry-run                  Report what would be copied; write nothing
+ *   --batch-size <n>           Records per batch (default 500)
+ *   --after <id>               Resume after this source id (printed after each batch)
+ *   --verify-only              Skip copying; only compare the two stores
+ *   --drop-source              After a passing verification, delete the copied
+ *                              records from the source
+ */
+
+const USAGE = 'Usage: node migrate_reservations.js [--from mongodb|postgres] [--dry-run] [--batch-size <n>] [--after <id>] [--verify-only] [--drop-source]';
+
+const LIST_LIMIT = 10;
+
+function parseArgs(argv) {
+  const options = { from: 'mongodb', batchSize: DEFAULT_BATCH_SIZE, after: null };
+  const valueOf = (i) => {
+    if (argv[i + 1] === undefined || argv[i + 1].startsWith('--')) throw new Error(`${argv[i]} needs a value`);
+    return argv[i + 1];
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--from': options.from = valueOf(i++).toLowerCase(); break;
+      case '--batch-size': options.batchSize = Number(valueOf(i++)); break;
+      case '--after': options.after = valueOf(i++); break;
+      case '--dry-run': options.dryRun = true; break;
+      case '--verify-only': options.verifyOnly = true; break;
+      case '--drop-source': options.dropSource = true; break;
+      default: throw new Error(`Unknown option ${argv[i]}`);
+    }
+  }
+
+  if (!['mongodb', 'postgres'].includes(options.from)) throw new Error('--from must be mongodb or postgres');
+  if (!Number.isInteger(options.batchSize) || options.batchSize < 1) throw new Error('--batch-size must be a positive whole number');
+  if (options.dropSource && (options.dryRun || options.verifyOnly)) throw new Error('--drop-source can\'t be combined with --dry-run or --verify-only');
+  return options;
+}
+
+const preview = (ids) => ids.slice(0, LIST_LIMIT).join(', ') + (ids.length > LIST_LIMIT ? `, … (${ids.length} in total)` : '');
+
+function printVerification(report) {
+  console.log('\nVerification report');
+  for (const side of ['source', 'target']) {
+    const { store, count, checksum } = report[side];
+    console.log(`  ${side.padEnd(6)} ${store.padEnd(8)} ${String(count).padStart(7)} record(s)  checksum ${checksum.slice(0, 16)}`);
+  }
+  if (report.missing.length) console.log(`  Missing from target: ${preview(report.missing)}`);
+  if (report.mismatched.length) console.log(`  Different in target: ${preview(report.mismatched)}`);
+  if (report.extra.length) console.log(`  Only in target: ${preview(report.extra)}`);
+  console.log(report.passed ? '  ✅ Passed: counts and checksums match' : '  ❌ Failed');
+}
+
 async function runMigration() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}\n${USAGE}`);
+    process.exit(1);
+  }
+
+  let exitCode = 0;
   try {
     console.log('Connecting to MongoDB...');
     await mongoose.connect(process.env.MONGO_URI, { });
@@ -13,71 +85,61 @@ async function runMigration() {
     await initPostgres();
     console.log('Postgres initialized');
 
-    const mongoColl = mongoose.connection.collection('reservations');
-    const docs = await mongoColl.find({}).toArray();
-    console.log(`Found ${docs.length} reservation(s) in MongoDB`);
+    const mongo = mongoEndpoint();
+    const postgres = postgresEndpoint(pool);
+    const [source, target] = options.from === 'mongodb' ? [mongo, postgres] : [postgres, mongo];
+    console.log(`Reservations: ${source.name} → ${target.name}${options.dryRun ? ' (dry run)' : ''}`);
 
-    if (docs.length === 0) {
-      console.log('No reservations to migrate. Exiting.');
-      await mongoose.disconnect();
-      await pool.end();
-      return;
-    }
+    if (!options.verifyOnly) {
+      const report = await copyReservations(source, target, {
+        dryRun: options.dryRun,
+        batchSize: options.batchSize,
+        after: options.after,
+        onBatch: ({ batch, lastId, inserted, updated }) => {
+          console.log(`  Batch ${batch} ${options.dryRun ? 'checked' : 'committed'} through ${source.name} id ${lastId} (${inserted} new, ${updated} updated so far)`);
+        }
+      });
 
-    const insertSql = `
-      INSERT INTO reservations (
-        user_id, name, email, phone, date, time, guests, special_requests, club, club_location, status, created_at, updated_at
-      ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13) RETURNING id`;
-
-    let migrated = 0;
-    for (const d of docs) {
-      const params = [
-        d.userId ? String(d.userId) : null,
-        d.name || null,
-        d.email || null,
-        d.phone || null,
-        d.date || null,
-        d.time || null,
-        d.guests || null,
-        d.specialRequests || d.special_requests || null,
-        d.club || null,
-        d.clubLocation || d.club_location || null,
-        d.status || 'confirmed',
-        d.createdAt ? new Date(d.createdAt) : new Date(),
-        d.updatedAt ? new Date(d.updatedAt) : new Date(),
-      ];
-
-      try {
-        const res = await pool.query(insertSql, params);
-        migrated++;
-      } catch (err) {
-        console.error('Failed to insert reservation', err, params);
+      const verb = options.dryRun ? 'Would copy' : 'Copied';
+      console.log(`${verb} ${report.inserted + report.updated}/${report.read} reservation(s): ${report.inserted} new, ${report.updated} updated`);
+      if (report.skipped.length) {
+        console.log(`Skipped ${report.skipped.length} invalid reservation(s):`);
+        report.skipped.slice(0, LIST_LIMIT).forEach(({ sourceId, error }) => console.log(`  ${sourceId}: ${error}`));
+        exitCode = 1;
       }
     }
 
-    console.log(`Migrated ${migrated}/${docs.length} reservations to PostgreSQL`);
-    if (migrated > 0) {
-      try {
-        await mongoColl.drop();
-        console.log('Dropped MongoDB reservations collection');
-      } catch (err) {
-        console.error('Failed to drop MongoDB reservations collection:', err.message);
-      }
+    if (options.dryRun) {
+      console.log('Dry run: nothing was written.');
     } else {
-      console.log('No reservations were migrated; MongoDB collection preserved');
-    }
+      const verification = await verifyReservations(source, target, { batchSize: options.batchSize });
+      printVerification(verification);
+      if (!verification.passed) exitCode = 1;
 
-    await mongoose.disconnect();
-    await pool.end();
-
-    console.log('Migration complete');
-    process.exit(0);
+      if (options.dropSource) {
+        if (!verification.passed) {
+          console.log(`Source ${source.name} reservations were kept because verification failed.`);
+        } else {
+          await source.deleteKeys(verification.verifiedKeys);
+          console.log(`Deleted ${verification.verifiedKeys.length} copied reservation(s) from ${source.name}.`);
+        }
+      } else {
+        console.log(`Source ${source.name} reservations were kept; re-run with --drop-source to remove them.`);
+      }
+    }
   } catch (error) {
-    console.error('Migration failed:', error);
-    try { await mongoose.disconnect(); } catch (e) {}
-    try { await pool.end(); } catch (e) {}
-    process.exit(1);
+    console.error('❌ Migration failed:', error.message);
+    if (error.resumeAfter !== undefined) {
+      console.error(error.resumeAfter === null
+        ? 'No batch was completed. Re-run to start over; records already copied are updated, not duplicated.'
+        : `Batches through ${error.resumeAfter} are complete. Resume with --after ${error.resumeAfter}.`);
+    }
+    exitCode = 1;
   }
+
+  try { await mongoose.disconnect(); } catch (e) {}
+  try { await pool.end(); } catch (e) {}
+  process.exit(exitCode);
 }
 
 runMigration();
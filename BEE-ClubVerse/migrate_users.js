@@ -0,0 +1,74 @@
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import { pool, initPostgres } from './db.postgres.js';
+import { migrateUp } from './utils/migrations.js';
+import { copyUsers, verifyUsers, countOrphanedReservations } from './utils/userMigration.js';
+
+dotenv.config();
+
+/**
+ * Copy users from MongoDB to PostgreSQL (see utils/userMigration.js)
+ * Reads the raw `users` collection so hidden fields (password history,
+ * reset and feed token hashes, 2FA secrets) come across too. Ids, password
+ * hashes and lockout state are kept as they are, so existing tokens,
+ * sessions and reservations still point at the right user. Re-running is
+ * safe: rows are upserted by id, in one transaction. The MongoDB
+ * collection is left in place.
+ *
+ * Migrations with a `-- requires:` line wait until after the copy: 005,
+ * which links reservations to users, fails while users are missing. With
+ * USER_STORE=postgres it is applied here once the copy checks out,
+ * otherwise on the first server start with it set.
+ *
+ * Usage: node migrate_users.js
+ */
+
+async function runMigration() {
+  try {
+    console.log('Connecting to MongoDB...');
+    await mongoose.connect(process.env.MONGO_URI, { });
+    console.log('Connected to MongoDB');
+
+    await migrateUp(pool, { skipRequiring: true });
+    console.log('Postgres initialized');
+
+    const docs = await mongoose.connection.collection('users').find({}).toArray();
+    console.log(`Found ${docs.length} user(s) in MongoDB`);
+
+    const { copied, failed } = await copyUsers(pool, docs);
+    if (failed.length > 0) {
+      failed.forEach(({ id, email, error }) => console.error(`  Failed to copy user ${id} (${email}): ${error}`));
+      throw new Error(`${failed.length} user(s) could not be copied; nothing was written, fix and re-run`);
+    }
+    console.log(`Copied ${copied}/${docs.length} user(s) to PostgreSQL`);
+
+    const problems = await verifyUsers(pool, docs);
+    if (problems.length > 0) {
+      problems.forEach(problem => console.error(`  ${problem}`));
+      throw new Error(`Verification failed with ${problems.length} problem(s); MongoDB is untouched, fix and re-run`);
+    }
+    console.log('Verified: counts, password hashes and lockout state match');
+
+    const orphans = await countOrphanedReservations(pool);
+    if (orphans > 0) {
+      console.warn(`Warning: ${orphans} Postgres reservation(s) belong to users that don't exist. Clear their user_id before`);
+      console.warn('starting with USER_STORE=postgres, or migration 005 (link reservations to users) will fail.');
+    } else {
+      const applied = await initPostgres();
+      applied.forEach(m => console.log(`Applied migration ${String(m.version).padStart(3, '0')}_${m.name}`));
+    }
+
+    await mongoose.disconnect();
+    await pool.end();
+
+    console.log('Migration complete. Set USER_STORE=postgres to use it (reservations are then linked to users); the MongoDB users collection was kept.');
+    process.exit(0);
+  } catch (error) {
+    console.error('Migration failed:', error.message);
+    try { await mongoose.disconnect(); } catch (e) {}
+    try { await pool.end(); } catch (e) {}
+    process.exit(1);
+  }
+}
+
+runMigration();
@@ -0,0 +1,17 @@
+-- IF NOT EXISTS: databases created before migrations already have this table
+CREATE TABLE IF NOT EXISTS reservations (
+  id SERIAL PRIMARY KEY,
+  user_id TEXT,
+  name TEXT NOT NULL,
+  email TEXT NOT NULL,
+  phone TEXT NOT NULL,
+  date TEXT NOT NULL,
+  time TEXT NOT NULL,
+  guests TEXT NOT NULL,
+  special_requests TEXT,
+  club TEXT NOT NULL,
+  club_location TEXT,
+  status TEXT DEFAULT 'confirmed',
+  created_at TIMESTAMP WITHOUT TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITHOUT TIME ZONE DEFAULT NOW()
+);
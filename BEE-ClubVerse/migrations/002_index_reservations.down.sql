@@ -0,0 +1,2 @@
+DROP INDEX IF EXISTS reservations_club_date_status_idx;
+DROP INDEX IF EXISTS reservations_user_id_created_at_idx;
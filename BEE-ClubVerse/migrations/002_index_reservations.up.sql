@@ -0,0 +1,3 @@
+-- Same lookups as the MongoDB indexes: a user's bookings, and a club's night
+CREATE INDEX IF NOT EXISTS reservations_user_id_created_at_idx ON reservations (user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS reservations_club_date_status_idx ON reservations (club, date, status);
@@ -0,0 +1,3 @@
+-- Normally already removed by rolling back 005; databases linked by hand before it existed may still have it
+ALTER TABLE IF EXISTS reservations DROP CONSTRAINT IF EXISTS reservations_user_id_fkey;
+DROP TABLE IF EXISTS users;
@@ -0,0 +1,43 @@
+-- Users keep their MongoDB ObjectId (24 hex characters) as the primary key,
+-- so ids in tokens, sessions and reservations stay valid after migrating.
+-- Nested MongoDB fields (reliability, twoFactor) are flattened into columns.
+CREATE TABLE users (
+  id TEXT PRIMARY KEY CHECK (id ~ '^[0-9a-f]{24}$'),
+  name TEXT NOT NULL,
+  email TEXT NOT NULL UNIQUE,
+  password TEXT NOT NULL,
+  role TEXT NOT NULL DEFAULT 'user',
+  phone TEXT,
+  managed_clubs TEXT[] NOT NULL DEFAULT '{}',
+  avatar TEXT,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  email_verified BOOLEAN NOT NULL DEFAULT FALSE,
+  email_verified_at TIMESTAMPTZ,
+  verification_sent_at TIMESTAMPTZ,
+  last_login TIMESTAMPTZ,
+  login_attempts INTEGER NOT NULL DEFAULT 0,
+  lock_until TIMESTAMPTZ,
+  token_version INTEGER NOT NULL DEFAULT 0,
+  password_changed_at TIMESTAMPTZ,
+  password_history TEXT[] NOT NULL DEFAULT '{}',
+  password_reset_token_hash TEXT,
+  password_reset_expires TIMESTAMPTZ,
+  reliability_visits INTEGER NOT NULL DEFAULT 0,
+  reliability_no_shows INTEGER NOT NULL DEFAULT 0,
+  reliability_score INTEGER,
+  reliability_last_no_show_at TIMESTAMPTZ,
+  reliability_updated_at TIMESTAMPTZ,
+  calendar_feed_token_hash TEXT UNIQUE,
+  two_factor_enabled BOOLEAN NOT NULL DEFAULT FALSE,
+  two_factor_enabled_at TIMESTAMPTZ,
+  two_factor_secret TEXT,
+  two_factor_pending_secret TEXT,
+  two_factor_recovery_codes TEXT[] NOT NULL DEFAULT '{}',
+  two_factor_last_used_step INTEGER,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX users_role_idx ON users (role);
+CREATE INDEX users_password_reset_token_hash_idx ON users (password_reset_token_hash)
+  WHERE password_reset_token_hash IS NOT NULL;
@@ -0,0 +1,2 @@
+DROP INDEX IF EXISTS reservations_mongo_id_key;
+ALTER TABLE reservations DROP COLUMN IF EXISTS mongo_id;
@@ -0,0 +1,3 @@
+-- The MongoDB _id a reservation was copied from (or to); migrate_reservations.js upserts on it
+ALTER TABLE reservations ADD COLUMN mongo_id TEXT;
+CREATE UNIQUE INDEX reservations_mongo_id_key ON reservations (mongo_id);
@@ -0,0 +1 @@
+ALTER TABLE reservations DROP CONSTRAINT IF EXISTS reservations_user_id_fkey;
@@ -0,0 +1,20 @@
+-- requires: USER_STORE=postgres
+-- Reservations point at their user once users live in PostgreSQL too.
+-- Applies on the first start with USER_STORE=postgres, after
+-- migrate_users.js has copied the users. Deleting a user keeps their bookings.
+DO $$
+DECLARE
+  orphans INTEGER;
+BEGIN
+  SELECT COUNT(*) INTO orphans FROM reservations r
+  WHERE r.user_id IS NOT NULL AND NOT EXISTS (SELECT 1 FROM users u WHERE u.id = r.user_id);
+
+  IF orphans > 0 THEN
+    RAISE EXCEPTION '% reservation(s) belong to users missing from the users table; run node migrate_users.js, or clear their user_id', orphans;
+  END IF;
+END $$;
+
+-- Databases linked by hand before this migration existed already have the key
+ALTER TABLE reservations DROP CONSTRAINT IF EXISTS reservations_user_id_fkey;
+ALTER TABLE reservations ADD CONSTRAINT reservations_user_id_fkey
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL;
@@ -0,0 +1,5 @@
+ALTER TABLE reservations DROP CONSTRAINT IF EXISTS reservations_guests_check;
+ALTER TABLE reservations
+  ALTER COLUMN date TYPE TEXT USING to_char(date, 'YYYY-MM-DD'),
+  ALTER COLUMN time TYPE TEXT USING to_char(time, 'HH24:MI'),
+  ALTER COLUMN guests TYPE TEXT USING guests::text;
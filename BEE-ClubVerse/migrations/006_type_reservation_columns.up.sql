@@ -0,0 +1,24 @@
+-- Booking date, time and party size as real types instead of TEXT, so
+-- Postgres sorts and compares them properly and rejects malformed values.
+-- Party sizes saved as "10+" by the booking form become 10.
+DO $$
+DECLARE
+  invalid INTEGER;
+BEGIN
+  SELECT COUNT(*) INTO invalid FROM reservations
+  WHERE date !~ '^\d{4}-\d{2}-\d{2}$'
+     OR time !~ '^\d{1,2}:\d{2}(:\d{2})?$'
+     OR guests !~ '^\d+\+?$'
+     OR guests ~ '^0+\+?$';
+
+  IF invalid > 0 THEN
+    RAISE EXCEPTION '% reservation(s) have a date, time or guest count that cannot be converted; fix them and start again', invalid;
+  END IF;
+END $$;
+
+ALTER TABLE reservations
+  ALTER COLUMN date TYPE DATE USING date::date,
+  ALTER COLUMN time TYPE TIME USING time::time,
+  ALTER COLUMN guests TYPE INTEGER USING substring(guests FROM '^\d+')::integer;
+
+ALTER TABLE reservations ADD CONSTRAINT reservations_guests_check CHECK (guests > 0);
@@ -0,0 +1,3 @@
+-- Locks set with `cli.js users lock`, kept apart from lock_until so that
+-- logging in or resetting the password cannot lift them
+ALTER TABLE users ADD COLUMN admin_locked_until TIMESTAMPTZ;
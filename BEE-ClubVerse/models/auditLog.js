@@ -0,0 +1,36 @@
+import mongoose from 'mongoose';
+
+const changeSchema = new mongoose.Schema({
+    field: { type: String, required: true },
+    before: { type: mongoose.Schema.Types.Mixed, default: null },
+    after: { type: mongoose.Schema.Types.Mixed, default: null }
+}, { _id: false });
+
+// Written by the auditLog() middleware; never updated afterwards
+const auditLogSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    userEmail: { type: String, default: null },
+    action: { type: String, required: true },
+    resource: { type: String, required: true },
+    // String so Postgres reservation ids fit too
+    resourceId: { type: String, default: null },
+    method: { type: String },
+    url: { type: String },
+    ip: { type: String, default: null },
+    userAgent: { type: String, default: null },
+    statusCode: { type: Number },
+    success: { type: Boolean },
+    changes: { type: [changeSchema], default: [] },
+    createdAt: { type: Date, default: Date.now }
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ userId: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ resource: 1, resourceId: 1, createdAt: -1 });
+
+export default mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,83 @@
+import mongoose from 'mongoose';
+
+const hoursSchema = new mongoose.Schema({
+    label: { type: String, required: true, trim: true },
+    days: {
+        type: [Number],
+        validate: {
+            validator: (days) => days.every(d => Number.isInteger(d) && d >= 0 && d <= 6),
+            message: 'Days must be weekday numbers 0 (Sunday) to 6 (Saturday)'
+        }
+    },
+    open: { type: String, required: true, match: /^\d{2}:\d{2}$/ },
+    close: { type: String, required: true, match: /^\d{2}:\d{2}$/ }
+}, { _id: false });
+
+const clubSchema = new mongoose.Schema({
+    name: { type: String, required: true, trim: true },
+    slug: {
+        type: String,
+        required: true,
+        unique: true,
+        lowercase: true,
+        trim: true,
+        match: /^[a-z0-9]+(?:-[a-z0-9]+)*$/
+    },
+    city: { type: String, required: true, trim: true },
+    tagline: { type: String, default: '' },
+    description: { type: String, default: '' },
+    address: { type: String, default: '' },
+    images: {
+        cover: { type: String, default: null },
+        banner: { type: String, default: null },
+        gallery: { type: [String], default: [] }
+    },
+    hours: { type: [hoursSchema], default: [] },
+    tablesPerSlot: { type: Number, required: true, min: 1 },
+    // Total guests seated per slot; null leaves covers unlimited
+    maxCoversPerSlot: { type: Number, min: 1, default: null },
+    timeSlots: {
+        type: [String],
+        validate: {
+            validator: (slots) => slots.every(s => /^\d{2}:\d{2}$/.test(s)),
+            message: 'Time slots must be in HH:MM format'
+        }
+    },
+    contact: {
+        email: { type: String, default: null, lowercase: true, trim: true },
+        phone: { type: String, default: null }
+    },
+    coordinates: {
+        lat: { type: Number, min: -90, max: 90, default: null },
+        lng: { type: Number, min: -180, max: 180, default: null }
+    },
+    // What happens when a guest with `threshold` or more no-shows books here
+    noShowPolicy: {
+        action: {
+            type: String,
+            enum: ['none', 'require_approval', 'block'],
+            default: 'none'
+        },
+        threshold: { type: Number, min: 1, default: 3 }
+    },
+    isActive: { type: Boolean, default: true },
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+clubSchema.index({ city: 1, name: 1 });
+
+// Short address shown on booking pages and in emails
+clubSchema.virtual('location').get(function() {
+    return this.address || this.city;
+});
+
+// Public image used on cards and the booking page
+clubSchema.virtual('image').get(function() {
+    return this.images?.cover || this.images?.banner || null;
+});
+
+clubSchema.set('toJSON', { virtuals: true });
+clubSchema.set('toObject', { virtuals: true });
+
+export default mongoose.model('Club', clubSchema);
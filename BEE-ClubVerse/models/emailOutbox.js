@@ -0,0 +1,39 @@
+import mongoose from 'mongoose';
+
+// One document per queued email. Rendered when queued, so retries send
+// exactly what was first generated (see utils/outbox.js). The body is
+// cleared once the message is finished with, since it may hold links.
+const emailOutboxSchema = new mongoose.Schema({
+    template: { type: String, required: true },
+    to: { type: String, required: true, lowercase: true, trim: true },
+    subject: { type: String, required: true },
+    html: { type: String, default: null },
+    text: { type: String, default: null },
+    // Set by scheduled jobs so the same notice is never queued twice
+    dedupeKey: { type: String },
+    status: {
+        type: String,
+        enum: ['pending', 'sending', 'sent', 'failed'],
+        default: 'pending'
+    },
+    attempts: { type: Number, default: 0 },
+    nextAttemptAt: { type: Date, default: Date.now },
+    // A worker that crashes mid-send leaves the lock to expire
+    lockedUntil: { type: Date, default: null },
+    lastError: { type: String, default: null },
+    transport: { type: String, default: null },
+    messageId: { type: String, default: null },
+    sentAt: { type: Date, default: null },
+    // Set once the message is sent or failed for good
+    expiresAt: { type: Date, default: null },
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+emailOutboxSchema.index({ status: 1, nextAttemptAt: 1 });
+emailOutboxSchema.index({ to: 1, createdAt: -1 });
+emailOutboxSchema.index({ dedupeKey: 1 }, { unique: true, sparse: true });
+// Finished messages are purged by MongoDB
+emailOutboxSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('EmailOutbox', emailOutboxSchema);
@@ -0,0 +1,560 @@
+import mongoose from 'mongoose';
+import { pool, initPostgres } from '../db.postgres.js';
+import { getRole } from '../utils/roles.js';
+
+/**
+ * PostgreSQL user store (USER_STORE=postgres)
+ * Implements the part of the mongoose User model the app relies on:
+ * find/findOne/findById queries with select, sort, skip and limit; the
+ * findByIdAnd*, updateOne, replaceManagedClub, insertMany and deleteMany
+ * statics; and documents with save(), set(), toObject(), isLocked/isAdminLocked and the login-attempt
+ * helpers. Users keep ObjectId-style string ids (see migrations/003).
+ */
+
+const now = () => new Date();
+
+// path: field as the app sees it; hidden: only loaded with select('+path')
+const FIELDS = [
+  { path: 'name', column: 'name', type: 'string' },
+  { path: 'email', column: 'email', type: 'string' },
+  { path: 'password', column: 'password', type: 'string' },
+  { path: 'role', column: 'role', type: 'string', default: () => 'user' },
+  { path: 'phone', column: 'phone', type: 'string' },
+  { path: 'managedClubs', column: 'managed_clubs', type: 'array', default: () => [] },
+  { path: 'avatar', column: 'avatar', type: 'string' },
+  { path: 'isActive', column: 'is_active', type: 'boolean', default: () => true },
+  { path: 'emailVerified', column: 'email_verified', type: 'boolean', default: () => false },
+  { path: 'emailVerifiedAt', column: 'email_verified_at', type: 'date' },
+  { path: 'verificationSentAt', column: 'verification_sent_at', type: 'date' },
+  { path: 'lastLogin', column: 'last_login', type: 'date' },
+  { path: 'loginAttempts', column: 'login_attempts', type: 'number', default: () => 0 },
+  { path: 'lockUntil', column: 'lock_until', type: 'date' },
+  { path: 'adminLockedUntil', column: 'admin_locked_until', type: 'date' },
+  { path: 'tokenVersion', column: 'token_version', type: 'number', default: () => 0 },
+  { path: 'passwordChangedAt', column: 'password_changed_at', type: 'date' },
+  { path: 'passwordHistory', column: 'password_history', type: 'array', default: () => [], hidden: true },
+  { path: 'passwordResetTokenHash', column: 'password_reset_token_hash', type: 'string', hidden: true },
+  { path: 'passwordResetExpires', column: 'password_reset_expires', type: 'date' },
+  { path: 'reliability.visits', column: 'reliability_visits', type: 'number', default: () => 0 },
+  { path: 'reliability.noShows', column: 'reliability_no_shows', type: 'number', default: () => 0 },
+  { path: 'reliability.score', column: 'reliability_score', type: 'number' },
+  { path: 'reliability.lastNoShowAt', column: 'reliability_last_no_show_at', type: 'date' },
+  { path: 'reliability.updatedAt', column: 'reliability_updated_at', type: 'date' },
+  { path: 'calendarFeedTokenHash', column: 'calendar_feed_token_hash', type: 'string', hidden: true },
+  { path: 'twoFactor.enabled', column: 'two_factor_enabled', type: 'boolean', default: () => false },
+  { path: 'twoFactor.enabledAt', column: 'two_factor_enabled_at', type: 'date' },
+  { path: 'twoFactor.secret', column: 'two_factor_secret', type: 'string', hidden: true },
+  { path: 'twoFactor.pendingSecret', column: 'two_factor_pending_secret', type: 'string', hidden: true },
+  { path: 'twoFactor.recoveryCodes', column: 'two_factor_recovery_codes', type: 'array', default: () => [], hidden: true },
+  { path: 'twoFactor.lastUsedStep', column: 'two_factor_last_used_step', type: 'number', hidden: true },
+  { path: 'createdAt', column: 'created_at', type: 'date', default: now },
+  { path: 'updatedAt', column: 'updated_at', type: 'date', default: now }
+];
+
+const ID_FIELD = { path: '_id', column: 'id', type: 'id' };
+const FIELD_BY_PATH = new Map([ID_FIELD, ...FIELDS].map(f => [f.path, f]));
+
+// Same lockout rules as the MongoDB model
+const MAX_LOGIN_ATTEMPTS = 5;
+const LOCK_TIME_MS = 30 * 60 * 1000;
+
+let readyPromise = null;
+
+// Settles once the schema is migrated; a failed attempt is retried on the next call
+function ready() {
+  if (!readyPromise) {
+    readyPromise = initPostgres(pool).catch(err => {
+      readyPromise = null;
+      throw err;
+    });
+  }
+  return readyPromise;
+}
+
+const isObjectIdHex = (id) => /^[a-f\d]{24}$/i.test(String(id));
+
+const getPath = (obj, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), obj);
+
+function setPath(obj, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  let target = obj;
+  for (const key of keys) {
+    if (target[key] === null || typeof target[key] !== 'object') target[key] = {};
+    target = target[key];
+  }
+  target[last] = value;
+}
+
+// Convert an app value for a column, as mongoose would cast it
+function castValue(field, value) {
+  if (value === null || value === undefined) return null;
+
+  switch (field.type) {
+    case 'id': return String(value);
+    case 'date': return value instanceof Date ? value : new Date(value);
+    case 'number': return Number(value);
+    case 'boolean': return Boolean(value);
+    case 'array': return [...value].map(String);
+    default: {
+      const text = String(value);
+      if (field.path === 'email') return text.trim().toLowerCase();
+      if (field.path === 'name') return text.trim();
+      return text;
+    }
+  }
+}
+
+const clone = (value) => (value === undefined ? undefined : structuredClone(value));
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Which fields a select() string loads, following mongoose: "a b" loads
+ * only those (plus _id), "-a" drops a field, "+a" adds a hidden one
+ * @returns {Set<string>} Field paths
+ */
+function parseSelect(select) {
+  const tokens = String(select || '').split(/\s+/).filter(Boolean);
+  const matches = (token, path) => path === token || path.startsWith(`${token}.`);
+
+  const inclusive = tokens.filter(t => !t.startsWith('-') && !t.startsWith('+') && t !== '_id');
+  if (inclusive.length > 0) {
+    return new Set(FIELDS.filter(f => inclusive.some(t => matches(t, f.path))).map(f => f.path));
+  }
+
+  const paths = new Set(FIELDS.filter(f => !f.hidden).map(f => f.path));
+  for (const token of tokens) {
+    const name = token.slice(1);
+    for (const field of FIELDS) {
+      if (!matches(name, field.path)) continue;
+      if (token.startsWith('-')) paths.delete(field.path);
+      if (token.startsWith('+')) paths.add(field.path);
+    }
+  }
+  return paths;
+}
+
+const comparisonOperators = { $gt: '>', $gte: '>=', $lt: '<', $lte: '<=' };
+
+/**
+ * Translate a mongo-style user filter into SQL. Supports equality, RegExp
+ * values, $in, $nin, $ne, comparisons, $regex and $or/$and.
+ */
+function buildCondition(filter, params) {
+  const param = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+  const where = [];
+
+  for (const [key, condition] of Object.entries(filter || {})) {
+    if (condition === undefined) continue;
+
+    if (key === '$or' || key === '$and') {
+      const parts = condition.map(sub => `(${buildCondition(sub, params)})`);
+      where.push(parts.length ? `(${parts.join(key === '$or' ? ' OR ' : ' AND ')})` : (key === '$or' ? 'FALSE' : 'TRUE'));
+      continue;
+    }
+
+    const field = FIELD_BY_PATH.get(key);
+    if (!field) throw new Error(`Cannot filter users by "${key}"`);
+    const col = field.column;
+    const cast = (value) => castValue(field, value);
+
+    const equals = (value) => {
+      if (value === null) return `${col} IS NULL`;
+      return field.type === 'array' ? `${param(String(value))} = ANY(${col})` : `${col} = ${param(cast(value))}`;
+    };
+    const regex = (source, flags = '') => `${col} ${flags.includes('i') ? '~*' : '~'} ${param(source)}`;
+
+    if (condition instanceof RegExp) {
+      where.push(regex(condition.source, condition.flags));
+      continue;
+    }
+
+    const isOperatorObject = condition !== null && typeof condition === 'object' && !Array.isArray(condition)
+      && !(condition instanceof Date) && Object.keys(condition).some(k => k.startsWith('$'));
+    if (!isOperatorObject) {
+      where.push(equals(condition));
+      continue;
+    }
+
+    for (const [op, operand] of Object.entries(condition)) {
+      if (op === '$options') continue;
+      if (op === '$in' || op === '$nin') {
+        const anyOf = operand.length ? `(${operand.map(equals).join(' OR ')})` : 'FALSE';
+        where.push(op === '$in' ? anyOf : `NOT ${anyOf}`);
+      } else if (op === '$ne') {
+        where.push(operand === null ? `${col} IS NOT NULL` : `(${col} IS NULL OR NOT (${equals(operand)}))`);
+      } else if (op === '$regex') {
+        const source = operand instanceof RegExp ? operand.source : String(operand);
+        where.push(regex(source, operand instanceof RegExp ? operand.flags : (condition.$options || '')));
+      } else if (comparisonOperators[op]) {
+        where.push(`${col} ${comparisonOperators[op]} ${param(cast(operand))}`);
+      } else {
+        throw new Error(`Unsupported user filter operator "${op}"`);
+      }
+    }
+  }
+
+  return where.length ? where.join(' AND ') : 'TRUE';
+}
+
+function buildOrderBy(sort) {
+  const order = Object.entries(sort || {}).map(([path, direction]) => {
+    const field = FIELD_BY_PATH.get(path);
+    if (!field) throw new Error(`Cannot sort users by "${path}"`);
+    // Nulls first ascending, as in MongoDB
+    return `${field.column} ${direction === -1 || direction === 'desc' ? 'DESC NULLS LAST' : 'ASC NULLS FIRST'}`;
+  });
+  if (!('_id' in (sort || {}))) order.push('id ASC');
+  return ` ORDER BY ${order.join(', ')}`;
+}
+
+/**
+ * Expand an update ({ field: value }, $set, $unset or $inc) into
+ * [{ field, value }] assignments and [{ field, by }] increments
+ */
+function parseUpdate(update = {}) {
+  const sets = [];
+  const incs = [];
+
+  const assign = (path, value) => {
+    const field = FIELD_BY_PATH.get(path);
+    if (field && field !== ID_FIELD) {
+      sets.push({ field, value: castValue(field, value) });
+      return;
+    }
+    // A whole nested object, e.g. { reliability: { ... } }, replaces every sub-field
+    const nested = FIELDS.filter(f => f.path.startsWith(`${path}.`));
+    if (nested.length === 0) throw new Error(`Cannot update user field "${path}"`);
+    for (const f of nested) {
+      const sub = value?.[f.path.slice(path.length + 1)];
+      sets.push({ field: f, value: castValue(f, sub !== undefined ? sub : f.default?.() ?? null) });
+    }
+  };
+
+  for (const [key, value] of Object.entries(update)) {
+    if (key === '$set') {
+      Object.entries(value).forEach(([path, v]) => assign(path, v));
+    } else if (key === '$unset') {
+      Object.keys(value).forEach(path => assign(path, FIELD_BY_PATH.get(path)?.default?.() ?? null));
+    } else if (key === '$inc') {
+      Object.entries(value).forEach(([path, by]) => incs.push({ field: FIELD_BY_PATH.get(path), by: Number(by) }));
+    } else if (key !== '_id') {
+      assign(key, value);
+    }
+  }
+
+  return { sets, incs };
+}
+
+async function checkRole(role) {
+  if (role !== undefined && !(await getRole(role))) {
+    throw new Error(`Unknown role "${role}"`);
+  }
+}
+
+async function runUpdate(db, where, params, update) {
+  const { sets, incs } = parseUpdate(update);
+  await checkRole(sets.find(s => s.field.path === 'role')?.value);
+  if (sets.length === 0 && incs.length === 0) return [];
+
+  const assignments = [
+    ...sets.map(({ field, value }) => {
+      params.push(value);
+      return `${field.column} = $${params.length}`;
+    }),
+    ...incs.map(({ field, by }) => {
+      params.push(by);
+      return `${field.column} = ${field.column} + $${params.length}`;
+    })
+  ];
+
+  const res = await db.query(`UPDATE users SET ${assignments.join(', ')} WHERE ${where} RETURNING *`, params);
+  return res.rows;
+}
+
+class PostgresUserQuery {
+  constructor(op, { filter, id, update, one = false }) {
+    this.op = op;
+    this.filter = filter;
+    this.id = id;
+    this.update = update;
+    this.one = one;
+    this._select = null;
+    this._sort = null;
+    this._skip = 0;
+    this._limit = null;
+  }
+
+  select(fields) { this._select = fields; return this; }
+  sort(sortObj) { this._sort = sortObj; return this; }
+  skip(n) { this._skip = Math.max(0, Number(n) || 0); return this; }
+  limit(n) { this._limit = n ? Math.max(1, Number(n)) : null; return this; }
+
+  then(resolve, reject) {
+    return this.exec().then(resolve, reject);
+  }
+
+  async exec() {
+    await ready();
+    const toUser = (row) => (row ? PostgresUser.fromRow(row, parseSelect(this._select)) : null);
+
+    if (this.op === 'findByIdAndUpdate') {
+      if (!isObjectIdHex(this.id)) return null;
+      const [row] = await runUpdate(pool, 'id = $1', [String(this.id)], this.update);
+      return toUser(row);
+    }
+
+    if (this.op === 'findByIdAndDelete') {
+      if (!isObjectIdHex(this.id)) return null;
+      const res = await pool.query('DELETE FROM users WHERE id = $1 RETURNING *', [String(this.id)]);
+      return toUser(res.rows[0]);
+    }
+
+    const params = [];
+    let sql = `SELECT * FROM users WHERE ${buildCondition(this.filter, params)}`;
+    if (this._sort) sql += buildOrderBy(this._sort);
+    if (this.one || this._limit) {
+      params.push(this.one ? 1 : this._limit);
+      sql += ` LIMIT $${params.length}`;
+    }
+    if (this._skip) {
+      params.push(this._skip);
+      sql += ` OFFSET $${params.length}`;
+    }
+
+    const res = await pool.query(sql, params);
+    return this.one ? toUser(res.rows[0]) : res.rows.map(toUser);
+  }
+}
+
+class PostgresUser {
+  constructor(data = {}) {
+    this._id = data._id ? String(data._id) : new mongoose.Types.ObjectId().toString();
+    for (const field of FIELDS) {
+      const value = getPath(data, field.path);
+      setPath(this, field.path, value !== undefined ? castValue(field, value) : (field.default?.() ?? null));
+    }
+    Object.defineProperty(this, '$snapshot', { value: null, writable: true });
+    Object.defineProperty(this, 'isNew', { value: true, writable: true });
+  }
+
+  static fromRow(row, selected) {
+    const user = Object.create(PostgresUser.prototype);
+    user._id = row.id;
+    for (const field of FIELDS) {
+      if (selected.has(field.path)) setPath(user, field.path, row[field.column]);
+    }
+    Object.defineProperty(user, '$snapshot', { value: null, writable: true });
+    Object.defineProperty(user, 'isNew', { value: false, writable: true });
+    user.takeSnapshot();
+    return user;
+  }
+
+  // Remember loaded values so save() only writes what changed
+  takeSnapshot() {
+    this.$snapshot = new Map(FIELDS.map(f => [f.path, clone(getPath(this, f.path))]));
+  }
+
+  get id() {
+    return this._id;
+  }
+
+  get isLocked() {
+    return !!(this.lockUntil && this.lockUntil > Date.now());
+  }
+
+  get isAdminLocked() {
+    return !!(this.adminLockedUntil && this.adminLockedUntil > Date.now());
+  }
+
+  set(path, value) {
+    const field = FIELD_BY_PATH.get(path);
+    if (field) {
+      setPath(this, path, castValue(field, value));
+    } else {
+      for (const f of FIELDS.filter(f => f.path.startsWith(`${path}.`))) {
+        const sub = value?.[f.path.slice(path.length + 1)];
+        setPath(this, f.path, sub !== undefined ? castValue(f, sub) : (f.default?.() ?? null));
+      }
+    }
+    return this;
+  }
+
+  async validate() {
+    const missing = ['name', 'email', 'password'].filter(path => !getPath(this, path) && (this.isNew || getPath(this, path) !== undefined));
+    if (missing.length > 0) {
+      throw new Error(`User validation failed: ${missing.join(', ')} required`);
+    }
+    if (this.isNew || !sameValue(this.role, this.$snapshot?.get('role'))) {
+      await checkRole(this.role ?? undefined);
+    }
+  }
+
+  async save() {
+    await ready();
+    await this.validate();
+
+    if (this.isNew) {
+      const columns = ['id', ...FIELDS.map(f => f.column)];
+      const values = [this._id, ...FIELDS.map(f => castValue(f, getPath(this, f.path)))];
+      const placeholders = values.map((_, i) => `$${i + 1}`);
+      await pool.query(`INSERT INTO users (${columns.join(', ')}) VALUES (${placeholders.join(', ')})`, values);
+      this.isNew = false;
+    } else {
+      const changes = {};
+      for (const field of FIELDS) {
+        const value = getPath(this, field.path);
+        if (value !== undefined && !sameValue(value, this.$snapshot.get(field.path))) {
+          changes[field.path] = value;
+        }
+      }
+      await runUpdate(pool, `id = $1`, [this._id], { $set: changes });
+    }
+
+    this.takeSnapshot();
+    return this;
+  }
+
+  toObject() {
+    const result = { _id: this._id };
+    for (const field of FIELDS) {
+      const value = getPath(this, field.path);
+      if (value !== undefined) setPath(result, field.path, clone(value));
+    }
+    return result;
+  }
+
+  toJSON() {
+    return this.toObject();
+  }
+
+  // Write straight to the row, like mongoose's doc.updateOne(); this document isn't changed
+  updateOne(update) {
+    return PostgresUser.updateOne({ _id: this._id }, update);
+  }
+
+  async incLoginAttempts() {
+    if (this.lockUntil && this.lockUntil < Date.now()) {
+      return this.updateOne({ $set: { loginAttempts: 1 }, $unset: { lockUntil: 1 } });
+    }
+
+    const updates = { $inc: { loginAttempts: 1 } };
+    if (this.loginAttempts + 1 >= MAX_LOGIN_ATTEMPTS && !this.isLocked) {
+      updates.$set = { lockUntil: Date.now() + LOCK_TIME_MS };
+    }
+    return this.updateOne(updates);
+  }
+
+  async resetLoginAttempts() {
+    return this.updateOne({ $set: { loginAttempts: 0, lastLogin: Date.now() }, $unset: { lockUntil: 1 } });
+  }
+
+  async updateLastLogin() {
+    return this.updateOne({ $set: { lastLogin: Date.now() } });
+  }
+
+  static init() {
+    return ready();
+  }
+
+  static find(filter = {}) {
+    return new PostgresUserQuery('find', { filter });
+  }
+
+  static findOne(filter = {}) {
+    return new PostgresUserQuery('find', { filter, one: true });
+  }
+
+  static findById(id) {
+    // Malformed ids match nothing, as with mongoose
+    return new PostgresUserQuery('find', { filter: isObjectIdHex(id) ? { _id: id } : { $or: [] }, one: true });
+  }
+
+  static findByIdAndUpdate(id, update) {
+    return new PostgresUserQuery('findByIdAndUpdate', { id, update });
+  }
+
+  static findByIdAndDelete(id) {
+    return new PostgresUserQuery('findByIdAndDelete', { id });
+  }
+
+  static async countDocuments(filter = {}) {
+    await ready();
+    const params = [];
+    const res = await pool.query(`SELECT COUNT(*)::int AS count FROM users WHERE ${buildCondition(filter, params)}`, params);
+    return res.rows[0].count;
+  }
+
+  static async updateOne(filter, update) {
+    await ready();
+    const params = [];
+    const where = buildCondition(filter, params);
+    // LIMIT isn't allowed in UPDATE; pick the first matching id instead
+    const rows = await runUpdate(pool, `id = (SELECT id FROM users WHERE ${where} ORDER BY id LIMIT 1)`, params, update);
+    return { acknowledged: true, matchedCount: rows.length, modifiedCount: rows.length };
+  }
+
+  /**
+   * Point managers of a club at its new slug, in one update
+   */
+  static async replaceManagedClub(from, to) {
+    await ready();
+    const res = await pool.query(
+      'UPDATE users SET managed_clubs = array_replace(managed_clubs, $1, $2), updated_at = $3 WHERE $1 = ANY(managed_clubs)',
+      [from, to, now()]
+    );
+    return { acknowledged: true, modifiedCount: res.rowCount };
+  }
+
+  static async deleteMany(filter) {
+    await ready();
+    const params = [];
+    const res = await pool.query(`DELETE FROM users WHERE ${buildCondition(filter, params)}`, params);
+    return { acknowledged: true, deletedCount: res.rowCount };
+  }
+
+  static async create(data) {
+    return new PostgresUser(data).save();
+  }
+
+  /**
+   * Insert users in one transaction, all or nothing
+   * @returns {Promise<PostgresUser[]>}
+   */
+  static async insertMany(docs) {
+    await ready();
+    const users = docs.map(doc => new PostgresUser(doc));
+    for (const user of users) await user.validate();
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      for (const user of users) {
+        const values = [user._id, ...FIELDS.map(f => castValue(f, getPath(user, f.path)))];
+        await client.query(
+          `INSERT INTO users (id, ${FIELDS.map(f => f.column).join(', ')}) VALUES (${values.map((_, i) => `$${i + 1}`).join(', ')})`,
+          values
+        );
+      }
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    users.forEach(user => {
+      user.isNew = false;
+      user.takeSnapshot();
+    });
+    return users;
+  }
+}
+
+export default PostgresUser;
+export { FIELDS as USER_COLUMNS };
@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+import { RESERVATION_STATUSES } from '../repositories/reservationRecords.js';
+
+/**
+ * MongoDB storage for reservations. Application code goes through the
+ * Reservation model (models/reservation.js), which picks a repository;
+ * only the Mongo repository uses this model directly.
+ */
+const reservationSchema = new mongoose.Schema({
+  // Null for guests imported from a venue's own booking list
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  name: { type: String, required: true },
+  email: { type: String, required: true },
+  phone: { type: String, required: true },
+  date: { type: String, required: true },
+  time: { type: String, required: true },
+  guests: { type: String, required: true },
+  specialRequests: { type: String },
+  club: { type: String, required: true },
+  clubLocation: { type: String },
+  status: {
+    type: String,
+    enum: RESERVATION_STATUSES,
+    default: 'confirmed'
+  },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+reservationSchema.index({ userId: 1, createdAt: -1 });
+reservationSchema.index({ club: 1, date: 1, status: 1 });
+
+export default mongoose.model('Reservation', reservationSchema);
@@ -0,0 +1,30 @@
+import mongoose from 'mongoose';
+
+// Roles every deployment has; they can be re-permissioned but not deleted
+const SYSTEM_ROLES = ['admin', 'manager', 'user'];
+
+const roleSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        unique: true,
+        lowercase: true,
+        trim: true,
+        match: [/^[a-z][a-z0-9_-]*$/, 'Role name may only contain lowercase letters, numbers, "-" and "_"']
+    },
+    description: { type: String, default: '' },
+    // Built-in role this one counts as for authorize('admin', ...) checks;
+    // the permissions list decides what it can actually do
+    baseRole: {
+        type: String,
+        enum: SYSTEM_ROLES,
+        default: 'user'
+    },
+    permissions: { type: [String], default: [] },
+    isSystem: { type: Boolean, default: false },
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+export { SYSTEM_ROLES };
+export default mongoose.model('Role', roleSchema);
@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+
+// One document per login. The refresh token is rotated on every use, so
+// the session is the token family and only its newest token is valid.
+const sessionSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // sha256 of the current refresh token; older tokens in the family no longer match
+    tokenHash: { type: String, required: true },
+    userAgent: { type: String, default: null },
+    ip: { type: String, default: null },
+    createdAt: { type: Date, default: Date.now },
+    lastUsedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date, default: null },
+    revokedReason: {
+        type: String,
+        enum: ['logout', 'token_reuse', 'password_change', 'password_reset', 'user', 'admin'],
+        default: null
+    }
+});
+
+sessionSchema.virtual('isActive').get(function() {
+    return !this.revokedAt && this.expiresAt > Date.now();
+});
+
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+// Expired sessions are purged by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('Session', sessionSchema);
@@ -0,0 +1,18 @@
+import mongoose from 'mongoose';
+
+// Held while a booking for one club and night is checked and stored, so
+// two requests cannot both take the last table (see utils/slotLock.js).
+// Kept in MongoDB whichever store holds the reservations.
+const slotLockSchema = new mongoose.Schema({
+    // "<club name>|<YYYY-MM-DD>"
+    key: { type: String, required: true },
+    // Random per holder, so an expired lock taken over by someone else is not released
+    holder: { type: String, required: true },
+    expiresAt: { type: Date, required: true }
+});
+
+slotLockSchema.index({ key: 1 }, { unique: true });
+// Locks left behind by a crashed process are purged by MongoDB
+slotLockSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('SlotLock', slotLockSchema);
@@ -1,29 +1,84 @@
 import mongoose from 'mongoose';
+import { getRole } from '../utils/roles.js';
+import PostgresUser from './postgresUser.js';
 
 const userSchema = new mongoose.Schema({
     name: { type: String, required: true, trim: true },
     email: { type: String, required: true, unique: true, lowercase: true, trim: true },
     password: { type: String, required: true },
+    // Name of a Role document (see models/role.js)
     role: { 
         type: String, 
-        enum: ['user', 'admin', 'manager'], 
-        default: 'user' 
+        default: 'user',
+        validate: {
+            validator: async (name) => !!(await getRole(name)),
+            message: (props) => `Unknown role "${props.value}"`
+        }
     },
     phone: { type: String, default: null },
+    // Club slugs a manager may act on (admins are never scoped)
+    managedClubs: { type: [String], default: [] },
     avatar: { type: String, default: null },
     isActive: { type: Boolean, default: true },
+    emailVerified: { type: Boolean, default: false },
+    emailVerifiedAt: { type: Date, default: null },
+    verificationSentAt: { type: Date, default: null },
     lastLogin: { type: Date, default: null },
     loginAttempts: { type: Number, default: 0 },
     lockUntil: { type: Date, default: null },
+    // Set by `cli.js users lock`; unlike lockUntil, logging in or resetting
+    // the password never clears it
+    adminLockedUntil: { type: Date, default: null },
+    // Bumped whenever outstanding refresh tokens must stop working
+    tokenVersion: { type: Number, default: 0 },
+    passwordChangedAt: { type: Date, default: null },
+    // Previous password hashes, newest first (see utils/password.js)
+    passwordHistory: { type: [String], default: [], select: false },
+    passwordResetTokenHash: { type: String, default: null, select: false },
+    passwordResetExpires: { type: Date, default: null },
+    // Outcomes of past bookings, recounted on every status change (see utils/reliability.js)
+    reliability: {
+        visits: { type: Number, default: 0 },
+        noShows: { type: Number, default: 0 },
+        // Percentage of bookings honoured; null until there is any history
+        score: { type: Number, default: null },
+        lastNoShowAt: { type: Date, default: null },
+        updatedAt: { type: Date, default: null }
+    },
+    // Secret part of the user's calendar feed URL (see routes/calendarRoutes.js)
+    calendarFeedTokenHash: { type: String, default: null, select: false },
+    // TOTP second factor (see utils/totp.js and utils/twoFactor.js)
+    twoFactor: {
+        enabled: { type: Boolean, default: false },
+        enabledAt: { type: Date, default: null },
+        secret: { type: String, default: null, select: false },
+        // Set by /2fa/setup, promoted to `secret` once a code is verified
+        pendingSecret: { type: String, default: null, select: false },
+        // sha256 hashes of unused recovery codes
+        recoveryCodes: { type: [String], default: [], select: false },
+        // Last accepted TOTP time step, so a code cannot be replayed
+        lastUsedStep: { type: Number, default: null, select: false }
+    },
     createdAt: { type: Date, default: Date.now },
     updatedAt: { type: Date, default: Date.now }
 });
 
+// Calendar apps look users up by feed token on every refresh
+userSchema.index(
+    { calendarFeedTokenHash: 1 },
+    { unique: true, partialFilterExpression: { calendarFeedTokenHash: { $type: 'string' } } }
+);
+
 // Virtual for checking if account is locked
 userSchema.virtual('isLocked').get(function() {
     return !!(this.lockUntil && this.lockUntil > Date.now());
 });
 
+// Virtual for checking if an administrator has locked the account
+userSchema.virtual('isAdminLocked').get(function() {
+    return !!(this.adminLockedUntil && this.adminLockedUntil > Date.now());
+});
+
 // Method to increment login attempts
 userSchema.methods.incLoginAttempts = async function() {
     if (this.lockUntil && this.lockUntil < Date.now()) {
@@ -61,4 +116,32 @@ userSchema.methods.updateLastLogin = async function() {
     });
 };
 
-export default mongoose.model('User', userSchema);
+// Point managers of a club at its new slug, in one update
+userSchema.statics.replaceManagedClub = async function(from, to) {
+    return this.updateMany(
+        { managedClubs: from },
+        { $set: { 'managedClubs.$': to, updatedAt: Date.now() } }
+    );
+};
+
+const MongoUser = mongoose.model('User', userSchema);
+
+// Where users live: mongodb (default) or postgres (see models/postgresUser.js)
+const USER_STORES = {
+    mongodb: MongoUser,
+    postgres: PostgresUser
+};
+
+/**
+ * The store configured with USER_STORE (default mongodb)
+ */
+function getUserStore() {
+    const store = (process.env.USER_STORE || 'mongodb').trim().toLowerCase();
+    if (!USER_STORES[store]) {
+        throw new Error(`Unknown USER_STORE "${store}" (use ${Object.keys(USER_STORES).join(', ')})`);
+    }
+    return store;
+}
+
+export default USER_STORES[getUserStore()];
+export { MongoUser, USER_STORES, getUserStore };
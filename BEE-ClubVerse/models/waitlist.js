@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+
+const waitlistSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    name: { type: String, required: true },
+    email: { type: String, required: true },
+    phone: { type: String, required: true },
+    club: { type: String, required: true },
+    clubSlug: { type: String, required: true },
+    clubLocation: { type: String },
+    date: { type: String, required: true },
+    time: { type: String, required: true },
+    guests: { type: String, required: true },
+    specialRequests: { type: String },
+    // waiting -> offered -> claiming -> claimed, or expired once the offer
+    // lapses; cancelled when the guest leaves the list
+    status: {
+        type: String,
+        enum: ['waiting', 'offered', 'claiming', 'claimed', 'expired', 'cancelled'],
+        default: 'waiting'
+    },
+    claimTokenHash: { type: String, default: null },
+    offeredAt: { type: Date, default: null },
+    offerExpiresAt: { type: Date, default: null },
+    reservationId: { type: String, default: null },
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+waitlistSchema.index({ club: 1, date: 1, status: 1, createdAt: 1 });
+waitlistSchema.index({ userId: 1, createdAt: -1 });
+waitlistSchema.index({ claimTokenHash: 1 }, { sparse: true });
+
+export default mongoose.model('Waitlist', waitlistSchema);
@@ -0,0 +1,102 @@
+import {
+  normalizeReservation,
+  normalizeChanges,
+  parseFilter,
+  matchesFilter,
+  compareRecords
+} from './reservationRecords.js';
+
+/**
+ * In-Memory Reservation Repository
+ * Keeps reservations in a Map for tests and local development
+ * (RESERVATION_STORE=memory). Nothing survives a restart.
+ */
+class MemoryReservationRepository {
+  constructor() {
+    this.name = 'memory';
+    this.records = new Map();
+    this.nextId = 1;
+  }
+
+  async init() {}
+
+  async close() {
+    this.records.clear();
+  }
+
+  // Callers get copies so they can't change stored records by accident
+  copy(record) {
+    return record ? { ...record } : null;
+  }
+
+  async find(filter = {}, { sort, skip = 0, limit } = {}) {
+    parseFilter(filter);
+    const compare = compareRecords(sort);
+
+    const matches = [...this.records.values()]
+      .filter(record => matchesFilter(record, filter))
+      .sort(compare);
+
+    const start = Math.max(0, skip);
+    return matches
+      .slice(start, limit ? start + limit : undefined)
+      .map(record => this.copy(record));
+  }
+
+  async findById(id) {
+    return this.copy(this.records.get(String(id)));
+  }
+
+  async count(filter = {}) {
+    parseFilter(filter);
+    return [...this.records.values()].filter(record => matchesFilter(record, filter)).length;
+  }
+
+  async create(data) {
+    const [record] = await this.createMany([data]);
+    return record;
+  }
+
+  async createMany(docs) {
+    // Validate everything first so a bad document stores nothing
+    const records = docs.map(doc => normalizeReservation(doc));
+
+    return records.map(record => {
+      const stored = { _id: String(this.nextId++), ...record };
+      this.records.set(stored._id, stored);
+      return this.copy(stored);
+    });
+  }
+
+  async update(id, changes) {
+    const existing = this.records.get(String(id));
+    if (!existing) return null;
+
+    const updated = { ...existing, ...normalizeChanges(changes) };
+    this.records.set(existing._id, updated);
+    return this.copy(updated);
+  }
+
+  async updateMany(filter, changes) {
+    parseFilter(filter);
+    const normalized = normalizeChanges(changes);
+    let count = 0;
+
+    for (const existing of [...this.records.values()]) {
+      if (!matchesFilter(existing, filter)) continue;
+      this.records.set(existing._id, { ...existing, ...normalized });
+      count++;
+    }
+    return count;
+  }
+
+  async delete(id) {
+    const existing = this.records.get(String(id));
+    if (!existing) return null;
+
+    this.records.delete(existing._id);
+    return this.copy(existing);
+  }
+}
+
+export default MemoryReservationRepository;
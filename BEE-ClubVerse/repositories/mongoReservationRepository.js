@@ -0,0 +1,163 @@
+import mongoose from 'mongoose';
+import ReservationDocument from '../models/reservationDocument.js';
+import {
+  normalizeReservation,
+  normalizeChanges,
+  parseFilter,
+  parseSort
+} from './reservationRecords.js';
+
+/**
+ * MongoDB Reservation Repository
+ * Stores reservations in the `reservations` collection through the
+ * ReservationDocument model, using the app's shared mongoose connection.
+ */
+
+const ID_FIELDS = ['_id', 'userId'];
+
+// Matches no document; used for ids that can't exist
+const NO_MATCH = { $in: [] };
+
+// Only 24-character hex strings; mongoose would also accept any 12-character string
+const toObjectId = (value) => (/^[a-f\d]{24}$/i.test(String(value)) ? new mongoose.Types.ObjectId(String(value)) : undefined);
+
+/**
+ * Build a mongo condition for one field. Ids are stored as ObjectIds, so
+ * strings that aren't valid ObjectIds can never match.
+ */
+function fieldCondition(field, conditions) {
+  const result = {};
+
+  for (const { op, value, ignoreCase } of conditions) {
+    if (op === '$regex') {
+      result.$regex = value;
+      result.$options = ignoreCase ? 'i' : '';
+    } else if (!ID_FIELDS.includes(field)) {
+      result[op] = value;
+    } else if (op === '$in') {
+      result.$in = value.filter(v => v === null || toObjectId(v)).map(v => (v === null ? null : toObjectId(v)));
+    } else if (value !== null && !toObjectId(value)) {
+      // An invalid id equals nothing and differs from everything
+      if (op === '$eq') return NO_MATCH;
+    } else {
+      result[op] = value === null ? null : toObjectId(value);
+    }
+  }
+
+  return result;
+}
+
+function toQuery(filter) {
+  const byField = new Map();
+  for (const condition of parseFilter(filter)) {
+    if (!byField.has(condition.field)) byField.set(condition.field, []);
+    byField.get(condition.field).push(condition);
+  }
+
+  const query = {};
+  for (const [field, conditions] of byField) {
+    const condition = fieldCondition(field, conditions);
+    if (Object.keys(condition).length > 0) query[field] = condition;
+  }
+  return query;
+}
+
+function toRecord(doc) {
+  if (!doc) return null;
+  return {
+    _id: String(doc._id),
+    userId: doc.userId ? String(doc.userId) : null,
+    name: doc.name,
+    email: doc.email,
+    phone: doc.phone,
+    date: doc.date,
+    time: doc.time,
+    guests: doc.guests,
+    specialRequests: doc.specialRequests ?? null,
+    club: doc.club,
+    clubLocation: doc.clubLocation ?? null,
+    status: doc.status,
+    createdAt: doc.createdAt,
+    updatedAt: doc.updatedAt
+  };
+}
+
+class MongoReservationRepository {
+  constructor({ model = ReservationDocument } = {}) {
+    this.name = 'mongodb';
+    this.model = model;
+  }
+
+  // The connection is opened by connectDB(); queries wait for it
+  async init() {}
+
+  async close() {}
+
+  async find(filter = {}, { sort, skip = 0, limit } = {}) {
+    // Tie-break on _id so pages don't overlap
+    const order = Object.fromEntries(parseSort(sort));
+    let query = this.model.find(toQuery(filter)).sort({ ...order, _id: order._id ?? 1 });
+    if (skip) query = query.skip(skip);
+    if (limit) query = query.limit(limit);
+
+    const docs = await query.lean();
+    return docs.map(toRecord);
+  }
+
+  async findById(id) {
+    if (!toObjectId(id)) return null;
+    return toRecord(await this.model.findById(id).lean());
+  }
+
+  async count(filter = {}) {
+    return this.model.countDocuments(toQuery(filter));
+  }
+
+  async create(data) {
+    const [record] = await this.createMany([data]);
+    return record;
+  }
+
+  /**
+   * All or nothing. A standalone MongoDB server has no transactions, so
+   * documents written before a failure are removed again.
+   */
+  async createMany(docs) {
+    const withIds = docs.map(doc => ({ ...normalizeReservation(doc), _id: new mongoose.Types.ObjectId() }));
+
+    try {
+      const saved = await this.model.insertMany(withIds, { ordered: true });
+      return saved.map(doc => toRecord(doc.toObject()));
+    } catch (err) {
+      await this.model.deleteMany({ _id: { $in: withIds.map(d => d._id) } });
+      throw err;
+    }
+  }
+
+  async update(id, changes) {
+    if (!toObjectId(id)) return null;
+
+    const updated = await this.model.findByIdAndUpdate(
+      id,
+      { $set: normalizeChanges(changes) },
+      { new: true, runValidators: true }
+    ).lean();
+    return toRecord(updated);
+  }
+
+  async updateMany(filter, changes) {
+    const result = await this.model.updateMany(
+      toQuery(filter),
+      { $set: normalizeChanges(changes) },
+      { runValidators: true }
+    );
+    return result.modifiedCount;
+  }
+
+  async delete(id) {
+    if (!toObjectId(id)) return null;
+    return toRecord(await this.model.findByIdAndDelete(id).lean());
+  }
+}
+
+export default MongoReservationRepository;
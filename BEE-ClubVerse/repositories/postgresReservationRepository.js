@@ -0,0 +1,208 @@
+import { pool as defaultPool, initPostgres, DATE_TIME_AS_TEXT } from '../db.postgres.js';
+import {
+  normalizeReservation,
+  normalizeChanges,
+  parseFilter,
+  parseSort
+} from './reservationRecords.js';
+
+/**
+ * PostgreSQL Reservation Repository
+ * Stores reservations in the `reservations` table (see migrations/).
+ * Ids are the serial primary key as a string; date, time and guests are
+ * typed columns, read back in the record formats (YYYY-MM-DD, HH:MM, "4").
+ */
+
+const columns = {
+  _id: 'id',
+  userId: 'user_id',
+  specialRequests: 'special_requests',
+  clubLocation: 'club_location',
+  createdAt: 'created_at',
+  updatedAt: 'updated_at'
+};
+
+const toColumn = (field) => columns[field] || field;
+
+// Filters may hold ids from URLs; compare as text so junk just doesn't match
+const filterColumn = (field) => (field === '_id' ? 'id::text' : toColumn(field));
+
+const isId = (id) => /^\d+$/.test(String(id));
+
+const run = (db, text, values) => db.query({ text, values, types: DATE_TIME_AS_TEXT });
+
+const comparisonOperators = { $gt: '>', $gte: '>=', $lt: '<', $lte: '<=' };
+
+/**
+ * Translate a repository filter into a WHERE clause. Null handling
+ * follows the other repositories: null equals null, and $ne/$in treat a
+ * missing value as a value of its own.
+ * @returns {object} { clause, params }
+ */
+function buildWhere(filter, params = []) {
+  const where = [];
+  const param = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  for (const { field, op, value, ignoreCase } of parseFilter(filter)) {
+    const col = filterColumn(field);
+
+    if (op === '$eq') {
+      where.push(value === null ? `${col} IS NULL` : `${col} = ${param(value)}`);
+    } else if (op === '$ne') {
+      where.push(value === null ? `${col} IS NOT NULL` : `(${col} IS NULL OR ${col} <> ${param(value)})`);
+    } else if (op === '$in') {
+      const values = value.filter(v => v !== null);
+      const anyOf = `${col} = ANY(${param(values)})`;
+      where.push(value.includes(null) ? `(${col} IS NULL OR ${anyOf})` : anyOf);
+    } else if (op === '$regex') {
+      where.push(`${col}::text ${ignoreCase ? '~*' : '~'} ${param(value)}`);
+    } else {
+      where.push(`${col} ${comparisonOperators[op]} ${param(value)}`);
+    }
+  }
+
+  return { clause: where.length ? ' WHERE ' + where.join(' AND ') : '', params };
+}
+
+function toRecord(row) {
+  if (!row) return null;
+  return {
+    _id: String(row.id),
+    userId: row.user_id,
+    name: row.name,
+    email: row.email,
+    phone: row.phone,
+    date: row.date,
+    time: row.time.slice(0, 5),
+    guests: String(row.guests),
+    specialRequests: row.special_requests,
+    club: row.club,
+    clubLocation: row.club_location,
+    status: row.status,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+const insertSql = `INSERT INTO reservations (user_id,name,email,phone,date,time,guests,special_requests,club,club_location,status,created_at,updated_at)
+  VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13) RETURNING *`;
+
+const insertParams = (r) => [
+  r.userId, r.name, r.email, r.phone, r.date, r.time, r.guests,
+  r.specialRequests, r.club, r.clubLocation, r.status, r.createdAt, r.updatedAt
+];
+
+class PostgresReservationRepository {
+  constructor({ pool = defaultPool } = {}) {
+    this.name = 'postgres';
+    this.pool = pool;
+  }
+
+  async init() {
+    await initPostgres(this.pool);
+  }
+
+  async close() {
+    await this.pool.end();
+  }
+
+  async find(filter = {}, { sort, skip = 0, limit } = {}) {
+    const { clause, params } = buildWhere(filter);
+    let sql = 'SELECT * FROM reservations' + clause;
+
+    // Nulls sort first ascending, as in MongoDB; tie-break on id so pages don't overlap
+    const keys = parseSort(sort);
+    const order = keys.map(([field, dir]) => `${toColumn(field)} ${dir === -1 ? 'DESC NULLS LAST' : 'ASC NULLS FIRST'}`);
+    if (!keys.some(([field]) => field === '_id')) order.push('id ASC');
+    sql += ` ORDER BY ${order.join(', ')}`;
+
+    if (limit) {
+      params.push(limit);
+      sql += ` LIMIT $${params.length}`;
+    }
+    if (skip) {
+      params.push(skip);
+      sql += ` OFFSET $${params.length}`;
+    }
+
+    const res = await run(this.pool, sql, params);
+    return res.rows.map(toRecord);
+  }
+
+  async findById(id) {
+    if (!isId(id)) return null;
+    const res = await run(this.pool, 'SELECT * FROM reservations WHERE id = $1', [String(id)]);
+    return toRecord(res.rows[0]);
+  }
+
+  async count(filter = {}) {
+    const { clause, params } = buildWhere(filter);
+    const res = await this.pool.query('SELECT COUNT(*)::int AS count FROM reservations' + clause, params);
+    return res.rows[0].count;
+  }
+
+  async create(data) {
+    const res = await run(this.pool, insertSql, insertParams(normalizeReservation(data)));
+    return toRecord(res.rows[0]);
+  }
+
+  // All or nothing, in one transaction
+  async createMany(docs) {
+    const records = docs.map(doc => normalizeReservation(doc));
+    const client = await this.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+      const saved = [];
+      for (const record of records) {
+        const res = await run(client, insertSql, insertParams(record));
+        saved.push(toRecord(res.rows[0]));
+      }
+      await client.query('COMMIT');
+      return saved;
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  async update(id, changes) {
+    if (!isId(id)) return null;
+
+    const params = [];
+    const fields = Object.entries(normalizeChanges(changes)).map(([field, value]) => {
+      params.push(value);
+      return `${toColumn(field)} = $${params.length}`;
+    });
+
+    params.push(String(id));
+    const sql = `UPDATE reservations SET ${fields.join(', ')} WHERE id = $${params.length} RETURNING *`;
+    const res = await run(this.pool, sql, params);
+    return toRecord(res.rows[0]);
+  }
+
+  async updateMany(filter, changes) {
+    const params = [];
+    const fields = Object.entries(normalizeChanges(changes)).map(([field, value]) => {
+      params.push(value);
+      return `${toColumn(field)} = $${params.length}`;
+    });
+
+    const { clause } = buildWhere(filter, params);
+    const res = await run(this.pool, `UPDATE reservations SET ${fields.join(', ')}${clause}`, params);
+    return res.rowCount;
+  }
+
+  async delete(id) {
+    if (!isId(id)) return null;
+    const res = await run(this.pool, 'DELETE FROM reservations WHERE id = $1 RETURNING *', [String(id)]);
+    return toRecord(res.rows[0]);
+  }
+}
+
+export default PostgresReservationRepository;
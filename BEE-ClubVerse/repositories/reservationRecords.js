@@ -0,0 +1,230 @@
+/**
+ * Reservation Records
+ * The plain-object shape every reservation repository reads and writes,
+ * plus the filter and sort language they all accept. Adapters translate
+ * these into their own queries; the in-memory adapter evaluates them
+ * directly with matchesFilter / compareRecords.
+ */
+
+// pending = awaiting venue approval (see club.noShowPolicy)
+const RESERVATION_STATUSES = ['pending', 'confirmed', 'checked_in', 'completed', 'no_show', 'cancelled'];
+
+const REQUIRED_FIELDS = ['name', 'email', 'phone', 'date', 'time', 'guests', 'club'];
+const OPTIONAL_FIELDS = ['userId', 'specialRequests', 'clubLocation', 'status'];
+
+// Fields a caller may change after creation
+const UPDATABLE_FIELDS = [...REQUIRED_FIELDS, ...OPTIONAL_FIELDS];
+
+const FILTERABLE_FIELDS = ['_id', ...UPDATABLE_FIELDS, 'createdAt', 'updatedAt'];
+const SORTABLE_FIELDS = ['_id', 'name', 'email', 'date', 'time', 'club', 'status', 'createdAt', 'updatedAt'];
+
+const DATE_FIELDS = ['createdAt', 'updatedAt'];
+
+const FILTER_OPERATORS = ['$in', '$ne', '$gt', '$gte', '$lt', '$lte', '$regex', '$options'];
+
+const toDate = (value) => (value instanceof Date ? value : new Date(value));
+
+// Booking fields have one format in every store (Postgres keeps them as
+// DATE, TIME and INTEGER columns): YYYY-MM-DD, HH:MM and a whole number
+const BOOKING_FORMATS = {
+  date: /^\d{4}-\d{2}-\d{2}$/,
+  time: /^\d{2}:\d{2}$/,
+  guests: /^[1-9]\d*$/
+};
+
+/**
+ * Scalar as stored: dates stay Dates, everything else (ObjectIds, party
+ * sizes given as numbers) becomes a string. Times get two-digit hours and
+ * lose any seconds ("9:30:00" -> "09:30"); party sizes lose a trailing
+ * "+" ("10+" -> "10").
+ */
+function normalizeValue(field, value) {
+  if (value === null || value === undefined) return null;
+  if (DATE_FIELDS.includes(field)) return toDate(value);
+
+  const text = String(value);
+  if (field === 'time') {
+    const match = /^(\d{1,2}):(\d{2})(?::\d{2})?$/.exec(text);
+    return match ? `${match[1].padStart(2, '0')}:${match[2]}` : text;
+  }
+  if (field === 'guests') {
+    return /^\d+\+?$/.test(text) ? String(parseInt(text, 10)) : text;
+  }
+  return text;
+}
+
+const checkFormats = (record) => {
+  for (const [field, pattern] of Object.entries(BOOKING_FORMATS)) {
+    if (record[field] !== undefined && !pattern.test(record[field])) {
+      throw new Error(`Invalid reservation ${field} "${record[field]}"`);
+    }
+  }
+};
+
+const checkStatus = (status) => {
+  if (!RESERVATION_STATUSES.includes(status)) {
+    throw new Error(`Invalid reservation status "${status}"`);
+  }
+};
+
+/**
+ * Validate a new reservation and fill in defaults
+ * @returns {object} Record without _id, ready to store
+ */
+function normalizeReservation(data = {}) {
+  const missing = REQUIRED_FIELDS.filter(f => data[f] === undefined || data[f] === null || data[f] === '');
+  if (missing.length > 0) {
+    throw new Error(`Reservation is missing ${missing.join(', ')}`);
+  }
+
+  const status = data.status || 'confirmed';
+  checkStatus(status);
+
+  const record = {};
+  for (const field of UPDATABLE_FIELDS) {
+    record[field] = normalizeValue(field, data[field]);
+  }
+  record.status = status;
+  checkFormats(record);
+
+  const now = new Date();
+  record.createdAt = data.createdAt ? toDate(data.createdAt) : now;
+  record.updatedAt = now;
+  return record;
+}
+
+/**
+ * Keep the updatable fields of a change set; updatedAt is always set to now
+ * @returns {object} Changes to apply
+ */
+function normalizeChanges(changes = {}) {
+  const result = {};
+  for (const field of UPDATABLE_FIELDS) {
+    if (changes[field] === undefined) continue;
+    if (REQUIRED_FIELDS.includes(field) && (changes[field] === null || changes[field] === '')) {
+      throw new Error(`Reservation ${field} can't be empty`);
+    }
+    result[field] = normalizeValue(field, changes[field]);
+  }
+  if (result.status !== undefined) checkStatus(result.status);
+  checkFormats(result);
+
+  result.updatedAt = new Date();
+  return result;
+}
+
+const isOperatorObject = (value) => value !== null && typeof value === 'object'
+  && !Array.isArray(value) && !(value instanceof Date) && !(value instanceof RegExp)
+  && typeof value.toHexString !== 'function'
+  && Object.keys(value).some(k => k.startsWith('$'));
+
+/**
+ * Check a filter uses known fields and operators, and convert its values
+ * @returns {Array<object>} [{ field, op, value }] conditions, all of which must hold
+ */
+function parseFilter(filter = {}) {
+  const conditions = [];
+
+  for (const [field, condition] of Object.entries(filter)) {
+    if (condition === undefined) continue;
+    if (!FILTERABLE_FIELDS.includes(field)) {
+      throw new Error(`Cannot filter reservations by "${field}"`);
+    }
+
+    if (!isOperatorObject(condition)) {
+      conditions.push({ field, op: '$eq', value: normalizeValue(field, condition) });
+      continue;
+    }
+
+    for (const [op, operand] of Object.entries(condition)) {
+      if (!FILTER_OPERATORS.includes(op)) {
+        throw new Error(`Unsupported filter operator "${op}"`);
+      }
+
+      if (op === '$options') continue;
+      if (op === '$in') {
+        conditions.push({ field, op, value: operand.map(v => normalizeValue(field, v)) });
+      } else if (op === '$regex') {
+        const source = operand instanceof RegExp ? operand.source : String(operand);
+        const flags = operand instanceof RegExp ? operand.flags : (condition.$options || '');
+        conditions.push({ field, op, value: source, ignoreCase: flags.includes('i') });
+      } else {
+        conditions.push({ field, op, value: normalizeValue(field, operand) });
+      }
+    }
+  }
+
+  return conditions;
+}
+
+// Dates compare by time, strings lexically (YYYY-MM-DD and HH:MM sort correctly)
+const compareValues = (a, b) => {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return -1;
+  if (b === null || b === undefined) return 1;
+  if (a instanceof Date || b instanceof Date) return toDate(a).getTime() - toDate(b).getTime();
+  return a < b ? -1 : 1;
+};
+
+const sameValue = (a, b) => compareValues(a, b) === 0;
+
+const matchesCondition = (record, { field, op, value, ignoreCase }) => {
+  const actual = record[field] ?? null;
+
+  switch (op) {
+    case '$eq': return sameValue(actual, value);
+    case '$ne': return !sameValue(actual, value);
+    case '$in': return value.some(v => sameValue(actual, v));
+    case '$gt': return actual !== null && compareValues(actual, value) > 0;
+    case '$gte': return actual !== null && compareValues(actual, value) >= 0;
+    case '$lt': return actual !== null && compareValues(actual, value) < 0;
+    case '$lte': return actual !== null && compareValues(actual, value) <= 0;
+    case '$regex': return actual !== null && new RegExp(value, ignoreCase ? 'i' : '').test(String(actual));
+    default: return false;
+  }
+};
+
+/**
+ * Does a stored record match a filter?
+ */
+function matchesFilter(record, filter) {
+  return parseFilter(filter).every(condition => matchesCondition(record, condition));
+}
+
+/**
+ * Check a sort spec ({ field: 1 | -1 | 'asc' | 'desc' }, in priority order)
+ * @returns {Array<Array>} [[field, 1 | -1]]
+ */
+function parseSort(sort = {}) {
+  return Object.entries(sort || {}).map(([field, direction]) => {
+    if (!SORTABLE_FIELDS.includes(field)) {
+      throw new Error(`Cannot sort reservations by "${field}"`);
+    }
+    return [field, direction === -1 || direction === 'desc' ? -1 : 1];
+  });
+}
+
+/**
+ * Comparator for Array#sort; ties keep their existing (insertion) order
+ */
+function compareRecords(sort) {
+  const keys = parseSort(sort);
+  return (a, b) => {
+    for (const [field, direction] of keys) {
+      const diff = compareValues(a[field] ?? null, b[field] ?? null);
+      if (diff !== 0) return diff * direction;
+    }
+    return 0;
+  };
+}
+
+export {
+  RESERVATION_STATUSES,
+  UPDATABLE_FIELDS,
+  normalizeReservation,
+  normalizeChanges,
+  parseFilter,
+  parseSort,
+  matchesFilter,
+  compareRecords
+};
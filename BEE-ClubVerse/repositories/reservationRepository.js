@@ -0,0 +1,55 @@
+import MemoryReservationRepository from './memoryReservationRepository.js';
+import MongoReservationRepository from './mongoReservationRepository.js';
+import PostgresReservationRepository from './postgresReservationRepository.js';
+
+/**
+ * Reservation Repositories
+ * Every storage backend implements the same interface, and the contract
+ * tests in test/reservationRepository.test.js hold them to it:
+ *
+ *   init()                          Prepare storage (e.g. create tables)
+ *   close()                         Release connections
+ *   find(filter, { sort, skip, limit }) -> records
+ *   findById(id)                    -> record | null (also for malformed ids)
+ *   count(filter)                   -> number
+ *   create(data)                    -> record
+ *   createMany(docs)                -> records; all or nothing
+ *   update(id, changes)             -> updated record | null
+ *   updateMany(filter, changes)     -> number of records updated
+ *   delete(id)                      -> deleted record | null
+ *
+ * Records are plain objects with a string `_id` and `userId` (or null).
+ * Filters take field equality plus $in, $ne, $gt, $gte, $lt, $lte and
+ * $regex/$options; sorts are { field: 1 | -1 } in priority order (see
+ * reservationRecords.js). Unknown fields are rejected, not ignored.
+ */
+
+const RESERVATION_STORES = {
+  mongodb: (options) => new MongoReservationRepository(options),
+  postgres: (options) => new PostgresReservationRepository(options),
+  memory: () => new MemoryReservationRepository()
+};
+
+/**
+ * The backend configured with RESERVATION_STORE (default mongodb)
+ */
+function getReservationStore() {
+  const store = (process.env.RESERVATION_STORE || 'mongodb').trim().toLowerCase();
+  if (!RESERVATION_STORES[store]) {
+    throw new Error(`Unknown RESERVATION_STORE "${store}" (use ${Object.keys(RESERVATION_STORES).join(', ')})`);
+  }
+  return store;
+}
+
+/**
+ * @param {string} [store] - One of RESERVATION_STORES; defaults to the configured one
+ * @param {object} [options] - Adapter options, e.g. { pool } for postgres
+ */
+function createReservationRepository(store = getReservationStore(), options = {}) {
+  if (!RESERVATION_STORES[store]) {
+    throw new Error(`Unknown reservation store "${store}"`);
+  }
+  return RESERVATION_STORES[store](options);
+}
+
+export { RESERVATION_STORES, getReservationStore, createReservationRepository };
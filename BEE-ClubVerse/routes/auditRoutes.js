@@ -0,0 +1,89 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import AuditLog from '../models/auditLog.js';
+import { protect, authorize, checkPermission } from '../middlewares/authAdvanced.js';
+import { parsePagination, pageInfo } from '../utils/pagination.js';
+
+const router = express.Router();
+
+const parseDate = (value) => {
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * GET /api/admin/audit-logs
+ * Search the audit trail, newest first (Admin only)
+ * Protected: Requires view_logs permission
+ *
+ * @query {string} [userId] - Who performed the action
+ * @query {string} [action] - e.g. DELETE_USER; comma-separate for several
+ * @query {string} [resource] - e.g. reservation, user, club, role
+ * @query {string} [resourceId] - A specific record
+ * @query {string} [from] - ISO date/time, inclusive
+ * @query {string} [to] - ISO date/time, inclusive
+ * @query {number} [page=1]
+ * @query {number} [limit=50] - At most 200
+ */
+router.get('/admin/audit-logs', protect, authorize('admin'), checkPermission(['view_logs']), async (req, res) => {
+  try {
+    const { userId, action, resource, resourceId, from, to } = req.query;
+    const filter = {};
+
+    if (userId) {
+      if (!mongoose.isValidObjectId(userId)) {
+        return res.status(400).json({
+          error: 'Invalid userId',
+          code: 'VALIDATION_ERROR'
+        });
+      }
+      filter.userId = userId;
+    }
+
+    if (action) filter.action = { $in: String(action).split(',').map(a => a.trim().toUpperCase()) };
+    if (resource) filter.resource = String(resource);
+    if (resourceId) filter.resourceId = String(resourceId);
+
+    if (from || to) {
+      const start = from ? parseDate(from) : null;
+      const end = to ? parseDate(to) : null;
+
+      if ((from && !start) || (to && !end)) {
+        return res.status(400).json({
+          error: 'from and to must be valid dates',
+          code: 'INVALID_DATE'
+        });
+      }
+
+      filter.createdAt = {
+        ...(start && { $gte: start }),
+        ...(end && { $lte: end })
+      };
+    }
+
+    const paging = parsePagination(req.query);
+
+    const [logs, total] = await Promise.all([
+      AuditLog.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(paging.skip)
+        .limit(paging.limit),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    res.json({
+      message: 'Audit logs retrieved',
+      ...pageInfo(paging, total),
+      count: logs.length,
+      logs
+    });
+  } catch (error) {
+    console.error('Fetch audit logs error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch audit logs',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+export default router;
@@ -1,6 +1,7 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import bcrypt from 'bcrypt';
-import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
 import User from '../models/user.js';
 import {
   protect,
@@ -11,12 +12,46 @@ import {
   createLoginLimiter,
   auditLog
 } from '../middlewares/authAdvanced.js';
+import { decodeVerificationToken, sendVerificationEmail } from '../utils/emailVerification.js';
+import {
+  isStrongPassword,
+  hashPassword,
+  isRecentPassword,
+  setPassword,
+  PASSWORD_RULES_MESSAGE
+} from '../utils/password.js';
+import { queueEmail } from '../utils/outbox.js';
+import { appUrl } from '../utils/appUrl.js';
+import { clearSessionCookies, isTokenRevoked } from '../utils/authTokens.js';
+import { getRole } from '../utils/roles.js';
+import { auditChange } from '../utils/audit.js';
+import { parsePagination, parseSort, pageInfo, escapeRegex } from '../utils/pagination.js';
+import { generateSecret, otpauthUrl, verifyTotp } from '../utils/totp.js';
+import {
+  ISSUER,
+  isTwoFactorRequired,
+  generateRecoveryCodes,
+  verifySecondFactor,
+  createChallengeToken,
+  decodeChallengeToken
+} from '../utils/twoFactor.js';
+import {
+  startSession,
+  renewSession,
+  rotateSession,
+  sessionIdFromRefreshToken,
+  listActiveSessions,
+  revokeSession,
+  revokeUserSessions
+} from '../utils/sessions.js';
 
 const router = express.Router();
 
 // Create login limiter: 5 attempts per 15 minutes
 const loginLimiter = createLoginLimiter(5, 15 * 60 * 1000);
 
+const USER_SORT_FIELDS = ['createdAt', 'name', 'email', 'role', 'lastLogin', 'reliability.noShows', 'reliability.score'];
+
 /**
  * POST /api/auth/register
  * Public endpoint to register new users
@@ -39,10 +74,9 @@ router.post('/auth/register', async (req, res) => {
     }
 
     // Password strength validation
-    const passwordRegex = /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]{8,}$/;
-    if (!passwordRegex.test(password)) {
+    if (!isStrongPassword(password)) {
       return res.status(400).json({
-        error: 'Password must be 8+ chars with uppercase, lowercase, number, special char',
+        error: PASSWORD_RULES_MESSAGE,
         code: 'WEAK_PASSWORD'
       });
     }
@@ -64,8 +98,7 @@ router.post('/auth/register', async (req, res) => {
     }
 
     // Hash password with bcrypt (salt rounds = 12)
-    const salt = await bcrypt.genSalt(12);
-    const hashedPassword = await bcrypt.hash(password, salt);
+    const hashedPassword = await hashPassword(password);
 
     // Create new user
     const user = new User({
@@ -75,14 +108,17 @@ router.post('/auth/register', async (req, res) => {
       role: 'user'
     });
 
+    user.verificationSentAt = Date.now();
     await user.save();
 
+    sendVerificationEmail(user);
+
     // Don't return password
     const userResponse = user.toObject();
     delete userResponse.password;
 
     res.status(201).json({
-      message: 'Registration successful! Please login.',
+      message: 'Registration successful! Please check your email to verify your account, then login.',
       user: userResponse
     });
   } catch (error) {
@@ -94,6 +130,96 @@ router.post('/auth/register', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/auth/verify-email/:token
+ * Confirm the email address from the link sent at registration
+ * 
+ * @param {string} token - Signed verification token
+ * @returns {object} Success message
+ */
+router.get('/auth/verify-email/:token', async (req, res) => {
+  try {
+    let decoded;
+    try {
+      decoded = decodeVerificationToken(req.params.token);
+    } catch (error) {
+      return res.status(400).json({
+        error: error.name === 'TokenExpiredError' ? 'Verification link expired' : 'Invalid verification link',
+        code: error.name === 'TokenExpiredError' ? 'TOKEN_EXPIRED' : 'INVALID_TOKEN'
+      });
+    }
+
+    const user = await User.findById(decoded.id);
+
+    if (!user || user.email !== decoded.email) {
+      return res.status(400).json({
+        error: 'Invalid verification link',
+        code: 'INVALID_TOKEN'
+      });
+    }
+
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = Date.now();
+      user.updatedAt = Date.now();
+      await user.save();
+    }
+
+    res.json({
+      message: 'Email verified successfully',
+      code: 'EMAIL_VERIFIED'
+    });
+  } catch (error) {
+    console.error('Email verification error:', error);
+    res.status(500).json({
+      error: 'Email verification failed',
+      code: 'VERIFICATION_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/auth/resend-verification
+ * Send a fresh verification link to the logged-in user
+ * Protected: Requires authentication, at most one email per minute
+ */
+router.post('/auth/resend-verification', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.emailVerified) {
+      return res.status(400).json({
+        error: 'Email is already verified',
+        code: 'ALREADY_VERIFIED'
+      });
+    }
+
+    const resendInterval = 60 * 1000;
+    if (user.verificationSentAt && Date.now() - user.verificationSentAt.getTime() < resendInterval) {
+      return res.status(429).json({
+        error: 'Please wait before requesting another verification email',
+        code: 'RATE_LIMITED',
+        retryAfter: Math.ceil((user.verificationSentAt.getTime() + resendInterval - Date.now()) / 1000)
+      });
+    }
+
+    user.verificationSentAt = Date.now();
+    await user.save();
+
+    sendVerificationEmail(user);
+
+    res.json({
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      error: 'Failed to send verification email',
+      code: 'VERIFICATION_ERROR'
+    });
+  }
+});
+
 /**
  * POST /api/auth/login
  * Authenticate user with email & password
@@ -101,7 +227,7 @@ router.post('/auth/register', async (req, res) => {
  * 
  * @body {string} email - User's email
  * @body {string} password - User's password
- * @returns {object} JWT token and user data
+ * @returns {object} JWT token and user data, or a 2FA challenge token
  */
 router.post('/auth/login', loginLimiter, auditLog('LOGIN', 'user'), async (req, res) => {
   try {
@@ -124,6 +250,15 @@ router.post('/auth/login', loginLimiter, auditLog('LOGIN', 'user'), async (req,
       });
     }
 
+    // Locked with `cli.js users lock`
+    if (user.isAdminLocked) {
+      return res.status(403).json({
+        error: 'Account locked by an administrator',
+        code: 'ACCOUNT_LOCKED_BY_ADMIN',
+        unlockTime: user.adminLockedUntil
+      });
+    }
+
     // Check if account is locked
     if (user.isLocked) {
       return res.status(403).json({
@@ -146,42 +281,22 @@ router.post('/auth/login', loginLimiter, auditLog('LOGIN', 'user'), async (req,
       });
     }
 
+    // Password is right; accounts with 2FA finish at POST /api/auth/2fa/login.
+    // Failed attempts are only reset there, so re-entering the password
+    // cannot be used to keep guessing codes past the lockout.
+    if (user.twoFactor?.enabled) {
+      return res.json({
+        message: 'Enter the code from your authenticator app',
+        code: 'TWO_FACTOR_REQUIRED',
+        challengeToken: createChallengeToken(user)
+      });
+    }
+
     // Reset login attempts on successful login
     await user.resetLoginAttempts();
 
-    // Create JWT tokens
-    const accessToken = jwt.sign(
-      {
-        id: user._id,
-        email: user.email,
-        role: user.role
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: '15m' } // Short-lived access token
-    );
-
-    const refreshToken = jwt.sign(
-      {
-        id: user._id
-      },
-      process.env.REFRESH_SECRET || process.env.JWT_SECRET,
-      { expiresIn: '7d' } // Longer-lived refresh token
-    );
-
-    // Set secure cookies
-    res.cookie('accessToken', accessToken, {
-      httpOnly: true,        // Prevent XSS
-      secure: process.env.NODE_ENV === 'production', // HTTPS only in production
-      sameSite: 'strict',    // Prevent CSRF
-      maxAge: 15 * 60 * 1000 // 15 minutes
-    });
-
-    res.cookie('refreshToken', refreshToken, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'strict',
-      maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
-    });
+    // Create a session, its JWT tokens and secure cookies
+    const { accessToken } = await startSession(req, res, user);
 
     const userResponse = user.toObject();
     delete userResponse.password;
@@ -203,6 +318,8 @@ router.post('/auth/login', loginLimiter, auditLog('LOGIN', 'user'), async (req,
 /**
  * POST /api/auth/refresh-token
  * Refresh expired access token using refresh token
+ * The refresh token is rotated: each one works once, and reusing an old
+ * one signs the whole session out
  * 
  * @body {string} refreshToken - Valid refresh token
  * @returns {object} New access token
@@ -218,40 +335,20 @@ router.post('/auth/refresh-token', async (req, res) => {
       });
     }
 
-    const decoded = jwt.verify(
-      refreshToken,
-      process.env.REFRESH_SECRET || process.env.JWT_SECRET
-    );
+    // Single-use: the presented token is swapped for a new pair
+    const { conflict, ...tokens } = await rotateSession(req, res, refreshToken);
 
-    const user = await User.findById(decoded.id);
-
-    if (!user || !user.isActive) {
-      return res.status(401).json({
-        error: 'Invalid refresh token',
-        code: 'INVALID_REFRESH_TOKEN'
-      });
+    if (conflict) {
+      clearSessionCookies(res);
+      const { status, ...body } = conflict;
+      return res.status(status).json(body);
     }
 
-    const newAccessToken = jwt.sign(
-      {
-        id: user._id,
-        email: user.email,
-        role: user.role
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: '15m' }
-    );
-
-    res.cookie('accessToken', newAccessToken, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'strict',
-      maxAge: 15 * 60 * 1000
-    });
-
     res.json({
       message: 'Token refreshed',
-      accessToken: newAccessToken
+      accessToken: tokens.accessToken,
+      // Clients that send the token in the body need the replacement back
+      ...(!req.cookies.refreshToken && { refreshToken: tokens.refreshToken })
     });
   } catch (error) {
     console.error('Token refresh error:', error);
@@ -262,14 +359,146 @@ router.post('/auth/refresh-token', async (req, res) => {
   }
 });
 
+const hashResetToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * POST /api/auth/forgot-password
+ * Email a single-use password reset link (valid for 1 hour)
+ * Always answers the same way so it cannot be used to probe for accounts
+ * 
+ * @body {string} email - Account email
+ */
+router.post('/auth/forgot-password', loginLimiter, async (req, res) => {
+  const genericResponse = {
+    message: 'If that email is registered, a password reset link has been sent.'
+  };
+
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        error: 'Email required',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    const user = await User.findOne({ email: String(email).toLowerCase() });
+    if (!user || !user.isActive) {
+      return res.json(genericResponse);
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    user.passwordResetTokenHash = hashResetToken(token);
+    user.passwordResetExpires = Date.now() + 60 * 60 * 1000;
+    await user.save();
+
+    queueEmail('password-reset', user.email, {
+      name: user.name,
+      resetUrl: appUrl(`/reset-password/${token}`)
+    });
+
+    res.json(genericResponse);
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      error: 'Failed to process request',
+      code: 'FORGOT_PASSWORD_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/auth/reset-password/:token
+ * Set a new password using a reset link; signs out every session
+ * 
+ * @param {string} token - Reset token from the email link
+ * @body {string} password - New password (same rules as registration)
+ * @body {string} confirmPassword - Must match password
+ */
+router.post('/auth/reset-password/:token', async (req, res) => {
+  try {
+    const { password, confirmPassword } = req.body;
+
+    if (!isStrongPassword(password)) {
+      return res.status(400).json({
+        error: PASSWORD_RULES_MESSAGE,
+        code: 'WEAK_PASSWORD'
+      });
+    }
+
+    if (password !== confirmPassword) {
+      return res.status(400).json({
+        error: 'Passwords do not match',
+        code: 'PASSWORD_MISMATCH'
+      });
+    }
+
+    const user = await User.findOne({
+      passwordResetTokenHash: hashResetToken(req.params.token),
+      passwordResetExpires: { $gt: Date.now() }
+    }).select('+passwordHistory');
+
+    if (!user) {
+      return res.status(400).json({
+        error: 'Reset link is invalid or has expired',
+        code: 'INVALID_RESET_TOKEN'
+      });
+    }
+
+    if (await isRecentPassword(user, password)) {
+      return res.status(400).json({
+        error: 'Choose a password you have not used recently',
+        code: 'PASSWORD_REUSED'
+      });
+    }
+
+    await setPassword(user, password);
+    user.passwordResetTokenHash = null;
+    user.passwordResetExpires = null;
+    user.tokenVersion += 1;
+    user.loginAttempts = 0;
+    user.lockUntil = null;
+    user.updatedAt = Date.now();
+    await user.save();
+    await revokeUserSessions(user._id, 'password_reset');
+
+    queueEmail('password-changed', user.email, { name: user.name, wasReset: true });
+
+    clearSessionCookies(res);
+
+    res.json({
+      message: 'Password reset successful. Please login with your new password.',
+      code: 'PASSWORD_RESET'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      error: 'Password reset failed',
+      code: 'RESET_PASSWORD_ERROR'
+    });
+  }
+});
+
 /**
  * POST /api/auth/logout
- * Logout user and clear authentication cookies
- * Protected: Requires authentication
+ * Revoke the current session server-side and clear authentication cookies
+ * Works with an expired access token as long as the refresh cookie is sent
  */
-router.post('/auth/logout', protect, auditLog('LOGOUT', 'user'), (req, res) => {
-  res.clearCookie('accessToken');
-  res.clearCookie('refreshToken');
+router.post('/auth/logout', optionalAuth, auditLog('LOGOUT', 'user'), async (req, res) => {
+  try {
+    const refreshToken = req.cookies.refreshToken || req.body.refreshToken;
+    const sessionId = (refreshToken && sessionIdFromRefreshToken(refreshToken)) || req.sessionId;
+
+    if (sessionId) {
+      await revokeSession(sessionId, 'logout');
+    }
+  } catch (error) {
+    // Still clear cookies; the session expires on its own
+    console.error('Logout error:', error);
+  }
+
+  clearSessionCookies(res);
 
   res.json({
     message: 'Logged out successfully',
@@ -292,6 +521,462 @@ router.get('/auth/me', protect, (req, res) => {
   });
 });
 
+/**
+ * PUT /api/auth/password
+ * Change own password; every other session is signed out
+ * Protected: Requires authentication
+ * 
+ * @body {string} currentPassword - Current password
+ * @body {string} newPassword - New password (same rules as registration)
+ * @body {string} confirmPassword - Must match newPassword
+ */
+router.put('/auth/password', protect, loginLimiter, auditLog('CHANGE_PASSWORD', 'user'), async (req, res) => {
+  try {
+    const { currentPassword, newPassword, confirmPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        error: 'Current and new password required',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    if (!isStrongPassword(newPassword)) {
+      return res.status(400).json({
+        error: PASSWORD_RULES_MESSAGE,
+        code: 'WEAK_PASSWORD'
+      });
+    }
+
+    if (newPassword !== confirmPassword) {
+      return res.status(400).json({
+        error: 'Passwords do not match',
+        code: 'PASSWORD_MISMATCH'
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+passwordHistory');
+
+    if (!(await bcrypt.compare(currentPassword, user.password))) {
+      return res.status(401).json({
+        error: 'Current password is incorrect',
+        code: 'INVALID_CREDENTIALS'
+      });
+    }
+
+    if (await isRecentPassword(user, newPassword)) {
+      return res.status(400).json({
+        error: 'Choose a password you have not used recently',
+        code: 'PASSWORD_REUSED'
+      });
+    }
+
+    await setPassword(user, newPassword);
+    user.tokenVersion += 1;
+    user.updatedAt = Date.now();
+    await user.save();
+    await revokeUserSessions(user._id, 'password_change', { exceptId: req.sessionId });
+
+    // Old tokens are now revoked; keep this session signed in
+    const { accessToken } = await renewSession(req, res, user);
+
+    queueEmail('password-changed', user.email, { name: user.name, wasReset: false });
+
+    res.json({
+      message: 'Password changed successfully',
+      code: 'PASSWORD_CHANGED',
+      accessToken
+    });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({
+      error: 'Failed to change password',
+      code: 'CHANGE_PASSWORD_ERROR'
+    });
+  }
+});
+
+const TWO_FACTOR_SECRETS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+/**
+ * POST /api/auth/2fa/login
+ * Second login step for accounts with 2FA
+ * Rate limited to prevent brute force
+ * 
+ * @body {string} challengeToken - Token returned by POST /api/auth/login
+ * @body {string} [code] - 6-digit code from the authenticator app
+ * @body {string} [recoveryCode] - One-time recovery code, instead of `code`
+ */
+router.post('/auth/2fa/login', loginLimiter, auditLog('LOGIN_2FA', 'user'), async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        error: 'Challenge token and code required',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = decodeChallengeToken(challengeToken);
+    } catch (error) {
+      return res.status(401).json({
+        error: 'Login challenge is invalid or has expired. Please login again.',
+        code: 'INVALID_CHALLENGE'
+      });
+    }
+
+    const user = await User.findById(decoded.id).select(TWO_FACTOR_SECRETS);
+
+    if (!user || !user.isActive || !user.twoFactor.enabled || isTokenRevoked(decoded, user)) {
+      return res.status(401).json({
+        error: 'Login challenge is invalid or has expired. Please login again.',
+        code: 'INVALID_CHALLENGE'
+      });
+    }
+
+    if (user.isAdminLocked) {
+      return res.status(403).json({
+        error: 'Account locked by an administrator',
+        code: 'ACCOUNT_LOCKED_BY_ADMIN',
+        unlockTime: user.adminLockedUntil
+      });
+    }
+
+    if (user.isLocked) {
+      return res.status(403).json({
+        error: 'Account locked. Try again later.',
+        code: 'ACCOUNT_LOCKED',
+        unlockTime: user.lockUntil
+      });
+    }
+
+    const method = verifySecondFactor(user, { code, recoveryCode });
+
+    if (!method) {
+      await user.incLoginAttempts();
+
+      return res.status(401).json({
+        error: 'Invalid authentication code',
+        code: 'INVALID_2FA_CODE'
+      });
+    }
+
+    await user.save();
+    await user.resetLoginAttempts();
+
+    const { accessToken } = await startSession(req, res, user);
+
+    const userResponse = user.toObject();
+    delete userResponse.password;
+    userResponse.twoFactor = { enabled: true, enabledAt: user.twoFactor.enabledAt };
+
+    res.json({
+      message: 'Login successful',
+      accessToken,
+      user: userResponse,
+      ...(method === 'recovery_code' && { recoveryCodesRemaining: user.twoFactor.recoveryCodes.length })
+    });
+  } catch (error) {
+    console.error('2FA login error:', error);
+    res.status(500).json({
+      error: 'Login failed',
+      code: 'LOGIN_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/setup
+ * Start 2FA enrollment: returns a new secret and otpauth:// URL for an
+ * authenticator app. Nothing changes until /2fa/verify confirms a code.
+ * Protected: Requires authentication
+ */
+router.post('/auth/2fa/setup', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_SECRETS);
+
+    if (user.twoFactor.enabled) {
+      return res.status(409).json({
+        error: 'Two-factor authentication is already enabled',
+        code: 'TWO_FACTOR_ALREADY_ENABLED'
+      });
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    res.json({
+      message: 'Scan the QR code or enter the secret in your authenticator app, then verify a code',
+      secret,
+      otpauthUrl: otpauthUrl(secret, user.email, ISSUER)
+    });
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({
+      error: 'Failed to start two-factor setup',
+      code: 'TWO_FACTOR_SETUP_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/verify
+ * Finish enrollment with a code from the app; returns recovery codes once
+ * Protected: Requires authentication
+ * 
+ * @body {string} code - 6-digit code from the authenticator app
+ */
+router.post('/auth/2fa/verify', protect, auditLog('ENABLE_2FA', 'user'), async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_SECRETS);
+
+    if (user.twoFactor.enabled) {
+      return res.status(409).json({
+        error: 'Two-factor authentication is already enabled',
+        code: 'TWO_FACTOR_ALREADY_ENABLED'
+      });
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        error: 'Start setup with POST /api/auth/2fa/setup first',
+        code: 'TWO_FACTOR_NOT_STARTED'
+      });
+    }
+
+    const step = verifyTotp(user.twoFactor.pendingSecret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({
+        error: 'Invalid authentication code',
+        code: 'INVALID_2FA_CODE'
+      });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = null;
+    user.twoFactor.recoveryCodes = hashes;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = Date.now();
+    user.updatedAt = Date.now();
+    await user.save();
+
+    res.json({
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe; they will not be shown again.',
+      code: 'TWO_FACTOR_ENABLED',
+      recoveryCodes: codes
+    });
+  } catch (error) {
+    console.error('2FA verify error:', error);
+    res.status(500).json({
+      error: 'Failed to enable two-factor authentication',
+      code: 'TWO_FACTOR_SETUP_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/recovery-codes
+ * Replace all recovery codes (the old ones stop working)
+ * Protected: Requires authentication
+ * 
+ * @body {string} code - 6-digit code from the authenticator app
+ */
+router.post('/auth/2fa/recovery-codes', protect, auditLog('REGENERATE_2FA_RECOVERY_CODES', 'user'), async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_SECRETS);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        error: 'Two-factor authentication is not enabled',
+        code: 'TWO_FACTOR_NOT_ENABLED'
+      });
+    }
+
+    if (!verifySecondFactor(user, { code: req.body.code })) {
+      return res.status(400).json({
+        error: 'Invalid authentication code',
+        code: 'INVALID_2FA_CODE'
+      });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = hashes;
+    await user.save();
+
+    res.json({
+      message: 'New recovery codes generated; previous codes no longer work',
+      recoveryCodes: codes
+    });
+  } catch (error) {
+    console.error('2FA recovery codes error:', error);
+    res.status(500).json({
+      error: 'Failed to generate recovery codes',
+      code: 'TWO_FACTOR_SETUP_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/disable
+ * Turn 2FA off. Not allowed for roles the 2FA policy applies to.
+ * Protected: Requires authentication
+ * 
+ * @body {string} password - Current password
+ * @body {string} [code] - 6-digit code from the authenticator app
+ * @body {string} [recoveryCode] - One-time recovery code, instead of `code`
+ */
+router.post('/auth/2fa/disable', protect, auditLog('DISABLE_2FA', 'user'), async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_SECRETS);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        error: 'Two-factor authentication is not enabled',
+        code: 'TWO_FACTOR_NOT_ENABLED'
+      });
+    }
+
+    const role = await getRole(user.role);
+    if (isTwoFactorRequired(role?.baseRole)) {
+      return res.status(403).json({
+        error: 'Two-factor authentication is mandatory for your role',
+        code: 'TWO_FACTOR_MANDATORY'
+      });
+    }
+
+    if (!password || !(await bcrypt.compare(password, user.password))) {
+      return res.status(401).json({
+        error: 'Current password is incorrect',
+        code: 'INVALID_CREDENTIALS'
+      });
+    }
+
+    if (!verifySecondFactor(user, { code, recoveryCode })) {
+      return res.status(400).json({
+        error: 'Invalid authentication code',
+        code: 'INVALID_2FA_CODE'
+      });
+    }
+
+    user.set('twoFactor', {
+      enabled: false,
+      enabledAt: null,
+      secret: null,
+      pendingSecret: null,
+      recoveryCodes: [],
+      lastUsedStep: null
+    });
+    user.updatedAt = Date.now();
+    await user.save();
+
+    res.json({
+      message: 'Two-factor authentication disabled',
+      code: 'TWO_FACTOR_DISABLED'
+    });
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({
+      error: 'Failed to disable two-factor authentication',
+      code: 'TWO_FACTOR_DISABLE_ERROR'
+    });
+  }
+});
+
+/**
+ * GET /api/auth/sessions
+ * List devices the current user is signed in on
+ * Protected: Requires authentication
+ */
+router.get('/auth/sessions', protect, async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(req.user._id, { currentId: req.sessionId });
+
+    res.json({
+      message: 'Sessions retrieved',
+      count: sessions.length,
+      sessions
+    });
+  } catch (error) {
+    console.error('Fetch sessions error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch sessions',
+      code: 'FETCH_FAILED'
+    });
+  }
+});
+
+/**
+ * DELETE /api/auth/sessions/:sessionId
+ * Sign out one of the current user's sessions
+ * Protected: Requires authentication
+ */
+router.delete('/auth/sessions/:sessionId', protect, auditLog('REVOKE_SESSION', 'session'), async (req, res) => {
+  try {
+    const revoked = await revokeSession(req.params.sessionId, 'user', { userId: req.user._id });
+
+    if (!revoked) {
+      return res.status(404).json({
+        error: 'Session not found',
+        code: 'SESSION_NOT_FOUND'
+      });
+    }
+
+    if (String(req.params.sessionId) === String(req.sessionId)) {
+      clearSessionCookies(res);
+    }
+
+    res.json({
+      message: 'Session signed out',
+      code: 'SESSION_REVOKED'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      error: 'Failed to sign out session',
+      code: 'REVOKE_FAILED'
+    });
+  }
+});
+
+/**
+ * DELETE /api/auth/sessions
+ * Sign out everywhere
+ * Protected: Requires authentication
+ * 
+ * @query {boolean} [exceptCurrent] - Keep the session making this request signed in
+ */
+router.delete('/auth/sessions', protect, auditLog('REVOKE_ALL_SESSIONS', 'session'), async (req, res) => {
+  try {
+    const keepCurrent = req.query.exceptCurrent === 'true' && req.sessionId;
+    const revoked = await revokeUserSessions(req.user._id, 'user', {
+      exceptId: keepCurrent ? req.sessionId : undefined
+    });
+
+    if (!keepCurrent) {
+      clearSessionCookies(res);
+    }
+
+    res.json({
+      message: keepCurrent ? 'Signed out of all other sessions' : 'Signed out everywhere',
+      code: 'SESSIONS_REVOKED',
+      revoked
+    });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({
+      error: 'Failed to sign out sessions',
+      code: 'REVOKE_FAILED'
+    });
+  }
+});
+
 /**
  * PUT /api/users/:id
  * Update user profile
@@ -301,6 +986,8 @@ router.put('/users/:id', protect, checkResourceOwnership, auditLog('UPDATE_PROFI
   try {
     const { name, phone } = req.body;
 
+    const before = await User.findById(req.params.id).select('-password');
+
     const updatedUser = await User.findByIdAndUpdate(
       req.params.id,
       {
@@ -310,6 +997,7 @@ router.put('/users/:id', protect, checkResourceOwnership, auditLog('UPDATE_PROFI
       },
       { new: true, runValidators: true }
     ).select('-password');
+    auditChange(res, { resourceId: req.params.id, before, after: updatedUser });
 
     res.json({
       message: 'Profile updated successfully',
@@ -326,15 +1014,63 @@ router.put('/users/:id', protect, checkResourceOwnership, auditLog('UPDATE_PROFI
 
 /**
  * GET /api/admin/users
- * Get all users (Admin only)
+ * List users, a page at a time (Admin only)
  * Protected: Requires admin role
+ *
+ * @query {string} [q] - Partial, case-insensitive name or email
+ * @query {string} [role] - Comma-separated role names
+ * @query {boolean} [isActive]
+ * @query {boolean} [emailVerified]
+ * @query {string} [sort=-createdAt] - e.g. "name" or "-lastLogin"
+ * @query {number} [page=1]
+ * @query {number} [limit=50] - At most 200
  */
 router.get('/admin/users', protect, authorize('admin'), checkPermission(['view_users']), async (req, res) => {
   try {
-    const users = await User.find().select('-password');
+    const { q, role, isActive, emailVerified } = req.query;
+    const filter = {};
+
+    if (q) {
+      const pattern = new RegExp(escapeRegex(String(q).trim()), 'i');
+      filter.$or = [{ name: pattern }, { email: pattern }];
+    }
+
+    if (role) {
+      const roles = String(role).split(',').map(r => r.trim().toLowerCase());
+      filter.role = roles.length === 1 ? roles[0] : { $in: roles };
+    }
+
+    for (const [field, value] of Object.entries({ isActive, emailVerified })) {
+      if (value === undefined) continue;
+      if (value !== 'true' && value !== 'false') {
+        return res.status(400).json({
+          error: `${field} must be true or false`,
+          code: 'VALIDATION_ERROR'
+        });
+      }
+      filter[field] = value === 'true';
+    }
+
+    const { sort, conflict } = parseSort(req.query.sort, USER_SORT_FIELDS, '-createdAt');
+    if (conflict) {
+      const { status, ...body } = conflict;
+      return res.status(status).json(body);
+    }
+
+    const paging = parsePagination(req.query);
+
+    const [users, total] = await Promise.all([
+      User.find(filter)
+        .select('-password')
+        .sort(sort)
+        .skip(paging.skip)
+        .limit(paging.limit),
+      User.countDocuments(filter)
+    ]);
 
     res.json({
       message: 'Users retrieved',
+      ...pageInfo(paging, total),
       count: users.length,
       users
     });
@@ -347,6 +1083,101 @@ router.get('/admin/users', protect, authorize('admin'), checkPermission(['view_u
   }
 });
 
+/**
+ * GET /api/admin/users/:id/sessions
+ * List a user's signed-in sessions (Admin only)
+ * Protected: Requires admin role
+ */
+router.get('/admin/users/:id/sessions', protect, authorize('admin'), checkPermission(['view_users']), async (req, res) => {
+  try {
+    const user = mongoose.isValidObjectId(req.params.id) && await User.findById(req.params.id).select('email');
+
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    const sessions = await listActiveSessions(user._id);
+
+    res.json({
+      message: 'Sessions retrieved',
+      user: { id: user._id, email: user.email },
+      count: sessions.length,
+      sessions
+    });
+  } catch (error) {
+    console.error('Fetch user sessions error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch sessions',
+      code: 'FETCH_FAILED'
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/users/:id/sessions/:sessionId
+ * Sign out one of a user's sessions (Admin only)
+ * Protected: Requires admin role
+ */
+router.delete('/admin/users/:id/sessions/:sessionId', protect, authorize('admin'), checkPermission(['update_users']), auditLog('ADMIN_REVOKE_SESSION', 'session'), async (req, res) => {
+  try {
+    const revoked = mongoose.isValidObjectId(req.params.id)
+      && await revokeSession(req.params.sessionId, 'admin', { userId: req.params.id });
+
+    if (!revoked) {
+      return res.status(404).json({
+        error: 'Session not found',
+        code: 'SESSION_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      message: 'Session signed out',
+      code: 'SESSION_REVOKED'
+    });
+  } catch (error) {
+    console.error('Admin revoke session error:', error);
+    res.status(500).json({
+      error: 'Failed to sign out session',
+      code: 'REVOKE_FAILED'
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/users/:id/sessions
+ * Sign a user out everywhere, e.g. after an account compromise (Admin only)
+ * Protected: Requires admin role
+ */
+router.delete('/admin/users/:id/sessions', protect, authorize('admin'), checkPermission(['update_users']), auditLog('ADMIN_REVOKE_ALL_SESSIONS', 'session'), async (req, res) => {
+  try {
+    const user = mongoose.isValidObjectId(req.params.id) && await User.findById(req.params.id).select('email');
+
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    const revoked = await revokeUserSessions(user._id, 'admin');
+
+    res.json({
+      message: `Signed ${user.email} out everywhere`,
+      code: 'SESSIONS_REVOKED',
+      revoked
+    });
+  } catch (error) {
+    console.error('Admin revoke sessions error:', error);
+    res.status(500).json({
+      error: 'Failed to sign out sessions',
+      code: 'REVOKE_FAILED'
+    });
+  }
+});
+
 /**
  * DELETE /api/admin/users/:id
  * Delete user account (Admin only)
@@ -363,6 +1194,9 @@ router.delete('/admin/users/:id', protect, authorize('admin'), checkPermission([
       });
     }
 
+    await revokeUserSessions(user._id, 'admin');
+    auditChange(res, { resourceId: user._id, before: user });
+
     res.json({
       message: 'User deleted successfully',
       deletedUser: user.email
@@ -0,0 +1,143 @@
+import express from 'express';
+import crypto from 'crypto';
+import User from '../models/user.js';
+import Reservation from '../models/reservation.js';
+import { protect, auditLog } from '../middlewares/authAdvanced.js';
+import { hashToken } from '../utils/authTokens.js';
+import { appUrl } from '../utils/appUrl.js';
+import { toIcs } from '../utils/reservationExport.js';
+import { ACTIVE_STATUSES } from '../utils/availability.js';
+import { venueDate } from '../utils/venueTime.js';
+
+/**
+ * Calendar Routes
+ * iCalendar downloads for single bookings, plus a per-user feed URL that
+ * calendar apps can subscribe to. Calendar apps can't send our auth
+ * cookies, so the feed is authenticated by a secret token in its URL.
+ */
+const router = express.Router();
+
+const sendIcs = (res, filename, body) => {
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': `attachment; filename="${filename}"`
+  });
+  res.send(body);
+};
+
+const feedUrl = (token) => appUrl(`/api/calendar/${token}.ics`);
+
+/**
+ * GET /api/reservations/:id/ics
+ * Download one of your reservations as an .ics file
+ * Protected: Owner only
+ */
+router.get('/reservations/:id/ics', protect, async (req, res) => {
+  try {
+    const reservation = await Reservation.findById(req.params.id);
+
+    if (!reservation) {
+      return res.status(404).json({
+        error: 'Reservation not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    if (String(reservation.userId) !== String(req.user._id)) {
+      return res.status(403).json({
+        error: 'Cannot access this resource',
+        code: 'NOT_OWNER'
+      });
+    }
+
+    sendIcs(res, `reservation-${reservation._id}.ics`, toIcs([reservation]));
+  } catch (error) {
+    console.error('Reservation ics error:', error);
+    res.status(500).json({
+      error: 'Failed to export reservation',
+      code: 'EXPORT_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/reservations/calendar-feed
+ * Create (or replace) your calendar feed URL. Any previous URL stops working.
+ * Protected: User must be authenticated
+ */
+router.post('/reservations/calendar-feed', protect, auditLog('CREATE_CALENDAR_FEED', 'user'), async (req, res) => {
+  try {
+    const token = crypto.randomBytes(32).toString('hex');
+    await User.updateOne({ _id: req.user._id }, { calendarFeedTokenHash: hashToken(token) });
+
+    res.status(201).json({
+      message: 'Calendar feed created. Subscribe to this URL in your calendar app; keep it private.',
+      url: feedUrl(token)
+    });
+  } catch (error) {
+    console.error('Create calendar feed error:', error);
+    res.status(500).json({
+      error: 'Failed to create calendar feed',
+      code: 'UPDATE_ERROR'
+    });
+  }
+});
+
+/**
+ * DELETE /api/reservations/calendar-feed
+ * Turn off your calendar feed
+ * Protected: User must be authenticated
+ */
+router.delete('/reservations/calendar-feed', protect, auditLog('DELETE_CALENDAR_FEED', 'user'), async (req, res) => {
+  try {
+    await User.updateOne({ _id: req.user._id }, { calendarFeedTokenHash: null });
+
+    res.json({
+      message: 'Calendar feed disabled'
+    });
+  } catch (error) {
+    console.error('Delete calendar feed error:', error);
+    res.status(500).json({
+      error: 'Failed to disable calendar feed',
+      code: 'UPDATE_ERROR'
+    });
+  }
+});
+
+/**
+ * GET /api/calendar/:token.ics
+ * Upcoming confirmed bookings for the feed's owner
+ * Public: the token in the URL identifies the user
+ */
+router.get('/calendar/:token.ics', async (req, res) => {
+  try {
+    const user = await User.findOne({
+      calendarFeedTokenHash: hashToken(req.params.token),
+      isActive: true
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        error: 'Calendar feed not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    const today = venueDate();
+    const reservations = await Reservation.find({
+      userId: user._id,
+      status: { $in: ACTIVE_STATUSES },
+      date: { $gte: today }
+    }).sort({ date: 1, time: 1 });
+
+    sendIcs(res, 'clubverse.ics', toIcs(reservations, { name: 'ClubVerse bookings' }));
+  } catch (error) {
+    console.error('Calendar feed error:', error);
+    res.status(500).json({
+      error: 'Failed to build calendar feed',
+      code: 'EXPORT_ERROR'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,241 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Club from '../models/club.js';
+import { protect, authorize, checkPermission, auditLog } from '../middlewares/authAdvanced.js';
+import { auditChange } from '../utils/audit.js';
+import { findNameClash, renameClubReferences } from '../utils/clubCatalog.js';
+
+const router = express.Router();
+
+// Fields an admin may set on a club
+const editableFields = [
+  'name', 'slug', 'city', 'tagline', 'description', 'address', 'images',
+  'hours', 'tablesPerSlot', 'maxCoversPerSlot', 'timeSlots', 'contact', 'coordinates', 'noShowPolicy', 'isActive'
+];
+
+const pickEditable = (body) => Object.fromEntries(
+  Object.entries(body || {}).filter(([key, value]) => editableFields.includes(key) && value !== undefined)
+);
+
+const slugify = (value) => String(value || '')
+  .toLowerCase()
+  .replace(/&/g, ' and ')
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+const sendConflict = (res, { status, ...body }) => res.status(status).json(body);
+
+/**
+ * Map Mongoose validation / duplicate key errors to API responses
+ */
+const sendClubError = (res, error, fallbackCode, fallbackMessage) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      error: 'Invalid club data',
+      code: 'VALIDATION_ERROR',
+      details: Object.values(error.errors).map(e => e.message)
+    });
+  }
+
+  if (error.code === 11000) {
+    return res.status(409).json({
+      error: 'A club with this slug already exists',
+      code: 'SLUG_EXISTS'
+    });
+  }
+
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({
+    error: fallbackMessage,
+    code: fallbackCode
+  });
+};
+
+const sendNameExists = (res) => res.status(409).json({
+  error: 'A club with this name already exists',
+  code: 'NAME_EXISTS'
+});
+
+const findClubById = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  return Club.findById(id);
+};
+
+/**
+ * GET /api/admin/clubs
+ * List all clubs, including inactive ones (Admin only)
+ */
+router.get('/admin/clubs', protect, authorize('admin'), checkPermission(['manage_clubs']), async (req, res) => {
+  try {
+    const clubs = await Club.find().sort({ city: 1, name: 1 });
+
+    res.json({
+      message: 'Clubs retrieved',
+      count: clubs.length,
+      clubs
+    });
+  } catch (error) {
+    console.error('Fetch clubs error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch clubs',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+/**
+ * GET /api/admin/clubs/:id
+ * Get a single club (Admin only)
+ */
+router.get('/admin/clubs/:id', protect, authorize('admin'), checkPermission(['manage_clubs']), async (req, res) => {
+  try {
+    const club = await findClubById(req.params.id);
+
+    if (!club) {
+      return res.status(404).json({
+        error: 'Club not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    res.json({
+      message: 'Club retrieved',
+      club
+    });
+  } catch (error) {
+    console.error('Fetch club error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch club',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/admin/clubs
+ * Create a club (Admin only)
+ *
+ * @body {string} name - Display name
+ * @body {string} city - City the venue is grouped under
+ * @body {number} tablesPerSlot - Tables bookable in each time slot
+ * @body {string} [slug] - URL slug, derived from the name when omitted
+ */
+router.post('/admin/clubs', protect, authorize('admin'), checkPermission(['manage_clubs']), auditLog('CREATE_CLUB', 'club'), async (req, res) => {
+  try {
+    const data = pickEditable(req.body);
+
+    if (!data.name || !data.city || !data.tablesPerSlot) {
+      return res.status(400).json({
+        error: 'Name, city and tablesPerSlot are required',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    data.slug = slugify(data.slug || data.name);
+
+    if (await findNameClash(data.name)) return sendNameExists(res);
+
+    const club = new Club(data);
+    await club.save();
+    auditChange(res, { resourceId: club._id, after: club });
+
+    res.status(201).json({
+      message: 'Club created',
+      club
+    });
+  } catch (error) {
+    sendClubError(res, error, 'CREATE_ERROR', 'Failed to create club');
+  }
+});
+
+/**
+ * PUT /api/admin/clubs/:id
+ * Update a club (Admin only)
+ * A new name or slug is carried over to the club's reservations, waitlist
+ * entries and managers; if that fails the club keeps its old name.
+ */
+router.put('/admin/clubs/:id', protect, authorize('admin'), checkPermission(['manage_clubs']), auditLog('UPDATE_CLUB', 'club'), async (req, res) => {
+  try {
+    const club = await findClubById(req.params.id);
+
+    if (!club) {
+      return res.status(404).json({
+        error: 'Club not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    const updates = pickEditable(req.body);
+    if (updates.slug !== undefined) updates.slug = slugify(updates.slug);
+
+    if (updates.name !== undefined && await findNameClash(updates.name, club._id)) {
+      return sendNameExists(res);
+    }
+
+    const before = club.toObject();
+    club.set({ ...updates, updatedAt: Date.now() });
+    await club.save();
+
+    // Put the club back if its bookings could not follow the new name
+    const restore = () => {
+      club.set(Object.fromEntries(['updatedAt', ...Object.keys(updates)].map(key => [key, before[key]])));
+      return club.save();
+    };
+    let renamed;
+    try {
+      renamed = await renameClubReferences(before, club);
+    } catch (error) {
+      await restore();
+      throw error;
+    }
+    if (renamed.conflict) {
+      await restore();
+      return sendConflict(res, renamed.conflict);
+    }
+
+    auditChange(res, { resourceId: club._id, before, after: club });
+
+    res.json({
+      message: 'Club updated',
+      club,
+      renamed
+    });
+  } catch (error) {
+    sendClubError(res, error, 'UPDATE_ERROR', 'Failed to update club');
+  }
+});
+
+/**
+ * DELETE /api/admin/clubs/:id
+ * Delete a club (Admin only)
+ * Existing reservations keep the club name they were booked under.
+ */
+router.delete('/admin/clubs/:id', protect, authorize('admin'), checkPermission(['manage_clubs']), auditLog('DELETE_CLUB', 'club'), async (req, res) => {
+  try {
+    const club = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Club.findByIdAndDelete(req.params.id)
+      : null;
+
+    if (!club) {
+      return res.status(404).json({
+        error: 'Club not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    auditChange(res, { resourceId: club._id, before: club });
+
+    res.json({
+      message: 'Club deleted',
+      deletedId: req.params.id
+    });
+  } catch (error) {
+    console.error('Delete club error:', error);
+    res.status(500).json({
+      error: 'Failed to delete club',
+      code: 'DELETE_ERROR'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,75 @@
+import express from 'express';
+import { protect, authorize, checkPermission, auditLog } from '../middlewares/authAdvanced.js';
+import { parseImportRows, importReservations, importUsers } from '../utils/bulkImport.js';
+
+/**
+ * Import Routes
+ * Bulk onboarding of a venue's existing bookings and guest accounts.
+ * Send CSV as text/csv, or JSON as an array of rows; add ?dryRun=true to
+ * get the accept/reject report without writing anything.
+ */
+const router = express.Router();
+
+// CSV uploads arrive as raw text; JSON goes through the app-wide parser
+const csvBody = express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' });
+
+const sendConflict = (res, { status, ...body }) => res.status(status).json(body);
+
+/**
+ * Shared handler: parse, validate every row, import all or nothing
+ */
+const handleImport = (importer) => async (req, res) => {
+  try {
+    const { rows, conflict } = parseImportRows(req.body);
+    if (conflict) return sendConflict(res, conflict);
+
+    const dryRun = req.query.dryRun === 'true';
+    const report = await importer(rows, { dryRun });
+
+    if (report.rejected > 0 && !dryRun) {
+      return res.status(422).json({
+        error: `${report.rejected} row(s) failed validation; nothing was imported`,
+        code: 'IMPORT_REJECTED',
+        ...report
+      });
+    }
+
+    res.status(dryRun ? 200 : 201).json({
+      message: dryRun ? 'Dry run complete; nothing was imported' : `Imported ${report.imported} row(s)`,
+      ...report
+    });
+  } catch (error) {
+    console.error('Import error:', error);
+    res.status(500).json({
+      error: 'Import failed; nothing was imported',
+      code: 'IMPORT_ERROR'
+    });
+  }
+};
+
+/**
+ * POST /api/admin/import/reservations
+ * Import bookings checked with the same rules as POST /api/reservations (Admin only)
+ * Protected: Requires manage_reservations permission
+ *
+ * Columns: name, email, phone, date, time, guests, club (or clubSlug),
+ * plus optional specialRequests, clubLocation, status, userId, createdAt.
+ * Rows are linked to an existing account by userId or matching email.
+ *
+ * @query {boolean} [dryRun] - Validate only
+ */
+router.post('/admin/import/reservations', protect, authorize('admin'), checkPermission(['manage_reservations']), csvBody, auditLog('IMPORT_RESERVATIONS', 'reservation'), handleImport(importReservations));
+
+/**
+ * POST /api/admin/import/users
+ * Create accounts in bulk (Admin only)
+ * Protected: Requires create_users permission
+ *
+ * Columns: name, email, plus optional phone, role (default "user") and
+ * emailVerified. Imported users set their password via forgot-password.
+ *
+ * @query {boolean} [dryRun] - Validate only
+ */
+router.post('/admin/import/users', protect, authorize('admin'), checkPermission(['create_users']), csvBody, auditLog('IMPORT_USERS', 'user'), handleImport(importUsers));
+
+export default router;
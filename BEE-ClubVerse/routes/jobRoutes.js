@@ -0,0 +1,57 @@
+import express from 'express';
+import { protect, authorize, checkPermission, auditLog } from '../middlewares/authAdvanced.js';
+import { getJobStatus, runJob } from '../utils/scheduler.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/admin/jobs
+ * Background jobs with their interval and last run (Admin only)
+ * Protected: Requires view_settings permission
+ */
+router.get('/admin/jobs', protect, authorize('admin'), checkPermission(['view_settings']), (req, res) => {
+  res.json({
+    message: 'Jobs retrieved',
+    jobs: getJobStatus()
+  });
+});
+
+/**
+ * POST /api/admin/jobs/:name/run
+ * Run a background job now instead of waiting for its next interval (Admin only)
+ * Protected: Requires update_settings permission
+ */
+router.post('/admin/jobs/:name/run', protect, authorize('admin'), checkPermission(['update_settings']), auditLog('RUN_JOB', 'job'), async (req, res) => {
+  const job = getJobStatus().find(j => j.name === req.params.name);
+
+  if (!job) {
+    return res.status(404).json({
+      error: 'Job not found',
+      code: 'NOT_FOUND'
+    });
+  }
+
+  if (job.running) {
+    return res.status(409).json({
+      error: 'Job is already running',
+      code: 'JOB_RUNNING'
+    });
+  }
+
+  const result = await runJob(job.name);
+  const status = getJobStatus().find(j => j.name === job.name);
+
+  if (status.lastError) {
+    return res.status(500).json({
+      error: `Job failed: ${status.lastError}`,
+      code: 'JOB_FAILED'
+    });
+  }
+
+  res.json({
+    message: 'Job completed',
+    result
+  });
+});
+
+export default router;
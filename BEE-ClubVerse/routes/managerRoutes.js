@@ -0,0 +1,199 @@
+import express from 'express';
+import Reservation from '../models/reservation.js';
+import { protect, authorize, checkPermission, scopeToManagedClubs, auditLog } from '../middlewares/authAdvanced.js';
+import { findClubBySlug } from '../utils/clubCatalog.js';
+import { isValidDate } from '../utils/reservationRules.js';
+import { RESERVATION_STATUSES, changeReservationStatus, checkOutcomeTransition } from '../utils/reservationStatus.js';
+import { auditChange } from '../utils/audit.js';
+
+/**
+ * Manager Routes
+ * Reservation tools for venue staff. Every query is limited to the clubs
+ * in req.clubScope (see scopeToManagedClubs); admins see every club.
+ */
+const router = express.Router();
+
+const staff = [protect, authorize('admin', 'manager')];
+
+// Reservations are stored with the club's display name
+const inScope = (scope, clubName) => scope === null || scope.some(c => c.name === clubName);
+
+const sendConflict = (res, { status, ...body }) => res.status(status).json(body);
+
+const notManaged = (res) => res.status(403).json({
+  error: 'You do not manage this club',
+  code: 'CLUB_NOT_MANAGED'
+});
+
+/**
+ * GET /api/manager/clubs
+ * Clubs the current manager is assigned to
+ * Protected: Manager or admin
+ */
+router.get('/manager/clubs', ...staff, checkPermission(['view_reservations']), scopeToManagedClubs, (req, res) => {
+  res.json({
+    message: 'Managed clubs retrieved',
+    allClubs: req.clubScope === null,
+    clubs: req.clubScope || []
+  });
+});
+
+/**
+ * GET /api/manager/reservations
+ * Reservations at the manager's clubs, newest first
+ * Protected: Manager or admin
+ *
+ * @query {string} [club] - Club slug to narrow to one venue
+ * @query {string} [date] - YYYY-MM-DD
+ * @query {string} [status] - pending | confirmed | checked_in | completed | no_show | cancelled
+ */
+router.get('/manager/reservations', ...staff, checkPermission(['view_reservations']), scopeToManagedClubs, async (req, res) => {
+  try {
+    const { club: slug, date, status } = req.query;
+    const filter = {};
+
+    if (slug) {
+      const club = req.clubScope
+        ? req.clubScope.find(c => c.slug === slug)
+        : await findClubBySlug(slug);
+
+      if (!club) return notManaged(res);
+      filter.club = club.name;
+    } else if (req.clubScope) {
+      filter.club = { $in: req.clubScope.map(c => c.name) };
+    }
+
+    if (date) {
+      if (!isValidDate(date)) {
+        return res.status(400).json({
+          error: 'Date must be in YYYY-MM-DD format',
+          code: 'INVALID_DATE'
+        });
+      }
+      filter.date = date;
+    }
+
+    if (status) {
+      if (!RESERVATION_STATUSES.includes(status)) {
+        return res.status(400).json({
+          error: 'Invalid status',
+          code: 'INVALID_STATUS'
+        });
+      }
+      filter.status = status;
+    }
+
+    const reservations = await Reservation.find(filter)
+      .populate('userId', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      message: 'Reservations retrieved',
+      count: reservations.length,
+      reservations
+    });
+  } catch (error) {
+    console.error('Fetch manager reservations error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch reservations',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+/**
+ * PATCH /api/manager/reservations/:id/status
+ * Update the status of a reservation at one of the manager's clubs
+ * Protected: Manager or admin
+ *
+ * @body {string} status - pending | confirmed | checked_in | completed | no_show | cancelled
+ */
+router.patch('/manager/reservations/:id/status', ...staff, checkPermission(['manage_reservations']), scopeToManagedClubs, auditLog('MANAGER_UPDATE_RESERVATION', 'reservation'), async (req, res) => {
+  try {
+    const { status } = req.body;
+
+    if (!RESERVATION_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: 'Invalid status',
+        code: 'INVALID_STATUS'
+      });
+    }
+
+    const existing = await Reservation.findById(req.params.id);
+
+    if (!existing) {
+      return res.status(404).json({
+        error: 'Reservation not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    if (!inScope(req.clubScope, existing.club)) return notManaged(res);
+
+    const reservation = await changeReservationStatus(existing, status);
+    auditChange(res, { resourceId: existing._id, before: existing, after: reservation });
+
+    res.json({
+      message: 'Reservation updated',
+      reservation
+    });
+  } catch (error) {
+    console.error('Manager update reservation error:', error);
+    res.status(500).json({
+      error: 'Failed to update reservation',
+      code: 'UPDATE_ERROR'
+    });
+  }
+});
+
+/**
+ * Record how a booking turned out. Only the moves allowed by
+ * checkOutcomeTransition are accepted, unlike the free-form status endpoint.
+ */
+const markOutcome = (status, label) => async (req, res) => {
+  try {
+    const existing = await Reservation.findById(req.params.id);
+
+    if (!existing) {
+      return res.status(404).json({
+        error: 'Reservation not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    if (!inScope(req.clubScope, existing.club)) return notManaged(res);
+
+    const conflict = checkOutcomeTransition(existing, status);
+    if (conflict) return sendConflict(res, conflict);
+
+    const reservation = await changeReservationStatus(existing, status);
+    auditChange(res, { resourceId: existing._id, before: existing, after: reservation });
+
+    res.json({
+      message: `Reservation marked as ${label}`,
+      reservation
+    });
+  } catch (error) {
+    console.error(`Mark ${label} error:`, error);
+    res.status(500).json({
+      error: 'Failed to update reservation',
+      code: 'UPDATE_ERROR'
+    });
+  }
+};
+
+/**
+ * PATCH /api/manager/reservations/:id/check-in
+ * Check in a guest on arrival (also corrects an earlier no-show)
+ * Protected: Manager or admin
+ */
+router.patch('/manager/reservations/:id/check-in', ...staff, checkPermission(['manage_reservations']), scopeToManagedClubs, auditLog('CHECK_IN_RESERVATION', 'reservation'), markOutcome('checked_in', 'checked in'));
+
+/**
+ * PATCH /api/manager/reservations/:id/no-show
+ * Mark a guest who never arrived; counts against their reliability record
+ * Protected: Manager or admin
+ */
+router.patch('/manager/reservations/:id/no-show', ...staff, checkPermission(['manage_reservations']), scopeToManagedClubs, auditLog('MARK_NO_SHOW', 'reservation'), markOutcome('no_show', 'no-show'));
+
+export default router;
@@ -0,0 +1,112 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import EmailOutbox from '../models/emailOutbox.js';
+import { protect, authorize, checkPermission, auditLog } from '../middlewares/authAdvanced.js';
+import { parsePagination, pageInfo } from '../utils/pagination.js';
+import { processOutbox } from '../utils/outbox.js';
+
+const router = express.Router();
+
+const OUTBOX_STATUSES = ['pending', 'sending', 'sent', 'failed'];
+
+/**
+ * GET /api/admin/email-outbox
+ * Queued and sent emails with their delivery status, newest first (Admin only)
+ * Protected: Requires view_logs permission
+ *
+ * @query {string} [status] - pending | sending | sent | failed
+ * @query {string} [to] - Recipient address
+ * @query {string} [template] - e.g. reservation-confirmed
+ * @query {number} [page=1]
+ * @query {number} [limit=50] - At most 200
+ */
+router.get('/admin/email-outbox', protect, authorize('admin'), checkPermission(['view_logs']), async (req, res) => {
+  try {
+    const { status, to, template } = req.query;
+    const filter = {};
+
+    if (status) {
+      if (!OUTBOX_STATUSES.includes(status)) {
+        return res.status(400).json({
+          error: `Status must be one of: ${OUTBOX_STATUSES.join(', ')}`,
+          code: 'INVALID_STATUS'
+        });
+      }
+      filter.status = status;
+    }
+    if (to) filter.to = String(to).toLowerCase();
+    if (template) filter.template = String(template);
+
+    const paging = parsePagination(req.query);
+
+    const [emails, total] = await Promise.all([
+      EmailOutbox.find(filter)
+        .select('-html -text')
+        .sort({ createdAt: -1 })
+        .skip(paging.skip)
+        .limit(paging.limit),
+      EmailOutbox.countDocuments(filter)
+    ]);
+
+    res.json({
+      message: 'Emails retrieved',
+      ...pageInfo(paging, total),
+      count: emails.length,
+      emails
+    });
+  } catch (error) {
+    console.error('Fetch email outbox error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch emails',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/admin/email-outbox/:id/retry
+ * Send a failed email again, with a fresh set of attempts (Admin only)
+ * Emails with a single-use link can't be retried: their body is discarded
+ * Protected: Requires update_settings permission
+ */
+router.post('/admin/email-outbox/:id/retry', protect, authorize('admin'), checkPermission(['update_settings']), auditLog('RETRY_EMAIL', 'email'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({
+        error: 'Email not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    const email = await EmailOutbox.findOneAndUpdate(
+      { _id: req.params.id, status: 'failed', html: { $ne: null } },
+      { status: 'pending', attempts: 0, nextAttemptAt: new Date(), lastError: null, expiresAt: null, updatedAt: Date.now() },
+      { new: true }
+    ).select('-html -text');
+
+    if (!email) {
+      const existing = await EmailOutbox.findById(req.params.id).select('status html');
+      if (!existing) {
+        return res.status(404).json({ error: 'Email not found', code: 'NOT_FOUND' });
+      }
+      return res.status(409).json(existing.status !== 'failed'
+        ? { error: 'Only failed emails can be retried', code: 'EMAIL_NOT_FAILED' }
+        : { error: 'This email held a single-use link and was discarded; the recipient has to request a new one', code: 'EMAIL_DISCARDED' });
+    }
+
+    processOutbox().catch(err => console.error('Email outbox error:', err));
+
+    res.json({
+      message: 'Email queued for another attempt',
+      email
+    });
+  } catch (error) {
+    console.error('Retry email error:', error);
+    res.status(500).json({
+      error: 'Failed to retry email',
+      code: 'UPDATE_ERROR'
+    });
+  }
+});
+
+export default router;
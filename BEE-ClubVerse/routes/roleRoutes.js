@@ -0,0 +1,325 @@
+import express from 'express';
+import Role from '../models/role.js';
+import User from '../models/user.js';
+import { protect, authorize, checkPermission, auditLog } from '../middlewares/authAdvanced.js';
+import { PERMISSIONS, invalidateRoleCache, unknownPermissions } from '../utils/roles.js';
+import { auditChange } from '../utils/audit.js';
+
+const router = express.Router();
+
+const guard = [protect, authorize('admin'), checkPermission(['manage_roles'])];
+
+// Permissions the built-in admin role must keep, so nobody locks themselves out
+const LOCKED_ADMIN_PERMISSIONS = ['manage_roles'];
+
+/**
+ * Map Mongoose validation / duplicate key errors to API responses
+ */
+const sendRoleError = (res, error, fallbackCode, fallbackMessage) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      error: 'Invalid role data',
+      code: 'VALIDATION_ERROR',
+      details: Object.values(error.errors).map(e => e.message)
+    });
+  }
+
+  if (error.code === 11000) {
+    return res.status(409).json({
+      error: 'A role with this name already exists',
+      code: 'ROLE_EXISTS'
+    });
+  }
+
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({
+    error: fallbackMessage,
+    code: fallbackCode
+  });
+};
+
+/**
+ * Validate a permissions list from a request body
+ * @returns {object|null} Error body to send, or null when valid
+ */
+const checkPermissionList = (permissions) => {
+  if (!Array.isArray(permissions)) {
+    return { error: 'Permissions must be an array', code: 'VALIDATION_ERROR' };
+  }
+
+  const unknown = unknownPermissions(permissions);
+  if (unknown.length > 0) {
+    return { error: 'Unknown permissions', code: 'UNKNOWN_PERMISSION', unknown, allowed: PERMISSIONS };
+  }
+
+  return null;
+};
+
+const dropsLockedPermission = (role, permissions) =>
+  role.name === 'admin' && LOCKED_ADMIN_PERMISSIONS.some(p => !permissions.includes(p));
+
+const findRole = (name) => Role.findOne({ name: String(name).toLowerCase() });
+
+const roleNotFound = (res) => res.status(404).json({
+  error: 'Role not found',
+  code: 'NOT_FOUND'
+});
+
+/**
+ * GET /api/admin/roles
+ * List roles and the permissions that can be granted (Admin only)
+ */
+router.get('/admin/roles', ...guard, async (req, res) => {
+  try {
+    const roles = await Role.find().sort({ isSystem: -1, name: 1 });
+
+    res.json({
+      message: 'Roles retrieved',
+      count: roles.length,
+      roles,
+      permissions: PERMISSIONS
+    });
+  } catch (error) {
+    console.error('Fetch roles error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch roles',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+/**
+ * GET /api/admin/roles/:name
+ * Get a single role with the number of users holding it (Admin only)
+ */
+router.get('/admin/roles/:name', ...guard, async (req, res) => {
+  try {
+    const role = await findRole(req.params.name);
+    if (!role) return roleNotFound(res);
+
+    const userCount = await User.countDocuments({ role: role.name });
+
+    res.json({
+      message: 'Role retrieved',
+      role,
+      userCount
+    });
+  } catch (error) {
+    console.error('Fetch role error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch role',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/admin/roles
+ * Create a custom role (Admin only)
+ *
+ * @body {string} name - Lowercase role name
+ * @body {string[]} permissions - Permissions to grant
+ * @body {string} [baseRole] - Built-in role it counts as for route access (default "user")
+ * @body {string} [description]
+ */
+router.post('/admin/roles', ...guard, auditLog('CREATE_ROLE', 'role'), async (req, res) => {
+  try {
+    const { name, description, baseRole, permissions = [] } = req.body;
+
+    if (!name) {
+      return res.status(400).json({
+        error: 'Role name is required',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    const invalid = checkPermissionList(permissions);
+    if (invalid) return res.status(400).json(invalid);
+
+    const role = new Role({
+      name,
+      description,
+      baseRole,
+      permissions: [...new Set(permissions)],
+      isSystem: false
+    });
+    await role.save();
+    invalidateRoleCache();
+    auditChange(res, { resourceId: role.name, after: role });
+
+    res.status(201).json({
+      message: 'Role created',
+      role
+    });
+  } catch (error) {
+    sendRoleError(res, error, 'CREATE_ERROR', 'Failed to create role');
+  }
+});
+
+/**
+ * PUT /api/admin/roles/:name
+ * Update a role's description, baseRole or full permission list (Admin only)
+ * Built-in roles keep their baseRole.
+ */
+router.put('/admin/roles/:name', ...guard, auditLog('UPDATE_ROLE', 'role'), async (req, res) => {
+  try {
+    const role = await findRole(req.params.name);
+    if (!role) return roleNotFound(res);
+    const before = role.toObject();
+
+    const { description, baseRole, permissions } = req.body;
+
+    if (permissions !== undefined) {
+      const invalid = checkPermissionList(permissions);
+      if (invalid) return res.status(400).json(invalid);
+
+      if (dropsLockedPermission(role, permissions)) {
+        return res.status(400).json({
+          error: `The admin role must keep: ${LOCKED_ADMIN_PERMISSIONS.join(', ')}`,
+          code: 'LOCKED_PERMISSION'
+        });
+      }
+      role.permissions = [...new Set(permissions)];
+    }
+
+    if (description !== undefined) role.description = description;
+
+    if (baseRole !== undefined && baseRole !== role.baseRole) {
+      if (role.isSystem) {
+        return res.status(400).json({
+          error: 'Built-in roles cannot change their base role',
+          code: 'SYSTEM_ROLE'
+        });
+      }
+      role.baseRole = baseRole;
+    }
+
+    role.updatedAt = Date.now();
+    await role.save();
+    invalidateRoleCache();
+    auditChange(res, { resourceId: role.name, before, after: role });
+
+    res.json({
+      message: 'Role updated',
+      role
+    });
+  } catch (error) {
+    sendRoleError(res, error, 'UPDATE_ERROR', 'Failed to update role');
+  }
+});
+
+/**
+ * POST /api/admin/roles/:name/permissions
+ * Grant permissions to a role (Admin only)
+ *
+ * @body {string[]} permissions - Permissions to add
+ */
+router.post('/admin/roles/:name/permissions', ...guard, auditLog('GRANT_PERMISSIONS', 'role'), async (req, res) => {
+  try {
+    const role = await findRole(req.params.name);
+    if (!role) return roleNotFound(res);
+    const before = role.toObject();
+
+    const { permissions } = req.body;
+    const invalid = checkPermissionList(permissions);
+    if (invalid) return res.status(400).json(invalid);
+
+    role.permissions = [...new Set([...role.permissions, ...permissions])];
+    role.updatedAt = Date.now();
+    await role.save();
+    invalidateRoleCache();
+    auditChange(res, { resourceId: role.name, before, after: role });
+
+    res.json({
+      message: 'Permissions granted',
+      role
+    });
+  } catch (error) {
+    sendRoleError(res, error, 'UPDATE_ERROR', 'Failed to grant permissions');
+  }
+});
+
+/**
+ * DELETE /api/admin/roles/:name/permissions/:permission
+ * Revoke a permission from a role (Admin only)
+ */
+router.delete('/admin/roles/:name/permissions/:permission', ...guard, auditLog('REVOKE_PERMISSION', 'role'), async (req, res) => {
+  try {
+    const role = await findRole(req.params.name);
+    if (!role) return roleNotFound(res);
+    const before = role.toObject();
+
+    const remaining = role.permissions.filter(p => p !== req.params.permission);
+
+    if (remaining.length === role.permissions.length) {
+      return res.status(404).json({
+        error: 'Role does not have this permission',
+        code: 'PERMISSION_NOT_GRANTED'
+      });
+    }
+
+    if (dropsLockedPermission(role, remaining)) {
+      return res.status(400).json({
+        error: `The admin role must keep: ${LOCKED_ADMIN_PERMISSIONS.join(', ')}`,
+        code: 'LOCKED_PERMISSION'
+      });
+    }
+
+    role.permissions = remaining;
+    role.updatedAt = Date.now();
+    await role.save();
+    invalidateRoleCache();
+    auditChange(res, { resourceId: role.name, before, after: role });
+
+    res.json({
+      message: 'Permission revoked',
+      role
+    });
+  } catch (error) {
+    sendRoleError(res, error, 'UPDATE_ERROR', 'Failed to revoke permission');
+  }
+});
+
+/**
+ * DELETE /api/admin/roles/:name
+ * Delete a custom role nobody holds any more (Admin only)
+ */
+router.delete('/admin/roles/:name', ...guard, auditLog('DELETE_ROLE', 'role'), async (req, res) => {
+  try {
+    const role = await findRole(req.params.name);
+    if (!role) return roleNotFound(res);
+
+    if (role.isSystem) {
+      return res.status(400).json({
+        error: 'Built-in roles cannot be deleted',
+        code: 'SYSTEM_ROLE'
+      });
+    }
+
+    const userCount = await User.countDocuments({ role: role.name });
+    if (userCount > 0) {
+      return res.status(409).json({
+        error: `Role is still assigned to ${userCount} user(s)`,
+        code: 'ROLE_IN_USE',
+        userCount
+      });
+    }
+
+    await role.deleteOne();
+    invalidateRoleCache();
+    auditChange(res, { resourceId: role.name, before: role });
+
+    res.json({
+      message: 'Role deleted',
+      deletedRole: role.name
+    });
+  } catch (error) {
+    console.error('Delete role error:', error);
+    res.status(500).json({
+      error: 'Failed to delete role',
+      code: 'DELETE_ERROR'
+    });
+  }
+});
+
+export default router;
@@ -106,9 +106,24 @@ import logger, { logger as winstonLogger } from './middlewares/logger.js';
 import errorHandler from './middlewares/errorHandler.js';
 import { protect, authorize, checkPermission, createLoginLimiter } from './middlewares/authAdvanced.js';
 import connectDB from './db.js';
-import { initPostgres } from './db.postgres.js';
+import Reservation from './models/reservation.js';
+import { getUserStore, USER_STORES } from './models/user.js';
 import mongoose from 'mongoose';
 import authRoutes from './routes/authRoutes.js';
+import clubRoutes from './routes/clubRoutes.js';
+import roleRoutes from './routes/roleRoutes.js';
+import managerRoutes from './routes/managerRoutes.js';
+import auditRoutes from './routes/auditRoutes.js';
+import calendarRoutes from './routes/calendarRoutes.js';
+import importRoutes from './routes/importRoutes.js';
+import outboxRoutes from './routes/outboxRoutes.js';
+import jobRoutes from './routes/jobRoutes.js';
+import { seedDefaultRoles } from './utils/roles.js';
+import { processOutbox, tidyFinishedMessages, getOutboxPollSeconds } from './utils/outbox.js';
+import { scheduleJob, startScheduler } from './utils/scheduler.js';
+import { registerReservationJobs } from './utils/reservationJobs.js';
+import { findOffer } from './utils/waitlist.js';
+import { seedDefaultClubs, findClubBySlug, listClubsByCity, defaultClubs } from './utils/clubCatalog.js';
 
 app.set('view engine', 'ejs');
 app.set('views', path.join(__dirname, 'views'));
@@ -159,6 +174,14 @@ app.use(express.static(path.join(__dirname, 'public')));
 
 app.use('/api/auth/login', loginLimiter);
 app.use('/api', authRoutes);
+app.use('/api', clubRoutes);
+app.use('/api', roleRoutes);
+app.use('/api', managerRoutes);
+app.use('/api', auditRoutes);
+app.use('/api', calendarRoutes);
+app.use('/api', importRoutes);
+app.use('/api', outboxRoutes);
+app.use('/api', jobRoutes);
 
 import apiRoutes from './api/apiRoutes.js';
 app.use('/api', apiRoutes);
@@ -172,6 +195,32 @@ app.get('/register', (req, res) => {
   res.render('register', { error: null });
 });
 
+app.get('/forgot-password', (req, res) => {
+  res.render('reset-password', { token: null });
+});
+
+app.get('/reset-password/:token', (req, res) => {
+  if (!/^[a-f0-9]{64}$/.test(req.params.token)) {
+    return res.redirect('/?error=invalid_reset_link');
+  }
+  res.render('reset-password', { token: req.params.token });
+});
+
+// Confirmation page for a waitlist offer; the claim itself is its POST,
+// so link scanners opening the email can't claim the table
+app.get('/waitlist/claim/:token', async (req, res) => {
+  if (!/^[a-f0-9]{64}$/.test(req.params.token)) {
+    return res.render('waitlist-claim', { token: null, offer: null });
+  }
+  try {
+    const offer = await findOffer(req.params.token);
+    res.render('waitlist-claim', { token: offer ? req.params.token : null, offer });
+  } catch (error) {
+    winstonLogger.error('Waitlist offer lookup failed:', error.message);
+    res.status(500).render('waitlist-claim', { token: null, offer: null });
+  }
+});
+
 app.get('/api/dashboard', protect, (req, res) => {
   const instaImages = [
     'food.jpg', 'drink.jpg', 'pizza.jpg', 'beerr.avif',
@@ -184,26 +233,28 @@ app.get('/api/dashboard', protect, (req, res) => {
   });
 });
 
-const chdBars = [
-  { name: "BREWESTATE", image: "/images/brewestate.png", link: "/api/brewestate" },
-  { name: "BOULEVARD", image: "/images/boul.png", link: "/api/boulevard" },
-  { name: "KALA-GHODA", image: "/images/kalaghoda.jpg", link: "/api/kalaghoda" },
-  { name: "MOBE", image: "/images/mobe.png", link: "/api/mobe" }
-];
-
-const ldhBars = [
-  { name: "PAARA - NIGHT CLUB", image: "/images/paara2.jpg", link: "/api/paara" },
-  { name: "ROMEO LANE", image: "/images/romeolane.jpg", link: "/api/romeo-ldh" },
-  { name: "LUNA - NIGHT CLUB", image: "/images/luna2.avif", link: "/api/luna-ldh" },
-  { name: "BAKLAVI - BAR & KITCHEN", image: "/images/baklavi.jpg", link: "/api/baklavi-ldh" }
-];
-
-app.get('/api/bar', protect, (req, res) => {
-  res.render('baars', {
-    chdBars,
-    ldhBars,
-    user: req.user
-  });
+app.get('/api/bar', protect, async (req, res, next) => {
+  try {
+    const cities = await listClubsByCity();
+    res.render('baars', {
+      cities,
+      user: req.user
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/api/clubs/:slug', protect, async (req, res, next) => {
+  try {
+    const club = await findClubBySlug(req.params.slug);
+    if (!club) {
+      return res.redirect('/api/bar');
+    }
+    res.render('club', { club, user: req.user });
+  } catch (error) {
+    next(error);
+  }
 });
 
 app.get('/api/reserve-table', protect, (req, res) => {
@@ -293,10 +344,10 @@ app.get('/weather', async (req, res) => {
 
 
 
-const barPages = ['brewestate', 'boulevard', 'kalaghoda', 'mobe', 'paara', 'romeo-ldh', 'luna-ldh', 'baklavi-ldh'];
-barPages.forEach(page => {
-  app.get(`/api/${page}`, protect, (req, res) => {
-    res.render(page, { user: req.user });
+// Old per-venue URLs now live under /api/clubs/:slug
+defaultClubs.forEach(({ slug }) => {
+  app.get(`/api/${slug}`, (req, res) => {
+    res.redirect(301, `/api/clubs/${slug}`);
   });
 });
 
@@ -311,10 +362,67 @@ app.use(errorHandler);
 
 winstonLogger.info("DEBUG MONGO_URI:", { mongoUri: process.env.MONGO_URI });
 
-connectDB();
-initPostgres().catch(err => {
-  winstonLogger.warn('PostgreSQL initialization failed:', err.message);
-});
+const mongoReady = connectDB();
+
+// Each startup step fails on its own, so one failing never keeps the
+// others (above all the background jobs) from running
+
+// Roles first: authorize() and checkPermission() read them
+mongoReady
+  .then(() => seedDefaultRoles())
+  .then(roles => {
+    if (roles) winstonLogger.info(`Seeded ${roles} default role(s)`);
+  })
+  .catch(err => {
+    winstonLogger.warn('Role seeding failed:', err.message);
+  });
+
+mongoReady
+  .then(() => tidyFinishedMessages())
+  .then(tidied => {
+    if (tidied) winstonLogger.info(`Cleared the body of ${tidied} finished email(s)`);
+  })
+  .catch(err => {
+    winstonLogger.warn('Email outbox cleanup failed:', err.message);
+  });
+
+// Background jobs: email delivery (including mail left over from a
+// previous run), booking reminders, auto-completion and feedback
+mongoReady
+  .then(() => {
+    scheduleJob('email-outbox', getOutboxPollSeconds(), () => processOutbox());
+    registerReservationJobs();
+  })
+  .catch(err => {
+    winstonLogger.error('Job registration failed:', err.message);
+  })
+  // Start whatever did register
+  .then(() => startScheduler())
+  .catch(err => {
+    winstonLogger.error('Scheduler failed to start:', err.message);
+  });
+
+mongoReady
+  .then(() => seedDefaultClubs({ ifEmpty: true }))
+  .then(seeded => {
+    if (seeded) winstonLogger.info(`Seeded ${seeded} default club(s)`);
+  })
+  .catch(err => {
+    winstonLogger.warn('Club seeding failed:', err.message);
+  });
+
+Reservation.ready()
+  .then(() => winstonLogger.info(`Reservations stored in ${Reservation.backend}`))
+  .catch(err => {
+    winstonLogger.error(`Reservation store (${Reservation.backend}) failed to initialise:`, err.message);
+  });
+if (getUserStore() === 'postgres') {
+  USER_STORES.postgres.init()
+    .then(() => winstonLogger.info('Users stored in postgres'))
+    .catch(err => {
+      winstonLogger.error('User store (postgres) failed to initialise:', err.message);
+    });
+}
 
 //abc
 let server;
@@ -0,0 +1,315 @@
+import { describe, it, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import bcrypt from 'bcrypt';
+import User from '../models/user.js';
+import Role from '../models/role.js';
+import Session from '../models/session.js';
+import EmailOutbox from '../models/emailOutbox.js';
+import AuditLog from '../models/auditLog.js';
+import authRoutes from '../routes/authRoutes.js';
+import { seedDefaultRoles } from '../utils/roles.js';
+import { fakeModel } from './support/fakeModel.js';
+import { captureMail } from './support/mailbox.js';
+import { startApp } from './support/http.js';
+
+/**
+ * Account lifecycle through the auth routes
+ * Email verification, password reset and change, logout and session
+ * management, against stand-in users, roles, sessions, outbox and audit
+ * log. Emails are captured to read the links they carry.
+ */
+
+const PASSWORD = 'Corr3ct!Horse';
+const NEW_PASSWORD = 'Fresh3r!Horse';
+
+const users = fakeModel(User, { unique: ['email'] });
+const sessions = fakeModel(Session);
+fakeModel(Role, { unique: ['name'] });
+fakeModel(EmailOutbox, { unique: ['dedupeKey'] });
+fakeModel(AuditLog);
+const mail = captureMail();
+
+let app;
+
+const createUser = async (email, overrides = {}) => User.create({
+  name: 'Ada Guest',
+  email,
+  password: await bcrypt.hash(PASSWORD, 4),
+  emailVerified: true,
+  ...overrides
+});
+
+const refreshCookie = (res) => res.headers.getSetCookie()
+  .find(cookie => cookie.startsWith('refreshToken='))
+  .split(';')[0];
+
+// Sign in and keep what a browser would: the access token and refresh cookie
+async function login(email, password = PASSWORD) {
+  const res = await app.request('POST', '/api/auth/login', { body: { email, password } });
+  assert.equal(res.status, 200, res.text);
+  return { token: res.body.accessToken, cookie: refreshCookie(res) };
+}
+
+const refresh = (cookie) => app.request('POST', '/api/auth/refresh-token', { headers: { Cookie: cookie } });
+
+const linkToken = (email, path) => email.text.match(new RegExp(`${path}/([^\\s"]+)`))[1];
+
+describe('account routes', () => {
+  before(async () => {
+    mock.method(console, 'log', () => {});
+    await seedDefaultRoles();
+    app = await startApp(authRoutes);
+  });
+
+  after(() => app.close());
+
+  beforeEach(() => {
+    users.clear();
+    sessions.clear();
+    mail.clear();
+  });
+
+  describe('email verification', () => {
+    it('registers the account unverified and verifies it from the emailed link', async () => {
+      const res = await app.request('POST', '/api/auth/register', {
+        body: { name: 'New Guest', email: 'New@Example.com', password: PASSWORD, confirmPassword: PASSWORD }
+      });
+      assert.equal(res.status, 201);
+      assert.equal(res.body.user.emailVerified, false);
+      assert.equal(res.body.user.password, undefined);
+
+      const [email] = await mail.waitFor(1);
+      assert.equal(email.to, 'new@example.com');
+
+      const verified = await app.request('GET', `/api/auth/verify-email/${linkToken(email, 'verify-email')}`);
+      assert.equal(verified.status, 200);
+      assert.equal(verified.body.code, 'EMAIL_VERIFIED');
+
+      const [user] = users.all({ email: 'new@example.com' });
+      assert.equal(user.emailVerified, true);
+      assert.ok(user.emailVerifiedAt);
+    });
+
+    it('rejects a link sent to an address the account no longer uses', async () => {
+      const user = await createUser('old@example.com', { emailVerified: false });
+      await login('old@example.com').then(({ token }) =>
+        app.request('POST', '/api/auth/resend-verification', { token }));
+      const [email] = await mail.waitFor(1);
+
+      await User.findByIdAndUpdate(user._id, { email: 'moved@example.com' });
+      const res = await app.request('GET', `/api/auth/verify-email/${linkToken(email, 'verify-email')}`);
+
+      assert.equal(res.status, 400);
+      assert.equal(res.body.code, 'INVALID_TOKEN');
+      assert.equal((await User.findById(user._id)).emailVerified, false);
+    });
+
+    it('resends at most once a minute, and not to verified accounts', async () => {
+      await createUser('waiting@example.com', { emailVerified: false });
+      const { token } = await login('waiting@example.com');
+
+      assert.equal((await app.request('POST', '/api/auth/resend-verification', { token })).status, 200);
+      const again = await app.request('POST', '/api/auth/resend-verification', { token });
+      assert.equal(again.status, 429);
+      assert.equal(again.body.code, 'RATE_LIMITED');
+
+      await createUser('done@example.com');
+      const verified = await login('done@example.com');
+      const res = await app.request('POST', '/api/auth/resend-verification', { token: verified.token });
+      assert.equal(res.status, 400);
+      assert.equal(res.body.code, 'ALREADY_VERIFIED');
+    });
+  });
+
+  describe('password reset', () => {
+    const forgot = (email) => app.request('POST', '/api/auth/forgot-password', { body: { email } });
+    const reset = (token, password = NEW_PASSWORD) =>
+      app.request('POST', `/api/auth/reset-password/${token}`, { body: { password, confirmPassword: password } });
+
+    it('answers the same for unknown addresses and sends them nothing', async () => {
+      await createUser('known@example.com');
+
+      const known = await forgot('known@example.com');
+      const unknown = await forgot('nobody@example.com');
+
+      assert.equal(unknown.status, 200);
+      assert.deepEqual(unknown.body, known.body);
+      const sent = await mail.waitFor(1);
+      await new Promise(resolve => setTimeout(resolve, 50));
+      assert.deepEqual(sent.map(email => email.to), ['known@example.com']);
+    });
+
+    it('sets the new password once and signs out every session', async () => {
+      const user = await createUser('reset@example.com');
+      const { token, cookie } = await login('reset@example.com');
+      await forgot('reset@example.com');
+      const [email] = await mail.waitFor(1);
+      const resetToken = linkToken(email, 'reset-password');
+
+      // Only a hash of the token is stored
+      const pending = await User.findById(user._id);
+      assert.ok(pending.passwordResetTokenHash);
+      assert.notEqual(pending.passwordResetTokenHash, resetToken);
+
+      const res = await reset(resetToken);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.code, 'PASSWORD_RESET');
+
+      const stored = await User.findById(user._id);
+      assert.ok(await bcrypt.compare(NEW_PASSWORD, stored.password));
+      assert.equal(stored.passwordResetTokenHash, null);
+
+      assert.equal((await reset(resetToken, 'Th1rd!Horse')).body.code, 'INVALID_RESET_TOKEN');
+      assert.equal((await refresh(cookie)).status, 401);
+      assert.equal((await app.request('GET', '/api/auth/me', { token })).status, 401);
+    });
+
+    it('refuses weak passwords and expired links', async () => {
+      const user = await createUser('late@example.com');
+      await forgot('late@example.com');
+      const resetToken = linkToken((await mail.waitFor(1))[0], 'reset-password');
+
+      assert.equal((await reset(resetToken, 'password')).body.code, 'WEAK_PASSWORD');
+
+      await User.findByIdAndUpdate(user._id, { passwordResetExpires: Date.now() - 1000 });
+      const res = await reset(resetToken);
+      assert.equal(res.status, 400);
+      assert.equal(res.body.code, 'INVALID_RESET_TOKEN');
+      assert.ok(await bcrypt.compare(PASSWORD, (await User.findById(user._id)).password));
+    });
+  });
+
+  describe('PUT /api/auth/password', () => {
+    const change = (token, currentPassword, newPassword) => app.request('PUT', '/api/auth/password', {
+      token,
+      body: { currentPassword, newPassword, confirmPassword: newPassword }
+    });
+
+    it('needs the current password', async () => {
+      await createUser('wrong@example.com');
+      const { token } = await login('wrong@example.com');
+
+      const res = await change(token, 'Wr0ng!Horse', NEW_PASSWORD);
+
+      assert.equal(res.status, 401);
+      assert.equal(res.body.code, 'INVALID_CREDENTIALS');
+    });
+
+    it('keeps this session signed in, signs out the others and refuses recent passwords', async () => {
+      const user = await createUser('change@example.com');
+      const other = await login('change@example.com');
+      const { token } = await login('change@example.com');
+
+      const res = await change(token, PASSWORD, NEW_PASSWORD);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.code, 'PASSWORD_CHANGED');
+      assert.ok(await bcrypt.compare(NEW_PASSWORD, (await User.findById(user._id)).password));
+
+      assert.equal((await refresh(other.cookie)).status, 401);
+      assert.equal((await refresh(refreshCookie(res))).status, 200);
+      assert.equal((await app.request('GET', '/api/auth/me', { token: res.body.accessToken })).status, 200);
+
+      // The old password is in the history now
+      const back = await change(res.body.accessToken, NEW_PASSWORD, PASSWORD);
+      assert.equal(back.status, 400);
+      assert.equal(back.body.code, 'PASSWORD_REUSED');
+    });
+  });
+
+  describe('POST /api/auth/logout', () => {
+    it('revokes the session so its tokens stop working', async () => {
+      await createUser('leaving@example.com');
+      const { token, cookie } = await login('leaving@example.com');
+      const other = await login('leaving@example.com');
+
+      const res = await app.request('POST', '/api/auth/logout', { headers: { Cookie: cookie } });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.code, 'LOGOUT_SUCCESS');
+
+      const [session] = sessions.all({ revokedAt: { $ne: null } });
+      assert.equal(session.revokedReason, 'logout');
+      assert.equal((await refresh(cookie)).status, 401);
+      assert.equal((await app.request('GET', '/api/auth/me', { token })).status, 401);
+
+      // Other devices stay signed in
+      assert.equal((await app.request('GET', '/api/auth/me', { token: other.token })).status, 200);
+    });
+  });
+
+  describe('sessions', () => {
+    let email;
+    let phone;
+    let laptop;
+    let accounts = 0;
+
+    // A fresh address per test keeps clear of the login rate limit
+    beforeEach(async () => {
+      email = `devices-${++accounts}@example.com`;
+      await createUser(email);
+      const res = await app.request('POST', '/api/auth/login', {
+        body: { email, password: PASSWORD },
+        headers: { 'User-Agent': 'Phone' }
+      });
+      phone = { token: res.body.accessToken, cookie: refreshCookie(res) };
+      laptop = await login(email);
+    });
+
+    const listed = async (token) => (await app.request('GET', '/api/auth/sessions', { token })).body.sessions;
+
+    it('lists where the user is signed in and flags this session', async () => {
+      const sessionsNow = await listed(laptop.token);
+
+      assert.equal(sessionsNow.length, 2);
+      assert.equal(sessionsNow.filter(s => s.current).length, 1);
+      const phoneSession = sessionsNow.find(s => !s.current);
+      assert.equal(phoneSession.userAgent, 'Phone');
+      assert.ok(phoneSession.ip);
+      assert.ok(phoneSession.createdAt && phoneSession.lastUsedAt);
+    });
+
+    it('signs out one session, but only the user\'s own', async () => {
+      const phoneId = (await listed(laptop.token)).find(s => !s.current).id;
+
+      const res = await app.request('DELETE', `/api/auth/sessions/${phoneId}`, { token: laptop.token });
+      assert.equal(res.status, 200);
+      assert.equal((await refresh(phone.cookie)).status, 401);
+      assert.equal((await listed(laptop.token)).length, 1);
+
+      await createUser('someone@example.com');
+      const someone = await login('someone@example.com');
+      const laptopId = (await listed(laptop.token))[0].id;
+      const foreign = await app.request('DELETE', `/api/auth/sessions/${laptopId}`, { token: someone.token });
+      assert.equal(foreign.status, 404);
+      assert.equal(foreign.body.code, 'SESSION_NOT_FOUND');
+    });
+
+    it('signs out everywhere else', async () => {
+      const res = await app.request('DELETE', '/api/auth/sessions?exceptCurrent=true', { token: laptop.token });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.revoked, 1);
+      assert.equal((await refresh(phone.cookie)).status, 401);
+      assert.equal((await refresh(laptop.cookie)).status, 200);
+    });
+
+    it('lets an admin list and end another user\'s sessions', async () => {
+      const [user] = users.all({ email });
+      await createUser('admin@example.com', { role: 'admin' });
+      const admin = await login('admin@example.com');
+      const path = `/api/admin/users/${user._id}/sessions`;
+
+      const list = await app.request('GET', path, { token: admin.token });
+      assert.equal(list.status, 200);
+      assert.equal(list.body.count, 2);
+
+      // Guests cannot manage accounts, not even their own this way
+      assert.equal((await app.request('DELETE', path, { token: laptop.token })).status, 403);
+
+      const res = await app.request('DELETE', path, { token: admin.token });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.revoked, 2);
+      assert.equal((await refresh(phone.cookie)).status, 401);
+      assert.equal((await app.request('GET', '/api/auth/me', { token: laptop.token })).status, 401);
+    });
+  });
+});
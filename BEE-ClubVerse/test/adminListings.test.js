@@ -0,0 +1,132 @@
+import './support/memoryStore.js';
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import Reservation from '../models/reservation.js';
+import User from '../models/user.js';
+import Club from '../models/club.js';
+import Role from '../models/role.js';
+import AuditLog from '../models/auditLog.js';
+import apiRoutes from '../api/apiRoutes.js';
+import authRoutes from '../routes/authRoutes.js';
+import { seedDefaultRoles } from '../utils/roles.js';
+import { fakeModel } from './support/fakeModel.js';
+import { startApp, tokenFor } from './support/http.js';
+
+/**
+ * Admin reservation and user listings
+ * Paging, filters and sorting, against the in-memory reservation store
+ * and stand-in users, clubs, roles and audit log.
+ */
+
+const CLUB = { name: 'Listing Club', slug: 'listing-club' };
+
+fakeModel(User, { unique: ['email'] });
+fakeModel(Club, { unique: ['slug'] });
+fakeModel(Role, { unique: ['name'] });
+fakeModel(AuditLog);
+
+let app;
+let token;
+let guest;
+
+const list = async (path) => {
+  const res = await app.request('GET', path, { token });
+  assert.equal(res.status, 200, res.text);
+  return res.body;
+};
+
+describe('admin listings', () => {
+  before(async () => {
+    mock.method(console, 'log', () => {});
+    await seedDefaultRoles();
+    await Club.create({ ...CLUB, city: 'Ludhiana' });
+    await Club.create({ name: 'Elsewhere', slug: 'elsewhere', city: 'Chandigarh' });
+
+    const admin = await User.create({ name: 'Admin', email: 'admin@example.com', password: 'x', role: 'admin' });
+    token = tokenFor(admin);
+    guest = await User.create({ name: 'Ada Guest', email: 'ada@example.com', password: 'x' });
+    await User.create({ name: 'Bo Guest', email: 'bo@example.com', password: 'x', isActive: false });
+    await User.create({ name: 'Cy Manager', email: 'cy@venue.example', password: 'x', role: 'manager' });
+
+    const booking = (date, time, overrides = {}) => ({
+      name: 'Ada Guest',
+      email: 'ada@example.com',
+      phone: '+1 555 0100',
+      date,
+      time,
+      guests: '2',
+      club: CLUB.name,
+      status: 'confirmed',
+      userId: String(guest._id),
+      ...overrides
+    });
+    await Reservation.insertMany([
+      booking('2030-06-03', '22:00'),
+      booking('2030-06-01', '21:00'),
+      booking('2030-06-02', '20:00', { status: 'cancelled' }),
+      booking('2030-06-01', '20:00', { email: 'walk-in@venue.example', userId: null }),
+      booking('2030-06-04', '20:00', { club: 'Elsewhere' })
+    ]);
+
+    app = await startApp(apiRoutes, authRoutes);
+  });
+
+  after(() => app.close());
+
+  describe('GET /api/admin/reservations', () => {
+    it('pages through results with a total count', async () => {
+      const first = await list('/api/admin/reservations?sort=date,time&limit=2');
+      const second = await list('/api/admin/reservations?sort=date,time&limit=2&page=2');
+
+      assert.equal(first.total, 5);
+      assert.equal(first.totalPages, 3);
+      assert.deepEqual(first.reservations.map(r => `${r.date} ${r.time}`), ['2030-06-01 20:00', '2030-06-01 21:00']);
+      assert.deepEqual(second.reservations.map(r => `${r.date} ${r.time}`), ['2030-06-02 20:00', '2030-06-03 22:00']);
+    });
+
+    it('filters by club, status, date range and email', async () => {
+      const body = await list('/api/admin/reservations?club=listing-club&status=confirmed&from=2030-06-01&to=2030-06-02&email=ADA');
+
+      assert.equal(body.total, 1);
+      assert.deepEqual(body.reservations.map(r => `${r.date} ${r.time}`), ['2030-06-01 21:00']);
+    });
+
+    it('looks up the guests of a page in one query', async (t) => {
+      const find = t.mock.method(User, 'find', User.find);
+      const findById = t.mock.method(User, 'findById', User.findById);
+
+      const body = await list('/api/admin/reservations?club=listing-club');
+
+      assert.equal(body.reservations.find(r => r.userId?.email).userId.email, 'ada@example.com');
+      assert.equal(find.mock.callCount(), 1);
+      // The one findById is protect() loading the admin
+      assert.equal(findById.mock.callCount(), 1);
+    });
+
+    it('rejects unknown sort fields and statuses', async () => {
+      const sort = await app.request('GET', '/api/admin/reservations?sort=phone', { token });
+      assert.equal(sort.status, 400);
+      assert.equal(sort.body.code, 'INVALID_SORT');
+
+      const status = await app.request('GET', '/api/admin/reservations?status=lost', { token });
+      assert.equal(status.body.code, 'INVALID_STATUS');
+    });
+  });
+
+  describe('GET /api/admin/users', () => {
+    it('searches, filters by role and state, and sorts', async () => {
+      assert.deepEqual((await list('/api/admin/users?q=guest&sort=name')).users.map(u => u.name),
+        ['Ada Guest', 'Bo Guest']);
+      assert.deepEqual((await list('/api/admin/users?role=manager,admin&sort=-name')).users.map(u => u.name),
+        ['Cy Manager', 'Admin']);
+      assert.deepEqual((await list('/api/admin/users?isActive=false')).users.map(u => u.name), ['Bo Guest']);
+    });
+
+    it('pages with a total count', async () => {
+      const body = await list('/api/admin/users?sort=email&limit=3&page=2');
+
+      assert.equal(body.total, 4);
+      assert.deepEqual(body.users.map(u => u.email), ['cy@venue.example']);
+    });
+  });
+});
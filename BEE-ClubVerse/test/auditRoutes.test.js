@@ -0,0 +1,113 @@
+import { describe, it, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import User from '../models/user.js';
+import Club from '../models/club.js';
+import Role from '../models/role.js';
+import AuditLog from '../models/auditLog.js';
+import auditRoutes from '../routes/auditRoutes.js';
+import clubRoutes from '../routes/clubRoutes.js';
+import { seedDefaultRoles } from '../utils/roles.js';
+import { diffChanges } from '../utils/audit.js';
+import { fakeModel } from './support/fakeModel.js';
+import { startApp, tokenFor, eventually } from './support/http.js';
+
+/**
+ * Audit trail
+ * Admin changes made through the routes are stored with a diff and can
+ * be searched. Runs against stand-in users, clubs, roles and audit log.
+ */
+
+const users = fakeModel(User, { unique: ['email'] });
+const logs = fakeModel(AuditLog);
+fakeModel(Club, { unique: ['slug'] });
+fakeModel(Role, { unique: ['name'] });
+
+let app;
+let admin;
+let token;
+
+const search = (query = '') => app.request('GET', `/api/admin/audit-logs${query}`, { token });
+
+describe('audit log', () => {
+  before(async () => {
+    mock.method(console, 'log', () => {});
+    await seedDefaultRoles();
+    app = await startApp(auditRoutes, clubRoutes);
+  });
+
+  after(() => app.close());
+
+  beforeEach(async () => {
+    users.clear();
+    logs.clear();
+    admin = await User.create({ name: 'Admin', email: 'admin@example.com', password: 'x', role: 'admin' });
+    token = tokenFor(admin);
+  });
+
+  it('stores who changed what on an admin change', async () => {
+    const club = await Club.create({ name: 'Audit Club', slug: 'audit-club', city: 'Ludhiana', tablesPerSlot: 10 });
+
+    const res = await app.request('PUT', `/api/admin/clubs/${club._id}`, { token, body: { tablesPerSlot: 12 } });
+    assert.equal(res.status, 200);
+
+    const [entry] = await eventually(() => {
+      const found = logs.all({ action: 'UPDATE_CLUB' });
+      return found.length && found;
+    });
+    assert.equal(String(entry.userId), String(admin._id));
+    assert.equal(entry.userEmail, 'admin@example.com');
+    assert.equal(entry.resource, 'club');
+    assert.equal(entry.resourceId, String(club._id));
+    assert.equal(entry.success, true);
+    assert.deepEqual(entry.toObject().changes, [{ field: 'tablesPerSlot', before: 10, after: 12 }]);
+  });
+
+  describe('GET /api/admin/audit-logs', () => {
+    beforeEach(async () => {
+      await AuditLog.insertMany([
+        { action: 'DELETE_USER', resource: 'user', userId: admin._id, createdAt: new Date('2030-01-01T10:00:00Z') },
+        { action: 'UPDATE_ROLE', resource: 'role', createdAt: new Date('2030-01-02T10:00:00Z') },
+        { action: 'UPDATE_CLUB', resource: 'club', userId: admin._id, createdAt: new Date('2030-01-03T10:00:00Z') }
+      ]);
+    });
+
+    it('filters by user, action, resource and date range, newest first', async () => {
+      const byUser = await search(`?userId=${admin._id}`);
+      assert.deepEqual(byUser.body.logs.map(l => l.action), ['UPDATE_CLUB', 'DELETE_USER']);
+      assert.equal(byUser.body.total, 2);
+
+      assert.deepEqual((await search('?action=delete_user,update_role')).body.logs.map(l => l.action),
+        ['UPDATE_ROLE', 'DELETE_USER']);
+      assert.deepEqual((await search('?resource=role')).body.logs.map(l => l.action), ['UPDATE_ROLE']);
+      assert.deepEqual((await search('?from=2030-01-02&to=2030-01-02T23:59:59Z')).body.logs.map(l => l.action),
+        ['UPDATE_ROLE']);
+    });
+
+    it('rejects malformed filters', async () => {
+      assert.equal((await search('?userId=nobody')).body.code, 'VALIDATION_ERROR');
+      assert.equal((await search('?from=yesterday')).body.code, 'INVALID_DATE');
+    });
+
+    it('needs the view_logs permission', async () => {
+      const manager = await User.create({ name: 'Manager', email: 'manager@example.com', password: 'x', role: 'manager' });
+
+      const res = await app.request('GET', '/api/admin/audit-logs', { token: tokenFor(manager) });
+
+      assert.equal(res.status, 403);
+    });
+  });
+});
+
+describe('diffChanges', () => {
+  it('lists changed fields only and never stores secrets', () => {
+    const changes = diffChanges(
+      { name: 'Ada', role: 'user', password: 'old-hash', updatedAt: 1 },
+      { name: 'Ada', role: 'admin', password: 'new-hash', twoFactor: { enabled: true, secret: 'ABC' }, updatedAt: 2 }
+    );
+
+    assert.deepEqual(changes, [
+      { field: 'role', before: 'user', after: 'admin' },
+      { field: 'twoFactor', before: null, after: { enabled: true, secret: '[redacted]' } }
+    ]);
+  });
+});
@@ -0,0 +1,344 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import cookieParser from 'cookie-parser';
+import bcrypt from 'bcrypt';
+import { MongoUser } from '../models/user.js';
+import Session from '../models/session.js';
+import AuditLog from '../models/auditLog.js';
+import Role from '../models/role.js';
+import authRoutes from '../routes/authRoutes.js';
+import { generateSecret, hotp, timeStep } from '../utils/totp.js';
+import { generateRecoveryCodes, verifySecondFactor } from '../utils/twoFactor.js';
+import { defaultRoles, invalidateRoleCache } from '../utils/roles.js';
+
+/**
+ * Login, two-factor login and refresh token rotation
+ * The routes run against in-memory users and sessions: the model methods
+ * that would reach MongoDB are replaced with ones that read and write
+ * the maps below, so no database is needed.
+ */
+
+const PASSWORD = 'Corr3ct!Horse';
+
+const users = new Map();
+const sessions = new Map();
+
+// Query stand-in: awaitable, with a chainable select()
+const query = (result) => {
+  const promise = Promise.resolve(result);
+  promise.select = () => promise;
+  return promise;
+};
+
+const matches = (doc, filter) => Object.entries(filter).every(([key, value]) =>
+  value === null ? doc.get(key) == null : String(doc.get(key)) === String(value)
+);
+
+function applyUpdate(doc, { $set = {}, $inc = {}, $unset = {} }) {
+  for (const [key, value] of Object.entries($set)) doc.set(key, value);
+  for (const [key, value] of Object.entries($inc)) doc.set(key, (doc.get(key) || 0) + value);
+  for (const key of Object.keys($unset)) doc.set(key, null);
+}
+
+async function createUser(email, overrides = {}) {
+  const user = new MongoUser({
+    name: 'Ada Guest',
+    email,
+    password: await bcrypt.hash(PASSWORD, 4),
+    emailVerified: true,
+    ...overrides
+  });
+  users.set(String(user._id), user);
+  return user;
+}
+
+async function createTwoFactorUser(email, overrides = {}) {
+  const secret = generateSecret();
+  const { codes, hashes } = generateRecoveryCodes();
+  const user = await createUser(email, {
+    twoFactor: { enabled: true, enabledAt: new Date(), secret, recoveryCodes: hashes },
+    ...overrides
+  });
+  return { user, secret, codes };
+}
+
+const currentCode = (secret) => hotp(secret, timeStep());
+
+describe('auth routes', () => {
+  let server;
+  let baseUrl;
+
+  async function post(path, body) {
+    const res = await fetch(`${baseUrl}/api${path}`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+  }
+
+  const login = (email, password = PASSWORD) => post('/auth/login', { email, password });
+
+  before(async () => {
+    process.env.JWT_SECRET = 'test-secret';
+
+    mock.method(MongoUser, 'findOne', (filter) =>
+      query([...users.values()].find(u => u.email === filter.email) || null));
+    mock.method(MongoUser, 'findById', (id) => query(users.get(String(id)) || null));
+    mock.method(MongoUser, 'findByIdAndUpdate', (id, update) => {
+      const user = users.get(String(id)) || null;
+      if (user) applyUpdate(user, { $set: update });
+      return query(user);
+    });
+    mock.method(MongoUser.prototype, 'updateOne', async function(update) {
+      applyUpdate(this, update);
+      return { modifiedCount: 1 };
+    });
+    mock.method(MongoUser.prototype, 'save', async function() { return this; });
+
+    mock.method(Session, 'findById', (id) => query(sessions.get(String(id)) || null));
+    mock.method(Session, 'updateOne', async (filter, update) => {
+      const session = sessions.get(String(filter._id));
+      if (!session || !matches(session, filter)) return { modifiedCount: 0 };
+      applyUpdate(session, update);
+      return { modifiedCount: 1 };
+    });
+    mock.method(Session, 'exists', async (filter) => {
+      const session = sessions.get(String(filter._id));
+      return session && !session.revokedAt && session.expiresAt > new Date() ? { _id: session._id } : null;
+    });
+    mock.method(Session.prototype, 'save', async function() {
+      sessions.set(String(this._id), this);
+      return this;
+    });
+
+    // Custom roles count by their baseRole
+    mock.method(Role, 'find', () => ({
+      lean: async () => [...defaultRoles, { name: 'venue-admin', baseRole: 'admin', permissions: [] }]
+    }));
+    invalidateRoleCache();
+
+    mock.method(AuditLog, 'create', async () => {});
+    // The audit middleware logs every request
+    mock.method(console, 'log', () => {});
+
+    const app = express();
+    app.use(express.json());
+    app.use(cookieParser());
+    app.use('/api', authRoutes);
+
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    mock.restoreAll();
+    invalidateRoleCache();
+  });
+
+  describe('POST /auth/login', () => {
+    it('resets failed attempts when the password completes the login', async () => {
+      const user = await createUser('plain@example.com', { loginAttempts: 3 });
+
+      const res = await login('plain@example.com');
+
+      assert.equal(res.status, 200);
+      assert.ok(res.body.accessToken);
+      assert.equal(user.loginAttempts, 0);
+    });
+
+    it('keeps failed attempts when a second factor is still owed', async () => {
+      const { user } = await createTwoFactorUser('owed@example.com', { loginAttempts: 3 });
+
+      const res = await login('owed@example.com');
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.code, 'TWO_FACTOR_REQUIRED');
+      assert.ok(res.body.challengeToken);
+      assert.equal(user.loginAttempts, 3);
+    });
+
+    it('locks the account when codes keep failing, even if the password is re-entered', async () => {
+      const { user } = await createTwoFactorUser('guesser@example.com', { loginAttempts: 3 });
+
+      let challenge = await login('guesser@example.com');
+      let res = await post('/auth/2fa/login', { challengeToken: challenge.body.challengeToken, code: '000000' });
+      assert.equal(res.status, 401);
+      assert.equal(user.loginAttempts, 4);
+
+      challenge = await login('guesser@example.com');
+      assert.equal(user.loginAttempts, 4);
+      res = await post('/auth/2fa/login', { challengeToken: challenge.body.challengeToken, code: '000000' });
+      assert.equal(res.status, 401);
+      assert.ok(user.isLocked);
+
+      res = await login('guesser@example.com');
+      assert.equal(res.status, 403);
+      assert.equal(res.body.code, 'ACCOUNT_LOCKED');
+    });
+
+    it('refuses the right password while an admin lock is in place, and keeps the lock', async () => {
+      const adminLockedUntil = new Date(Date.now() + 60 * 60 * 1000);
+      const user = await createUser('suspended@example.com', { adminLockedUntil, loginAttempts: 1 });
+
+      const res = await login('suspended@example.com');
+
+      assert.equal(res.status, 403);
+      assert.equal(res.body.code, 'ACCOUNT_LOCKED_BY_ADMIN');
+      assert.equal(user.adminLockedUntil.getTime(), adminLockedUntil.getTime());
+      assert.equal(user.loginAttempts, 1);
+    });
+  });
+
+  describe('POST /auth/2fa/login', () => {
+    it('signs in with a current code, records its step and resets attempts', async () => {
+      const { user, secret } = await createTwoFactorUser('totp@example.com', { loginAttempts: 2 });
+
+      const challenge = await login('totp@example.com');
+      const res = await post('/auth/2fa/login', { challengeToken: challenge.body.challengeToken, code: currentCode(secret) });
+
+      assert.equal(res.status, 200);
+      assert.ok(res.body.accessToken);
+      assert.equal(res.body.user.twoFactor.secret, undefined);
+      assert.equal(user.twoFactor.lastUsedStep, timeStep());
+      assert.equal(user.loginAttempts, 0);
+    });
+
+    it('signs in with a recovery code and uses it up', async () => {
+      const { user, codes } = await createTwoFactorUser('recovery@example.com');
+
+      const challenge = await login('recovery@example.com');
+      const res = await post('/auth/2fa/login', { challengeToken: challenge.body.challengeToken, recoveryCode: codes[0] });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.recoveryCodesRemaining, codes.length - 1);
+      assert.equal(user.twoFactor.recoveryCodes.length, codes.length - 1);
+    });
+  });
+
+  describe('GET /auth/me', () => {
+    it('turns away access tokens issued before an admin lock', async () => {
+      const user = await createUser('locked-later@example.com');
+      const { body } = await login('locked-later@example.com');
+      const me = () => fetch(`${baseUrl}/api/auth/me`, { headers: { authorization: `Bearer ${body.accessToken}` } });
+
+      assert.equal((await me()).status, 200);
+
+      user.adminLockedUntil = new Date(Date.now() + 60 * 60 * 1000);
+      const res = await me();
+      assert.equal(res.status, 403);
+      assert.equal((await res.json()).code, 'ACCOUNT_LOCKED_BY_ADMIN');
+    });
+  });
+
+  describe('PUT /users/:id', () => {
+    async function rename(actor, target) {
+      const { body } = await login(actor.email);
+      const res = await fetch(`${baseUrl}/api/users/${target._id}`, {
+        method: 'PUT',
+        headers: { 'content-type': 'application/json', authorization: `Bearer ${body.accessToken}` },
+        body: JSON.stringify({ name: 'Renamed Guest' })
+      });
+      return { status: res.status, body: await res.json() };
+    }
+
+    it('lets a role based on admin update any profile', async () => {
+      const admin = await createUser('venue-admin@example.com', { role: 'venue-admin' });
+      const guest = await createUser('profile-guest@example.com');
+
+      const res = await rename(admin, guest);
+
+      assert.equal(res.status, 200);
+      assert.equal(guest.name, 'Renamed Guest');
+    });
+
+    it('keeps other users to their own profile', async () => {
+      const user = await createUser('nosy@example.com');
+      const other = await createUser('private@example.com');
+
+      const res = await rename(user, other);
+
+      assert.equal(res.status, 403);
+      assert.equal(res.body.code, 'NOT_OWNER');
+      assert.equal(other.name, 'Ada Guest');
+    });
+  });
+
+  describe('POST /auth/refresh-token', () => {
+    it('rotates the refresh token and signs the session out when an old one is reused', async () => {
+      await createUser('rotate@example.com');
+      const loginRes = await fetch(`${baseUrl}/api/auth/login`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ email: 'rotate@example.com', password: PASSWORD })
+      });
+      const first = loginRes.headers.getSetCookie()
+        .find(cookie => cookie.startsWith('refreshToken='))
+        .split(';')[0].slice('refreshToken='.length);
+
+      const rotated = await post('/auth/refresh-token', { refreshToken: first });
+      assert.equal(rotated.status, 200);
+      assert.ok(rotated.body.accessToken);
+      assert.ok(rotated.body.refreshToken);
+      assert.notEqual(rotated.body.refreshToken, first);
+
+      const reused = await post('/auth/refresh-token', { refreshToken: first });
+      assert.equal(reused.status, 401);
+      assert.equal(reused.body.code, 'REFRESH_TOKEN_REUSED');
+
+      // The whole family is gone, including the token that replaced it
+      const afterReuse = await post('/auth/refresh-token', { refreshToken: rotated.body.refreshToken });
+      assert.equal(afterReuse.status, 401);
+      assert.equal(afterReuse.body.code, 'INVALID_REFRESH_TOKEN');
+    });
+  });
+});
+
+describe('verifySecondFactor', () => {
+  const enrolled = () => {
+    const { codes, hashes } = generateRecoveryCodes();
+    return {
+      codes,
+      user: { twoFactor: { secret: generateSecret(), recoveryCodes: hashes, lastUsedStep: null } }
+    };
+  };
+
+  it('accepts a current code once and rejects replaying it', () => {
+    const { user } = enrolled();
+    const code = currentCode(user.twoFactor.secret);
+
+    assert.equal(verifySecondFactor(user, { code }), 'totp');
+    assert.equal(user.twoFactor.lastUsedStep, timeStep());
+    assert.equal(verifySecondFactor(user, { code }), null);
+  });
+
+  it('rejects a code from a step before the last one used', () => {
+    const { user } = enrolled();
+    const step = timeStep();
+
+    assert.equal(verifySecondFactor(user, { code: hotp(user.twoFactor.secret, step) }), 'totp');
+    assert.equal(verifySecondFactor(user, { code: hotp(user.twoFactor.secret, step - 1) }), null);
+  });
+
+  it('accepts each recovery code once, in any format', () => {
+    const { user, codes } = enrolled();
+
+    assert.equal(verifySecondFactor(user, { recoveryCode: ` ${codes[1].toUpperCase().replace('-', '')} ` }), 'recovery_code');
+    assert.equal(user.twoFactor.recoveryCodes.length, codes.length - 1);
+    assert.equal(verifySecondFactor(user, { recoveryCode: codes[1] }), null);
+    assert.equal(verifySecondFactor(user, { recoveryCode: codes[2] }), 'recovery_code');
+  });
+
+  it('rejects wrong codes without changing anything', () => {
+    const { user, codes } = enrolled();
+
+    assert.equal(verifySecondFactor(user, { code: '12345' }), null);
+    assert.equal(verifySecondFactor(user, { recoveryCode: 'aaaaa-bbbbb' }), null);
+    assert.equal(verifySecondFactor(user, {}), null);
+    assert.equal(user.twoFactor.lastUsedStep, null);
+    assert.equal(user.twoFactor.recoveryCodes.length, codes.length);
+  });
+});
@@ -0,0 +1,234 @@
+import './support/memoryStore.js';
+import { describe, it, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Reservation from '../models/reservation.js';
+import User from '../models/user.js';
+import Club from '../models/club.js';
+import SlotLock from '../models/slotLock.js';
+import Waitlist from '../models/waitlist.js';
+import Role from '../models/role.js';
+import { parseImportRows, importReservations, importUsers } from '../utils/bulkImport.js';
+import { defaultRoles } from '../utils/roles.js';
+import { fakeModel } from './support/fakeModel.js';
+
+/**
+ * Bulk import
+ * Parsing, per-row checks and the all-or-nothing insert, against the
+ * in-memory reservation store and stand-in clubs, users, roles,
+ * waitlists and slot locks.
+ */
+
+const users = fakeModel(User, { unique: ['email'] });
+const clubs = fakeModel(Club, { unique: ['slug'] });
+const locks = fakeModel(SlotLock, { unique: ['key'] });
+fakeModel(Waitlist);
+fakeModel(Role);
+
+const CLUB = 'Import Club';
+
+const booking = (overrides = {}) => ({
+  name: 'Ada Guest',
+  email: 'ada@example.com',
+  phone: '+1 555 0100',
+  date: '2030-06-01',
+  time: '22:00',
+  guests: '2',
+  club: CLUB,
+  ...overrides
+});
+
+const storedReservations = () => Reservation.find({ club: CLUB });
+
+const rejections = (report) => report.results
+  .filter(r => r.status === 'rejected')
+  .map(({ row, code }) => [row, code]);
+
+describe('parseImportRows', () => {
+  it('reads CSV with a header row, quoted fields and a byte order mark', () => {
+    const { rows } = parseImportRows('﻿name,specialRequests\r\n"Guest, Ada","Window seat, ""quiet"""\r\nBob,\n');
+    assert.deepEqual(rows, [
+      { name: 'Guest, Ada', specialRequests: 'Window seat, "quiet"' },
+      { name: 'Bob', specialRequests: '' }
+    ]);
+  });
+
+  it('takes a JSON array or an object with a rows array', () => {
+    assert.deepEqual(parseImportRows('[{"name":"Ada"}]').rows, [{ name: 'Ada' }]);
+    assert.deepEqual(parseImportRows({ rows: [{ name: 'Ada' }] }).rows, [{ name: 'Ada' }]);
+  });
+
+  it('refuses input that is not rows', () => {
+    assert.equal(parseImportRows('[{"name":').conflict.code, 'INVALID_IMPORT');
+    assert.equal(parseImportRows('name\n"unterminated').conflict.code, 'INVALID_IMPORT');
+    assert.equal(parseImportRows('[1, 2]').conflict.code, 'INVALID_IMPORT');
+    assert.equal(parseImportRows('name,email\n').conflict.code, 'INVALID_IMPORT');
+    assert.equal(parseImportRows(Array(5001).fill({})).conflict.code, 'IMPORT_TOO_LARGE');
+  });
+});
+
+describe('importReservations', () => {
+  before(async () => {
+    await Club.create({ name: CLUB, slug: 'import-club', city: 'Chandigarh', tablesPerSlot: 1, timeSlots: ['21:00', '22:00'] });
+  });
+
+  beforeEach(async () => {
+    for (const reservation of await storedReservations()) {
+      await Reservation.findByIdAndDelete(reservation._id);
+    }
+    users.clear();
+    locks.clear();
+  });
+
+  it('reports every rejected row by code and imports nothing', async () => {
+    const report = await importReservations([
+      booking(),
+      booking({ phone: '' }),
+      booking({ club: 'Nowhere' }),
+      booking({ status: 'maybe' }),
+      booking({ userId: '65a000000000000000000009' }),
+      booking({ time: '25:00' }),
+      booking({ email: 'bob@example.com' }),
+      booking({ status: 'completed', date: '2020-01-01' }),
+      booking({ date: '2020-01-01' })
+    ]);
+
+    assert.deepEqual(rejections(report), [
+      [2, 'VALIDATION_ERROR'],
+      [3, 'CLUB_NOT_FOUND'],
+      [4, 'INVALID_STATUS'],
+      [5, 'USER_NOT_FOUND'],
+      [6, 'INVALID_TIME'],
+      // Row 1 already takes the only table in the slot
+      [7, 'SLOT_FULL'],
+      // Live bookings must still be ahead
+      [9, 'INVALID_DATE']
+    ]);
+    assert.equal(report.accepted, 2);
+    assert.equal(report.imported, 0);
+    assert.equal((await storedReservations()).length, 0);
+  });
+
+  it('validates without writing on a dry run', async () => {
+    const report = await importReservations([booking(), booking({ time: '21:00' })], { dryRun: true });
+
+    assert.equal(report.dryRun, true);
+    assert.equal(report.accepted, 2);
+    assert.equal(report.imported, 0);
+    assert.equal((await storedReservations()).length, 0);
+  });
+
+  it('imports every row, by club slug too, and links guests to accounts by email', async () => {
+    const user = await User.create({ username: 'ada', email: 'ada@example.com', password: 'x' });
+
+    const report = await importReservations([
+      booking(),
+      booking({ club: '', clubSlug: 'import-club', email: 'bob@example.com', time: '21:00' }),
+      booking({ status: 'no_show', date: '2020-01-01' })
+    ]);
+
+    assert.equal(report.imported, 3);
+    assert.ok(report.results.every(r => r.id));
+    const stored = await storedReservations();
+    assert.equal(stored.filter(r => String(r.userId) === String(user._id)).length, 2);
+    assert.equal(users.all({ _id: user._id })[0].reliability.noShows, 1);
+  });
+
+  it('checks live rows again against bookings made since the first pass', async (t) => {
+    // Someone books the last table just before the import takes the lock
+    const acquire = SlotLock.create;
+    t.mock.method(SlotLock, 'create', async (data) => {
+      await new Reservation(booking({ email: 'walk-in@example.com', status: 'confirmed' })).save();
+      SlotLock.create.mock.restore();
+      return acquire(data);
+    });
+
+    const report = await importReservations([booking()]);
+
+    assert.deepEqual(rejections(report), [[1, 'SLOT_FULL']]);
+    assert.equal((await storedReservations()).length, 1);
+  });
+
+  it('imports nothing while another booking holds the night', async (t) => {
+    process.env.SLOT_LOCK_WAIT_SECONDS = '0.1';
+    t.after(() => delete process.env.SLOT_LOCK_WAIT_SECONDS);
+    await SlotLock.create({ key: `${CLUB}|2030-06-01`, holder: 'other', expiresAt: new Date(Date.now() + 60000) });
+
+    const report = await importReservations([booking(), booking({ status: 'completed', date: '2020-01-01' })]);
+
+    assert.deepEqual(rejections(report), [[1, 'SLOT_BUSY']]);
+    assert.equal(report.imported, 0);
+    assert.equal((await storedReservations()).length, 0);
+  });
+});
+
+describe('importUsers', () => {
+  const account = (overrides = {}) => ({ name: 'Ada Guest', email: 'ada@example.com', ...overrides });
+
+  before(async () => {
+    await Role.insertMany(defaultRoles);
+  });
+
+  beforeEach(() => {
+    users.clear();
+  });
+
+  it('reports every rejected row by code and creates nothing', async () => {
+    await User.create({ username: 'taken', email: 'taken@example.com', password: 'x' });
+
+    const report = await importUsers([
+      account(),
+      account({ name: '' }),
+      account({ email: 'not-an-email' }),
+      account({ email: 'TAKEN@example.com' }),
+      account({ email: 'ADA@example.com' }),
+      account({ email: 'bob@example.com', role: 'overlord' }),
+      account({ email: 'eve@example.com', emailVerified: 'perhaps' })
+    ]);
+
+    assert.deepEqual(rejections(report), [
+      [2, 'VALIDATION_ERROR'],
+      [3, 'VALIDATION_ERROR'],
+      [4, 'EMAIL_EXISTS'],
+      [5, 'EMAIL_EXISTS'],
+      [6, 'INVALID_ROLE'],
+      [7, 'VALIDATION_ERROR']
+    ]);
+    assert.equal(users.docs.size, 1);
+  });
+
+  it('validates without writing on a dry run', async () => {
+    const report = await importUsers([account(), account({ email: 'bob@example.com' })], { dryRun: true });
+
+    assert.equal(report.accepted, 2);
+    assert.equal(report.imported, 0);
+    assert.equal(users.docs.size, 0);
+  });
+
+  it('creates the accounts in one transaction', async (t) => {
+    const transaction = t.mock.method(mongoose.connection, 'transaction', async (fn) => fn({}));
+
+    const report = await importUsers([account({ role: 'manager', emailVerified: 'yes' }), account({ email: 'bob@example.com' })]);
+
+    assert.equal(transaction.mock.callCount(), 1);
+    assert.equal(report.imported, 2);
+    const [ada] = users.all({ email: 'ada@example.com' });
+    assert.equal(ada.role, 'manager');
+    assert.equal(ada.emailVerified, true);
+    assert.ok(ada.password);
+  });
+
+  it('removes the users already written when an insert fails without transactions', async (t) => {
+    t.mock.method(mongoose.connection, 'transaction', async () => {
+      throw Object.assign(new Error('Transaction numbers are only allowed on a replica set member or mongos'), { code: 20 });
+    });
+    const insertMany = User.insertMany;
+    t.mock.method(User, 'insertMany', async (docs) => {
+      await insertMany(docs.slice(0, 1));
+      throw new Error('connection lost');
+    });
+
+    await assert.rejects(importUsers([account(), account({ email: 'bob@example.com' })]), /connection lost/);
+    assert.equal(users.docs.size, 0);
+  });
+});
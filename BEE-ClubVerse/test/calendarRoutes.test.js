@@ -0,0 +1,149 @@
+import './support/memoryStore.js';
+import { describe, it, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import Reservation from '../models/reservation.js';
+import User from '../models/user.js';
+import Club from '../models/club.js';
+import Role from '../models/role.js';
+import AuditLog from '../models/auditLog.js';
+import apiRoutes from '../api/apiRoutes.js';
+import calendarRoutes from '../routes/calendarRoutes.js';
+import { seedDefaultRoles } from '../utils/roles.js';
+import { toCsv, toIcs } from '../utils/reservationExport.js';
+import { parseCsv } from '../utils/csv.js';
+import { fakeModel } from './support/fakeModel.js';
+import { startApp, tokenFor } from './support/http.js';
+
+/**
+ * Reservation exports
+ * CSV and iCalendar rendering, the admin export and the per-user
+ * calendar feed, against the in-memory reservation store and stand-in
+ * users, clubs, roles and audit log.
+ */
+
+const CLUB = 'Export Club';
+
+const users = fakeModel(User, { unique: ['email'] });
+fakeModel(Club, { unique: ['slug'] });
+fakeModel(Role, { unique: ['name'] });
+fakeModel(AuditLog);
+
+const booking = (overrides = {}) => ({
+  name: 'Ada Guest',
+  email: 'ada@example.com',
+  phone: '+1 555 0100',
+  date: '2030-06-01',
+  time: '22:00',
+  guests: '2',
+  club: CLUB,
+  status: 'confirmed',
+  ...overrides
+});
+
+describe('toCsv', () => {
+  it('quotes separators and defuses formulas, but keeps phone numbers', () => {
+    const csv = toCsv([booking({ _id: 'r1', name: 'Lovelace, Ada', specialRequests: '=HYPERLINK("x")' })]);
+    const [row] = parseCsv(csv);
+
+    assert.ok(csv.startsWith('id,club,date,time,guests,status,name,email,phone,specialRequests,createdAt\r\n'));
+    assert.equal(row.name, 'Lovelace, Ada');
+    assert.equal(row.phone, '+1 555 0100');
+    assert.equal(row.specialRequests, '\'=HYPERLINK("x")');
+    assert.ok(csv.endsWith('\r\n'));
+  });
+});
+
+describe('toIcs', () => {
+  it('writes the venue time (Asia/Kolkata by default) out in UTC', () => {
+    const ics = toIcs([booking({ _id: 'r1', specialRequests: 'Window; quiet, please' })]);
+
+    assert.match(ics, /^BEGIN:VCALENDAR\r\n/);
+    assert.match(ics, /\r\nDTSTART:20300601T163000Z\r\n/);
+    assert.match(ics, /\r\nDTEND:20300601T183000Z\r\n/);
+    assert.match(ics, /\r\nSUMMARY:Reservation at Export Club\r\n/);
+    assert.match(ics.replace(/\r\n /g, ''), /Special requests: Window\\; quiet\\, please/);
+    assert.match(ics, /\r\nSTATUS:CONFIRMED\r\n/);
+    assert.ok(ics.split('\r\n').every(line => Buffer.byteLength(line) <= 75));
+  });
+});
+
+describe('export routes', () => {
+  let app;
+  let guest;
+  let guestToken;
+  let adminToken;
+
+  before(async () => {
+    mock.method(console, 'log', () => {});
+    await seedDefaultRoles();
+    await Club.create({ name: CLUB, slug: 'export-club', city: 'Ludhiana' });
+    app = await startApp(apiRoutes, calendarRoutes);
+  });
+
+  after(() => app.close());
+
+  beforeEach(async () => {
+    for (const reservation of await Reservation.find({ club: CLUB })) {
+      await Reservation.findByIdAndDelete(reservation._id);
+    }
+    users.clear();
+    guest = await User.create({ name: 'Ada Guest', email: 'ada@example.com', password: 'x' });
+    guestToken = tokenFor(guest);
+    const admin = await User.create({ name: 'Admin', email: 'admin@example.com', password: 'x', role: 'admin' });
+    adminToken = tokenFor(admin);
+  });
+
+  it('exports the filtered listing as CSV for admins only', async () => {
+    await Reservation.insertMany([
+      booking({ name: 'Kept' }),
+      booking({ name: 'Cancelled', status: 'cancelled' })
+    ]);
+
+    const res = await app.request('GET', '/api/admin/reservations/export?format=csv&club=export-club&status=confirmed', {
+      token: adminToken
+    });
+
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /^text\/csv/);
+    assert.match(res.headers.get('content-disposition'), /attachment; filename="reservations-.*\.csv"/);
+    assert.deepEqual(parseCsv(res.text).map(row => row.name), ['Kept']);
+
+    const guestRes = await app.request('GET', '/api/admin/reservations/export', { token: guestToken });
+    assert.equal(guestRes.status, 403);
+  });
+
+  it('downloads a booking as .ics for its owner only', async () => {
+    const [own, other] = await Reservation.insertMany([
+      booking({ userId: String(guest._id) }),
+      booking({ email: 'bo@example.com' })
+    ]);
+
+    const res = await app.request('GET', `/api/reservations/${own._id}/ics`, { token: guestToken });
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /^text\/calendar/);
+    assert.match(res.text, new RegExp(`UID:reservation-${own._id}@`));
+
+    const denied = await app.request('GET', `/api/reservations/${other._id}/ics`, { token: guestToken });
+    assert.equal(denied.status, 403);
+  });
+
+  it('serves upcoming bookings on a feed URL until it is turned off', async () => {
+    await Reservation.insertMany([
+      booking({ userId: String(guest._id), name: 'Upcoming' }),
+      booking({ userId: String(guest._id), name: 'Past', date: '2020-01-01' }),
+      booking({ userId: String(guest._id), name: 'Cancelled', status: 'cancelled' }),
+      booking({ name: 'Someone else' })
+    ]);
+
+    const created = await app.request('POST', '/api/reservations/calendar-feed', { token: guestToken });
+    assert.equal(created.status, 201);
+    const feedPath = new URL(created.body.url).pathname;
+
+    const feed = await app.request('GET', feedPath);
+    assert.equal(feed.status, 200);
+    assert.equal(feed.text.match(/BEGIN:VEVENT/g).length, 1);
+
+    await app.request('DELETE', '/api/reservations/calendar-feed', { token: guestToken });
+    assert.equal((await app.request('GET', feedPath)).status, 404);
+  });
+});
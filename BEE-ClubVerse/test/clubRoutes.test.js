@@ -0,0 +1,149 @@
+import './support/memoryStore.js';
+import { describe, it, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Reservation from '../models/reservation.js';
+import User from '../models/user.js';
+import Club from '../models/club.js';
+import Role from '../models/role.js';
+import Waitlist from '../models/waitlist.js';
+import SlotLock from '../models/slotLock.js';
+import AuditLog from '../models/auditLog.js';
+import clubRoutes from '../routes/clubRoutes.js';
+import { seedDefaultRoles } from '../utils/roles.js';
+import { seedDefaultClubs, findClubBySlug } from '../utils/clubCatalog.js';
+import { fakeModel } from './support/fakeModel.js';
+import { startApp, tokenFor } from './support/http.js';
+
+/**
+ * Club admin routes
+ * Renaming a club carries its bookings, waitlist and managers over, or
+ * leaves everything as it was. Runs against the in-memory reservation
+ * store and stand-in clubs, users, roles, waitlist, slot locks and audit log.
+ */
+
+const OLD = { name: 'Old Name', slug: 'old-name' };
+const NEW = { name: 'New Name', slug: 'new-name' };
+const DATE = '2030-06-01';
+
+const clubs = fakeModel(Club, { unique: ['slug'] });
+const users = fakeModel(User, { unique: ['email'] });
+const waitlist = fakeModel(Waitlist);
+const locks = fakeModel(SlotLock, { unique: ['key'] });
+fakeModel(Role, { unique: ['name'] });
+fakeModel(AuditLog);
+
+let app;
+let token;
+let club;
+let manager;
+
+const book = (overrides = {}) => new Reservation({
+  name: 'Ada Guest',
+  email: 'ada@example.com',
+  phone: '+1 555 0100',
+  date: DATE,
+  time: '22:00',
+  guests: '2',
+  club: OLD.name,
+  status: 'confirmed',
+  ...overrides
+}).save();
+
+const clubsOf = async (name) => (await Reservation.find({ club: name })).length;
+
+const rename = () => app.request('PUT', `/api/admin/clubs/${club._id}`, { token, body: NEW });
+
+describe('club routes', () => {
+  before(async () => {
+    mock.method(console, 'log', () => {});
+    await seedDefaultRoles();
+    app = await startApp(clubRoutes);
+  });
+
+  after(() => app.close());
+
+  beforeEach(async () => {
+    for (const name of [OLD.name, NEW.name]) {
+      for (const reservation of await Reservation.find({ club: name })) {
+        await Reservation.findByIdAndDelete(reservation._id);
+      }
+    }
+    clubs.clear();
+    users.clear();
+    waitlist.clear();
+    locks.clear();
+
+    club = await Club.create({ ...OLD, city: 'Chandigarh' });
+    const admin = await User.create({ name: 'Admin', email: 'admin@example.com', password: 'x', role: 'admin' });
+    manager = await User.create({
+      name: 'Manager', email: 'manager@example.com', password: 'x', role: 'manager', managedClubs: ['elsewhere', OLD.slug]
+    });
+    token = tokenFor(admin);
+
+    await book();
+    await book({ date: '2020-01-01', status: 'completed' });
+    await Waitlist.create({
+      userId: new mongoose.Types.ObjectId(),
+      name: 'Next Party',
+      email: 'next@example.com',
+      phone: '+1 555 0199',
+      club: OLD.name,
+      clubSlug: OLD.slug,
+      date: DATE,
+      time: '22:00',
+      guests: '2'
+    });
+  });
+
+  describe('PUT /api/admin/clubs/:id', () => {
+    it('moves reservations, waitlist entries and managers to the new name and slug', async () => {
+      const res = await rename();
+
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.renamed, { reservations: 2, waitlist: 1, managers: 1 });
+      assert.equal(await clubsOf(OLD.name), 0);
+      assert.equal(await clubsOf(NEW.name), 2);
+      assert.equal(waitlist.all({ club: NEW.name }).length, 1);
+      assert.deepEqual([...(await User.findById(manager._id)).managedClubs], ['elsewhere', NEW.slug]);
+      assert.equal(locks.docs.size, 0);
+    });
+
+    it('keeps the old name while a booking holds one of its nights', async (t) => {
+      process.env.SLOT_LOCK_WAIT_SECONDS = '0.1';
+      t.after(() => { delete process.env.SLOT_LOCK_WAIT_SECONDS; });
+      await SlotLock.create({ key: `${OLD.name}|${DATE}`, holder: 'booking', expiresAt: new Date(Date.now() + 60 * 1000) });
+
+      const res = await rename();
+
+      assert.equal(res.status, 503);
+      assert.equal(res.body.code, 'SLOT_BUSY');
+      assert.equal((await Club.findById(club._id)).name, OLD.name);
+      assert.equal(await clubsOf(OLD.name), 2);
+      assert.deepEqual([...(await User.findById(manager._id)).managedClubs], ['elsewhere', OLD.slug]);
+    });
+
+    it('undoes the updates already made when a later one fails', async (t) => {
+      t.mock.method(User, 'replaceManagedClub', async () => { throw new Error('users offline'); });
+
+      const res = await rename();
+
+      assert.equal(res.status, 500);
+      const stored = await Club.findById(club._id);
+      assert.equal(stored.name, OLD.name);
+      assert.equal(stored.slug, OLD.slug);
+      assert.equal(await clubsOf(OLD.name), 2);
+      assert.equal(waitlist.all({ club: OLD.name }).length, 1);
+    });
+  });
+});
+
+describe('default clubs', () => {
+  it('include the venues the old MOBE and ROMEO LANE pages linked to', async () => {
+    clubs.clear();
+    await seedDefaultClubs();
+
+    assert.equal((await findClubBySlug('mobe')).city, 'Chandigarh');
+    assert.equal((await findClubBySlug('romeo-ldh')).city, 'Ludhiana');
+  });
+});
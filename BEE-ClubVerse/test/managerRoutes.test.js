@@ -0,0 +1,174 @@
+import './support/memoryStore.js';
+import { describe, it, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import Reservation from '../models/reservation.js';
+import User from '../models/user.js';
+import Club from '../models/club.js';
+import Role from '../models/role.js';
+import Waitlist from '../models/waitlist.js';
+import SlotLock from '../models/slotLock.js';
+import EmailOutbox from '../models/emailOutbox.js';
+import AuditLog from '../models/auditLog.js';
+import apiRoutes from '../api/apiRoutes.js';
+import managerRoutes from '../routes/managerRoutes.js';
+import { seedDefaultRoles } from '../utils/roles.js';
+import { fakeModel } from './support/fakeModel.js';
+import { captureMail } from './support/mailbox.js';
+import { startApp, tokenFor } from './support/http.js';
+
+/**
+ * Manager routes
+ * Managers only see and change bookings at the clubs assigned to them.
+ * Runs against the in-memory reservation store and stand-in users,
+ * clubs, roles, waitlist, slot locks, outbox and audit log.
+ */
+
+const MINE = { name: 'Managed Club', slug: 'managed-club' };
+const THEIRS = { name: 'Other Club', slug: 'other-club' };
+const DATE = '2030-06-01';
+
+const users = fakeModel(User, { unique: ['email'] });
+fakeModel(Club, { unique: ['slug'] });
+fakeModel(Role, { unique: ['name'] });
+fakeModel(Waitlist);
+fakeModel(SlotLock, { unique: ['key'] });
+fakeModel(EmailOutbox, { unique: ['dedupeKey'] });
+fakeModel(AuditLog);
+captureMail();
+
+let app;
+let manager;
+let mine;
+let theirs;
+
+const book = async (club, overrides = {}) => {
+  const reservation = await new Reservation({
+    name: 'Ada Guest',
+    email: 'ada@example.com',
+    phone: '+1 555 0100',
+    date: DATE,
+    time: '22:00',
+    guests: '2',
+    club: club.name,
+    status: 'confirmed',
+    ...overrides
+  }).save();
+  return Reservation.findById(reservation._id);
+};
+
+const staffToken = async (email, overrides = {}) =>
+  tokenFor(await User.create({ name: 'Staff', email, password: 'x', role: 'manager', ...overrides }));
+
+describe('manager routes', () => {
+  before(async () => {
+    mock.method(console, 'log', () => {});
+    await seedDefaultRoles();
+    await Club.create({ ...MINE, city: 'Ludhiana' });
+    await Club.create({ ...THEIRS, city: 'Chandigarh' });
+    app = await startApp(apiRoutes, managerRoutes);
+  });
+
+  after(() => app.close());
+
+  beforeEach(async () => {
+    for (const club of [MINE, THEIRS]) {
+      for (const reservation of await Reservation.find({ club: club.name })) {
+        await Reservation.findByIdAndDelete(reservation._id);
+      }
+    }
+    users.clear();
+    manager = await staffToken('manager@example.com', { managedClubs: [MINE.slug] });
+    mine = await book(MINE);
+    theirs = await book(THEIRS);
+  });
+
+  describe('GET /api/manager/reservations', () => {
+    it('lists only bookings at the manager\'s clubs', async () => {
+      const res = await app.request('GET', '/api/manager/reservations', { token: manager });
+
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.reservations.map(r => r._id), [mine._id]);
+    });
+
+    it('refuses a club the manager is not assigned to', async () => {
+      const res = await app.request('GET', `/api/manager/reservations?club=${THEIRS.slug}`, { token: manager });
+
+      assert.equal(res.status, 403);
+      assert.equal(res.body.code, 'CLUB_NOT_MANAGED');
+    });
+
+    it('turns away managers without clubs, and lets admins see every club', async () => {
+      const unassigned = await staffToken('new-manager@example.com');
+      const refused = await app.request('GET', '/api/manager/reservations', { token: unassigned });
+      assert.equal(refused.status, 403);
+      assert.equal(refused.body.code, 'NO_CLUBS_ASSIGNED');
+
+      const admin = await staffToken('admin@example.com', { role: 'admin' });
+      const res = await app.request('GET', '/api/manager/reservations', { token: admin });
+      assert.equal(res.body.count, 2);
+    });
+  });
+
+  describe('PATCH /api/manager/reservations/:id/status', () => {
+    it('changes bookings at the manager\'s clubs only', async () => {
+      const own = await app.request('PATCH', `/api/manager/reservations/${mine._id}/status`, {
+        token: manager,
+        body: { status: 'cancelled' }
+      });
+      assert.equal(own.status, 200);
+      assert.equal((await Reservation.findById(mine._id)).status, 'cancelled');
+
+      const other = await app.request('PATCH', `/api/manager/reservations/${theirs._id}/status`, {
+        token: manager,
+        body: { status: 'cancelled' }
+      });
+      assert.equal(other.status, 403);
+      assert.equal(other.body.code, 'CLUB_NOT_MANAGED');
+      assert.equal((await Reservation.findById(theirs._id)).status, 'confirmed');
+    });
+  });
+
+  describe('PATCH /api/manager/reservations/:id/no-show and /check-in', () => {
+    it('records the outcome on the guest\'s reliability record', async () => {
+      const ada = await User.create({ name: 'Ada Guest', email: 'ada@example.com', password: 'x' });
+      const past = await book(MINE, { date: '2020-01-01', userId: String(ada._id) });
+
+      const noShow = await app.request('PATCH', `/api/manager/reservations/${past._id}/no-show`, { token: manager });
+      assert.equal(noShow.status, 200);
+      assert.equal(noShow.body.reservation.status, 'no_show');
+      let { reliability } = await User.findById(ada._id);
+      assert.equal(reliability.noShows, 1);
+      assert.equal(reliability.score, 0);
+
+      // Turned up late after all
+      const checkIn = await app.request('PATCH', `/api/manager/reservations/${past._id}/check-in`, { token: manager });
+      assert.equal(checkIn.status, 200);
+      ({ reliability } = await User.findById(ada._id));
+      assert.equal(reliability.noShows, 0);
+      assert.equal(reliability.visits, 1);
+      assert.equal(reliability.score, 100);
+    });
+
+    it('refuses a no-show before the booking time and out-of-order moves', async () => {
+      const early = await app.request('PATCH', `/api/manager/reservations/${mine._id}/no-show`, { token: manager });
+      assert.equal(early.status, 409);
+      assert.equal(early.body.code, 'SLOT_NOT_STARTED');
+
+      const cancelled = await book(MINE, { status: 'cancelled' });
+      const res = await app.request('PATCH', `/api/manager/reservations/${cancelled._id}/check-in`, { token: manager });
+      assert.equal(res.status, 409);
+      assert.equal(res.body.code, 'INVALID_TRANSITION');
+
+      const other = await app.request('PATCH', `/api/manager/reservations/${theirs._id}/check-in`, { token: manager });
+      assert.equal(other.status, 403);
+    });
+  });
+
+  describe('admin reservation routes', () => {
+    it('are closed to managers', async () => {
+      const res = await app.request('GET', '/api/admin/reservations', { token: manager });
+
+      assert.equal(res.status, 403);
+    });
+  });
+});
@@ -0,0 +1,141 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { migrateUp, migrateDown, migrationStatus } from '../utils/migrations.js';
+
+/**
+ * Migration runner
+ * Runs against migration files in a temporary directory and a stand-in
+ * pg pool that keeps schema_migrations in memory (with transactions), and
+ * records every migration script it runs.
+ */
+
+function fakePool() {
+  let rows = [];
+  let snapshot = null;
+  let clock = 0;
+  const ran = [];
+
+  const query = async (config, values = []) => {
+    const text = (typeof config === 'string' ? config : config.text).trim();
+
+    if (text.startsWith('SELECT pg_try_advisory_lock')) return { rows: [{ locked: true }] };
+    if (text.startsWith('SELECT pg_advisory_unlock') || text.startsWith('CREATE TABLE IF NOT EXISTS schema_migrations')) {
+      return { rows: [] };
+    }
+    if (text === 'BEGIN') { snapshot = rows.map(row => ({ ...row })); return { rows: [] }; }
+    if (text === 'COMMIT') { snapshot = null; return { rows: [] }; }
+    if (text === 'ROLLBACK') { rows = snapshot; snapshot = null; return { rows: [] }; }
+
+    if (text.startsWith('SELECT version, name, checksum, applied_at FROM schema_migrations')) {
+      return { rows: [...rows].sort((a, b) => a.version - b.version) };
+    }
+    if (text === 'SELECT version FROM schema_migrations ORDER BY applied_at DESC, version DESC') {
+      return { rows: [...rows].sort((a, b) => b.applied_at - a.applied_at || b.version - a.version) };
+    }
+    if (text.startsWith('INSERT INTO schema_migrations')) {
+      const [version, name, checksum] = values;
+      rows.push({ version, name, checksum, applied_at: new Date(Date.UTC(2030, 0, 1) + ++clock * 1000) });
+      return { rows: [] };
+    }
+    if (text.startsWith('DELETE FROM schema_migrations')) {
+      rows = rows.filter(row => row.version !== values[0]);
+      return { rows: [] };
+    }
+
+    // A migration script
+    if (text.includes('FAIL')) throw new Error('syntax error');
+    ran.push(text);
+    return { rows: [] };
+  };
+
+  return {
+    ran,
+    connect: async () => ({ query, release: () => {} }),
+    query
+  };
+}
+
+const migration = (version, name, { requires, up } = {}) => [
+  [`${version}_${name}.up.sql`, `${requires ? `-- requires: ${requires}\n` : ''}${up || `-- up ${version}`}`],
+  [`${version}_${name}.down.sql`, `-- down ${version}`]
+];
+
+const versions = (migrations) => migrations.map(m => m.version);
+
+describe('migrations', () => {
+  let dir;
+  let db;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'clubverse-migrations-'));
+    const files = [
+      ...migration('001', 'create_reservations'),
+      ...migration('002', 'link_users', { requires: 'USER_STORE=postgres' }),
+      ...migration('003', 'add_column')
+    ];
+    for (const [file, sql] of files) await fs.writeFile(path.join(dir, file), sql);
+    db = fakePool();
+    delete process.env.USER_STORE;
+  });
+
+  afterEach(async () => {
+    delete process.env.USER_STORE;
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('applies pending migrations in order and only once', async () => {
+    assert.deepEqual(versions(await migrateUp(db, { dir })), [1, 3]);
+    assert.deepEqual(versions(await migrateUp(db, { dir })), []);
+    assert.deepEqual(db.ran, ['-- up 001', '-- up 003']);
+  });
+
+  it('stops after the `to` version', async () => {
+    assert.deepEqual(versions(await migrateUp(db, { dir, to: 1 })), [1]);
+  });
+
+  it('lists a migration whose requirement is unmet as inactive until it is met', async () => {
+    await migrateUp(db, { dir });
+    const states = async () => (await migrationStatus(db, { dir })).map(m => m.state);
+    assert.deepEqual(await states(), ['applied', 'inactive', 'applied']);
+
+    process.env.USER_STORE = 'postgres';
+    assert.deepEqual(versions(await migrateUp(db, { dir })), [2]);
+    assert.deepEqual(await states(), ['applied', 'applied', 'applied']);
+  });
+
+  it('can leave migrations with a requirement for later even when it is met', async () => {
+    process.env.USER_STORE = 'postgres';
+
+    assert.deepEqual(versions(await migrateUp(db, { dir, skipRequiring: true })), [1, 3]);
+    assert.deepEqual(versions(await migrateUp(db, { dir })), [2]);
+  });
+
+  it('rolls back the most recently applied migration first', async () => {
+    await migrateUp(db, { dir });
+    process.env.USER_STORE = 'postgres';
+    await migrateUp(db, { dir });
+
+    // 002 was applied after 003, so it goes first
+    assert.deepEqual(versions(await migrateDown(db, { dir })), [2]);
+    assert.deepEqual(versions(await migrateDown(db, { dir, steps: 2 })), [3, 1]);
+  });
+
+  it('rolls back everything above a version, or one gated migration on its own', async () => {
+    process.env.USER_STORE = 'postgres';
+    await migrateUp(db, { dir });
+
+    assert.deepEqual(versions(await migrateDown(db, { dir, version: 2 })), [2]);
+    await assert.rejects(migrateDown(db, { dir, version: 3 }), /requires/);
+    assert.deepEqual(versions(await migrateDown(db, { dir, to: 0 })), [3, 1]);
+  });
+
+  it('rolls back a failed migration and records nothing', async () => {
+    await fs.writeFile(path.join(dir, '003_add_column.up.sql'), 'FAIL');
+
+    await assert.rejects(migrateUp(db, { dir }), /003_add_column \(up\) failed/);
+    assert.deepEqual((await migrationStatus(db, { dir })).map(m => m.state), ['applied', 'inactive', 'pending']);
+  });
+});
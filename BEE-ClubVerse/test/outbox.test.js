@@ -0,0 +1,124 @@
+import { describe, it, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import EmailOutbox from '../models/emailOutbox.js';
+import transporter from '../middlewares/mailer.js';
+import { processOutbox, retryDelayMs } from '../utils/outbox.js';
+import { renderEmail } from '../utils/emailTemplates.js';
+import { fakeModel } from './support/fakeModel.js';
+
+/**
+ * Email outbox and templates
+ * Delivery, retries with backoff and the final status of queued
+ * messages, against a stand-in outbox and transport.
+ */
+
+const outbox = fakeModel(EmailOutbox, { unique: ['dedupeKey'] });
+
+const queue = (overrides = {}) => EmailOutbox.create({
+  template: 'reservation-confirmed',
+  to: 'ada@example.com',
+  subject: 'Your Table Reservation',
+  html: '<p>Hi</p>',
+  text: 'Hi\n',
+  ...overrides
+});
+
+// Make a message waiting for its retry due now
+const makeDue = (message) =>
+  EmailOutbox.updateOne({ _id: message._id }, { nextAttemptAt: new Date(Date.now() - 1000) });
+
+describe('processOutbox', () => {
+  before(() => { mock.method(console, 'error', () => {}); });
+  after(() => { delete process.env.OUTBOX_MAX_ATTEMPTS; });
+  beforeEach(() => outbox.clear());
+
+  it('sends due messages and drops their body', async (t) => {
+    t.mock.method(transporter, 'sendMail', async () => ({ messageId: 'm-1' }));
+    const message = await queue();
+
+    assert.deepEqual(await processOutbox(), { sent: 1, retrying: 0, failed: 0 });
+
+    const stored = await EmailOutbox.findById(message._id);
+    assert.equal(stored.status, 'sent');
+    assert.equal(stored.attempts, 1);
+    assert.equal(stored.messageId, 'm-1');
+    assert.equal(stored.html, null);
+    assert.ok(stored.expiresAt > new Date());
+  });
+
+  it('retries a failed send after a backoff, then marks it failed', async (t) => {
+    process.env.OUTBOX_MAX_ATTEMPTS = '2';
+    const sendMail = t.mock.method(transporter, 'sendMail', async () => { throw new Error('SMTP down'); });
+    const message = await queue();
+
+    const before = Date.now();
+    assert.deepEqual(await processOutbox(), { sent: 0, retrying: 1, failed: 0 });
+    let stored = await EmailOutbox.findById(message._id);
+    assert.equal(stored.status, 'pending');
+    assert.equal(stored.lastError, 'SMTP down');
+    assert.ok(stored.nextAttemptAt.getTime() >= before + retryDelayMs(1));
+
+    // Not due yet, so nothing is tried
+    assert.deepEqual(await processOutbox(), { sent: 0, retrying: 0, failed: 0 });
+    assert.equal(sendMail.mock.callCount(), 1);
+
+    await makeDue(message);
+    assert.deepEqual(await processOutbox(), { sent: 0, retrying: 0, failed: 1 });
+    stored = await EmailOutbox.findById(message._id);
+    assert.equal(stored.status, 'failed');
+    assert.equal(stored.attempts, 2);
+    // Kept so it can be resent by hand
+    assert.equal(stored.html, '<p>Hi</p>');
+  });
+
+  it('discards single-use links when delivery fails for good', async (t) => {
+    process.env.OUTBOX_MAX_ATTEMPTS = '1';
+    t.mock.method(transporter, 'sendMail', async () => { throw new Error('SMTP down'); });
+    const message = await queue({ template: 'password-reset', html: '<a href="/reset/abc">Reset</a>' });
+
+    await processOutbox();
+
+    const stored = await EmailOutbox.findById(message._id);
+    assert.equal(stored.status, 'failed');
+    assert.equal(stored.html, null);
+  });
+});
+
+describe('retryDelayMs', () => {
+  it('doubles for each attempt, up to six hours', () => {
+    assert.equal(retryDelayMs(1), 60 * 1000);
+    assert.equal(retryDelayMs(3), 4 * 60 * 1000);
+    assert.equal(retryDelayMs(20), 6 * 60 * 60 * 1000);
+  });
+});
+
+describe('renderEmail', () => {
+  const data = {
+    name: '<script>alert(1)</script>',
+    club: 'Tom & Jerry\'s',
+    date: '2030-06-01',
+    time: '22:00',
+    guests: '2',
+    reservationId: 'r1'
+  };
+
+  it('escapes guest-supplied values in the HTML part', async () => {
+    const { html } = await renderEmail('reservation-confirmed', data);
+
+    assert.ok(!html.includes('<script>'));
+    assert.match(html, /&lt;script&gt;alert\(1\)&lt;\/script&gt;/);
+    assert.match(html, /Tom &amp; Jerry&#39;s/);
+  });
+
+  it('renders a plain-text part with the values as written', async () => {
+    const { subject, text } = await renderEmail('reservation-confirmed', data);
+
+    assert.equal(subject, 'Your Table Reservation at Tom & Jerry\'s');
+    assert.match(text, /Hi <script>alert\(1\)<\/script>,/);
+    assert.ok(!/<(p|b|h2)>/.test(text));
+  });
+
+  it('rejects unknown templates', async () => {
+    await assert.rejects(renderEmail('nope', data), /Unknown email template/);
+  });
+});
@@ -0,0 +1,132 @@
+import './support/memoryStore.js';
+import { describe, it, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import Reservation from '../models/reservation.js';
+import User from '../models/user.js';
+import { completeFinishedReservations } from '../utils/reservationJobs.js';
+import { checkOutcomeTransition } from '../utils/reservationStatus.js';
+import { fakeModel } from './support/fakeModel.js';
+
+/**
+ * Auto-completion
+ * Runs the job against the in-memory reservation store at fixed instants
+ * in a UTC venue, so slot ends and the no-show grace period are exact.
+ */
+
+process.env.VENUE_TIMEZONE = 'UTC';
+delete process.env.NO_SHOW_GRACE_HOURS;
+
+const users = fakeModel(User);
+
+after(() => {
+  delete process.env.VENUE_TIMEZONE;
+});
+
+const at = (iso) => new Date(iso);
+
+const book = (status, overrides = {}) => new Reservation({
+  name: 'Ada Guest',
+  email: 'ada@example.com',
+  phone: '+1 555 0100',
+  date: '2030-06-01',
+  time: '22:00',
+  guests: '2',
+  club: 'Job Club',
+  status,
+  ...overrides
+}).save();
+
+const statusOf = async (reservation) => (await Reservation.findById(reservation._id)).status;
+
+describe('completeFinishedReservations', () => {
+  beforeEach(async () => {
+    for (const reservation of await Reservation.find({})) {
+      await Reservation.findByIdAndDelete(reservation._id);
+    }
+    users.clear();
+  });
+
+  it('completes a checked-in booking once its slot has ended', async () => {
+    const booking = await book('checked_in');
+
+    assert.equal(await completeFinishedReservations(at('2030-06-01T22:30:00Z')), 0);
+    assert.equal(await statusOf(booking), 'checked_in');
+
+    assert.equal(await completeFinishedReservations(at('2030-06-01T23:00:00Z')), 1);
+    assert.equal(await statusOf(booking), 'completed');
+  });
+
+  it('completes a confirmed booking only after the no-show grace period', async () => {
+    const booking = await book('confirmed');
+
+    assert.equal(await completeFinishedReservations(at('2030-06-02T04:59:00Z')), 0);
+    assert.equal(await statusOf(booking), 'confirmed');
+
+    assert.equal(await completeFinishedReservations(at('2030-06-02T05:00:00Z')), 1);
+    assert.equal(await statusOf(booking), 'completed');
+  });
+
+  it('takes the grace period from NO_SHOW_GRACE_HOURS', async (t) => {
+    process.env.NO_SHOW_GRACE_HOURS = '0';
+    t.after(() => delete process.env.NO_SHOW_GRACE_HOURS);
+    const booking = await book('confirmed');
+
+    assert.equal(await completeFinishedReservations(at('2030-06-01T23:00:00Z')), 1);
+    assert.equal(await statusOf(booking), 'completed');
+  });
+
+  it('treats slots before 06:00 as the next day', async () => {
+    const booking = await book('checked_in', { time: '01:00' });
+
+    assert.equal(await completeFinishedReservations(at('2030-06-01T23:00:00Z')), 0);
+    assert.equal(await completeFinishedReservations(at('2030-06-02T02:00:00Z')), 1);
+    assert.equal(await statusOf(booking), 'completed');
+  });
+
+  it('leaves pending, cancelled, no-show and future bookings alone', async () => {
+    const untouched = [
+      ['pending', await book('pending')],
+      ['cancelled', await book('cancelled')],
+      ['no_show', await book('no_show')],
+      ['confirmed', await book('confirmed', { date: '2030-06-03' })],
+      ['checked_in', await book('checked_in', { date: '2030-06-03' })]
+    ];
+
+    assert.equal(await completeFinishedReservations(at('2030-06-02T12:00:00Z')), 0);
+    for (const [status, booking] of untouched) {
+      assert.equal(await statusOf(booking), status);
+    }
+  });
+
+  it('counts the completed visit on the guest\'s reliability record', async () => {
+    const user = await User.create({ username: 'ada', email: 'ada@example.com', password: 'x' });
+    await book('checked_in', { userId: String(user._id) });
+
+    await completeFinishedReservations(at('2030-06-02T00:00:00Z'));
+
+    const [stored] = users.all({ _id: user._id });
+    assert.equal(stored.reliability.visits, 1);
+    assert.equal(stored.reliability.noShows, 0);
+  });
+});
+
+describe('checkOutcomeTransition', () => {
+  const past = { date: '2030-06-01', time: '22:00' };
+  const now = at('2030-06-02T12:00:00Z');
+
+  it('lets a confirmed booking become a no-show once it has started', () => {
+    assert.equal(checkOutcomeTransition({ ...past, status: 'confirmed' }, 'no_show', now), null);
+    assert.equal(
+      checkOutcomeTransition({ ...past, status: 'confirmed' }, 'no_show', at('2030-06-01T21:00:00Z')).code,
+      'SLOT_NOT_STARTED'
+    );
+  });
+
+  it('does not turn a completed visit into a no-show', () => {
+    assert.equal(checkOutcomeTransition({ ...past, status: 'completed' }, 'no_show', now).code, 'INVALID_TRANSITION');
+  });
+
+  it('still checks in a late guest marked as a no-show', () => {
+    assert.equal(checkOutcomeTransition({ ...past, status: 'no_show' }, 'checked_in', now), null);
+  });
+});
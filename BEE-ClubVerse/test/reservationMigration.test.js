@@ -0,0 +1,180 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { copyReservations, verifyReservations } from '../utils/reservationMigration.js';
+
+/**
+ * Reservation copy between stores
+ * Runs against stand-in endpoints that keep their records in memory and
+ * follow the endpoint contract in utils/reservationMigration.js.
+ */
+
+function memoryEndpoint(name) {
+  const items = new Map();
+  let nextId = 0;
+
+  const add = (item) => {
+    const sourceId = String(++nextId).padStart(6, '0');
+    items.set(sourceId, { sourceId, ...item });
+    return sourceId;
+  };
+  const byKey = (key) => [...items.values()].find(item => item.key === key);
+
+  return {
+    name,
+    add,
+    keys: () => [...items.values()].map(item => item.key),
+    records: () => [...items.values()].map(item => item.record),
+    update: (key, changes) => Object.assign(byKey(key).record, changes),
+
+    async readBatch(after, limit) {
+      return [...items.values()]
+        .filter(item => after == null || item.sourceId > after)
+        .slice(0, limit)
+        .map(item => ({ ...item, record: item.record && { ...item.record } }));
+    },
+
+    async assignKeys(batch) {
+      for (const item of batch.filter(i => !i.key)) {
+        item.key = `key-${item.sourceId}`;
+        items.get(item.sourceId).key = item.key;
+      }
+    },
+
+    async existingKeys(keys) {
+      return new Set(keys.filter(byKey));
+    },
+
+    async writeBatch(batch) {
+      let inserted = 0;
+      for (const { key, record } of batch) {
+        const existing = byKey(key);
+        if (existing) existing.record = { ...record };
+        else { add({ key, record: { ...record } }); inserted++; }
+      }
+      return { inserted, updated: batch.length - inserted };
+    },
+
+    async deleteKeys(keys) {
+      for (const key of keys) items.delete(byKey(key).sourceId);
+    }
+  };
+}
+
+const record = (n, overrides = {}) => ({
+  userId: null,
+  name: `Guest ${n}`,
+  email: `guest${n}@example.com`,
+  phone: '+1 555 0100',
+  date: '2030-06-01',
+  time: '22:00',
+  guests: '2',
+  specialRequests: '',
+  club: 'Migration Club',
+  clubLocation: null,
+  status: 'confirmed',
+  createdAt: new Date('2030-01-01T00:00:00Z'),
+  updatedAt: new Date('2030-01-01T00:00:00Z'),
+  ...overrides
+});
+
+const seeded = (count, { keyed = true } = {}) => {
+  const source = memoryEndpoint('mongodb');
+  for (let n = 1; n <= count; n++) source.add({ key: keyed ? `65a0${String(n).padStart(20, '0')}` : null, record: record(n) });
+  return source;
+};
+
+describe('copyReservations', () => {
+  it('reports what a dry run would copy without writing', async () => {
+    const source = seeded(3);
+    const target = memoryEndpoint('postgres');
+    await target.writeBatch([{ key: source.keys()[0], record: record(1) }]);
+
+    const report = await copyReservations(source, target, { dryRun: true, batchSize: 2 });
+
+    assert.equal(report.read, 3);
+    assert.equal(report.inserted, 2);
+    assert.equal(report.updated, 1);
+    assert.equal(target.keys().length, 1);
+  });
+
+  it('upserts in batches, so a re-run updates instead of duplicating', async () => {
+    const source = seeded(5);
+    const target = memoryEndpoint('postgres');
+    const batches = [];
+
+    const first = await copyReservations(source, target, { batchSize: 2, onBatch: b => batches.push(b.lastId) });
+    const second = await copyReservations(source, target, { batchSize: 2 });
+
+    assert.deepEqual([first.inserted, first.updated], [5, 0]);
+    assert.deepEqual(batches, ['000002', '000004', '000005']);
+    assert.deepEqual([second.inserted, second.updated], [0, 5]);
+    assert.deepEqual(target.keys(), source.keys());
+  });
+
+  it('skips invalid records and resumes after a failed batch', async () => {
+    const source = seeded(4);
+    source.add({ error: 'date is required' });
+    const target = memoryEndpoint('postgres');
+    const writeBatch = target.writeBatch;
+    let calls = 0;
+    target.writeBatch = async (batch) => {
+      if (++calls === 2) throw new Error('connection lost');
+      return writeBatch(batch);
+    };
+
+    const err = await copyReservations(source, target, { batchSize: 2 }).catch(e => e);
+    assert.equal(err.message, 'connection lost');
+    assert.equal(err.resumeAfter, '000002');
+
+    const report = await copyReservations(source, target, { batchSize: 2, after: err.resumeAfter });
+    assert.equal(report.inserted, 2);
+    assert.deepEqual(report.skipped, [{ sourceId: '000005', error: 'date is required' }]);
+    assert.equal(target.keys().length, 4);
+  });
+
+  it('gives records created in the target store a key they keep for later runs', async () => {
+    // Postgres -> MongoDB: rows created in Postgres have no MongoDB _id yet
+    const source = seeded(2, { keyed: false });
+    const target = memoryEndpoint('mongodb');
+
+    await copyReservations(source, target);
+    const again = await copyReservations(source, target);
+
+    assert.deepEqual(source.keys(), ['key-000001', 'key-000002']);
+    assert.deepEqual(target.keys(), source.keys());
+    assert.equal(again.updated, 2);
+  });
+});
+
+describe('verifyReservations', () => {
+  it('passes once every record is copied unchanged', async () => {
+    const source = seeded(3);
+    const target = memoryEndpoint('postgres');
+    await copyReservations(source, target);
+
+    const report = await verifyReservations(source, target, { batchSize: 2 });
+
+    assert.equal(report.passed, true);
+    assert.equal(report.source.checksum, report.target.checksum);
+    assert.deepEqual(report.verifiedKeys.sort(), source.keys().sort());
+  });
+
+  it('names missing, changed and extra records, and only verifies matching ones', async () => {
+    const source = seeded(3);
+    const target = memoryEndpoint('postgres');
+    await copyReservations(source, target);
+    const [kept, changed, dropped] = source.keys();
+    target.update(changed, { status: 'cancelled' });
+    await target.deleteKeys([dropped]);
+    await target.writeBatch([{ key: 'only-in-target', record: record(9) }]);
+
+    const report = await verifyReservations(source, target);
+
+    assert.equal(report.passed, false);
+    assert.deepEqual(report.missing, [dropped]);
+    assert.deepEqual(report.mismatched, [changed]);
+    assert.deepEqual(report.extra, ['only-in-target']);
+    // What --drop-source would remove from the source
+    assert.deepEqual(report.verifiedKeys, [kept]);
+  });
+});
@@ -0,0 +1,286 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import pg from 'pg';
+import MemoryReservationRepository from '../repositories/memoryReservationRepository.js';
+import MongoReservationRepository from '../repositories/mongoReservationRepository.js';
+import PostgresReservationRepository from '../repositories/postgresReservationRepository.js';
+
+/**
+ * Reservation repository contract
+ * The same suite runs against every backend. Memory always runs; MongoDB
+ * and PostgreSQL run when TEST_MONGODB_URI / TEST_POSTGRES_URL point at a
+ * disposable database. Each run works in its own club, so existing rows
+ * don't affect it, and removes what it created.
+ */
+
+const backends = [
+  {
+    name: 'memory',
+    create: async () => new MemoryReservationRepository()
+  },
+  {
+    name: 'mongodb',
+    skip: !process.env.TEST_MONGODB_URI && 'set TEST_MONGODB_URI to run',
+    create: async () => {
+      await mongoose.connect(process.env.TEST_MONGODB_URI);
+      return new MongoReservationRepository();
+    },
+    teardown: () => mongoose.disconnect()
+  },
+  {
+    name: 'postgres',
+    skip: !process.env.TEST_POSTGRES_URL && 'set TEST_POSTGRES_URL to run',
+    create: async () => new PostgresReservationRepository({
+      pool: new pg.Pool({ connectionString: process.env.TEST_POSTGRES_URL })
+    })
+  }
+];
+
+const USER_A = '65a000000000000000000001';
+const USER_B = '65a000000000000000000002';
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+for (const backend of backends) {
+  describe(`${backend.name} reservation repository`, { skip: backend.skip }, () => {
+    const club = `Contract Club ${crypto.randomBytes(4).toString('hex')}`;
+    let repo;
+
+    const booking = (overrides = {}) => ({
+      name: 'Ada Guest',
+      email: 'ada@example.com',
+      phone: '+1 555 0100',
+      date: '2030-06-01',
+      time: '22:00',
+      guests: '2',
+      club,
+      ...overrides
+    });
+
+    before(async () => {
+      repo = await backend.create();
+      await repo.init();
+    });
+
+    after(async () => {
+      for (const record of await repo.find({ club })) {
+        await repo.delete(record._id);
+      }
+      await repo.close();
+      await backend.teardown?.();
+    });
+
+    describe('create', () => {
+      it('returns a plain record with a string id and defaults', async () => {
+        const created = await repo.create(booking({ guests: 4, userId: new mongoose.Types.ObjectId(USER_A) }));
+
+        assert.equal(typeof created._id, 'string');
+        assert.equal(created.userId, USER_A);
+        assert.equal(created.guests, '4');
+        assert.equal(created.status, 'confirmed');
+        assert.equal(created.specialRequests, null);
+        assert.equal(created.clubLocation, null);
+        assert.ok(created.createdAt instanceof Date);
+        assert.ok(created.updatedAt instanceof Date);
+      });
+
+      it('stores a missing userId as null', async () => {
+        const created = await repo.create(booking({ name: 'Walk-in' }));
+        assert.equal(created.userId, null);
+      });
+
+      it('keeps a supplied createdAt', async () => {
+        const createdAt = new Date('2024-01-02T03:04:05Z');
+        const created = await repo.create(booking({ createdAt }));
+        assert.equal(created.createdAt.getTime(), createdAt.getTime());
+      });
+
+      it('rejects missing required fields and unknown statuses', async () => {
+        await assert.rejects(repo.create(booking({ phone: '' })), /phone/);
+        await assert.rejects(repo.create(booking({ status: 'lost' })), /status/);
+      });
+
+      it('stores times as HH:MM and party sizes as whole numbers', async () => {
+        const created = await repo.create(booking({ time: '9:30:00', guests: '10+' }));
+        assert.equal(created.time, '09:30');
+        assert.equal(created.guests, '10');
+        assert.equal((await repo.findById(created._id)).time, '09:30');
+      });
+
+      it('rejects malformed dates, times and party sizes', async () => {
+        await assert.rejects(repo.create(booking({ date: '01/06/2030' })), /date/);
+        await assert.rejects(repo.create(booking({ time: 'late' })), /time/);
+        await assert.rejects(repo.create(booking({ guests: '0' })), /guests/);
+        await assert.rejects(repo.create(booking({ guests: 'a few' })), /guests/);
+      });
+    });
+
+    describe('createMany', () => {
+      it('stores every document', async () => {
+        const saved = await repo.createMany([booking({ name: 'Batch 1' }), booking({ name: 'Batch 2' })]);
+        assert.deepEqual(saved.map(r => r.name), ['Batch 1', 'Batch 2']);
+        assert.equal(await repo.count({ club, name: { $in: ['Batch 1', 'Batch 2'] } }), 2);
+      });
+
+      it('stores nothing when one document is invalid', async () => {
+        await assert.rejects(repo.createMany([booking({ name: 'Atomic' }), booking({ name: 'Atomic', date: null })]));
+        assert.equal(await repo.count({ club, name: 'Atomic' }), 0);
+      });
+    });
+
+    describe('findById', () => {
+      it('returns the stored record', async () => {
+        const created = await repo.create(booking({ specialRequests: 'Window table' }));
+        const found = await repo.findById(created._id);
+
+        assert.equal(found._id, created._id);
+        assert.equal(found.specialRequests, 'Window table');
+        assert.equal(found.club, club);
+      });
+
+      it('returns null for unknown and malformed ids', async () => {
+        assert.equal(await repo.findById('not-an-id'), null);
+        assert.equal(await repo.findById('999999999'), null);
+        assert.equal(await repo.findById('0123456789abcdef01234567'), null);
+      });
+    });
+
+    describe('find and count', () => {
+      const nightClub = `${club} / filters`;
+
+      before(async () => {
+        await repo.createMany([
+          booking({ club: nightClub, name: 'One', date: '2030-07-01', time: '21:00', status: 'confirmed', userId: USER_A, email: 'One@Example.com' }),
+          booking({ club: nightClub, name: 'Two', date: '2030-07-02', time: '23:00', status: 'cancelled', userId: USER_A }),
+          booking({ club: nightClub, name: 'Three', date: '2030-07-02', time: '22:00', status: 'pending', userId: USER_B }),
+          booking({ club: nightClub, name: 'Four', date: '2030-07-03', time: '20:00', status: 'no_show' })
+        ]);
+      });
+
+      after(async () => {
+        for (const record of await repo.find({ club: nightClub })) {
+          await repo.delete(record._id);
+        }
+      });
+
+      const names = (records) => records.map(r => r.name).sort();
+
+      it('matches equality, including ids and null', async () => {
+        assert.deepEqual(names(await repo.find({ club: nightClub, userId: USER_A })), ['One', 'Two']);
+        assert.deepEqual(names(await repo.find({ club: nightClub, userId: new mongoose.Types.ObjectId(USER_B) })), ['Three']);
+        assert.deepEqual(names(await repo.find({ club: nightClub, userId: null })), ['Four']);
+        assert.deepEqual(await repo.find({ club: nightClub, userId: 'nobody' }), []);
+      });
+
+      it('supports $in, $ne and ranges', async () => {
+        assert.deepEqual(names(await repo.find({ club: nightClub, status: { $in: ['pending', 'no_show'] } })), ['Four', 'Three']);
+        assert.deepEqual(names(await repo.find({ club: nightClub, userId: { $ne: USER_A } })), ['Four', 'Three']);
+        assert.deepEqual(names(await repo.find({ club: nightClub, date: { $gte: '2030-07-02', $lt: '2030-07-03' } })), ['Three', 'Two']);
+        assert.deepEqual(names(await repo.find({ club: nightClub, date: { $gt: '2030-07-02' } })), ['Four']);
+        assert.deepEqual(names(await repo.find({ club: nightClub, time: { $lte: '21:00' } })), ['Four', 'One']);
+      });
+
+      it('supports case-insensitive $regex', async () => {
+        assert.deepEqual(names(await repo.find({ club: nightClub, email: { $regex: 'one@example', $options: 'i' } })), ['One']);
+        assert.deepEqual(await repo.find({ club: nightClub, email: { $regex: 'one@example' } }), []);
+      });
+
+      it('filters on _id', async () => {
+        const [one] = await repo.find({ club: nightClub, name: 'One' });
+        assert.deepEqual(names(await repo.find({ _id: one._id })), ['One']);
+        assert.deepEqual(names(await repo.find({ club: nightClub, _id: { $ne: one._id } })), ['Four', 'Three', 'Two']);
+      });
+
+      it('sorts by several keys in order', async () => {
+        const sorted = await repo.find({ club: nightClub }, { sort: { date: -1, time: 1 } });
+        assert.deepEqual(sorted.map(r => r.name), ['Four', 'Three', 'Two', 'One']);
+      });
+
+      it('pages with skip and limit without overlap', async () => {
+        const sort = { date: 1 };
+        const all = await repo.find({ club: nightClub }, { sort });
+        const first = await repo.find({ club: nightClub }, { sort, limit: 2 });
+        const second = await repo.find({ club: nightClub }, { sort, skip: 2, limit: 2 });
+
+        assert.deepEqual([...first, ...second].map(r => r._id), all.map(r => r._id));
+      });
+
+      it('counts what find returns', async () => {
+        assert.equal(await repo.count({ club: nightClub }), 4);
+        assert.equal(await repo.count({ club: nightClub, status: { $in: ['confirmed', 'pending'] } }), 2);
+      });
+
+      it('rejects unknown fields and operators', async () => {
+        await assert.rejects(repo.find({ club: nightClub, colour: 'red' }), /colour/);
+        await assert.rejects(repo.count({ date: { $where: 'true' } }), /\$where/);
+        await assert.rejects(repo.find({ club: nightClub }, { sort: { phone: 1 } }), /phone/);
+      });
+    });
+
+    describe('update', () => {
+      it('applies changes and bumps updatedAt', async () => {
+        const created = await repo.create(booking({ name: 'Mover' }));
+        await wait(10);
+        const updated = await repo.update(created._id, { time: '23:30', guests: 6, status: 'checked_in', _id: 'ignored' });
+
+        assert.equal(updated._id, created._id);
+        assert.equal(updated.time, '23:30');
+        assert.equal(updated.guests, '6');
+        assert.equal(updated.status, 'checked_in');
+        assert.equal(updated.name, 'Mover');
+        assert.equal(updated.createdAt.getTime(), created.createdAt.getTime());
+        assert.ok(updated.updatedAt > created.updatedAt);
+        assert.equal((await repo.findById(created._id)).time, '23:30');
+      });
+
+      it('rejects invalid values', async () => {
+        const created = await repo.create(booking());
+        await assert.rejects(repo.update(created._id, { status: 'lost' }), /status/);
+        await assert.rejects(repo.update(created._id, { name: '' }), /name/);
+        await assert.rejects(repo.update(created._id, { date: '2030-6-1' }), /date/);
+      });
+
+      it('returns null for unknown ids', async () => {
+        assert.equal(await repo.update('999999999', { status: 'cancelled' }), null);
+        assert.equal(await repo.update('not-an-id', { status: 'cancelled' }), null);
+      });
+    });
+
+    describe('updateMany', () => {
+      it('changes every match and counts them', async () => {
+        const date = '2031-02-03';
+        const [first, second, other] = await repo.createMany([
+          booking({ date, name: 'Group One' }),
+          booking({ date, name: 'Group Two' }),
+          booking({ date, name: 'Group Three', status: 'cancelled' })
+        ]);
+
+        const count = await repo.updateMany({ club, date, status: 'confirmed' }, { time: '20:30' });
+
+        assert.equal(count, 2);
+        assert.equal((await repo.findById(first._id)).time, '20:30');
+        assert.equal((await repo.findById(second._id)).time, '20:30');
+        assert.equal((await repo.findById(other._id)).time, '22:00');
+      });
+
+      it('returns 0 when nothing matches and rejects invalid values', async () => {
+        assert.equal(await repo.updateMany({ club, date: '2031-12-31' }, { time: '20:30' }), 0);
+        await assert.rejects(repo.updateMany({ club }, { status: 'lost' }), /status/);
+      });
+    });
+
+    describe('delete', () => {
+      it('removes and returns the record', async () => {
+        const created = await repo.create(booking({ name: 'Leaving' }));
+        const deleted = await repo.delete(created._id);
+
+        assert.equal(deleted._id, created._id);
+        assert.equal(deleted.name, 'Leaving');
+        assert.equal(await repo.findById(created._id), null);
+        assert.equal(await repo.delete(created._id), null);
+      });
+    });
+  });
+}
@@ -0,0 +1,219 @@
+import './support/memoryStore.js';
+import { describe, it, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import Reservation from '../models/reservation.js';
+import User from '../models/user.js';
+import Club from '../models/club.js';
+import Waitlist from '../models/waitlist.js';
+import SlotLock from '../models/slotLock.js';
+import EmailOutbox from '../models/emailOutbox.js';
+import AuditLog from '../models/auditLog.js';
+import apiRoutes from '../api/apiRoutes.js';
+import { fakeModel } from './support/fakeModel.js';
+import { captureMail } from './support/mailbox.js';
+import { startApp, tokenFor, eventually } from './support/http.js';
+
+/**
+ * Booking and rescheduling through the API
+ * The routes run against the in-memory reservation store and stand-in
+ * users, clubs, waitlists, slot locks, outbox and audit log.
+ */
+
+const CLUB = 'Route Club';
+const DATE = '2030-06-01';
+
+const users = fakeModel(User, { unique: ['email'] });
+const waitlist = fakeModel(Waitlist);
+fakeModel(Club, { unique: ['slug'] });
+fakeModel(SlotLock, { unique: ['key'] });
+fakeModel(EmailOutbox, { unique: ['dedupeKey'] });
+fakeModel(AuditLog);
+captureMail();
+
+let app;
+let guest;
+let token;
+
+const booking = (overrides = {}) => ({
+  name: 'Ada Guest',
+  email: 'ada@example.com',
+  phone: '+1 555 0100',
+  date: DATE,
+  time: '09:30',
+  guests: '2',
+  club: CLUB,
+  ...overrides
+});
+
+const waitingParty = () => Waitlist.create({
+  userId: '65a0000000000000000000ff',
+  name: 'Next Party',
+  email: 'next@example.com',
+  phone: '+1 555 0199',
+  club: CLUB,
+  clubSlug: 'route-club',
+  date: DATE,
+  time: '09:00',
+  guests: '2'
+});
+
+const statusOf = async (entry) => (await Waitlist.findById(entry._id)).status;
+
+describe('reservation routes', () => {
+  before(async () => {
+    mock.method(console, 'log', () => {});
+    await Club.create({ name: CLUB, slug: 'route-club', city: 'Chandigarh', tablesPerSlot: 2, timeSlots: ['09:00', '10:00'] });
+    app = await startApp(apiRoutes);
+  });
+
+  after(() => app.close());
+
+  beforeEach(async () => {
+    for (const reservation of await Reservation.find({ club: CLUB })) {
+      await Reservation.findByIdAndDelete(reservation._id);
+    }
+    users.clear();
+    waitlist.clear();
+    guest = await User.create({ name: 'Ada Guest', email: 'ada@example.com', password: 'x', emailVerified: true });
+    token = tokenFor(guest);
+  });
+
+  const ownBooking = async (overrides = {}) => {
+    const reservation = new Reservation(booking({ userId: String(guest._id), status: 'confirmed', ...overrides }));
+    await reservation.save();
+    return Reservation.findById(reservation._id);
+  };
+
+  describe('GET /api/clubs/:slug/availability', () => {
+    it('counts free tables per slot from bookings that hold a table', async () => {
+      await ownBooking();
+      await ownBooking({ time: '09:45', status: 'cancelled' });
+
+      const res = await app.request('GET', `/api/clubs/route-club/availability?date=${DATE}`);
+
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.timeSlots.map(({ time, booked, tables }) => ({ time, booked, tables })), [
+        { time: '09:00', booked: 1, tables: 1 },
+        { time: '10:00', booked: 0, tables: 2 }
+      ]);
+      assert.equal(res.body.totalTables, 4);
+      assert.equal(res.body.availableTables, 3);
+    });
+
+    it('rejects unknown clubs and malformed dates', async () => {
+      assert.equal((await app.request('GET', `/api/clubs/nowhere/availability?date=${DATE}`)).status, 404);
+
+      const res = await app.request('GET', '/api/clubs/route-club/availability?date=June');
+      assert.equal(res.status, 400);
+      assert.equal(res.body.code, 'INVALID_DATE');
+    });
+  });
+
+  describe('POST /api/reservations', () => {
+    it('books a free table', async (t) => {
+      // Keep the route's backup copy out of data/reservations.json
+      t.mock.method(fs, 'writeFileSync', () => {});
+
+      const res = await app.request('POST', '/api/reservations', { token, body: booking() });
+
+      assert.equal(res.status, 201);
+      assert.equal(res.body.reservation.status, 'confirmed');
+    });
+
+    it('turns away guests who have not verified their email', async () => {
+      const unverified = await User.create({ name: 'New Guest', email: 'new@example.com', password: 'x' });
+
+      const res = await app.request('POST', '/api/reservations', {
+        token: tokenFor(unverified),
+        body: booking({ email: 'new@example.com' })
+      });
+
+      assert.equal(res.status, 403);
+      assert.equal(res.body.code, 'EMAIL_NOT_VERIFIED');
+      assert.equal(await Reservation.countDocuments({ club: CLUB }), 0);
+    });
+
+    it('refuses a time that has passed', async () => {
+      const res = await app.request('POST', '/api/reservations', { token, body: booking({ date: '2020-01-01' }) });
+
+      assert.equal(res.status, 400);
+      assert.equal(res.body.code, 'INVALID_DATE');
+    });
+
+    it('refuses a slot whose tables are all booked', async () => {
+      await ownBooking({ userId: null, email: 'first@example.com' });
+      await ownBooking({ userId: null, email: 'second@example.com' });
+
+      const res = await app.request('POST', '/api/reservations', { token, body: booking() });
+
+      assert.equal(res.status, 409);
+      assert.equal(res.body.code, 'SLOT_FULL');
+      assert.equal(await Reservation.countDocuments({ club: CLUB }), 2);
+    });
+
+    it('applies the club\'s no-show policy to guests over its threshold', async (t) => {
+      t.mock.method(fs, 'writeFileSync', () => {});
+      t.after(() => Club.updateOne({ slug: 'route-club' }, { noShowPolicy: { action: 'none', threshold: 3 } }));
+      const unreliable = await User.create({
+        name: 'Late Guest',
+        email: 'late@example.com',
+        password: 'x',
+        emailVerified: true,
+        reliability: { noShows: 2 }
+      });
+      const late = { token: tokenFor(unreliable), body: booking({ email: 'late@example.com' }) };
+
+      await Club.updateOne({ slug: 'route-club' }, { noShowPolicy: { action: 'block', threshold: 2 } });
+      const blocked = await app.request('POST', '/api/reservations', late);
+      assert.equal(blocked.status, 403);
+      assert.equal(blocked.body.code, 'BOOKING_BLOCKED');
+
+      await Club.updateOne({ slug: 'route-club' }, { noShowPolicy: { action: 'require_approval', threshold: 2 } });
+      const pending = await app.request('POST', '/api/reservations', late);
+      assert.equal(pending.status, 201);
+      assert.equal(pending.body.reservation.status, 'pending');
+
+      // Under the threshold books as usual
+      const res = await app.request('POST', '/api/reservations', { token, body: booking() });
+      assert.equal(res.body.reservation.status, 'confirmed');
+    });
+  });
+
+  describe('PATCH /api/reservations/:id', () => {
+    it('offers the old slot to the waitlist after a reschedule', async () => {
+      const reservation = await ownBooking();
+      const entry = await waitingParty();
+
+      const res = await app.request('PATCH', `/api/reservations/${reservation._id}`, { token, body: { time: '10:00' } });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.reservation.time, '10:00');
+      await eventually(async () => (await statusOf(entry)) === 'offered');
+    });
+
+    it('treats the same time written differently as no change', async () => {
+      const reservation = await ownBooking();
+      const entry = await waitingParty();
+
+      const res = await app.request('PATCH', `/api/reservations/${reservation._id}`, {
+        token,
+        body: { time: '9:30', guests: 2, specialRequests: 'Window seat' }
+      });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.reservation.specialRequests, 'Window seat');
+      await new Promise(resolve => setTimeout(resolve, 100));
+      assert.equal(await statusOf(entry), 'waiting');
+    });
+
+    it('refuses to move a booking to a time that has passed', async () => {
+      const reservation = await ownBooking();
+
+      const res = await app.request('PATCH', `/api/reservations/${reservation._id}`, { token, body: { date: '2020-01-01' } });
+
+      assert.equal(res.status, 400);
+      assert.equal(res.body.code, 'INVALID_DATE');
+    });
+  });
+});
@@ -0,0 +1,108 @@
+import './support/memoryStore.js';
+import { describe, it, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import Reservation from '../models/reservation.js';
+import Waitlist from '../models/waitlist.js';
+import { validateReservation, checkChangeWindow, reservationStartsAt } from '../utils/reservationRules.js';
+import { fakeModel } from './support/fakeModel.js';
+
+/**
+ * Booking rules shared by new bookings, reschedules, imports and
+ * waitlist offers, checked at fixed instants in a UTC venue
+ */
+
+process.env.VENUE_TIMEZONE = 'UTC';
+after(() => {
+  delete process.env.VENUE_TIMEZONE;
+});
+
+fakeModel(Waitlist);
+
+const club = {
+  name: 'Rules Club',
+  tablesPerSlot: 2,
+  maxCoversPerSlot: 6,
+  timeSlots: ['22:00', '23:00', '01:00'],
+  hours: [{ label: 'Every night', days: [0, 1, 2, 3, 4, 5, 6], open: '18:00', close: '03:00' }]
+};
+
+const USER = '65a000000000000000000001';
+const now = new Date('2030-06-01T12:00:00Z');
+
+const booking = (overrides = {}) => ({ userId: USER, date: '2030-06-01', time: '22:00', guests: '2', ...overrides });
+
+const book = (overrides = {}) => new Reservation({
+  name: 'Ada Guest',
+  email: 'ada@example.com',
+  phone: '+1 555 0100',
+  club: club.name,
+  status: 'confirmed',
+  ...booking({ userId: null }),
+  ...overrides
+}).save();
+
+const codeOf = async (overrides, options = {}) =>
+  (await validateReservation(club, booking(overrides), { now, ...options }))?.code ?? null;
+
+describe('validateReservation', () => {
+  beforeEach(async () => {
+    for (const reservation of await Reservation.find({ club: club.name })) {
+      await Reservation.findByIdAndDelete(reservation._id);
+    }
+  });
+
+  it('accepts a booking later tonight', async () => {
+    assert.equal(await codeOf({}), null);
+  });
+
+  it('rejects a booking time that has already passed', async () => {
+    assert.equal(await codeOf({ date: '2030-05-31' }), 'INVALID_DATE');
+    assert.equal(await codeOf({}, { now: new Date('2030-06-01T22:00:00Z') }), 'INVALID_DATE');
+  });
+
+  it('counts times before 06:00 towards the next morning', async () => {
+    assert.equal(await codeOf({ time: '01:00' }, { now: new Date('2030-06-01T23:30:00Z') }), null);
+    assert.equal(await codeOf({ time: '01:00' }, { now: new Date('2030-06-02T01:30:00Z') }), 'INVALID_DATE');
+  });
+
+  it('rejects malformed fields and closed hours', async () => {
+    assert.equal(await codeOf({ date: '01/06/2030' }), 'INVALID_DATE');
+    assert.equal(await codeOf({ time: '22.00' }), 'INVALID_TIME');
+    assert.equal(await codeOf({ guests: '0' }), 'INVALID_GUESTS');
+    assert.equal(await codeOf({ time: '14:00' }), 'CLUB_CLOSED');
+  });
+
+  it('allows one booking per user per night, except the one being changed', async () => {
+    const existing = await book({ userId: USER, time: '23:00' });
+
+    assert.equal(await codeOf({}), 'DUPLICATE_BOOKING');
+    assert.equal(await codeOf({}, { excludeId: existing._id }), null);
+  });
+
+  it('enforces tables and covers per slot, including pending import rows', async () => {
+    await book({ guests: '4' });
+
+    assert.equal(await codeOf({ guests: '3' }), 'SLOT_CAPACITY_EXCEEDED');
+    assert.equal(await codeOf({ guests: '2' }), null);
+    assert.equal(await codeOf({}, { pending: [{ club: club.name, date: '2030-06-01', time: '22:30', guests: '1' }] }), 'SLOT_FULL');
+  });
+});
+
+describe('checkChangeWindow', () => {
+  it('closes CANCELLATION_CUTOFF_HOURS before the slot', (t) => {
+    process.env.CANCELLATION_CUTOFF_HOURS = '2';
+    t.after(() => delete process.env.CANCELLATION_CUTOFF_HOURS);
+    const reservation = { status: 'confirmed', date: '2030-06-01', time: '22:00' };
+
+    assert.equal(checkChangeWindow(reservation, new Date('2030-06-01T20:00:00Z')), null);
+    assert.equal(checkChangeWindow(reservation, new Date('2030-06-01T20:01:00Z')).code, 'CUTOFF_PASSED');
+    assert.equal(checkChangeWindow({ ...reservation, status: 'cancelled' }, now).code, 'RESERVATION_NOT_ACTIVE');
+  });
+
+  it('places the slot in the venue timezone', (t) => {
+    process.env.VENUE_TIMEZONE = 'Asia/Kolkata';
+    t.after(() => { process.env.VENUE_TIMEZONE = 'UTC'; });
+
+    assert.deepEqual(reservationStartsAt('2030-06-01', '22:00'), new Date('2030-06-01T16:30:00Z'));
+  });
+});
@@ -0,0 +1,272 @@
+import { mock } from 'node:test';
+import mongoose from 'mongoose';
+
+/**
+ * In-memory stand-in for a mongoose model
+ * Replaces the statics (and save()) that would reach MongoDB with ones
+ * that read and write a Map, so route and job tests run without a
+ * database. Documents are stored as plain objects and handed out as
+ * fresh hydrated documents, so callers see what was stored, not each
+ * other's unsaved changes. Filters support the operators the app uses.
+ */
+
+// Models a test didn't replace fail at once instead of waiting for a connection
+mongoose.set('bufferCommands', false);
+
+// Deep copy that keeps Dates and ObjectIds (immutable) as they are
+const clone = (value) => {
+  if (Array.isArray(value)) return value.map(clone);
+  if (value instanceof Date) return new Date(value);
+  if (value && typeof value === 'object' && value.constructor === Object) {
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, clone(v)]));
+  }
+  return value;
+};
+
+const getPath = (obj, path) => path.split('.').reduce((value, key) => value?.[key], obj);
+
+const comparable = (value) => {
+  if (value instanceof Date) return value.getTime();
+  if (value && typeof value === 'object' && value._bsontype === 'ObjectId') return String(value);
+  return value;
+};
+
+const same = (a, b) => {
+  if (a === null || a === undefined) return b === null || b === undefined;
+  if (b === null || b === undefined) return false;
+  return String(comparable(a)) === String(comparable(b));
+};
+
+// Array fields match a value they contain, as in MongoDB
+const sameOrContains = (actual, expected) =>
+  Array.isArray(actual) && !Array.isArray(expected)
+    ? actual.some(item => same(item, expected))
+    : same(actual, expected);
+
+function matchCondition(actual, condition) {
+  if (condition instanceof RegExp) return typeof actual === 'string' && condition.test(actual);
+
+  const isOperators = condition && typeof condition === 'object' && !(condition instanceof Date)
+    && condition._bsontype === undefined && Object.keys(condition).some(key => key.startsWith('$'));
+  if (!isOperators) return sameOrContains(actual, condition);
+
+  return Object.entries(condition).every(([op, value]) => {
+    switch (op) {
+      case '$eq': return sameOrContains(actual, value);
+      case '$ne': return !sameOrContains(actual, value);
+      case '$in': return value.some(v => sameOrContains(actual, v));
+      case '$nin': return !value.some(v => sameOrContains(actual, v));
+      case '$gt': return actual != null && comparable(actual) > comparable(value);
+      case '$gte': return actual != null && comparable(actual) >= comparable(value);
+      case '$lt': return actual != null && comparable(actual) < comparable(value);
+      case '$lte': return actual != null && comparable(actual) <= comparable(value);
+      case '$exists': return (actual !== undefined) === Boolean(value);
+      case '$type': return typeof actual === value;
+      case '$regex': return new RegExp(value, condition.$options).test(actual ?? '');
+      case '$options': return true;
+      default: throw new Error(`fakeModel: unsupported operator ${op}`);
+    }
+  });
+}
+
+function matches(doc, filter = {}) {
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === '$or') return condition.some(f => matches(doc, f));
+    if (key === '$and') return condition.every(f => matches(doc, f));
+    return matchCondition(getPath(doc, key), condition);
+  });
+}
+
+function compareBy(sort) {
+  const keys = Object.entries(sort || {});
+  return (a, b) => {
+    for (const [key, direction] of keys) {
+      const x = comparable(getPath(a, key));
+      const y = comparable(getPath(b, key));
+      if (x < y) return -direction;
+      if (x > y) return direction;
+    }
+    return 0;
+  };
+}
+
+/**
+ * Install the stand-in on a model
+ * @param {object} Model - mongoose model
+ * @param {string[]} [options.unique] - Paths that reject duplicates with code 11000
+ * @returns {object} { docs: Map of id -> stored object, clear(), all() }
+ */
+function fakeModel(Model, { unique = [] } = {}) {
+  const docs = new Map();
+
+  const hydrate = (stored) => (stored ? Model.hydrate(clone(stored)) : null);
+  const plain = (doc) => clone(doc.toObject({ depopulate: true, virtuals: false }));
+
+  const checkUnique = (stored) => {
+    for (const path of unique) {
+      const value = getPath(stored, path);
+      if (value === undefined || value === null) continue;
+      const clash = [...docs.values()].some(other =>
+        String(other._id) !== String(stored._id) && same(getPath(other, path), value));
+      if (clash) throw Object.assign(new Error(`E11000 duplicate key: ${path}`), { code: 11000 });
+    }
+  };
+
+  const store = (doc) => {
+    const stored = plain(doc);
+    checkUnique(stored);
+    docs.set(String(stored._id), stored);
+    return stored;
+  };
+
+  // 'list.$' sets the first element of list that the filter matched on
+  const setPositional = (doc, path, value, filter) => {
+    const list = path.slice(0, -2);
+    const items = [...(doc.get(list) || [])];
+    const index = items.findIndex(item => matchCondition(item, filter[list]));
+    if (index !== -1) items[index] = value;
+    doc.set(list, items);
+  };
+
+  const applyUpdate = (doc, update, { inserting = false, filter = {} } = {}) => {
+    const operators = Object.keys(update).some(key => key.startsWith('$'));
+    const { $set = {}, $unset = {}, $inc = {}, $setOnInsert = {}, $push = {}, ...fields } = update;
+    for (const [path, value] of Object.entries(operators ? $set : fields)) {
+      if (path.endsWith('.$')) setPositional(doc, path, value, filter);
+      else doc.set(path, value);
+    }
+    for (const path of Object.keys($unset)) doc.set(path, undefined);
+    for (const [path, value] of Object.entries($inc)) doc.set(path, (doc.get(path) || 0) + value);
+    for (const [path, value] of Object.entries($push)) doc.set(path, [...(doc.get(path) || []), value]);
+    if (inserting) {
+      for (const [path, value] of Object.entries($setOnInsert)) doc.set(path, value);
+    }
+  };
+
+  const select = (filter, { sort, skip = 0, limit } = {}) => {
+    let found = [...docs.values()].filter(doc => matches(doc, filter));
+    if (sort) found = found.sort(compareBy(sort));
+    return found.slice(skip, limit ? skip + limit : undefined);
+  };
+
+  // Thenable query with the chainable methods the app calls
+  const query = (run, { single = false } = {}) => {
+    const options = {};
+    let lean = false;
+    const q = {
+      sort(sort) { options.sort = sort; return q; },
+      skip(n) { options.skip = n; return q; },
+      limit(n) { options.limit = n; return q; },
+      select() { return q; },
+      populate() { return q; },
+      lean() { lean = true; return q; },
+      exec() {
+        const result = run(options);
+        const out = (stored) => (lean ? clone(stored) : hydrate(stored));
+        return Promise.resolve(single ? (result[0] ? out(result[0]) : null) : result.map(out));
+      },
+      then(resolve, reject) { return q.exec().then(resolve, reject); }
+    };
+    return q;
+  };
+
+  const updateStored = (stored, update, options) => {
+    const doc = hydrate(stored);
+    applyUpdate(doc, update, options);
+    return store(doc);
+  };
+
+  const upsert = (filter, update) => {
+    const seed = Object.fromEntries(Object.entries(filter).filter(([key, value]) =>
+      !key.startsWith('$') && (typeof value !== 'object' || value === null || value instanceof Date)));
+    const doc = new Model(seed);
+    applyUpdate(doc, update, { inserting: true });
+    return store(doc);
+  };
+
+  mock.method(Model, 'find', (filter = {}) => query(options => select(filter, options)));
+  mock.method(Model, 'findOne', (filter = {}) =>
+    query(options => select(filter, { ...options, limit: 1 }), { single: true }));
+  mock.method(Model, 'findById', (id) =>
+    query(() => [docs.get(String(id))].filter(Boolean), { single: true }));
+  mock.method(Model, 'exists', async (filter = {}) => {
+    const [found] = select(filter, { limit: 1 });
+    return found ? { _id: found._id } : null;
+  });
+  mock.method(Model, 'countDocuments', async (filter = {}) => select(filter).length);
+
+  mock.method(Model, 'findOneAndUpdate', (filter, update, options = {}) => query(() => {
+    const [found] = select(filter, { sort: options.sort, limit: 1 });
+    if (!found) return options.upsert ? [upsert(filter, update)] : [];
+    const after = updateStored(found, update, { filter });
+    return [options.new ? after : found];
+  }, { single: true }));
+  mock.method(Model, 'findByIdAndUpdate', (id, update, options = {}) =>
+    Model.findOneAndUpdate({ _id: id }, update, options));
+  mock.method(Model, 'findByIdAndDelete', (id) => query(() => {
+    const found = docs.get(String(id));
+    docs.delete(String(id));
+    return [found].filter(Boolean);
+  }, { single: true }));
+
+  mock.method(Model, 'updateOne', async (filter, update, options = {}) => {
+    const [found] = select(filter, { limit: 1 });
+    if (!found) {
+      if (!options.upsert) return { matchedCount: 0, modifiedCount: 0, upsertedCount: 0 };
+      upsert(filter, update);
+      return { matchedCount: 0, modifiedCount: 0, upsertedCount: 1 };
+    }
+    updateStored(found, update, { filter });
+    return { matchedCount: 1, modifiedCount: 1, upsertedCount: 0 };
+  });
+  mock.method(Model, 'updateMany', async (filter, update) => {
+    const found = select(filter);
+    for (const stored of found) updateStored(stored, update, { filter });
+    return { matchedCount: found.length, modifiedCount: found.length };
+  });
+  mock.method(Model, 'bulkWrite', async (ops) => {
+    let upsertedCount = 0;
+    for (const { updateOne } of ops) {
+      const result = await Model.updateOne(updateOne.filter, updateOne.update, { upsert: updateOne.upsert });
+      upsertedCount += result.upsertedCount;
+    }
+    return { upsertedCount };
+  });
+
+  mock.method(Model, 'deleteOne', async (filter) => {
+    const [found] = select(filter, { limit: 1 });
+    if (found) docs.delete(String(found._id));
+    return { deletedCount: found ? 1 : 0 };
+  });
+  mock.method(Model, 'deleteMany', async (filter = {}) => {
+    const found = select(filter);
+    for (const stored of found) docs.delete(String(stored._id));
+    return { deletedCount: found.length };
+  });
+
+  mock.method(Model, 'create', async (data) => {
+    const doc = new Model(data);
+    store(doc);
+    return doc;
+  });
+  mock.method(Model, 'insertMany', async (list) => {
+    const created = list.map(data => new Model(data));
+    for (const doc of created) store(doc);
+    return created;
+  });
+  mock.method(Model.prototype, 'save', async function() {
+    store(this);
+    return this;
+  });
+  mock.method(Model.prototype, 'updateOne', function(update) {
+    return Model.updateOne({ _id: this._id }, update);
+  });
+
+  return {
+    docs,
+    all: (filter = {}) => select(filter).map(hydrate),
+    clear: () => docs.clear()
+  };
+}
+
+export { fakeModel, matches };
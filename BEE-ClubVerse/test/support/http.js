@@ -0,0 +1,65 @@
+import express from 'express';
+import cookieParser from 'cookie-parser';
+import { signAccessToken } from '../../utils/authTokens.js';
+
+/**
+ * Serve routers under /api on a random local port, the way server.js
+ * mounts them, and call them with fetch
+ */
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+async function startApp(...routers) {
+  const app = express();
+  app.use(cookieParser());
+  app.use(express.json());
+  for (const router of routers) app.use('/api', router);
+
+  const server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    /**
+     * @returns {Promise<object>} { status, body (parsed JSON, if any), text, headers }
+     */
+    async request(method, path, { token, body, headers = {} } = {}) {
+      const json = body !== undefined && typeof body !== 'string';
+      const res = await fetch(`${base}${path}`, {
+        method,
+        headers: {
+          ...(token && { Authorization: `Bearer ${token}` }),
+          ...(json && { 'Content-Type': 'application/json' }),
+          ...headers
+        },
+        body: json ? JSON.stringify(body) : body
+      });
+
+      const text = await res.text();
+      let parsed = null;
+      try { parsed = JSON.parse(text); } catch (e) {}
+      return { status: res.status, body: parsed, text, headers: res.headers };
+    },
+
+    close() {
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+// An access token as login issues it, without a session to look up
+const tokenFor = (user) => signAccessToken(user);
+
+// Resolve once check() is truthy, for work routes leave running after replying
+async function eventually(check, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const result = await check();
+    if (result) return result;
+    if (Date.now() > deadline) throw new Error('Timed out waiting for a background change');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+export { startApp, tokenFor, eventually };
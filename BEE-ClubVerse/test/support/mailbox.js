@@ -0,0 +1,30 @@
+import { mock } from 'node:test';
+import transporter from '../../middlewares/mailer.js';
+
+/**
+ * Capture outgoing email
+ * The outbox sends in the background once a message is queued, so tests
+ * wait for the count they expect rather than awaiting the send.
+ */
+function captureMail() {
+  const sent = [];
+  mock.method(transporter, 'sendMail', async (mail) => {
+    sent.push(mail);
+    return { messageId: `test-${sent.length}` };
+  });
+
+  return {
+    sent,
+    async waitFor(count, timeoutMs = 2000) {
+      const deadline = Date.now() + timeoutMs;
+      while (sent.length < count) {
+        if (Date.now() > deadline) throw new Error(`Expected ${count} email(s), got ${sent.length}`);
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+      return sent;
+    },
+    clear: () => { sent.length = 0; }
+  };
+}
+
+export { captureMail };
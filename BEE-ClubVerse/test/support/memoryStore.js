@@ -0,0 +1,5 @@
+/**
+ * Import first in tests that go through the Reservation model: the model
+ * picks its backend when loaded, and tests use the in-memory one.
+ */
+process.env.RESERVATION_STORE = 'memory';
@@ -0,0 +1,126 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { copyUsers, verifyUsers, countOrphanedReservations } from '../utils/userMigration.js';
+
+/**
+ * Mongo to Postgres user copy
+ * Runs against a stand-in pg pool that keeps the users table in memory,
+ * with transactions and savepoints, and rejects rows without an email
+ * the way the NOT NULL column does.
+ */
+
+function fakePool({ reservations = [] } = {}) {
+  let users = new Map();
+  let transaction = null;
+  let savepoint = null;
+
+  const copy = (map) => new Map([...map].map(([id, row]) => [id, { ...row }]));
+
+  const query = async (text, values = []) => {
+    const sql = text.trim();
+
+    if (sql === 'BEGIN') { transaction = copy(users); return { rows: [] }; }
+    if (sql === 'COMMIT') { transaction = null; return { rows: [] }; }
+    if (sql === 'ROLLBACK') { users = transaction; transaction = null; return { rows: [] }; }
+    if (sql.startsWith('SAVEPOINT')) { savepoint = copy(users); return { rows: [] }; }
+    if (sql.startsWith('RELEASE SAVEPOINT')) { savepoint = null; return { rows: [] }; }
+    if (sql.startsWith('ROLLBACK TO SAVEPOINT')) { users = savepoint; return { rows: [] }; }
+
+    if (sql.startsWith('INSERT INTO users')) {
+      const columns = sql.match(/INSERT INTO users \(([^)]+)\)/)[1].split(', ');
+      const row = Object.fromEntries(columns.map((column, i) => [column, values[i]]));
+      if (row.email === null) throw new Error('null value in column "email" violates not-null constraint');
+      users.set(row.id, row);
+      return { rows: [] };
+    }
+    if (sql.startsWith('SELECT COUNT(*)::int AS count FROM users')) {
+      return { rows: [{ count: users.size }] };
+    }
+    if (sql.startsWith('SELECT id, password')) {
+      return { rows: values[0].filter(id => users.has(id)).map(id => users.get(id)) };
+    }
+    if (sql.startsWith('SELECT COUNT(*)::int AS count FROM reservations')) {
+      return { rows: [{ count: reservations.filter(userId => userId && !users.has(userId)).length }] };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  };
+
+  return {
+    users: () => users,
+    connect: async () => ({ query, release: () => {} }),
+    query
+  };
+}
+
+const user = (id, overrides = {}) => ({
+  _id: id,
+  name: `User ${id}`,
+  email: `${id}@example.com`,
+  password: `$2b$10$hash-${id}`,
+  role: 'user',
+  loginAttempts: 2,
+  lockUntil: new Date('2030-01-01T00:00:00Z'),
+  ...overrides
+});
+
+describe('user migration', () => {
+  let db;
+
+  beforeEach(() => {
+    db = fakePool({ reservations: ['65a000000000000000000001', '65a000000000000000000009', null] });
+  });
+
+  it('copies ids, password hashes and lockout state, and verifies them', async () => {
+    const docs = [user('65a000000000000000000001'), user('65a000000000000000000002', { adminLockedUntil: new Date('2031-01-01T00:00:00Z') })];
+
+    assert.deepEqual(await copyUsers(db, docs), { copied: 2, failed: [] });
+
+    const row = db.users().get('65a000000000000000000002');
+    assert.equal(row.password, '$2b$10$hash-65a000000000000000000002');
+    assert.equal(row.login_attempts, 2);
+    assert.deepEqual(row.admin_locked_until, new Date('2031-01-01T00:00:00Z'));
+    assert.deepEqual(await verifyUsers(db, docs), []);
+  });
+
+  it('writes nothing when any user fails, and lists every failure', async () => {
+    const docs = [
+      user('65a000000000000000000001'),
+      user('65a000000000000000000002', { email: null }),
+      user('65a000000000000000000003'),
+      user('65a000000000000000000004', { email: null })
+    ];
+
+    const { copied, failed } = await copyUsers(db, docs);
+
+    assert.equal(copied, 0);
+    assert.deepEqual(failed.map(f => f.id), ['65a000000000000000000002', '65a000000000000000000004']);
+    assert.equal(db.users().size, 0);
+  });
+
+  it('re-running updates users instead of duplicating them', async () => {
+    await copyUsers(db, [user('65a000000000000000000001')]);
+    await copyUsers(db, [user('65a000000000000000000001', { loginAttempts: 0, lockUntil: null })]);
+
+    assert.equal(db.users().size, 1);
+    assert.equal(db.users().get('65a000000000000000000001').login_attempts, 0);
+  });
+
+  it('reports counts and lockout state that differ from MongoDB', async () => {
+    const copied = user('65a000000000000000000001');
+    await copyUsers(db, [copied]);
+
+    const problems = await verifyUsers(db, [{ ...copied, loginAttempts: 5 }, user('65a000000000000000000002')]);
+
+    assert.deepEqual(problems, [
+      'MongoDB has 2 user(s), PostgreSQL has 1',
+      'User 65a000000000000000000001 (65a000000000000000000001@example.com) has different lockout state',
+      'User 65a000000000000000000002 (65a000000000000000000002@example.com) is missing'
+    ]);
+  });
+
+  it('counts reservations whose user was not copied', async () => {
+    await copyUsers(db, [user('65a000000000000000000001')]);
+
+    assert.equal(await countOrphanedReservations(db), 1);
+  });
+});
@@ -0,0 +1,45 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { venueDate, venueTimeToDate, addDays } from '../utils/venueTime.js';
+import { reservationStartsAt } from '../utils/reservationRules.js';
+
+/**
+ * Booking times are read in VENUE_TIMEZONE, whatever the server's own
+ * timezone is
+ */
+
+describe('venue time', () => {
+  const saved = process.env.VENUE_TIMEZONE;
+
+  before(() => { process.env.VENUE_TIMEZONE = 'Asia/Kolkata'; });
+  after(() => {
+    if (saved === undefined) delete process.env.VENUE_TIMEZONE;
+    else process.env.VENUE_TIMEZONE = saved;
+  });
+
+  it('starts bookings at the venue wall-clock time', () => {
+    assert.equal(reservationStartsAt('2030-06-01', '22:00').toISOString(), '2030-06-01T16:30:00.000Z');
+  });
+
+  it('puts early-morning slots on the morning after the booking date', () => {
+    assert.equal(reservationStartsAt('2030-06-30', '01:00').toISOString(), '2030-06-30T19:30:00.000Z');
+    assert.equal(reservationStartsAt('2030-12-31', '00:00').toISOString(), '2030-12-31T18:30:00.000Z');
+  });
+
+  it('gives the venue calendar date of an instant', () => {
+    assert.equal(venueDate(new Date('2030-06-01T18:29:00Z')), '2030-06-01');
+    assert.equal(venueDate(new Date('2030-06-01T18:30:00Z')), '2030-06-02');
+  });
+
+  it('follows daylight saving changes', () => {
+    process.env.VENUE_TIMEZONE = 'Europe/London';
+    assert.equal(venueTimeToDate('2030-01-15', '22:00').toISOString(), '2030-01-15T22:00:00.000Z');
+    assert.equal(venueTimeToDate('2030-07-15', '22:00').toISOString(), '2030-07-15T21:00:00.000Z');
+    process.env.VENUE_TIMEZONE = 'Asia/Kolkata';
+  });
+
+  it('moves dates across month and year ends', () => {
+    assert.equal(addDays('2030-12-31', 1), '2031-01-01');
+    assert.equal(addDays('2030-03-01', -1), '2030-02-28');
+  });
+});
@@ -0,0 +1,151 @@
+import './support/memoryStore.js';
+import { describe, it, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Reservation from '../models/reservation.js';
+import Club from '../models/club.js';
+import Waitlist from '../models/waitlist.js';
+import SlotLock from '../models/slotLock.js';
+import EmailOutbox from '../models/emailOutbox.js';
+import {
+  promoteNextInSlot,
+  expireStaleOffers,
+  handleReservationCancelled,
+  claimOffer,
+  leaveWaitlist
+} from '../utils/waitlist.js';
+import { fakeModel } from './support/fakeModel.js';
+import { captureMail } from './support/mailbox.js';
+
+/**
+ * Waitlist promotion and claims
+ * A one-table club in the in-memory reservation store, with stand-in
+ * waitlist, slot locks and outbox; offer emails are captured to read the
+ * claim link.
+ */
+
+const CLUB = 'Waitlist Club';
+const DATE = '2030-06-01';
+
+const waitlist = fakeModel(Waitlist);
+const locks = fakeModel(SlotLock, { unique: ['key'] });
+fakeModel(Club, { unique: ['slug'] });
+fakeModel(EmailOutbox, { unique: ['dedupeKey'] });
+const mail = captureMail();
+
+const party = (name, overrides = {}) => Waitlist.create({
+  userId: new mongoose.Types.ObjectId(),
+  name,
+  email: `${name.toLowerCase()}@example.com`,
+  phone: '+1 555 0100',
+  club: CLUB,
+  clubSlug: 'waitlist-club',
+  date: DATE,
+  time: '22:00',
+  guests: '2',
+  ...overrides
+});
+
+const book = (overrides = {}) => new Reservation({
+  name: 'Ada Guest',
+  email: 'ada@example.com',
+  phone: '+1 555 0100',
+  date: DATE,
+  time: '22:00',
+  guests: '2',
+  club: CLUB,
+  status: 'confirmed',
+  ...overrides
+}).save();
+
+const statusOf = async (entry) => (await Waitlist.findById(entry._id)).status;
+
+const claimToken = (email) => email.text.match(/waitlist\/claim\/([0-9a-f]{64})/)[1];
+
+describe('waitlist', () => {
+  before(async () => {
+    await Club.create({ name: CLUB, slug: 'waitlist-club', city: 'Ludhiana', tablesPerSlot: 1, maxCoversPerSlot: 4, timeSlots: ['22:00'] });
+  });
+
+  beforeEach(async () => {
+    for (const reservation of await Reservation.find({ club: CLUB })) {
+      await Reservation.findByIdAndDelete(reservation._id);
+    }
+    waitlist.clear();
+    locks.clear();
+    mail.clear();
+  });
+
+  it('offers a freed table to the oldest party whose group fits', async () => {
+    const large = await party('Large', { guests: '6' });
+    const first = await party('First');
+    const second = await party('Second');
+
+    const promoted = await promoteNextInSlot(CLUB, DATE, '22:30');
+
+    assert.equal(String(promoted._id), String(first._id));
+    assert.equal(await statusOf(large), 'waiting');
+    assert.equal(await statusOf(first), 'offered');
+    assert.equal(await statusOf(second), 'waiting');
+
+    const [email] = await mail.waitFor(1);
+    assert.equal(email.to, 'first@example.com');
+  });
+
+  it('makes no offer while the table is still booked', async () => {
+    await book();
+    const entry = await party('Waiting');
+
+    assert.equal(await promoteNextInSlot(CLUB, DATE, '22:00'), null);
+    assert.equal(await statusOf(entry), 'waiting');
+  });
+
+  it('makes no offer while another booking holds the night', async (t) => {
+    process.env.SLOT_LOCK_WAIT_SECONDS = '0.1';
+    t.after(() => delete process.env.SLOT_LOCK_WAIT_SECONDS);
+    t.mock.method(console, 'error', () => {});
+    await SlotLock.create({ key: `${CLUB}|${DATE}`, holder: 'other', expiresAt: new Date(Date.now() + 60000) });
+    const entry = await party('Waiting');
+
+    assert.equal(await promoteNextInSlot(CLUB, DATE, '22:00'), null);
+    assert.equal(await statusOf(entry), 'waiting');
+  });
+
+  it('turns a claimed offer into a confirmed booking, once', async () => {
+    const entry = await party('Claimer');
+    await handleReservationCancelled({ club: CLUB, date: DATE, time: '22:00' });
+    const token = claimToken((await mail.waitFor(1))[0]);
+
+    const { reservation: claimed } = await claimOffer(token);
+
+    const reservation = await Reservation.findById(claimed._id);
+    assert.equal(reservation.status, 'confirmed');
+    assert.equal(reservation.email, 'claimer@example.com');
+    assert.equal(await statusOf(entry), 'claimed');
+    assert.equal((await claimOffer(token)).conflict.code, 'INVALID_CLAIM_TOKEN');
+    assert.equal((await Reservation.find({ club: CLUB })).length, 1);
+  });
+
+  it('passes a lapsed offer to the next party', async () => {
+    const first = await party('First');
+    const second = await party('Second');
+    await promoteNextInSlot(CLUB, DATE, '22:00');
+    await Waitlist.updateOne({ _id: first._id }, { offerExpiresAt: new Date(Date.now() - 1000) });
+
+    assert.equal(await expireStaleOffers(), 1);
+    assert.equal(await statusOf(first), 'expired');
+    assert.equal(await statusOf(second), 'offered');
+  });
+
+  it('passes the offer on when the party leaves the list', async () => {
+    const first = await party('First');
+    const second = await party('Second');
+    await promoteNextInSlot(CLUB, DATE, '22:00');
+
+    const { entry } = await leaveWaitlist(first._id, first.userId);
+
+    assert.equal(entry.status, 'cancelled');
+    assert.equal(await statusOf(second), 'offered');
+    assert.equal((await leaveWaitlist(first._id, first.userId)).conflict.code, 'WAITLIST_CLOSED');
+  });
+});
@@ -0,0 +1,10 @@
+/**
+ * Absolute URL for links sent outside the app (emails, calendar feeds)
+ * APP_URL should be set in production; defaults to the local server.
+ */
+function appUrl(pathname = '') {
+  const base = process.env.APP_URL || `http://localhost:${process.env.PORT || 8080}`;
+  return `${base.replace(/\/+$/, '')}${pathname}`;
+}
+
+export { appUrl };
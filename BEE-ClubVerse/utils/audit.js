@@ -0,0 +1,70 @@
+import AuditLog from '../models/auditLog.js';
+
+/**
+ * Audit Trail
+ * Route handlers describe what they changed with auditChange(); the
+ * auditLog() middleware stores it together with who did it once the
+ * response has been sent.
+ */
+
+// Never written to the audit log, at any depth
+const REDACTED_KEYS = /password|token|secret|recoverycodes/i;
+// Bookkeeping fields that change on every write
+const IGNORED_FIELDS = ['updatedAt', '__v'];
+
+/**
+ * Plain JSON copy of a document with sensitive fields redacted
+ */
+function toAuditable(value) {
+  if (value === null || value === undefined) return null;
+
+  const plain = JSON.parse(JSON.stringify(value.toObject ? value.toObject() : value));
+
+  const redact = (node) => {
+    if (Array.isArray(node)) return node.map(redact);
+    if (node && typeof node === 'object') {
+      return Object.fromEntries(Object.entries(node).map(([key, v]) =>
+        [key, REDACTED_KEYS.test(key) ? '[redacted]' : redact(v)]
+      ));
+    }
+    return node;
+  };
+
+  return redact(plain);
+}
+
+/**
+ * Top-level fields that differ between two versions of a document.
+ * Creation (no `before`) and deletion (no `after`) list every field.
+ * @returns {Array<object>} [{ field, before, after }]
+ */
+function diffChanges(before, after) {
+  const a = toAuditable(before) || {};
+  const b = toAuditable(after) || {};
+
+  return [...new Set([...Object.keys(a), ...Object.keys(b)])]
+    .filter(field => !IGNORED_FIELDS.includes(field))
+    .filter(field => JSON.stringify(a[field]) !== JSON.stringify(b[field]))
+    .map(field => ({ field, before: a[field] ?? null, after: b[field] ?? null }));
+}
+
+/**
+ * Record the state of the resource a request changed, for auditLog()
+ * @param {object} change - { resourceId, before, after }
+ */
+function auditChange(res, { resourceId, before = null, after = null }) {
+  res.locals.audit = { resourceId, before, after };
+}
+
+/**
+ * Store an audit entry. Failures are logged and never reach the request.
+ */
+async function writeAuditLog(entry) {
+  try {
+    await AuditLog.create(entry);
+  } catch (error) {
+    console.error('Audit log write error:', error.message);
+  }
+}
+
+export { auditChange, diffChanges, toAuditable, writeAuditLog };
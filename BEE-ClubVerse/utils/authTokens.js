@@ -0,0 +1,86 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+
+/**
+ * Session Tokens
+ * Both tokens carry the session id (`sid`, see utils/sessions.js) and the
+ * user's tokenVersion (`tv`). Bumping the version on the user signs out
+ * every session issued before the bump.
+ */
+const ACCESS_TOKEN_TTL_MS = 15 * 60 * 1000;          // 15 minutes
+const REFRESH_TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+const refreshSecret = () => process.env.REFRESH_SECRET || process.env.JWT_SECRET;
+
+const cookieOptions = (maxAge) => ({
+  httpOnly: true,        // Prevent XSS
+  secure: process.env.NODE_ENV === 'production', // HTTPS only in production
+  sameSite: 'strict',    // Prevent CSRF
+  maxAge
+});
+
+function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    {
+      id: user._id,
+      email: user.email,
+      role: user.role,
+      sid: sessionId,
+      tv: user.tokenVersion
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: '15m' } // Short-lived access token
+  );
+}
+
+function signRefreshToken(user, sessionId) {
+  return jwt.sign(
+    {
+      id: user._id,
+      sid: sessionId,
+      tv: user.tokenVersion,
+      // Unique per rotation, even when two tokens are signed in the same second
+      jti: crypto.randomBytes(16).toString('hex')
+    },
+    refreshSecret(),
+    { expiresIn: '7d' } // Longer-lived refresh token
+  );
+}
+
+function verifyRefreshToken(token, options = {}) {
+  return jwt.verify(token, refreshSecret(), options);
+}
+
+// Refresh tokens are stored hashed, never as-is
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Was this token issued before the user's sessions were last revoked?
+ */
+const isTokenRevoked = (decoded, user) => (decoded.tv ?? 0) !== (user.tokenVersion ?? 0);
+
+function setAccessCookie(res, accessToken) {
+  res.cookie('accessToken', accessToken, cookieOptions(ACCESS_TOKEN_TTL_MS));
+}
+
+function setSessionCookies(res, { accessToken, refreshToken }) {
+  setAccessCookie(res, accessToken);
+  res.cookie('refreshToken', refreshToken, cookieOptions(REFRESH_TOKEN_TTL_MS));
+}
+
+function clearSessionCookies(res) {
+  res.clearCookie('accessToken');
+  res.clearCookie('refreshToken');
+}
+
+export {
+  REFRESH_TOKEN_TTL_MS,
+  signAccessToken,
+  signRefreshToken,
+  verifyRefreshToken,
+  hashToken,
+  isTokenRevoked,
+  setAccessCookie,
+  setSessionCookies,
+  clearSessionCookies
+};
@@ -0,0 +1,129 @@
+import Reservation from '../models/reservation.js';
+import Waitlist from '../models/waitlist.js';
+
+// Statuses that hold a table
+const ACTIVE_STATUSES = ['pending', 'confirmed', 'checked_in'];
+
+// Waitlist statuses that hold a table: an open offer, or one being claimed
+const HOLDING_STATUSES = ['offered', 'claiming'];
+
+/**
+ * Map a booking time ("HH:MM") to the hourly slot it occupies ("HH:00")
+ */
+function slotFor(time) {
+  const [hours] = String(time || '').split(':');
+  if (!/^\d{1,2}$/.test(hours)) return null;
+  return `${hours.padStart(2, '0')}:00`;
+}
+
+/**
+ * Format a 24h slot ("21:00") for display ("9:00 PM")
+ */
+function formatSlotLabel(slot) {
+  const [h, m] = slot.split(':').map(Number);
+  const modifier = h >= 12 ? 'PM' : 'AM';
+  const hours = h % 12 === 0 ? 12 : h % 12;
+  return `${hours}:${String(m).padStart(2, '0')} ${modifier}`;
+}
+
+/**
+ * Party size as a number ("10+" counts as 10)
+ */
+function parseGuests(guests) {
+  const count = parseInt(guests, 10);
+  return Number.isNaN(count) ? 0 : count;
+}
+
+/**
+ * Active reservations for a club on a given date, plus tables held for
+ * waitlisted parties with an unexpired claim offer
+ * @param {object} [options.excludeId] - Leave one reservation or hold out (e.g. the one being rescheduled or claimed)
+ */
+async function findActiveReservations(club, date, { excludeId } = {}) {
+  const [reservations, offers] = await Promise.all([
+    Reservation.find({
+      club: club.name,
+      date,
+      status: { $in: ACTIVE_STATUSES }
+    }),
+    Waitlist.find({
+      club: club.name,
+      date,
+      status: { $in: HOLDING_STATUSES },
+      offerExpiresAt: { $gt: new Date() }
+    })
+  ]);
+
+  const holds = offers.map(o => ({
+    _id: o._id,
+    userId: o.userId,
+    time: o.time,
+    guests: o.guests,
+    status: 'held'
+  }));
+
+  const active = [...reservations, ...holds];
+  if (!excludeId) return active;
+  return active.filter(r => String(r._id) !== String(excludeId));
+}
+
+/**
+ * Tables and covers booked per slot for a club on a given date
+ */
+async function summarizeBookings(club, date, options = {}) {
+  const reservations = await findActiveReservations(club, date, options);
+
+  const booked = {};
+  for (const r of reservations) {
+    const slot = slotFor(r.time);
+    if (!slot) continue;
+    booked[slot] = booked[slot] || { tables: 0, covers: 0 };
+    booked[slot].tables += 1;
+    booked[slot].covers += parseGuests(r.guests);
+  }
+  return booked;
+}
+
+/**
+ * Work out free tables per time slot for a club on a given date
+ * @returns {object} Club summary, totals for the night and per-slot counts
+ */
+async function getClubAvailability(club, date) {
+  const booked = await summarizeBookings(club, date);
+
+  const timeSlots = club.timeSlots.map(time => {
+    const bookedTables = booked[time]?.tables || 0;
+    return {
+      time,
+      label: formatSlotLabel(time),
+      capacity: club.tablesPerSlot,
+      booked: bookedTables,
+      tables: Math.max(0, club.tablesPerSlot - bookedTables)
+    };
+  });
+
+  return {
+    club: {
+      slug: club.slug,
+      name: club.name,
+      city: club.city,
+      location: club.location,
+      image: club.image
+    },
+    date,
+    totalTables: club.tablesPerSlot * timeSlots.length,
+    availableTables: timeSlots.reduce((sum, s) => sum + s.tables, 0),
+    timeSlots
+  };
+}
+
+export {
+  getClubAvailability,
+  findActiveReservations,
+  summarizeBookings,
+  slotFor,
+  formatSlotLabel,
+  parseGuests,
+  ACTIVE_STATUSES,
+  HOLDING_STATUSES
+};
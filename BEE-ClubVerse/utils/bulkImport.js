@@ -0,0 +1,347 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Reservation from '../models/reservation.js';
+import User, { getUserStore } from '../models/user.js';
+import { findClubBySlug, findClubByName } from './clubCatalog.js';
+import { validateReservation, checkBookingInput } from './reservationRules.js';
+import { RESERVATION_STATUSES } from './reservationStatus.js';
+import { ACTIVE_STATUSES } from './availability.js';
+import { refreshReliability } from './reliability.js';
+import { getRole } from './roles.js';
+import { hashPassword } from './password.js';
+import { parseCsv } from './csv.js';
+import { withSlotLocks } from './slotLock.js';
+
+/**
+ * Bulk Import
+ * Validates reservation or user rows from a CSV/JSON upload and stores
+ * them all or not at all. Used by the admin import endpoints and
+ * `node cli.js import`. Every row is checked before anything is written;
+ * a single rejected row means nothing is imported.
+ */
+
+const MAX_IMPORT_ROWS = 5000;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const reject = (code, error) => ({ code, error });
+
+/**
+ * Turn an upload into rows: CSV text (with a header row), a JSON array,
+ * or a JSON object with a `rows` array
+ * @returns {object} { rows } or { conflict }
+ */
+function parseImportRows(input) {
+  let rows;
+
+  try {
+    if (typeof input === 'string') {
+      const raw = input.trim();
+      rows = raw.startsWith('[') || raw.startsWith('{') ? JSON.parse(raw) : parseCsv(raw);
+    } else {
+      rows = input;
+    }
+  } catch (error) {
+    return { conflict: { status: 400, error: `Could not parse import: ${error.message}`, code: 'INVALID_IMPORT' } };
+  }
+
+  if (rows && !Array.isArray(rows) && Array.isArray(rows.rows)) rows = rows.rows;
+
+  if (!Array.isArray(rows) || rows.some(r => !r || typeof r !== 'object' || Array.isArray(r))) {
+    return { conflict: { status: 400, error: 'Import must be CSV with a header row or a JSON array of objects', code: 'INVALID_IMPORT' } };
+  }
+
+  if (rows.length === 0) {
+    return { conflict: { status: 400, error: 'Import contains no rows', code: 'INVALID_IMPORT' } };
+  }
+
+  if (rows.length > MAX_IMPORT_ROWS) {
+    return { conflict: { status: 400, error: `Imports are limited to ${MAX_IMPORT_ROWS} rows`, code: 'IMPORT_TOO_LARGE' } };
+  }
+
+  return { rows };
+}
+
+const text = (value) => (value === undefined || value === null ? '' : String(value).trim());
+
+const missingFields = (row, fields) => fields.filter(f => text(row[f]) === '');
+
+// true/false, yes/no or 1/0; blank counts as false, anything else is null
+const parseBoolean = (value) => {
+  if (typeof value === 'boolean') return value;
+  const normalized = text(value).toLowerCase();
+  if (['true', 'yes', '1'].includes(normalized)) return true;
+  if (['', 'false', 'no', '0'].includes(normalized)) return false;
+  return null;
+};
+
+/**
+ * Summarise per-row results; `results` keeps the input order
+ */
+function buildReport(results, { dryRun, imported = 0 }) {
+  const rejected = results.filter(r => r.status === 'rejected').length;
+  return {
+    dryRun,
+    total: results.length,
+    accepted: results.length - rejected,
+    rejected,
+    imported,
+    results
+  };
+}
+
+/**
+ * Users matching the rows' userId or email columns, looked up in one query
+ * @returns {Promise<object>} { byId, byEmail } maps
+ */
+async function loadLinkedUsers(rows) {
+  const ids = rows.map(r => text(r.userId)).filter(id => mongoose.isValidObjectId(id));
+  const emails = rows.map(r => text(r.email).toLowerCase()).filter(Boolean);
+
+  const users = await User.find({ $or: [{ _id: { $in: ids } }, { email: { $in: emails } }] }).select('_id email');
+
+  return {
+    byId: new Map(users.map(u => [String(u._id), u])),
+    byEmail: new Map(users.map(u => [u.email, u]))
+  };
+}
+
+/**
+ * Check one reservation row with the same rules as POST /api/reservations
+ * @returns {Promise<object>} { doc, club } or { error, code }
+ */
+async function checkReservationRow(row, { clubs, users, pending }) {
+  const missing = missingFields(row, ['name', 'email', 'phone', 'date', 'time', 'guests']);
+  if (text(row.club) === '' && text(row.clubSlug) === '') missing.push('club');
+  if (missing.length > 0) {
+    return reject('VALIDATION_ERROR', `Missing required fields: ${missing.join(', ')}`);
+  }
+
+  const clubKey = text(row.clubSlug) || text(row.club);
+  if (!clubs.has(clubKey)) {
+    clubs.set(clubKey, (await findClubBySlug(clubKey.toLowerCase())) || (await findClubByName(clubKey)));
+  }
+  const club = clubs.get(clubKey);
+  if (!club) return reject('CLUB_NOT_FOUND', `Club "${clubKey}" not found`);
+
+  const status = text(row.status).toLowerCase() || 'confirmed';
+  if (!RESERVATION_STATUSES.includes(status)) {
+    return reject('INVALID_STATUS', `Invalid status "${row.status}"`);
+  }
+
+  let userId = null;
+  if (text(row.userId) !== '') {
+    const user = users.byId.get(text(row.userId));
+    if (!user) return reject('USER_NOT_FOUND', `No user with id ${row.userId}`);
+    userId = user._id;
+  } else {
+    // Link bookings to existing accounts by email; other guests stay unlinked
+    userId = users.byEmail.get(text(row.email).toLowerCase())?._id || null;
+  }
+
+  let createdAt;
+  if (text(row.createdAt) !== '') {
+    createdAt = new Date(text(row.createdAt));
+    if (isNaN(createdAt.getTime())) return reject('VALIDATION_ERROR', 'createdAt is not a valid date');
+  }
+
+  const booking = { userId, date: text(row.date), time: text(row.time), guests: text(row.guests) };
+
+  // Only live bookings take up tables (and must be in the future); finished
+  // or cancelled ones just need valid fields
+  const conflict = ACTIVE_STATUSES.includes(status)
+    ? await validateReservation(club, booking, { pending })
+    : checkBookingInput(booking);
+  if (conflict) return reject(conflict.code, conflict.error);
+
+  return {
+    club,
+    doc: {
+      ...booking,
+      name: text(row.name),
+      email: text(row.email),
+      phone: text(row.phone),
+      specialRequests: text(row.specialRequests) || undefined,
+      club: club.name,
+      clubLocation: text(row.clubLocation) || club.location,
+      status,
+      ...(createdAt && { createdAt })
+    }
+  };
+}
+
+/**
+ * Validate reservation rows and, unless dryRun, insert them atomically
+ * @returns {Promise<object>} Import report (see buildReport)
+ */
+async function importReservations(rows, { dryRun = false } = {}) {
+  await Reservation.ready();
+
+  const context = { clubs: new Map(), users: await loadLinkedUsers(rows), pending: [] };
+  const results = [];
+  const docs = [];
+  const live = [];
+
+  for (const [index, row] of rows.entries()) {
+    const { doc, club, code, error } = await checkReservationRow(row, context);
+
+    if (!doc) {
+      results.push({ row: index + 1, status: 'rejected', code, error });
+      continue;
+    }
+
+    docs.push(doc);
+    if (ACTIVE_STATUSES.includes(doc.status)) {
+      context.pending.push(doc);
+      live.push({ index, doc, club });
+    }
+    results.push({ row: index + 1, status: 'accepted' });
+  }
+
+  if (dryRun || docs.length < rows.length) {
+    return buildReport(results, { dryRun });
+  }
+
+  const rejectRow = (index, { code, error }) => {
+    results[index] = { row: index + 1, status: 'rejected', code, error };
+  };
+
+  // Bookings made since the first pass may have filled a night, so the
+  // live rows are checked again, and inserted, holding every night's lock
+  const locked = await withSlotLocks(live.map(({ doc }) => ({ club: doc.club, date: doc.date })), async () => {
+    const pending = [];
+    for (const { index, doc, club } of live) {
+      const conflict = await validateReservation(club, doc, { pending });
+      if (conflict) rejectRow(index, conflict);
+      pending.push(doc);
+    }
+
+    if (results.some(r => r.status === 'rejected')) return { saved: null };
+    return { saved: await Reservation.insertMany(docs) };
+  });
+
+  if (locked.conflict) {
+    for (const { index } of live) rejectRow(index, locked.conflict);
+  }
+  if (!locked.saved) return buildReport(results, { dryRun });
+
+  const { saved } = locked;
+  saved.forEach((reservation, i) => { results[i].id = reservation._id; });
+
+  // Imported history (visits, no-shows) counts towards guests' reliability
+  const userIds = new Set(docs.filter(d => d.userId).map(d => String(d.userId)));
+  for (const userId of userIds) {
+    await refreshReliability(userId);
+  }
+
+  return buildReport(results, { dryRun, imported: saved.length });
+}
+
+/**
+ * Check one user row
+ * @returns {Promise<object>} { doc } or { error, code }
+ */
+async function checkUserRow(row, { existingEmails, seenEmails }) {
+  const missing = missingFields(row, ['name', 'email']);
+  if (missing.length > 0) {
+    return reject('VALIDATION_ERROR', `Missing required fields: ${missing.join(', ')}`);
+  }
+
+  const email = text(row.email).toLowerCase();
+  if (!EMAIL_PATTERN.test(email)) return reject('VALIDATION_ERROR', `Invalid email "${row.email}"`);
+  if (existingEmails.has(email)) return reject('EMAIL_EXISTS', 'Email already registered');
+  if (seenEmails.has(email)) return reject('EMAIL_EXISTS', `Email repeats row ${seenEmails.get(email)}`);
+
+  const roleName = text(row.role).toLowerCase() || 'user';
+  if (!(await getRole(roleName))) return reject('INVALID_ROLE', `Role "${roleName}" does not exist`);
+
+  const emailVerified = parseBoolean(row.emailVerified);
+  if (emailVerified === null) return reject('VALIDATION_ERROR', 'emailVerified must be true or false');
+
+  return {
+    doc: {
+      name: text(row.name),
+      email,
+      phone: text(row.phone) || null,
+      role: roleName,
+      emailVerified,
+      emailVerifiedAt: emailVerified ? new Date() : null
+    }
+  };
+}
+
+/**
+ * Insert imported users all or nothing. PostgreSQL and a MongoDB replica
+ * set do it in one transaction. A standalone MongoDB server has no
+ * transactions, so there a failed insert is undone by deleting the users
+ * already written, and other requests may see them until it is.
+ */
+async function insertUsers(docs) {
+  if (getUserStore() === 'postgres') {
+    await User.insertMany(docs);
+    return;
+  }
+
+  try {
+    await mongoose.connection.transaction(session => User.insertMany(docs, { session }));
+    return;
+  } catch (error) {
+    // IllegalOperation: transactions need a replica set
+    if (error.code !== 20) throw error;
+  }
+
+  try {
+    await User.insertMany(docs, { ordered: true });
+  } catch (error) {
+    await User.deleteMany({ _id: { $in: docs.map(d => d._id) } });
+    throw error;
+  }
+}
+
+/**
+ * Validate user rows and, unless dryRun, create the accounts (see insertUsers).
+ * Imported users get an unusable password and sign in for the first time
+ * through the forgot-password flow.
+ * @returns {Promise<object>} Import report (see buildReport)
+ */
+async function importUsers(rows, { dryRun = false } = {}) {
+  const emails = rows.map(r => text(r.email).toLowerCase()).filter(Boolean);
+  const existing = await User.find({ email: { $in: emails } }).select('email');
+
+  const context = { existingEmails: new Set(existing.map(u => u.email)), seenEmails: new Map() };
+  const results = [];
+  const docs = [];
+
+  for (const [index, row] of rows.entries()) {
+    const { doc, code, error } = await checkUserRow(row, context);
+
+    if (!doc) {
+      results.push({ row: index + 1, status: 'rejected', code, error });
+      continue;
+    }
+
+    context.seenEmails.set(doc.email, index + 1);
+    docs.push(doc);
+    results.push({ row: index + 1, status: 'accepted' });
+  }
+
+  if (dryRun || docs.length < rows.length) {
+    return buildReport(results, { dryRun });
+  }
+
+  // One hash of a discarded random secret: nobody can sign in with it
+  const password = await hashPassword(crypto.randomBytes(32).toString('hex'));
+  const withIds = docs.map(d => ({ ...d, password, _id: new mongoose.Types.ObjectId() }));
+
+  await insertUsers(withIds);
+
+  withIds.forEach((user, i) => { results[i].id = user._id; });
+  return buildReport(results, { dryRun, imported: withIds.length });
+}
+
+const IMPORTERS = {
+  reservations: importReservations,
+  users: importUsers
+};
+
+export { parseImportRows, importReservations, importUsers, IMPORTERS, MAX_IMPORT_ROWS };
@@ -0,0 +1,251 @@
+import Club from '../models/club.js';
+import Reservation from '../models/reservation.js';
+import Waitlist from '../models/waitlist.js';
+import User from '../models/user.js';
+import { withSlotLocks } from './slotLock.js';
+import { venueDate } from './venueTime.js';
+
+/**
+ * Club Catalog
+ * Lookups against the Club collection, plus the default venues seeded
+ * into an empty database. `tablesPerSlot` is how many tables a venue can
+ * seat in each of its bookable `timeSlots` (24h "HH:MM"), and
+ * `maxCoversPerSlot` caps the guests seated across those tables.
+ */
+const DEFAULT_TIME_SLOTS = ['19:00', '20:00', '21:00', '22:00', '23:00', '00:00'];
+
+const DEFAULT_HOURS = [
+  { label: 'Monday - Thursday', days: [1, 2, 3, 4], open: '18:00', close: '01:00' },
+  { label: 'Friday - Sunday', days: [5, 6, 0], open: '18:00', close: '03:00' }
+];
+
+const DEFAULT_GALLERY = [
+  '/images/interior-paara.jpg',
+  '/images/beer-paara.jpg',
+  '/images/paara2.jpg',
+  '/images/october.jpg',
+  '/images/slider.jpg',
+  '/images/bee2.png'
+];
+
+const defaultClubs = [
+  {
+    slug: 'brewestate',
+    name: 'BREWESTATE',
+    city: 'Chandigarh',
+    tagline: 'Your perfect place for craft beers and amazing vibes',
+    address: 'SCO 25, Madhya Marg, Sector 26, Chandigarh, 160019',
+    images: { cover: '/images/grand.jpg', banner: '/images/brew1.jpg', gallery: DEFAULT_GALLERY },
+    contact: { email: 'info@brewestatechd.com', phone: '+91-7851000003' },
+    coordinates: { lat: 30.7289, lng: 76.8055 },
+    tablesPerSlot: 12,
+    maxCoversPerSlot: 60
+  },
+  {
+    slug: 'boulevard',
+    name: 'BOULEVARD',
+    city: 'Chandigarh',
+    tagline: 'Where Good Times and Great Food Meet',
+    address: 'SCO 25, Madhya Marg, Sector 26, Chandigarh, 160019',
+    images: { cover: '/images/bl.webp', banner: '/images/boul2.avif', gallery: DEFAULT_GALLERY },
+    contact: { email: 'info@boulevardchd.com', phone: '+91-7851000008' },
+    coordinates: { lat: 30.7289, lng: 76.8055 },
+    tablesPerSlot: 10,
+    maxCoversPerSlot: 50
+  },
+  {
+    slug: 'kalaghoda',
+    name: 'KALA GHODA',
+    city: 'Chandigarh',
+    tagline: 'Live Hard Party Hard',
+    address: 'Episodes by Kala Ghoda, Sector 26, Chandigarh',
+    images: { cover: '/images/kgf.webp', banner: '/images/kg2.jpg', gallery: DEFAULT_GALLERY },
+    contact: { email: 'info@kalaghodachd.com', phone: '+91-7851000005' },
+    coordinates: { lat: 30.7289, lng: 76.8055 },
+    tablesPerSlot: 8,
+    maxCoversPerSlot: 40
+  },
+  {
+    slug: 'mobe',
+    name: 'MOBE',
+    city: 'Chandigarh',
+    tagline: 'Rooftop drinks, DJs and late nights in Sector 26',
+    address: 'MOBE, Madhya Marg, Sector 26, Chandigarh',
+    images: { cover: '/images/mobe.png', banner: '/images/mobe.png', gallery: DEFAULT_GALLERY },
+    contact: { email: 'info@mobechd.com', phone: '+91-7851000006' },
+    coordinates: { lat: 30.7289, lng: 76.8055 },
+    tablesPerSlot: 10,
+    maxCoversPerSlot: 50
+  },
+  {
+    slug: 'paara',
+    name: 'PAARA - NIGHT CLUB',
+    city: 'Ludhiana',
+    tagline: 'Ludhiana’s Premier Destination for Nightlife, Music, and Unforgettable Moments',
+    address: 'Centra Mall, Industrial Area Phase I, Ludhiana, 160002',
+    images: { cover: '/images/paara2.jpg', banner: '/images/interior-paara.jpg', gallery: DEFAULT_GALLERY },
+    contact: { email: 'info@paaranightclubldh.com', phone: '+91-7851000003' },
+    coordinates: { lat: 30.8797, lng: 75.8492 },
+    tablesPerSlot: 15,
+    maxCoversPerSlot: 75
+  },
+  {
+    slug: 'baklavi-ldh',
+    name: 'BAKLAVI - BAR & KITCHEN',
+    city: 'Ludhiana',
+    tagline: 'A heaven of luxury, where lavish stays meet global gastronomy',
+    address: 'Fatehpur Awana South City, Canal Rd, Barewal Awana, Ludhiana, Punjab 141001',
+    images: { cover: '/images/baklavi3.avif', banner: '/images/baklavi.jpg', gallery: DEFAULT_GALLERY },
+    contact: { email: 'info@baklavildh.com', phone: '+91-7851000008' },
+    coordinates: { lat: 30.9007, lng: 75.7822 },
+    tablesPerSlot: 10,
+    maxCoversPerSlot: 50
+  },
+  {
+    slug: 'luna-ldh',
+    name: 'LUNA - NIGHT CLUB',
+    city: 'Ludhiana',
+    tagline: 'Ludhiana’s night club under the moonlight',
+    address: 'Luna Night Club, South Canal Road, Ludhiana',
+    images: { cover: '/images/luna night club.jpg', banner: '/images/luna2.avif', gallery: DEFAULT_GALLERY },
+    contact: { email: 'info@lunaldh.com', phone: '+91-7851000005' },
+    coordinates: { lat: 30.9038, lng: 75.7734 },
+    tablesPerSlot: 12,
+    maxCoversPerSlot: 60
+  },
+  {
+    slug: 'romeo-ldh',
+    name: 'ROMEO LANE',
+    city: 'Ludhiana',
+    tagline: 'Cocktails and comfort food in a lane of fairy lights',
+    address: 'Romeo Lane, Ferozepur Road, Ludhiana',
+    images: { cover: '/images/romeolane.jpg', banner: '/images/romeolane.jpg', gallery: DEFAULT_GALLERY },
+    contact: { email: 'info@romeolaneldh.com', phone: '+91-7851000007' },
+    coordinates: { lat: 30.9010, lng: 75.8573 },
+    tablesPerSlot: 10,
+    maxCoversPerSlot: 50
+  }
+].map(club => ({ hours: DEFAULT_HOURS, timeSlots: DEFAULT_TIME_SLOTS, ...club }));
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Insert any default venue that is missing (matched by slug).
+ * Existing clubs are left untouched so admin edits survive restarts.
+ * @param {boolean} [options.ifEmpty] - Only seed a database without any
+ *   clubs, so defaults an admin deleted stay deleted (used at startup)
+ * @returns {Promise<number>} Clubs inserted
+ */
+async function seedDefaultClubs({ ifEmpty = false } = {}) {
+  if (ifEmpty && await Club.exists({})) return 0;
+
+  const ops = defaultClubs.map(club => ({
+    updateOne: {
+      filter: { slug: club.slug },
+      update: { $setOnInsert: club },
+      upsert: true
+    }
+  }));
+  const result = await Club.bulkWrite(ops);
+  return result.upsertedCount || 0;
+}
+
+async function findClubBySlug(slug) {
+  if (!slug) return null;
+  return Club.findOne({ slug: String(slug).toLowerCase(), isActive: true });
+}
+
+async function findClubByName(name) {
+  if (!name) return null;
+  const pattern = new RegExp(`^${escapeRegex(String(name).trim())}$`, 'i');
+  return Club.findOne({ name: pattern, isActive: true });
+}
+
+/**
+ * Another club already using this name, whatever its case. Bookings refer
+ * to clubs by name, so names must stay unique.
+ */
+async function findNameClash(name, exceptId = null) {
+  const pattern = new RegExp(`^${escapeRegex(String(name).trim())}$`, 'i');
+  const filter = exceptId ? { name: pattern, _id: { $ne: exceptId } } : { name: pattern };
+  return Club.findOne(filter);
+}
+
+/**
+ * Nights from today on that a club has bookings or waitlist entries for
+ */
+async function upcomingNights(club) {
+  const upcoming = { club, date: { $gte: venueDate() } };
+  const [reservations, entries] = await Promise.all([
+    Reservation.find(upcoming),
+    Waitlist.find(upcoming).select('date')
+  ]);
+  return [...new Set([...reservations, ...entries].map(doc => doc.date))];
+}
+
+/**
+ * Carry a club's rename over to what refers to it: reservations and
+ * waitlist entries name the club, managers list its slug. Each collection
+ * is moved with one update while the club's upcoming nights are locked
+ * under both names (slot locks are keyed by name), and if an update fails
+ * the ones before it are undone so nothing is left under the old name.
+ * @param {object} before - Club as it was ({ name, slug })
+ * @param {object} after - Club as it is now
+ * @returns {Promise<object>} { reservations, waitlist, managers } updated,
+ *   or { conflict } if a night stayed locked
+ */
+async function renameClubReferences(before, after) {
+  const steps = [];
+  if (before.name !== after.name) {
+    steps.push(
+      ['reservations', (from, to) => Reservation.updateMany({ club: from }, { club: to }), before.name, after.name],
+      ['waitlist', (from, to) => Waitlist.updateMany({ club: from }, { $set: { club: to } }), before.name, after.name]
+    );
+  }
+  if (before.slug !== after.slug) {
+    steps.push(['managers', (from, to) => User.replaceManagedClub(from, to), before.slug, after.slug]);
+  }
+
+  const nights = before.name !== after.name ? await upcomingNights(before.name) : [];
+  const slots = nights.flatMap(date => [{ club: before.name, date }, { club: after.name, date }]);
+
+  return withSlotLocks(slots, async () => {
+    const counts = { reservations: 0, waitlist: 0, managers: 0 };
+    const undo = [];
+    try {
+      for (const [key, update, from, to] of steps) {
+        counts[key] = (await update(from, to)).modifiedCount || 0;
+        undo.unshift(() => update(to, from));
+      }
+    } catch (error) {
+      for (const step of undo) await step();
+      throw error;
+    }
+    return counts;
+  });
+}
+
+/**
+ * Active clubs grouped by city
+ */
+async function listClubsByCity() {
+  const clubs = await Club.find({ isActive: true }).sort({ city: 1, name: 1 });
+  const cities = new Map();
+  for (const club of clubs) {
+    if (!cities.has(club.city)) cities.set(club.city, []);
+    cities.get(club.city).push(club);
+  }
+  return [...cities].map(([city, cityClubs]) => ({ city, clubs: cityClubs }));
+}
+
+export {
+  defaultClubs,
+  seedDefaultClubs,
+  findClubBySlug,
+  findClubByName,
+  findNameClash,
+  renameClubReferences,
+  listClubsByCity,
+  DEFAULT_TIME_SLOTS,
+  DEFAULT_HOURS
+};
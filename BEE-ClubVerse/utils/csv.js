@@ -0,0 +1,74 @@
+/**
+ * CSV Parsing
+ * Enough of RFC 4180 for spreadsheet exports: quoted fields, escaped
+ * quotes ("") and line breaks inside quotes, with CRLF or LF rows.
+ */
+
+/**
+ * @param {string} text
+ * @returns {string[][]} Rows of fields; blank lines are skipped
+ */
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  // Spreadsheet apps often prepend a byte order mark
+  const input = String(text).replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('Unterminated quoted field');
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(f => f.trim() !== ''));
+}
+
+/**
+ * Parse CSV with a header row into objects keyed by header
+ * @returns {object[]}
+ */
+function parseCsv(text) {
+  const [header, ...rows] = parseCsvRows(text);
+  if (!header) return [];
+
+  const keys = header.map(h => h.trim());
+  return rows.map(fields =>
+    Object.fromEntries(keys.map((key, i) => [key, (fields[i] ?? '').trim()]))
+  );
+}
+
+export { parseCsv };
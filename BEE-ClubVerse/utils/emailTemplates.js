@@ -0,0 +1,52 @@
+import path from 'path';
+import ejs from 'ejs';
+import { fileURLToPath } from 'url';
+
+/**
+ * Email Templates
+ * Each template is a pair of EJS files in views/emails: <name>.html.ejs
+ * (escaped with <%= %>) and <name>.text.ejs for the plain-text part, both
+ * wrapped in the matching layout.
+ */
+
+const TEMPLATE_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'views', 'emails');
+
+const subjects = {
+  'reservation-confirmed': (d) => `Your Table Reservation at ${d.club}`,
+  'reservation-pending': (d) => `Booking request received - ${d.club}`,
+  'reservation-updated': (d) => `Your Reservation Has Been Updated - ${d.club}`,
+  'reservation-cancelled': (d) => `Your Reservation Has Been Cancelled - ${d.club}`,
+  'reservation-reminder': (d) => `Reminder: your table at ${d.club} on ${d.date}`,
+  'reservation-feedback': (d) => `How was your night at ${d.club}?`,
+  'waitlist-offer': (d) => `A table opened up at ${d.club}`,
+  'verify-email': () => 'Verify your Club-Verse email address',
+  'password-reset': () => 'Reset your Club-Verse password',
+  'password-changed': () => 'Your Club-Verse password was changed'
+};
+
+const EMAIL_TEMPLATES = Object.keys(subjects);
+
+const renderPart = async (name, part, data) => {
+  const body = await ejs.renderFile(path.join(TEMPLATE_DIR, `${name}.${part}.ejs`), data, { async: true });
+  return ejs.renderFile(path.join(TEMPLATE_DIR, `layout.${part}.ejs`), { body: body.trim() }, { async: true });
+};
+
+/**
+ * @param {string} name - One of EMAIL_TEMPLATES
+ * @param {object} data - Values used by the template
+ * @returns {Promise<object>} { subject, html, text }
+ */
+async function renderEmail(name, data) {
+  if (!subjects[name]) {
+    throw new Error(`Unknown email template "${name}"`);
+  }
+
+  const [html, text] = await Promise.all([
+    renderPart(name, 'html', data),
+    renderPart(name, 'text', data)
+  ]);
+
+  return { subject: subjects[name](data), html, text: text.trim() + '\n' };
+}
+
+export { renderEmail, EMAIL_TEMPLATES };
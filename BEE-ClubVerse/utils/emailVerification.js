@@ -0,0 +1,40 @@
+import jwt from 'jsonwebtoken';
+import { queueEmail } from './outbox.js';
+import { appUrl } from './appUrl.js';
+
+/**
+ * Email Verification
+ * Verification links carry a signed JWT bound to the user id and the
+ * address it was sent to, so changing the email invalidates old links.
+ */
+const TOKEN_PURPOSE = 'verify_email';
+const TOKEN_TTL = '24h';
+
+const verificationSecret = () => process.env.EMAIL_VERIFICATION_SECRET || process.env.JWT_SECRET;
+
+function createVerificationToken(user) {
+  return jwt.sign(
+    { id: user._id, email: user.email, purpose: TOKEN_PURPOSE },
+    verificationSecret(),
+    { expiresIn: TOKEN_TTL }
+  );
+}
+
+/**
+ * @returns {object} Decoded payload ({ id, email })
+ * @throws {Error} When the token is expired, tampered with or not a verification token
+ */
+function decodeVerificationToken(token) {
+  const decoded = jwt.verify(token, verificationSecret());
+  if (decoded.purpose !== TOKEN_PURPOSE) {
+    throw new jwt.JsonWebTokenError('Wrong token purpose');
+  }
+  return decoded;
+}
+
+function sendVerificationEmail(user) {
+  const verifyUrl = appUrl(`/api/auth/verify-email/${createVerificationToken(user)}`);
+  queueEmail('verify-email', user.email, { name: user.name, verifyUrl });
+}
+
+export { createVerificationToken, decodeVerificationToken, sendVerificationEmail };
@@ -0,0 +1,248 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+/**
+ * PostgreSQL Migrations
+ * Numbered SQL files in migrations/: <version>_<name>.up.sql and a matching
+ * .down.sql. Applied versions are recorded in schema_migrations; each
+ * migration runs in its own transaction, and an advisory lock keeps two
+ * processes (e.g. servers starting together) from migrating at once.
+ *
+ * A migration whose .up.sql starts with `-- requires: NAME=value` only
+ * applies while that environment variable has that value (e.g. the users
+ * foreign key needs USER_STORE=postgres); until then it is `inactive`.
+ * Nothing later may depend on such a migration, so it can also be rolled
+ * back on its own.
+ */
+
+const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'migrations');
+
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.(up|down)\.sql$/;
+const REQUIRES_PATTERN = /^--\s*requires:\s*(\w+)=(\S+)\s*$/gm;
+
+// Any constant will do, as long as every process uses the same one
+const LOCK_KEY = 720413;
+
+const getLockTimeoutSeconds = () => {
+  const n = Number(process.env.MIGRATION_LOCK_TIMEOUT_SECONDS);
+  return Number.isFinite(n) && n > 0 ? n : 60;
+};
+
+const checksum = (sql) => crypto.createHash('sha256').update(sql).digest('hex');
+
+const label = (m) => `${String(m.version).padStart(3, '0')}_${m.name}`;
+
+/**
+ * Environment settings a migration needs, from its `-- requires:` lines
+ * @returns {object} { NAME: value }
+ */
+const parseRequires = (sql) =>
+  Object.fromEntries([...sql.matchAll(REQUIRES_PATTERN)].map(([, name, value]) => [name, value]));
+
+/**
+ * Is every `-- requires:` setting of a migration met right now?
+ */
+const isActive = (migration) => Object.entries(migration.requires).every(([name, value]) =>
+  (process.env[name] || '').trim().toLowerCase() === value.toLowerCase()
+);
+
+/**
+ * Read the migration files, oldest first
+ * @returns {Promise<object[]>} [{ version, name, up, down, checksum, requires }]
+ */
+async function loadMigrations(dir = MIGRATIONS_DIR) {
+  const byVersion = new Map();
+
+  for (const file of (await fs.readdir(dir)).sort()) {
+    const match = FILE_PATTERN.exec(file);
+    if (!match) continue;
+
+    const version = Number(match[1]);
+    const [, , name, direction] = match;
+    const migration = byVersion.get(version) || { version, name };
+
+    if (migration.name !== name || migration[direction] !== undefined) {
+      throw new Error(`Migration version ${version} is used by more than one file (${file})`);
+    }
+    migration[direction] = await fs.readFile(path.join(dir, file), 'utf-8');
+    byVersion.set(version, migration);
+  }
+
+  const migrations = [...byVersion.values()].sort((a, b) => a.version - b.version);
+  for (const migration of migrations) {
+    if (migration.up === undefined || migration.down === undefined) {
+      throw new Error(`Migration ${label(migration)} needs both an .up.sql and a .down.sql file`);
+    }
+    migration.checksum = checksum(migration.up);
+    migration.requires = parseRequires(migration.up);
+  }
+
+  return migrations;
+}
+
+const ensureMigrationsTable = (client) => client.query(`
+  CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    checksum TEXT NOT NULL,
+    applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+  )
+`);
+
+/**
+ * @returns {Promise<Map>} version -> { version, name, checksum, applied_at }
+ */
+async function appliedMigrations(client) {
+  const res = await client.query('SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version');
+  return new Map(res.rows.map(row => [row.version, row]));
+}
+
+/**
+ * Run fn(client) holding the migration lock, waiting up to
+ * MIGRATION_LOCK_TIMEOUT_SECONDS (default 60) for another run to finish
+ */
+async function withMigrationLock(db, fn) {
+  const client = await db.connect();
+  const deadline = Date.now() + getLockTimeoutSeconds() * 1000;
+
+  try {
+    for (;;) {
+      const res = await client.query('SELECT pg_try_advisory_lock($1) AS locked', [LOCK_KEY]);
+      if (res.rows[0].locked) break;
+      if (Date.now() > deadline) {
+        throw new Error('Timed out waiting for the migration lock; is another migration running?');
+      }
+      await new Promise(resolve => setTimeout(resolve, 500));
+    }
+
+    try {
+      await ensureMigrationsTable(client);
+      return await fn(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+async function runInTransaction(client, migration, direction, record) {
+  try {
+    await client.query('BEGIN');
+    await client.query(migration[direction]);
+    await record();
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw new Error(`Migration ${label(migration)} (${direction}) failed: ${err.message}`);
+  }
+}
+
+/**
+ * Apply pending migrations, oldest first. Inactive ones are left for a
+ * later run, once their requirement is met.
+ * @param {object} db - pg Pool
+ * @param {number} [options.to] - Stop after this version
+ * @param {boolean} [options.skipRequiring] - Leave migrations with a
+ *   `-- requires:` line alone even if active (e.g. until users are copied)
+ * @returns {Promise<object[]>} Migrations applied
+ */
+async function migrateUp(db, { to = Infinity, skipRequiring = false, dir } = {}) {
+  const migrations = await loadMigrations(dir);
+
+  return withMigrationLock(db, async (client) => {
+    const applied = await appliedMigrations(client);
+    const pending = migrations.filter(m => !applied.has(m.version) && m.version <= to && isActive(m)
+      && !(skipRequiring && Object.keys(m.requires).length > 0));
+
+    for (const migration of pending) {
+      await runInTransaction(client, migration, 'up', () => client.query(
+        'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+        [migration.version, migration.name, migration.checksum]
+      ));
+    }
+
+    return pending;
+  });
+}
+
+/**
+ * Roll back applied migrations, most recently applied first
+ * @param {object} db - pg Pool
+ * @param {number} [options.steps=1] - How many to roll back
+ * @param {number} [options.to] - Instead of steps: roll back everything above this version (0 for all)
+ * @param {number} [options.version] - Instead of steps: roll back only this
+ *   version, which must be one with a `-- requires:` line
+ * @returns {Promise<object[]>} Migrations rolled back
+ */
+async function migrateDown(db, { steps = 1, to, version: only, dir } = {}) {
+  const migrations = await loadMigrations(dir);
+  const byVersion = new Map(migrations.map(m => [m.version, m]));
+
+  if (only !== undefined && !Object.keys(byVersion.get(only)?.requires || {}).length) {
+    throw new Error(`Only migrations with a \`-- requires:\` line can be rolled back on their own (not version ${only})`);
+  }
+
+  return withMigrationLock(db, async (client) => {
+    // Newest applied first: a `-- requires:` migration can be applied after later versions
+    const res = await client.query('SELECT version FROM schema_migrations ORDER BY applied_at DESC, version DESC');
+    const applied = res.rows.map(row => row.version);
+    const versions = only !== undefined ? applied.filter(v => v === only)
+      : to !== undefined ? applied.filter(v => v > to) : applied.slice(0, steps);
+
+    const missing = versions.filter(v => !byVersion.has(v));
+    if (missing.length > 0) {
+      throw new Error(`No migration files for applied version(s) ${missing.join(', ')}`);
+    }
+
+    const rolledBack = [];
+    for (const version of versions) {
+      const migration = byVersion.get(version);
+      await runInTransaction(client, migration, 'down', () => client.query(
+        'DELETE FROM schema_migrations WHERE version = $1',
+        [version]
+      ));
+      rolledBack.push(migration);
+    }
+
+    return rolledBack;
+  });
+}
+
+/**
+ * Every migration file and applied version, oldest first
+ * @returns {Promise<object[]>} [{ version, name, state, appliedAt, changed, requires }]
+ *   state: applied | pending | inactive (not applied, requirement unmet) |
+ *   missing (applied, but its file is gone);
+ *   changed: the .up.sql file was edited after it was applied
+ */
+async function migrationStatus(db, { dir } = {}) {
+  const migrations = await loadMigrations(dir);
+
+  return withMigrationLock(db, async (client) => {
+    const applied = await appliedMigrations(client);
+    const status = migrations.map(m => {
+      const row = applied.get(m.version);
+      return {
+        version: m.version,
+        name: m.name,
+        state: row ? 'applied' : isActive(m) ? 'pending' : 'inactive',
+        appliedAt: row?.applied_at || null,
+        changed: Boolean(row && row.checksum !== m.checksum),
+        requires: m.requires
+      };
+    });
+
+    const known = new Set(migrations.map(m => m.version));
+    for (const row of applied.values()) {
+      if (known.has(row.version)) continue;
+      status.push({ version: row.version, name: row.name, state: 'missing', appliedAt: row.applied_at, changed: false, requires: {} });
+    }
+
+    return status.sort((a, b) => a.version - b.version);
+  });
+}
+
+export { loadMigrations, migrateUp, migrateDown, migrationStatus, MIGRATIONS_DIR };
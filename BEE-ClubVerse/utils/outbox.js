@@ -0,0 +1,175 @@
+import EmailOutbox from '../models/emailOutbox.js';
+import transporter, { transportName, mailFrom } from '../middlewares/mailer.js';
+import { renderEmail } from './emailTemplates.js';
+
+/**
+ * Email Outbox
+ * Emails are rendered and stored before sending, then delivered by a
+ * worker that retries failures with exponential backoff. Every message
+ * ends up `sent` or, after OUTBOX_MAX_ATTEMPTS tries, `failed`.
+ * Finished messages lose their body (links in it may still work) and are
+ * purged after OUTBOX_RETENTION_DAYS.
+ */
+
+// How long a worker may hold a message before another may retry it
+const LOCK_MS = 5 * 60 * 1000;
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000;
+
+// Templates carrying a single-use link (verification, reset, waitlist
+// claim). Their body is discarded even when delivery fails for good, so
+// they can't be retried; the recipient asks for a new link instead.
+const LINK_TEMPLATES = ['verify-email', 'password-reset', 'waitlist-offer'];
+
+const positiveNumber = (value, fallback) => {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+};
+
+const getMaxAttempts = () => positiveNumber(process.env.OUTBOX_MAX_ATTEMPTS, 5);
+
+// When a finished message is removed by the TTL index (OUTBOX_RETENTION_DAYS, default 30)
+const purgeDate = () =>
+  new Date(Date.now() + positiveNumber(process.env.OUTBOX_RETENTION_DAYS, 30) * 24 * 60 * 60 * 1000);
+
+const discardBody = { html: null, text: null };
+
+/**
+ * Delay before the next try: OUTBOX_RETRY_BASE_SECONDS (default 60)
+ * doubled for every failed attempt, capped at 6 hours
+ */
+function retryDelayMs(attempts) {
+  const base = positiveNumber(process.env.OUTBOX_RETRY_BASE_SECONDS, 60) * 1000;
+  return Math.min(MAX_RETRY_DELAY_MS, base * 2 ** Math.max(0, attempts - 1));
+}
+
+let running = false;
+
+/**
+ * Lock the next due message so concurrent workers don't send it twice
+ */
+function claimNext() {
+  const now = new Date();
+  return EmailOutbox.findOneAndUpdate(
+    {
+      status: { $in: ['pending', 'sending'] },
+      nextAttemptAt: { $lte: now },
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lt: now } }]
+    },
+    { status: 'sending', lockedUntil: new Date(now.getTime() + LOCK_MS), updatedAt: now },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+}
+
+async function deliver(message) {
+  const attempts = message.attempts + 1;
+
+  try {
+    const info = await transporter.sendMail({
+      from: mailFrom(),
+      to: message.to,
+      subject: message.subject,
+      html: message.html,
+      text: message.text
+    });
+
+    await EmailOutbox.updateOne({ _id: message._id }, {
+      status: 'sent',
+      attempts,
+      sentAt: new Date(),
+      messageId: info?.messageId || null,
+      transport: transportName,
+      lockedUntil: null,
+      lastError: null,
+      ...discardBody,
+      expiresAt: purgeDate(),
+      updatedAt: new Date()
+    });
+    return 'sent';
+  } catch (err) {
+    console.error('Email send error:', err);
+    const failed = attempts >= getMaxAttempts();
+
+    await EmailOutbox.updateOne({ _id: message._id }, {
+      status: failed ? 'failed' : 'pending',
+      attempts,
+      nextAttemptAt: new Date(Date.now() + retryDelayMs(attempts)),
+      transport: transportName,
+      lockedUntil: null,
+      lastError: err.message,
+      ...(failed && { expiresAt: purgeDate() }),
+      ...(failed && LINK_TEMPLATES.includes(message.template) && discardBody),
+      updatedAt: new Date()
+    });
+    return failed ? 'failed' : 'retrying';
+  }
+}
+
+/**
+ * Send every message that is due, one at a time
+ * @param {number} [options.limit=50] - Most messages to handle in one run
+ * @returns {Promise<object>} Counts: { sent, retrying, failed }
+ */
+async function processOutbox({ limit = 50 } = {}) {
+  const counts = { sent: 0, retrying: 0, failed: 0 };
+  if (running) return counts;
+
+  running = true;
+  try {
+    for (let i = 0; i < limit; i++) {
+      const message = await claimNext();
+      if (!message) break;
+      counts[await deliver(message)]++;
+    }
+  } finally {
+    running = false;
+  }
+  return counts;
+}
+
+/**
+ * Render a template and queue it, then try to send right away.
+ * Like the callbacks it replaces, this never throws: failures are logged.
+ * @param {string} template - One of EMAIL_TEMPLATES
+ * @param {string} to - Recipient address
+ * @param {object} data - Template values
+ * @param {string} [options.dedupeKey] - Skip queueing if a message with this key already exists
+ * @returns {Promise<object|null>} The outbox entry, or null if it couldn't be (or already was) queued
+ */
+async function queueEmail(template, to, data, { dedupeKey } = {}) {
+  try {
+    const { subject, html, text } = await renderEmail(template, data);
+    const message = await EmailOutbox.create({ template, to, subject, html, text, dedupeKey });
+
+    processOutbox().catch(err => console.error('Email outbox error:', err));
+    return message;
+  } catch (err) {
+    if (err.code === 11000) return null;
+    console.error('Email queue error:', err);
+    return null;
+  }
+}
+
+/**
+ * Give finished messages without a purge date (e.g. sent before bodies
+ * were discarded) the same treatment as newly finished ones. Safe to repeat.
+ * @returns {Promise<number>} Messages updated
+ */
+async function tidyFinishedMessages() {
+  const finished = { expiresAt: null };
+  const results = await Promise.all([
+    EmailOutbox.updateMany(
+      { ...finished, $or: [{ status: 'sent' }, { status: 'failed', template: { $in: LINK_TEMPLATES } }] },
+      { ...discardBody, expiresAt: purgeDate() }
+    ),
+    EmailOutbox.updateMany(
+      { ...finished, status: 'failed', template: { $nin: LINK_TEMPLATES } },
+      { expiresAt: purgeDate() }
+    )
+  ]);
+  return results.reduce((sum, r) => sum + r.modifiedCount, 0);
+}
+
+// Seconds between outbox polls (OUTBOX_POLL_SECONDS, default 30)
+const getOutboxPollSeconds = () => positiveNumber(process.env.OUTBOX_POLL_SECONDS, 30);
+
+export { queueEmail, processOutbox, tidyFinishedMessages, getOutboxPollSeconds, retryDelayMs, getMaxAttempts, LINK_TEMPLATES };
@@ -0,0 +1,57 @@
+/**
+ * Listing Helpers
+ * Offset pagination and "?sort=-createdAt,name" parsing shared by the
+ * admin listings. Both return plain values or a conflict shaped like our
+ * API errors ({ status, error, code }).
+ */
+
+/**
+ * @returns {object} { page, limit, skip }
+ */
+function parsePagination(query, { defaultLimit = 50, maxLimit = 200 } = {}) {
+  const page = Math.max(1, parseInt(query.page, 10) || 1);
+  const limit = Math.min(maxLimit, Math.max(1, parseInt(query.limit, 10) || defaultLimit));
+  return { page, limit, skip: (page - 1) * limit };
+}
+
+/**
+ * Parse a comma-separated sort list; a leading "-" sorts descending
+ * @param {string[]} allowed - Fields that may be sorted on
+ * @returns {object} { sort } (e.g. { date: -1, _id: 1 }) or { conflict }
+ */
+function parseSort(value, allowed, fallback) {
+  const fields = String(value || fallback).split(',').map(f => f.trim()).filter(Boolean);
+  const sort = {};
+
+  for (const field of fields) {
+    const name = field.replace(/^-/, '');
+    if (!allowed.includes(name)) {
+      return {
+        conflict: {
+          status: 400,
+          error: `Cannot sort by "${name}". Allowed: ${allowed.join(', ')}`,
+          code: 'INVALID_SORT'
+        }
+      };
+    }
+    sort[name] = field.startsWith('-') ? -1 : 1;
+  }
+
+  // Stable order so pages don't overlap
+  sort._id = 1;
+  return { sort };
+}
+
+/**
+ * Metadata sent alongside a page of results
+ */
+const pageInfo = ({ page, limit }, total) => ({
+  page,
+  limit,
+  total,
+  totalPages: Math.ceil(total / limit)
+});
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+export { parsePagination, parseSort, pageInfo, escapeRegex };
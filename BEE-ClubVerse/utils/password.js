@@ -0,0 +1,63 @@
+import bcrypt from 'bcrypt';
+
+/**
+ * Password Rules
+ * Shared by registration, password reset and password change so every
+ * path enforces the same strength requirements.
+ */
+const PASSWORD_REGEX = /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]{8,}$/;
+const PASSWORD_RULES_MESSAGE = 'Password must be 8+ chars with uppercase, lowercase, number, special char';
+
+// bcrypt salt rounds
+const SALT_ROUNDS = 12;
+
+/**
+ * How many recent passwords (the current one included) cannot be reused
+ * (PASSWORD_HISTORY_SIZE, default 5)
+ */
+function getPasswordHistorySize() {
+  const size = Number(process.env.PASSWORD_HISTORY_SIZE);
+  return Number.isInteger(size) && size > 0 ? size : 5;
+}
+
+const isStrongPassword = (password) => typeof password === 'string' && PASSWORD_REGEX.test(password);
+
+async function hashPassword(password) {
+  const salt = await bcrypt.genSalt(SALT_ROUNDS);
+  return bcrypt.hash(password, salt);
+}
+
+/**
+ * Does `password` match the user's current or a recent previous password?
+ * The user must be loaded with `+passwordHistory`.
+ */
+async function isRecentPassword(user, password) {
+  const recent = [user.password, ...(user.passwordHistory || [])]
+    .filter(Boolean)
+    .slice(0, getPasswordHistorySize());
+
+  for (const hash of recent) {
+    if (await bcrypt.compare(password, hash)) return true;
+  }
+  return false;
+}
+
+/**
+ * Replace the user's password, pushing the old hash onto the history
+ */
+async function setPassword(user, password) {
+  const history = [user.password, ...(user.passwordHistory || [])].filter(Boolean);
+
+  user.password = await hashPassword(password);
+  user.passwordHistory = history.slice(0, getPasswordHistorySize() - 1);
+  user.passwordChangedAt = Date.now();
+}
+
+export {
+  PASSWORD_REGEX,
+  PASSWORD_RULES_MESSAGE,
+  isStrongPassword,
+  hashPassword,
+  isRecentPassword,
+  setPassword
+};
@@ -0,0 +1,69 @@
+import mongoose from 'mongoose';
+import Reservation from '../models/reservation.js';
+import User from '../models/user.js';
+
+/**
+ * Guest Reliability
+ * A user's record is recounted from their reservations whenever one
+ * changes status, so corrections (e.g. a no-show later checked in) are
+ * reflected exactly. Venues act on it through club.noShowPolicy.
+ */
+
+const VISIT_STATUSES = ['checked_in', 'completed'];
+
+/**
+ * Recount a user's visits and no-shows and store them on the user
+ * @returns {Promise<object|null>} The new reliability record; null for guests without an account
+ */
+async function refreshReliability(userId) {
+  const id = String(userId?._id || userId || '');
+  if (!mongoose.isValidObjectId(id)) return null;
+
+  const [visits, noShows, lastNoShow] = await Promise.all([
+    Reservation.countDocuments({ userId: id, status: { $in: VISIT_STATUSES } }),
+    Reservation.countDocuments({ userId: id, status: 'no_show' }),
+    Reservation.find({ userId: id, status: 'no_show' }).sort({ updatedAt: -1 }).limit(1)
+  ]);
+
+  const total = visits + noShows;
+  const reliability = {
+    visits,
+    noShows,
+    score: total > 0 ? Math.round((visits / total) * 100) : null,
+    lastNoShowAt: lastNoShow[0]?.updatedAt || null,
+    updatedAt: new Date()
+  };
+
+  await User.updateOne({ _id: id }, { reliability });
+  return reliability;
+}
+
+/**
+ * Apply the club's no-show policy to a new booking
+ * @returns {object} { status } for the new reservation ('confirmed' or
+ *   'pending' when the venue must approve it), or { conflict } when blocked
+ */
+function applyNoShowPolicy(club, user) {
+  const { action = 'none', threshold = 3 } = club.noShowPolicy || {};
+  const noShows = user.reliability?.noShows || 0;
+
+  if (action === 'none' || noShows < threshold) {
+    return { status: 'confirmed' };
+  }
+
+  if (action === 'block') {
+    return {
+      conflict: {
+        status: 403,
+        error: `${club.name} isn't taking online bookings from guests with ${threshold} or more no-shows. Please contact the venue.`,
+        code: 'BOOKING_BLOCKED',
+        noShows,
+        threshold
+      }
+    };
+  }
+
+  return { status: 'pending' };
+}
+
+export { refreshReliability, applyNoShowPolicy, VISIT_STATUSES };
@@ -0,0 +1,129 @@
+import { reservationStartsAt } from './reservationRules.js';
+import { appUrl } from './appUrl.js';
+
+/**
+ * Reservation Export
+ * CSV for spreadsheets and iCalendar (RFC 5545) for calendar apps. Works on
+ * plain objects, so rows from either storage backend can be passed in.
+ */
+
+const CSV_COLUMNS = [
+  ['id', r => r._id],
+  ['club', r => r.club],
+  ['date', r => r.date],
+  ['time', r => r.time],
+  ['guests', r => r.guests],
+  ['status', r => r.status],
+  ['name', r => r.name],
+  ['email', r => r.email],
+  ['phone', r => r.phone],
+  ['specialRequests', r => r.specialRequests],
+  ['createdAt', r => r.createdAt && new Date(r.createdAt).toISOString()]
+];
+
+// Calendar entries need an end; bookings don't store one
+const EVENT_DURATION_MINUTES = 120;
+
+const csvCell = (value) => {
+  let text = value === undefined || value === null ? '' : String(value);
+  // Stop spreadsheets from evaluating guest-supplied text as a formula
+  // (phone numbers like "+44 20 7946 0000" are left alone)
+  if (/^[=+\-@\t\r]/.test(text) && !/^\+[\d\s()-]+$/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * @returns {string} CSV with a header row and CRLF line endings
+ */
+function toCsv(reservations) {
+  const lines = [CSV_COLUMNS.map(([header]) => header).join(',')];
+  for (const reservation of reservations) {
+    lines.push(CSV_COLUMNS.map(([, pick]) => csvCell(pick(reservation))).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+// Event times go out in UTC (reservationStartsAt resolves the venue's
+// timezone), so calendar apps show them right wherever the guest is
+const icsUtc = (d) => d.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const icsText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Bookings awaiting venue approval show as tentative
+const icsStatus = (status) => {
+  if (status === 'cancelled') return 'CANCELLED';
+  return status === 'pending' ? 'TENTATIVE' : 'CONFIRMED';
+};
+
+// Lines longer than 75 octets are folded onto continuation lines
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+const uidDomain = () => new URL(appUrl()).hostname;
+
+function icsEvent(reservation, now) {
+  const start = reservationStartsAt(reservation.date, reservation.time);
+  const end = new Date(start.getTime() + EVENT_DURATION_MINUTES * 60 * 1000);
+  const details = [
+    `Guests: ${reservation.guests}`,
+    `Reservation ID: ${reservation._id}`,
+    reservation.specialRequests && `Special requests: ${reservation.specialRequests}`
+  ].filter(Boolean).join('\n');
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:reservation-${reservation._id}@${uidDomain()}`,
+    `DTSTAMP:${icsUtc(now)}`,
+    ...(reservation.updatedAt ? [`LAST-MODIFIED:${icsUtc(new Date(reservation.updatedAt))}`] : []),
+    `DTSTART:${icsUtc(start)}`,
+    `DTEND:${icsUtc(end)}`,
+    `SUMMARY:${icsText(`Reservation at ${reservation.club}`)}`,
+    ...(reservation.clubLocation ? [`LOCATION:${icsText(reservation.clubLocation)}`] : []),
+    `DESCRIPTION:${icsText(details)}`,
+    `STATUS:${icsStatus(reservation.status)}`,
+    'END:VEVENT'
+  ];
+}
+
+/**
+ * @param {object[]} reservations
+ * @param {object} [options] - { name } shown by calendar apps for feeds
+ * @returns {string} A VCALENDAR document
+ */
+function toIcs(reservations, { name } = {}) {
+  const now = new Date();
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//ClubVerse//Reservations//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    ...(name ? [`X-WR-CALNAME:${icsText(name)}`] : []),
+    ...reservations.flatMap(r => icsEvent(r, now)),
+    'END:VCALENDAR'
+  ];
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+// Admin exports, by format name (GET /api/admin/reservations/export and `cli.js reservations export`)
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', render: toCsv },
+  ics: { contentType: 'text/calendar; charset=utf-8', render: (rows) => toIcs(rows, { name: 'ClubVerse reservations' }) }
+};
+
+export { toCsv, toIcs, EXPORT_FORMATS };
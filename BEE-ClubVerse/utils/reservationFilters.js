@@ -0,0 +1,67 @@
+import mongoose from 'mongoose';
+import { findClubBySlug, findClubByName } from './clubCatalog.js';
+import { isValidDate } from './reservationRules.js';
+import { RESERVATION_STATUSES } from './reservationStatus.js';
+import { escapeRegex } from './pagination.js';
+
+/**
+ * Reservation Listing Filters
+ * Turns admin listing/export query params into a Reservation.find()
+ * filter that works on both storage backends.
+ */
+
+const RESERVATION_SORT_FIELDS = ['date', 'time', 'club', 'status', 'name', 'email', 'createdAt', 'updatedAt'];
+
+/**
+ * @param {object} query - { club, status, from, to, email, userId }
+ *   club: slug or name; status: comma-separated; from/to: YYYY-MM-DD
+ *   (inclusive); email: case-insensitive partial match
+ * @returns {Promise<object>} { filter } or { conflict }
+ */
+async function buildReservationFilter(query) {
+  const { club, status, from, to, email, userId } = query;
+  const filter = {};
+
+  if (club) {
+    const found = await findClubBySlug(String(club)) || await findClubByName(String(club));
+    if (!found) {
+      return { conflict: { status: 400, error: `Unknown club "${club}"`, code: 'UNKNOWN_CLUB' } };
+    }
+    filter.club = found.name;
+  }
+
+  if (status) {
+    const statuses = String(status).split(',').map(s => s.trim());
+    const invalid = statuses.filter(s => !RESERVATION_STATUSES.includes(s));
+    if (invalid.length > 0) {
+      return { conflict: { status: 400, error: `Invalid status: ${invalid.join(', ')}`, code: 'INVALID_STATUS' } };
+    }
+    filter.status = statuses.length === 1 ? statuses[0] : { $in: statuses };
+  }
+
+  if (from || to) {
+    if ((from && !isValidDate(from)) || (to && !isValidDate(to))) {
+      return { conflict: { status: 400, error: 'from and to must be in YYYY-MM-DD format', code: 'INVALID_DATE' } };
+    }
+    // Dates are stored as YYYY-MM-DD strings, which sort chronologically
+    filter.date = {
+      ...(from && { $gte: from }),
+      ...(to && { $lte: to })
+    };
+  }
+
+  if (email) {
+    filter.email = { $regex: escapeRegex(String(email).trim()), $options: 'i' };
+  }
+
+  if (userId) {
+    if (!mongoose.isValidObjectId(userId)) {
+      return { conflict: { status: 400, error: 'Invalid userId', code: 'VALIDATION_ERROR' } };
+    }
+    filter.userId = String(userId);
+  }
+
+  return { filter };
+}
+
+export { buildReservationFilter, RESERVATION_SORT_FIELDS };
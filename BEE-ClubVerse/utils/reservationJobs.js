@@ -0,0 +1,161 @@
+import Reservation from '../models/reservation.js';
+import { reservationStartsAt } from './reservationRules.js';
+import { changeReservationStatus } from './reservationStatus.js';
+import { slotFor } from './availability.js';
+import { findClubByName } from './clubCatalog.js';
+import { queueEmail } from './outbox.js';
+import { scheduleJob } from './scheduler.js';
+import { appUrl } from './appUrl.js';
+import { venueDate, addDays, venueTimeToDate } from './venueTime.js';
+
+/**
+ * Reservation Jobs
+ * Reminders before a booking, auto-completion once its slot is over and a
+ * feedback request the day after. Reminder and feedback emails carry an
+ * outbox dedupeKey, and completion only touches bookings still in progress, so
+ * every job can re-run (after a restart, or on another instance) without
+ * repeating itself.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Bookable slots are an hour long (see slotFor)
+const SLOT_MS = HOUR_MS;
+
+// Feedback requests for visits older than this are never sent
+const FEEDBACK_WINDOW_MS = 2 * DAY_MS;
+
+const numberSetting = (value, fallback, min = 0) => {
+  const n = Number(value);
+  return Number.isFinite(n) && n >= min ? n : fallback;
+};
+
+const getReminderHours = () => numberSetting(process.env.REMINDER_HOURS_BEFORE, 24, 1);
+const getNoShowGraceHours = () => numberSetting(process.env.NO_SHOW_GRACE_HOURS, 6);
+const getFeedbackHour = () => Math.min(23, numberSetting(process.env.FEEDBACK_SEND_HOUR, 10));
+const getJobIntervalSeconds = () => numberSetting(process.env.SCHEDULER_INTERVAL_SECONDS, 300, 10);
+
+const emailData = (reservation) => ({
+  name: reservation.name,
+  club: reservation.club,
+  date: reservation.date,
+  time: reservation.time,
+  guests: reservation.guests,
+  reservationId: reservation._id
+});
+
+/**
+ * Email guests whose booking starts within REMINDER_HOURS_BEFORE hours.
+ * Bookings made inside that window already got a confirmation, so skip them.
+ * @returns {Promise<number>} Reminders queued
+ */
+async function sendReservationReminders(now = new Date()) {
+  await Reservation.ready();
+
+  const horizon = new Date(now.getTime() + getReminderHours() * HOUR_MS);
+  // Early-morning slots belong to the previous night's date
+  const candidates = await Reservation.find({
+    status: 'confirmed',
+    date: { $gte: addDays(venueDate(now), -1), $lte: venueDate(horizon) }
+  });
+
+  let queued = 0;
+  for (const reservation of candidates) {
+    const startsAt = reservationStartsAt(reservation.date, reservation.time);
+    if (startsAt <= now || startsAt > horizon) continue;
+
+    const remindFrom = startsAt.getTime() - getReminderHours() * HOUR_MS;
+    if (reservation.createdAt && new Date(reservation.createdAt).getTime() > remindFrom) continue;
+
+    const message = await queueEmail('reservation-reminder', reservation.email, emailData(reservation), {
+      dedupeKey: `reminder:${reservation._id}`
+    });
+    if (message) queued++;
+  }
+
+  return queued;
+}
+
+/**
+ * Mark bookings `completed` once their slot has ended. Checked-in bookings
+ * complete straight away; confirmed ones nobody checked in wait a further
+ * NO_SHOW_GRACE_HOURS so staff can mark a no-show first.
+ * @returns {Promise<number>} Reservations completed
+ */
+async function completeFinishedReservations(now = new Date()) {
+  await Reservation.ready();
+
+  const candidates = await Reservation.find({
+    status: { $in: ['checked_in', 'confirmed'] },
+    date: { $lte: venueDate(now) }
+  });
+  const graceMs = getNoShowGraceHours() * HOUR_MS;
+
+  let completed = 0;
+  for (const reservation of candidates) {
+    const slotEnd = reservationStartsAt(reservation.date, slotFor(reservation.time)).getTime() + SLOT_MS;
+    const completesAt = reservation.status === 'confirmed' ? slotEnd + graceMs : slotEnd;
+    if (completesAt > now.getTime()) continue;
+
+    await changeReservationStatus(reservation, 'completed');
+    completed++;
+  }
+
+  return completed;
+}
+
+/**
+ * Ask for feedback from FEEDBACK_SEND_HOUR (default 10:00, venue time) on
+ * the day after the booking's night, for up to two days
+ * @returns {Promise<number>} Feedback requests queued
+ */
+async function sendFeedbackRequests(now = new Date()) {
+  await Reservation.ready();
+
+  const candidates = await Reservation.find({
+    status: 'completed',
+    date: { $gte: addDays(venueDate(now), -3), $lte: addDays(venueDate(now), -1) }
+  });
+
+  const clubs = new Map();
+  let queued = 0;
+
+  for (const reservation of candidates) {
+    const dueAt = venueTimeToDate(addDays(reservation.date, 1), `${getFeedbackHour()}:00`);
+    if (dueAt > now || now.getTime() - dueAt.getTime() > FEEDBACK_WINDOW_MS) continue;
+
+    if (!clubs.has(reservation.club)) {
+      clubs.set(reservation.club, await findClubByName(reservation.club));
+    }
+    const club = clubs.get(reservation.club);
+
+    const message = await queueEmail('reservation-feedback', reservation.email, {
+      ...emailData(reservation),
+      feedbackUrl: appUrl('/api/contactus'),
+      bookAgainUrl: club ? appUrl(`/api/clubs/${club.slug}`) : null
+    }, {
+      dedupeKey: `feedback:${reservation._id}`
+    });
+    if (message) queued++;
+  }
+
+  return queued;
+}
+
+/**
+ * Register the reservation jobs every SCHEDULER_INTERVAL_SECONDS (default 300)
+ */
+function registerReservationJobs() {
+  const interval = getJobIntervalSeconds();
+  scheduleJob('reservation-reminders', interval, () => sendReservationReminders());
+  scheduleJob('complete-reservations', interval, () => completeFinishedReservations());
+  scheduleJob('feedback-requests', interval, () => sendFeedbackRequests());
+}
+
+export {
+  sendReservationReminders,
+  completeFinishedReservations,
+  sendFeedbackRequests,
+  registerReservationJobs
+};
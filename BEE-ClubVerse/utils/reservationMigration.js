@@ -0,0 +1,332 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { normalizeReservation } from '../repositories/reservationRecords.js';
+import { DATE_TIME_AS_TEXT } from '../db.postgres.js';
+
+/**
+ * Reservation Migration
+ * Copies reservations between MongoDB and PostgreSQL in either direction
+ * (used by migrate_reservations.js). Records are matched on their MongoDB
+ * _id, kept in reservations.mongo_id on the Postgres side, so every run is
+ * an upsert: re-running, or resuming after a failure, never duplicates.
+ *
+ * Each store is wrapped in an endpoint:
+ *   readBatch(after, limit)  -> [{ sourceId, key, record } | { sourceId, error }], in sourceId order
+ *   assignKeys(items)        Give keyless items a MongoDB _id (Postgres rows created there)
+ *   existingKeys(keys)       -> Set of keys already stored
+ *   writeBatch(items)        -> { inserted, updated }; Postgres writes a batch in one transaction
+ *   deleteKeys(keys)         Remove records by key
+ */
+
+const DEFAULT_BATCH_SIZE = 500;
+
+const RECORD_FIELDS = [
+  'userId', 'name', 'email', 'phone', 'date', 'time', 'guests',
+  'specialRequests', 'club', 'clubLocation', 'status', 'createdAt', 'updatedAt'
+];
+
+const isObjectIdHex = (value) => /^[a-f\d]{24}$/i.test(String(value));
+
+// Keys that look like ObjectIds are stored as ObjectIds in MongoDB
+const toMongoId = (key) => (isObjectIdHex(key) ? new mongoose.Types.ObjectId(String(key)) : key);
+
+const toDate = (value) => (value ? new Date(value) : null);
+
+/**
+ * Validate a reservation and keep its timestamps (normalizeReservation
+ * would stamp updatedAt with the current time)
+ */
+function toRecord(data, createdAt, updatedAt) {
+  return { ...normalizeReservation(data), createdAt, updatedAt };
+}
+
+/**
+ * sha256 of a record's fields in a fixed order, so the same reservation
+ * hashes the same whichever store it was read from
+ */
+function recordHash(record) {
+  const values = RECORD_FIELDS.map(field => {
+    const value = record[field];
+    if (value instanceof Date) return value.toISOString();
+    return value === undefined ? null : value;
+  });
+  return crypto.createHash('sha256').update(JSON.stringify(values)).digest('hex');
+}
+
+function mongoEndpoint(connection = mongoose.connection) {
+  const collection = connection.collection('reservations');
+
+  const fromDocument = (doc) => {
+    const sourceId = String(doc._id);
+    try {
+      // Older documents used snake_case for these two fields
+      const data = {
+        ...doc,
+        specialRequests: doc.specialRequests ?? doc.special_requests,
+        clubLocation: doc.clubLocation ?? doc.club_location
+      };
+      // Without a createdAt, the ObjectId's own timestamp is the best we have
+      const createdAt = toDate(doc.createdAt) || (doc._id instanceof mongoose.Types.ObjectId ? doc._id.getTimestamp() : null);
+      return { sourceId, key: sourceId, record: toRecord(data, createdAt, toDate(doc.updatedAt) || createdAt) };
+    } catch (err) {
+      return { sourceId, error: err.message };
+    }
+  };
+
+  const toDocument = ({ key, record }) => ({
+    ...record,
+    _id: toMongoId(key),
+    userId: record.userId && isObjectIdHex(record.userId) ? toMongoId(record.userId) : record.userId
+  });
+
+  return {
+    name: 'mongodb',
+
+    async readBatch(after, limit) {
+      const filter = after != null ? { _id: { $gt: toMongoId(after) } } : {};
+      const docs = await collection.find(filter).sort({ _id: 1 }).limit(limit).toArray();
+      return docs.map(fromDocument);
+    },
+
+    async assignKeys() {},
+
+    async existingKeys(keys) {
+      const docs = await collection.find({ _id: { $in: keys.map(toMongoId) } }, { projection: { _id: 1 } }).toArray();
+      return new Set(docs.map(doc => String(doc._id)));
+    },
+
+    // A standalone server has no transactions; upserts make a re-run finish a half-written batch
+    async writeBatch(items) {
+      const result = await collection.bulkWrite(items.map(item => ({
+        replaceOne: { filter: { _id: toMongoId(item.key) }, replacement: toDocument(item), upsert: true }
+      })), { ordered: true });
+      return { inserted: result.upsertedCount, updated: result.matchedCount };
+    },
+
+    async deleteKeys(keys) {
+      await collection.deleteMany({ _id: { $in: keys.map(toMongoId) } });
+    }
+  };
+}
+
+const COLUMNS = ['mongo_id', 'user_id', 'name', 'email', 'phone', 'date', 'time', 'guests',
+  'special_requests', 'club', 'club_location', 'status', 'created_at', 'updated_at'];
+
+const upsertSql = `
+  INSERT INTO reservations (${COLUMNS.join(', ')})
+  VALUES (${COLUMNS.map((_, i) => `$${i + 1}`).join(', ')})
+  ON CONFLICT (mongo_id) DO UPDATE SET ${COLUMNS.slice(1).map(c => `${c} = EXCLUDED.${c}`).join(', ')}
+  RETURNING (xmax = 0) AS inserted`;
+
+async function inTransaction(db, fn) {
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+function postgresEndpoint(db) {
+  const fromRow = (row) => {
+    const sourceId = String(row.id);
+    try {
+      const record = toRecord({
+        userId: row.user_id,
+        name: row.name,
+        email: row.email,
+        phone: row.phone,
+        date: row.date,
+        time: row.time,
+        guests: row.guests,
+        specialRequests: row.special_requests,
+        club: row.club,
+        clubLocation: row.club_location,
+        status: row.status
+      }, row.created_at, row.updated_at);
+      return { sourceId, key: row.mongo_id, record };
+    } catch (err) {
+      return { sourceId, error: err.message };
+    }
+  };
+
+  return {
+    name: 'postgres',
+
+    async readBatch(after, limit) {
+      const res = await db.query({
+        text: 'SELECT * FROM reservations WHERE id > $1 ORDER BY id LIMIT $2',
+        values: [Number(after) || 0, limit],
+        types: DATE_TIME_AS_TEXT
+      });
+      return res.rows.map(fromRow);
+    },
+
+    // Rows created in Postgres get their MongoDB _id now, and keep it for later runs
+    async assignKeys(items) {
+      const keyless = items.filter(item => !item.key);
+      if (keyless.length === 0) return;
+
+      const keys = keyless.map(() => new mongoose.Types.ObjectId().toString());
+      await inTransaction(db, async (client) => {
+        for (const [i, item] of keyless.entries()) {
+          const res = await client.query(
+            'UPDATE reservations SET mongo_id = $1 WHERE id = $2 AND mongo_id IS NULL',
+            [keys[i], item.sourceId]
+          );
+          if (res.rowCount === 0) throw new Error(`Reservation ${item.sourceId} changed during the migration`);
+        }
+      });
+      keyless.forEach((item, i) => { item.key = keys[i]; });
+    },
+
+    async existingKeys(keys) {
+      const res = await db.query('SELECT mongo_id FROM reservations WHERE mongo_id = ANY($1)', [keys.map(String)]);
+      return new Set(res.rows.map(row => row.mongo_id));
+    },
+
+    async writeBatch(items) {
+      return inTransaction(db, async (client) => {
+        let inserted = 0;
+        for (const { key, record: r } of items) {
+          const res = await client.query(upsertSql, [
+            key, r.userId, r.name, r.email, r.phone, r.date, r.time, r.guests,
+            r.specialRequests, r.club, r.clubLocation, r.status, r.createdAt, r.updatedAt
+          ]);
+          if (res.rows[0].inserted) inserted++;
+        }
+        return { inserted, updated: items.length - inserted };
+      });
+    },
+
+    async deleteKeys(keys) {
+      await db.query('DELETE FROM reservations WHERE mongo_id = ANY($1)', [keys.map(String)]);
+    }
+  };
+}
+
+async function readAll(endpoint, batchSize, onItem) {
+  let after = null;
+  for (;;) {
+    const items = await endpoint.readBatch(after, batchSize);
+    if (items.length === 0) return;
+    items.forEach(onItem);
+    after = items[items.length - 1].sourceId;
+  }
+}
+
+function checksum(hashes) {
+  const lines = [...hashes.entries()].sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0)).map(([key, hash]) => `${key}:${hash}`);
+  return crypto.createHash('sha256').update(lines.join('\n')).digest('hex');
+}
+
+/**
+ * Compare every source reservation with its copy in the target
+ * @returns {Promise<object>} { source: { store, count, checksum }, target: {...},
+ *   missing, mismatched, extra (source ids / keys), verifiedKeys, passed }
+ */
+async function verifyReservations(source, target, { batchSize = DEFAULT_BATCH_SIZE } = {}) {
+  const sourceHashes = new Map();
+  const targetHashes = new Map();
+  const missing = [];
+  const extra = [];
+  let sourceCount = 0;
+  let targetCount = 0;
+
+  await readAll(source, batchSize, (item) => {
+    sourceCount++;
+    // Invalid or never-copied records can't be in the target
+    if (item.error || !item.key) missing.push(item.sourceId);
+    else sourceHashes.set(item.key, recordHash(item.record));
+  });
+
+  await readAll(target, batchSize, (item) => {
+    targetCount++;
+    if (item.error || !item.key || !sourceHashes.has(item.key)) extra.push(item.key || item.sourceId);
+    if (!item.error && item.key) targetHashes.set(item.key, recordHash(item.record));
+  });
+
+  const mismatched = [];
+  for (const [key, hash] of sourceHashes) {
+    if (!targetHashes.has(key)) missing.push(key);
+    else if (targetHashes.get(key) !== hash) mismatched.push(key);
+  }
+
+  const sourceChecksum = checksum(sourceHashes);
+  const targetChecksum = checksum(targetHashes);
+
+  return {
+    source: { store: source.name, count: sourceCount, checksum: sourceChecksum },
+    target: { store: target.name, count: targetCount, checksum: targetChecksum },
+    missing,
+    mismatched,
+    extra,
+    verifiedKeys: [...sourceHashes.keys()].filter(key => targetHashes.get(key) === sourceHashes.get(key)),
+    passed: sourceCount === targetCount && sourceChecksum === targetChecksum
+      && missing.length === 0 && mismatched.length === 0 && extra.length === 0
+  };
+}
+
+/**
+ * Copy reservations from one store to the other, a batch at a time
+ * @param {object} source - Endpoint to read from
+ * @param {object} target - Endpoint to write to
+ * @param {boolean} [options.dryRun] - Only report what would be written
+ * @param {number} [options.batchSize=500]
+ * @param {string} [options.after] - Resume after this source id
+ * @param {Function} [options.onBatch] - Called with { batch, lastId, inserted, updated } after each batch
+ * @returns {Promise<object>} { read, inserted, updated, skipped: [{ sourceId, error }], lastId }
+ *   The error thrown by a failed batch carries `resumeAfter`, the last fully written source id
+ */
+async function copyReservations(source, target, { dryRun = false, batchSize = DEFAULT_BATCH_SIZE, after = null, onBatch } = {}) {
+  const report = { read: 0, inserted: 0, updated: 0, skipped: [], lastId: after };
+  let batch = 0;
+
+  for (;;) {
+    const items = await source.readBatch(report.lastId, batchSize);
+    if (items.length === 0) break;
+    batch++;
+
+    const valid = items.filter(item => !item.error);
+    report.read += items.length;
+    report.skipped.push(...items.filter(item => item.error).map(({ sourceId, error }) => ({ sourceId, error })));
+
+    try {
+      let counts;
+      if (dryRun) {
+        const existing = await target.existingKeys(valid.filter(item => item.key).map(item => item.key));
+        const updated = valid.filter(item => item.key && existing.has(item.key)).length;
+        counts = { inserted: valid.length - updated, updated };
+      } else {
+        await source.assignKeys(valid);
+        counts = valid.length ? await target.writeBatch(valid) : { inserted: 0, updated: 0 };
+      }
+
+      report.inserted += counts.inserted;
+      report.updated += counts.updated;
+    } catch (err) {
+      err.resumeAfter = report.lastId;
+      throw err;
+    }
+
+    report.lastId = items[items.length - 1].sourceId;
+    onBatch?.({ batch, lastId: report.lastId, inserted: report.inserted, updated: report.updated });
+  }
+
+  return report;
+}
+
+export {
+  mongoEndpoint,
+  postgresEndpoint,
+  copyReservations,
+  verifyReservations,
+  recordHash,
+  DEFAULT_BATCH_SIZE
+};
@@ -0,0 +1,211 @@
+import { findActiveReservations, slotFor, parseGuests } from './availability.js';
+import { addDays, venueTimeToDate } from './venueTime.js';
+
+/**
+ * Reservation Conflict Rules
+ * Server-side checks run before a booking is stored. Each check returns
+ * null when the booking is fine, or a conflict object shaped like our
+ * API errors ({ status, error, code, ...details }) that routes send as-is.
+ */
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]?\d|2[0-3]):[0-5]\d$/;
+
+const toMinutes = (hhmm) => {
+  const [h, m] = hhmm.split(':').map(Number);
+  return h * 60 + m;
+};
+
+const isValidDate = (value) => DATE_PATTERN.test(value) && !isNaN(new Date(`${value}T00:00:00Z`).getTime());
+
+/**
+ * Is the club open at `time` on the night of `date`?
+ * Windows that close after midnight (e.g. 18:00 - 03:00) count early
+ * morning times towards the night they started on.
+ */
+function isWithinOpeningHours(club, date, time) {
+  if (!club.hours || club.hours.length === 0) return true;
+
+  const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+  const minutes = toMinutes(time);
+
+  return club.hours
+    .filter(h => h.days.includes(weekday))
+    .some(h => {
+      const open = toMinutes(h.open);
+      const close = toMinutes(h.close);
+      if (close > open) return minutes >= open && minutes < close;
+      return minutes >= open || minutes < close;
+    });
+}
+
+/**
+ * A booking time as HH:MM ("9:30" -> "09:30"); anything checkBookingInput
+ * would reject is returned as given
+ */
+function normalizeTime(time) {
+  const value = String(time).trim();
+  return TIME_PATTERN.test(value) ? value.padStart(5, '0') : time;
+}
+
+function checkBookingInput({ date, time, guests }) {
+  if (!isValidDate(date)) {
+    return { status: 400, error: 'Date must be in YYYY-MM-DD format', code: 'INVALID_DATE' };
+  }
+
+  if (!TIME_PATTERN.test(String(time))) {
+    return { status: 400, error: 'Time must be in HH:MM format', code: 'INVALID_TIME' };
+  }
+
+  if (parseGuests(guests) < 1) {
+    return { status: 400, error: 'Guests must be at least 1', code: 'INVALID_GUESTS' };
+  }
+
+  return null;
+}
+
+function checkOpeningHours(club, date, time) {
+  if (isWithinOpeningHours(club, date, time)) return null;
+
+  return {
+    status: 400,
+    error: `${club.name} is closed at the requested time`,
+    code: 'CLUB_CLOSED',
+    hours: club.hours
+  };
+}
+
+function checkDuplicateBooking(reservations, userId) {
+  if (!userId) return null;
+
+  const existing = reservations.find(r => String(r.userId?._id || r.userId) === String(userId));
+  if (!existing) return null;
+
+  return {
+    status: 409,
+    error: 'You already have a booking at this club for this night',
+    code: 'DUPLICATE_BOOKING',
+    reservationId: existing._id
+  };
+}
+
+function checkSlotCapacity(club, reservations, time, guests) {
+  const slot = slotFor(time);
+  if (!slot || !club.timeSlots.includes(slot)) return null;
+
+  const inSlot = reservations.filter(r => slotFor(r.time) === slot);
+
+  if (inSlot.length >= club.tablesPerSlot) {
+    return {
+      status: 409,
+      error: 'Selected time slot is fully booked',
+      code: 'SLOT_FULL',
+      slot
+    };
+  }
+
+  if (club.maxCoversPerSlot) {
+    const covers = inSlot.reduce((sum, r) => sum + parseGuests(r.guests), 0);
+    const remaining = Math.max(0, club.maxCoversPerSlot - covers);
+    if (parseGuests(guests) > remaining) {
+      return {
+        status: 409,
+        error: `Only ${remaining} more guest(s) can be seated in this time slot`,
+        code: 'SLOT_CAPACITY_EXCEEDED',
+        slot,
+        remainingCovers: remaining
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Run every conflict rule for a booking at a club.
+ *
+ * @param {object} club - Club document
+ * @param {object} booking - { userId, date, time, guests }
+ * @param {object} [options.excludeId] - Reservation to ignore (when rescheduling it)
+ * @param {object[]} [options.pending] - Bookings accepted but not stored yet (bulk imports)
+ * @param {Date} [options.now] - Bookings must start after this
+ * @returns {Promise<object|null>} The first conflict found, or null
+ */
+async function validateReservation(club, booking, { excludeId, pending = [], now = new Date() } = {}) {
+  const { userId, date, time, guests } = booking;
+
+  const inputError = checkBookingInput(booking);
+  if (inputError) return inputError;
+
+  if (reservationStartsAt(date, time) <= now) {
+    return { status: 400, error: 'Booking time must be in the future', code: 'INVALID_DATE' };
+  }
+
+  const closed = checkOpeningHours(club, date, time);
+  if (closed) return closed;
+
+  const reservations = [
+    ...await findActiveReservations(club, date, { excludeId }),
+    ...pending.filter(p => p.club === club.name && p.date === date)
+  ];
+
+  return checkDuplicateBooking(reservations, userId)
+    || checkSlotCapacity(club, reservations, time, guests);
+}
+
+/**
+ * Hours before the slot after which guests can no longer cancel or change
+ * a booking themselves (CANCELLATION_CUTOFF_HOURS, default 2)
+ */
+function getChangeCutoffHours() {
+  const hours = Number(process.env.CANCELLATION_CUTOFF_HOURS);
+  return Number.isFinite(hours) && hours >= 0 ? hours : 2;
+}
+
+/**
+ * When a booking starts, in venue time (see utils/venueTime.js). Times
+ * before 06:00 belong to the night that started on `date`, so they fall
+ * on the following calendar day.
+ */
+function reservationStartsAt(date, time) {
+  const day = toMinutes(String(time)) < 6 * 60 ? addDays(date, 1) : date;
+  return venueTimeToDate(day, time);
+}
+
+/**
+ * Can the guest still cancel or change this booking themselves?
+ */
+function checkChangeWindow(reservation, now = new Date()) {
+  if (!['pending', 'confirmed'].includes(reservation.status)) {
+    return {
+      status: 409,
+      error: `Reservation is already ${reservation.status}`,
+      code: 'RESERVATION_NOT_ACTIVE'
+    };
+  }
+
+  const cutoffHours = getChangeCutoffHours();
+  const deadline = reservationStartsAt(reservation.date, reservation.time).getTime() - cutoffHours * 60 * 60 * 1000;
+
+  if (now.getTime() > deadline) {
+    return {
+      status: 409,
+      error: `Bookings can only be changed or cancelled up to ${cutoffHours} hour(s) before the slot`,
+      code: 'CUTOFF_PASSED',
+      cutoffHours
+    };
+  }
+
+  return null;
+}
+
+export {
+  validateReservation,
+  checkBookingInput,
+  normalizeTime,
+  checkChangeWindow,
+  reservationStartsAt,
+  getChangeCutoffHours,
+  isWithinOpeningHours,
+  isValidDate
+};
@@ -0,0 +1,96 @@
+import Reservation from '../models/reservation.js';
+import { handleReservationCancelled } from './waitlist.js';
+import { ACTIVE_STATUSES } from './availability.js';
+import { reservationStartsAt } from './reservationRules.js';
+import { refreshReliability } from './reliability.js';
+import { queueEmail } from './outbox.js';
+import { RESERVATION_STATUSES } from '../repositories/reservationRecords.js';
+
+/**
+ * Reservation Status Changes
+ * Shared by the admin and manager routes so both apply the same side
+ * effects (e.g. offering a cancelled table to the waitlist, or updating
+ * the guest's reliability record).
+ */
+
+// Statuses a reservation may be marked with from each outcome endpoint
+const OUTCOME_SOURCES = {
+  // A guest marked no-show who turns up late can still be checked in
+  checked_in: ['confirmed', 'no_show'],
+  no_show: ['confirmed']
+};
+
+// Outcomes that change a guest's reliability record
+const OUTCOME_STATUSES = ['checked_in', 'completed', 'no_show'];
+
+/**
+ * Can the reservation be marked checked_in / no_show right now?
+ * @returns {object|null} A conflict to send, or null when allowed
+ */
+function checkOutcomeTransition(reservation, status, now = new Date()) {
+  if (!OUTCOME_SOURCES[status].includes(reservation.status)) {
+    return {
+      status: 409,
+      error: `A ${reservation.status} reservation can't be marked ${status}`,
+      code: 'INVALID_TRANSITION'
+    };
+  }
+
+  if (status === 'no_show' && reservationStartsAt(reservation.date, reservation.time) > now) {
+    return {
+      status: 409,
+      error: 'A guest can only be marked as a no-show once their booking time has passed',
+      code: 'SLOT_NOT_STARTED'
+    };
+  }
+
+  return null;
+}
+
+const emailData = (reservation) => ({
+  name: reservation.name,
+  club: reservation.club,
+  date: reservation.date,
+  time: reservation.time,
+  guests: reservation.guests,
+  reservationId: reservation._id
+});
+
+/**
+ * Move a reservation to a new status
+ * @param {object} existing - Reservation as currently stored
+ * @param {boolean} [options.waitForSideEffects] - Resolve only once waitlist
+ *   offers and emails are queued (routes don't wait; the CLI exits right after)
+ * @returns {Promise<object>} The updated reservation
+ */
+async function changeReservationStatus(existing, status, { waitForSideEffects = false } = {}) {
+  const reservation = await Reservation.findByIdAndUpdate(
+    existing._id,
+    { status, updatedAt: Date.now() },
+    { new: true }
+  );
+  const sideEffects = [];
+
+  // A cancelled table goes to the next party on the waitlist
+  if (status === 'cancelled' && ACTIVE_STATUSES.includes(existing.status)) {
+    sideEffects.push(handleReservationCancelled(reservation));
+  }
+
+  // Venue decided on a booking that was waiting for approval
+  if (existing.status === 'pending' && status === 'confirmed') {
+    sideEffects.push(queueEmail('reservation-confirmed', reservation.email, emailData(reservation)));
+  } else if (existing.status === 'pending' && status === 'cancelled') {
+    sideEffects.push(queueEmail('reservation-cancelled', reservation.email, emailData(reservation)));
+  }
+
+  if (OUTCOME_STATUSES.includes(status) || OUTCOME_STATUSES.includes(existing.status)) {
+    await refreshReliability(existing.userId);
+  }
+
+  // Neither ever rejects; failures are logged where they happen
+  if (waitForSideEffects) await Promise.all(sideEffects);
+
+  return reservation;
+}
+
+export { RESERVATION_STATUSES, changeReservationStatus, checkOutcomeTransition };
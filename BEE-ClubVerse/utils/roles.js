@@ -0,0 +1,129 @@
+import Role from '../models/role.js';
+
+/**
+ * Roles & Permissions
+ * Roles live in MongoDB and are cached in memory. Admin writes call
+ * invalidateRoleCache(); the TTL (ROLE_CACHE_TTL_SECONDS, default 60)
+ * picks up changes made by other server instances.
+ */
+
+// Every permission a role can be granted
+const PERMISSIONS = [
+  'view_users', 'create_users', 'update_users', 'delete_users',
+  'view_reservations', 'manage_reservations', 'manage_clubs',
+  'view_settings', 'update_settings',
+  'view_logs', 'manage_admins', 'manage_roles',
+  'view_profile', 'update_profile',
+  'create_reservations', 'view_own_reservations'
+];
+
+const defaultRoles = [
+  {
+    name: 'admin',
+    description: 'Full access to the admin panel',
+    baseRole: 'admin',
+    isSystem: true,
+    permissions: [
+      'view_users', 'create_users', 'update_users', 'delete_users',
+      'view_reservations', 'manage_reservations', 'manage_clubs',
+      'view_settings', 'update_settings',
+      'view_logs', 'manage_admins', 'manage_roles'
+    ]
+  },
+  {
+    name: 'manager',
+    description: 'Venue staff handling reservations',
+    baseRole: 'manager',
+    isSystem: true,
+    permissions: [
+      'view_users', 'view_reservations', 'manage_reservations',
+      'view_settings'
+    ]
+  },
+  {
+    name: 'user',
+    description: 'Guests booking tables',
+    baseRole: 'user',
+    isSystem: true,
+    permissions: [
+      'view_profile', 'update_profile',
+      'create_reservations', 'view_own_reservations'
+    ]
+  }
+];
+
+const getCacheTtlMs = () => {
+  const seconds = Number(process.env.ROLE_CACHE_TTL_SECONDS);
+  return (Number.isFinite(seconds) && seconds >= 0 ? seconds : 60) * 1000;
+};
+
+let cache = null;      // Map of role name -> { name, baseRole, permissions }
+let cachedAt = 0;
+let loading = null;    // In-flight load, shared by concurrent callers
+
+async function loadRoles() {
+  const roles = await Role.find().lean();
+  cache = new Map(roles.map(r => [r.name, {
+    name: r.name,
+    baseRole: r.baseRole,
+    permissions: r.permissions
+  }]));
+  cachedAt = Date.now();
+  return cache;
+}
+
+async function getRoleMap() {
+  if (cache && Date.now() - cachedAt < getCacheTtlMs()) return cache;
+  if (!loading) {
+    loading = loadRoles().finally(() => { loading = null; });
+  }
+  return loading;
+}
+
+function invalidateRoleCache() {
+  cache = null;
+  cachedAt = 0;
+}
+
+/**
+ * @returns {Promise<object|null>} Cached { name, baseRole, permissions }, or null for unknown roles
+ */
+async function getRole(name) {
+  const roles = await getRoleMap();
+  return roles.get(name) || null;
+}
+
+async function getRolePermissions(name) {
+  const role = await getRole(name);
+  return role ? role.permissions : [];
+}
+
+const unknownPermissions = (permissions) => permissions.filter(p => !PERMISSIONS.includes(p));
+
+/**
+ * Insert the built-in roles if they are missing. Existing roles are left
+ * alone so permission changes made by admins survive restarts.
+ * @returns {Promise<number>} Number of roles inserted
+ */
+async function seedDefaultRoles() {
+  const ops = defaultRoles.map(role => ({
+    updateOne: {
+      filter: { name: role.name },
+      update: { $setOnInsert: role },
+      upsert: true
+    }
+  }));
+  const result = await Role.bulkWrite(ops);
+  invalidateRoleCache();
+  return result.upsertedCount || 0;
+}
+
+export {
+  PERMISSIONS,
+  defaultRoles,
+  getRole,
+  getRolePermissions,
+  invalidateRoleCache,
+  unknownPermissions,
+  seedDefaultRoles
+};
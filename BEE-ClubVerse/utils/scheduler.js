@@ -0,0 +1,86 @@
+/**
+ * Job Scheduler
+ * Runs registered jobs on a fixed interval inside the web process. A job
+ * never overlaps itself, and errors are logged rather than thrown, so one
+ * failing job can't take the server down. Jobs must be safe to repeat:
+ * after a restart (or on a second instance) they simply run again.
+ */
+
+const jobs = new Map();
+
+/**
+ * @param {string} name - Shown in logs and getJobStatus()
+ * @param {number} intervalSeconds - Time between runs
+ * @param {Function} run - async () => any; its result is kept as lastResult
+ */
+function scheduleJob(name, intervalSeconds, run) {
+  if (jobs.has(name)) {
+    throw new Error(`Job "${name}" is already scheduled`);
+  }
+
+  jobs.set(name, {
+    name,
+    intervalSeconds,
+    run,
+    timer: null,
+    running: false,
+    lastRunAt: null,
+    lastResult: null,
+    lastError: null
+  });
+}
+
+/**
+ * Run a job now unless it is already running
+ * @returns {Promise<*>} The job's result, or undefined if it was skipped or failed
+ */
+async function runJob(name) {
+  const job = jobs.get(name);
+  if (!job) throw new Error(`Unknown job "${name}"`);
+  if (job.running) return undefined;
+
+  job.running = true;
+  try {
+    job.lastResult = await job.run();
+    job.lastError = null;
+    return job.lastResult;
+  } catch (err) {
+    job.lastError = err.message;
+    console.error(`Scheduled job "${name}" failed:`, err);
+    return undefined;
+  } finally {
+    job.running = false;
+    job.lastRunAt = new Date();
+  }
+}
+
+/**
+ * Start every registered job; each runs once straight away
+ */
+function startScheduler() {
+  for (const job of jobs.values()) {
+    if (job.timer) continue;
+    job.timer = setInterval(() => runJob(job.name), job.intervalSeconds * 1000);
+    // Don't keep the process alive just for scheduled jobs
+    job.timer.unref();
+    runJob(job.name);
+  }
+}
+
+function stopScheduler() {
+  for (const job of jobs.values()) {
+    clearInterval(job.timer);
+    job.timer = null;
+  }
+}
+
+/**
+ * @returns {object[]} { name, intervalSeconds, running, lastRunAt, lastResult, lastError } per job
+ */
+function getJobStatus() {
+  return [...jobs.values()].map(({ name, intervalSeconds, running, lastRunAt, lastResult, lastError }) => ({
+    name, intervalSeconds, running, lastRunAt, lastResult, lastError
+  }));
+}
+
+export { scheduleJob, runJob, startScheduler, stopScheduler, getJobStatus };
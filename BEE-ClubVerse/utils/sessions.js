@@ -0,0 +1,196 @@
+import mongoose from 'mongoose';
+import Session from '../models/session.js';
+import User from '../models/user.js';
+import {
+  REFRESH_TOKEN_TTL_MS,
+  signAccessToken,
+  signRefreshToken,
+  verifyRefreshToken,
+  hashToken,
+  isTokenRevoked,
+  setSessionCookies
+} from './authTokens.js';
+
+/**
+ * Session Store
+ * Every login creates a Session. Refresh tokens are single-use: each
+ * refresh swaps in a new token, and presenting an already-used token is
+ * treated as theft and revokes the whole session (token family).
+ */
+
+const requestMeta = (req) => ({
+  userAgent: req.get('user-agent') || null,
+  ip: req.ip || null
+});
+
+/**
+ * Sign a new token pair for an existing session and store the refresh hash
+ */
+async function issueTokens(res, user, session) {
+  const refreshToken = signRefreshToken(user, session._id);
+  const accessToken = signAccessToken(user, session._id);
+
+  session.tokenHash = hashToken(refreshToken);
+  session.expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_MS);
+  await session.save();
+
+  setSessionCookies(res, { accessToken, refreshToken });
+  return { accessToken, refreshToken };
+}
+
+/**
+ * Create a session for a user who just logged in and set both cookies
+ * @returns {Promise<object>} { session, accessToken }
+ */
+async function startSession(req, res, user) {
+  const session = new Session({
+    userId: user._id,
+    tokenHash: 'pending',
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+    ...requestMeta(req)
+  });
+
+  const { accessToken } = await issueTokens(res, user, session);
+  return { session, accessToken };
+}
+
+/**
+ * Re-sign the current session's tokens (e.g. after the user's
+ * tokenVersion was bumped), starting a new session if there is none
+ */
+async function renewSession(req, res, user) {
+  const session = req.sessionId && await Session.findOne({ _id: req.sessionId, userId: user._id, revokedAt: null });
+  if (!session) return startSession(req, res, user);
+
+  session.set({ lastUsedAt: Date.now(), ...requestMeta(req) });
+  const { accessToken } = await issueTokens(res, user, session);
+  return { session, accessToken };
+}
+
+/**
+ * Exchange a refresh token for a new token pair
+ * @returns {Promise<object>} { user, accessToken, refreshToken } or { conflict }
+ * @throws {Error} When the token itself is expired or tampered with
+ */
+async function rotateSession(req, res, refreshToken) {
+  const invalid = { status: 401, error: 'Invalid refresh token', code: 'INVALID_REFRESH_TOKEN' };
+
+  const decoded = verifyRefreshToken(refreshToken);
+  const session = decoded.sid && await Session.findById(decoded.sid);
+
+  if (!session || !session.isActive || String(session.userId) !== String(decoded.id)) {
+    return { conflict: invalid };
+  }
+
+  const reused = {
+    status: 401,
+    error: 'Refresh token was already used; this session has been signed out',
+    code: 'REFRESH_TOKEN_REUSED'
+  };
+
+  const presentedHash = hashToken(refreshToken);
+  if (session.tokenHash !== presentedHash) {
+    await revokeSession(session._id, 'token_reuse');
+    console.warn('[SECURITY] Refresh token reuse detected, session revoked:', String(session._id));
+    return { conflict: reused };
+  }
+
+  const user = await User.findById(session.userId);
+  if (!user || !user.isActive || user.isAdminLocked || isTokenRevoked(decoded, user)) {
+    return { conflict: invalid };
+  }
+
+  // Claim the token atomically so two concurrent refreshes cannot both rotate it
+  const claimed = await Session.updateOne(
+    { _id: session._id, tokenHash: presentedHash, revokedAt: null },
+    { $set: { tokenHash: 'rotating', lastUsedAt: Date.now(), ...requestMeta(req) } }
+  );
+  if (claimed.modifiedCount === 0) {
+    await revokeSession(session._id, 'token_reuse');
+    return { conflict: reused };
+  }
+
+  const tokens = await issueTokens(res, user, await Session.findById(session._id));
+  return { user, ...tokens };
+}
+
+/**
+ * Session id carried by a refresh token, if its signature is valid.
+ * Expiry is ignored so stale cookies can still be signed out.
+ */
+function sessionIdFromRefreshToken(refreshToken) {
+  try {
+    return verifyRefreshToken(refreshToken, { ignoreExpiration: true }).sid || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Is the session behind an access token still signed in?
+ */
+async function isSessionActive(sessionId) {
+  const active = await Session.exists({ _id: sessionId, revokedAt: null, expiresAt: { $gt: new Date() } });
+  return !!active;
+}
+
+/**
+ * A user's signed-in sessions, most recently used first
+ * @param {string} [options.currentId] - Session making the request, flagged as `current`
+ */
+async function listActiveSessions(userId, { currentId } = {}) {
+  const sessions = await Session.find({
+    userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastUsedAt: -1 });
+
+  return sessions.map(s => ({
+    id: s._id,
+    userAgent: s.userAgent,
+    ip: s.ip,
+    createdAt: s.createdAt,
+    lastUsedAt: s.lastUsedAt,
+    expiresAt: s.expiresAt,
+    current: !!currentId && String(s._id) === String(currentId)
+  }));
+}
+
+/**
+ * @param {object} [filter] - Extra conditions, e.g. { userId } to scope to an owner
+ * @returns {Promise<boolean>} Whether an active session was revoked
+ */
+async function revokeSession(sessionId, reason, filter = {}) {
+  if (!mongoose.isValidObjectId(sessionId)) return false;
+
+  const result = await Session.updateOne(
+    { _id: sessionId, revokedAt: null, ...filter },
+    { $set: { revokedAt: Date.now(), revokedReason: reason } }
+  );
+  return result.modifiedCount > 0;
+}
+
+/**
+ * Revoke every active session of a user, optionally keeping one
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+async function revokeUserSessions(userId, reason, { exceptId } = {}) {
+  const filter = { userId, revokedAt: null };
+  if (exceptId) filter._id = { $ne: exceptId };
+
+  const result = await Session.updateMany(filter, {
+    $set: { revokedAt: Date.now(), revokedReason: reason }
+  });
+  return result.modifiedCount;
+}
+
+export {
+  startSession,
+  renewSession,
+  rotateSession,
+  sessionIdFromRefreshToken,
+  isSessionActive,
+  listActiveSessions,
+  revokeSession,
+  revokeUserSessions
+};
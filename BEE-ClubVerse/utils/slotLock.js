@@ -0,0 +1,82 @@
+import crypto from 'crypto';
+import SlotLock from '../models/slotLock.js';
+
+/**
+ * Slot Lock
+ * Capacity and one-booking-per-night are checked before a booking is
+ * stored; without a lock two requests could both pass the check and
+ * overbook. Callers wrap check-and-save in withSlotLock, per club and
+ * night, and the lock lives in MongoDB so it holds across instances.
+ */
+
+// A holder that crashes stops blocking the night after this long
+const LOCK_TTL_MS = 30 * 1000;
+const RETRY_MS = 50;
+
+const getWaitMs = () => {
+  const seconds = Number(process.env.SLOT_LOCK_WAIT_SECONDS);
+  return (Number.isFinite(seconds) && seconds > 0 ? seconds : 5) * 1000;
+};
+
+const slotBusy = {
+  status: 503,
+  error: 'Too many bookings for this night at once. Please try again.',
+  code: 'SLOT_BUSY'
+};
+
+async function acquire(key, holder) {
+  const now = new Date();
+  try {
+    await SlotLock.create({ key, holder, expiresAt: new Date(now.getTime() + LOCK_TTL_MS) });
+    return true;
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    // Take over a lock its holder never released
+    await SlotLock.deleteOne({ key, expiresAt: { $lte: now } });
+    return false;
+  }
+}
+
+/**
+ * Run fn() holding the lock for a club's night, waiting up to
+ * SLOT_LOCK_WAIT_SECONDS (default 5) for other bookings to finish
+ * @param {string} club - Club name, as stored on reservations
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Promise<*>} What fn returns, or { conflict } if the lock stayed taken
+ */
+async function withSlotLock(club, date, fn) {
+  const key = `${club}|${date}`;
+  const holder = crypto.randomBytes(12).toString('hex');
+  const deadline = Date.now() + getWaitMs();
+
+  while (!(await acquire(key, holder))) {
+    if (Date.now() > deadline) return { conflict: slotBusy };
+    await new Promise(resolve => setTimeout(resolve, RETRY_MS));
+  }
+
+  try {
+    return await fn();
+  } finally {
+    await SlotLock.deleteOne({ key, holder });
+  }
+}
+
+/**
+ * Run fn() holding the locks for several club nights at once (bulk
+ * imports, club renames). Locks are taken in key order so two callers
+ * never each hold a night the other is waiting for.
+ * @param {object[]} slots - { club, date } pairs; repeats are ignored
+ * @returns {Promise<*>} What fn returns, or { conflict } if a lock stayed taken
+ */
+async function withSlotLocks(slots, fn) {
+  const byKey = new Map(slots.map(slot => [`${slot.club}|${slot.date}`, slot]));
+  const ordered = [...byKey.keys()].sort().map(key => byKey.get(key));
+
+  const run = ordered.reduceRight(
+    (inner, { club, date }) => () => withSlotLock(club, date, inner),
+    fn
+  );
+  return run();
+}
+
+export { withSlotLock, withSlotLocks };
@@ -0,0 +1,96 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { verifyTotp } from './totp.js';
+
+/**
+ * Two-Factor Authentication
+ * Recovery codes, the short-lived login challenge token and the policy
+ * deciding which roles must use 2FA. TOTP itself lives in utils/totp.js.
+ */
+const ISSUER = 'Club-Verse';
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_PURPOSE = '2fa_challenge';
+const CHALLENGE_TTL = '5m';
+
+// Roles that must enrol when REQUIRE_2FA_FOR_STAFF=true. Custom roles
+// are matched through their baseRole.
+const STAFF_ROLES = ['admin', 'manager'];
+
+const isTwoFactorRequired = (role) =>
+  process.env.REQUIRE_2FA_FOR_STAFF === 'true' && STAFF_ROLES.includes(role);
+
+const hashRecoveryCode = (code) =>
+  crypto.createHash('sha256').update(String(code).toLowerCase().replace(/[\s-]/g, '')).digest('hex');
+
+/**
+ * Fresh one-time recovery codes ("a1b2c-3d4e5")
+ * @returns {object} { codes, hashes } - show `codes` once, store only `hashes`
+ */
+function generateRecoveryCodes() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+/**
+ * Check a second factor and record its use on the user (not saved).
+ * The user must be loaded with `+twoFactor.secret +twoFactor.recoveryCodes`.
+ *
+ * @param {object} factor - { code } from the authenticator app or { recoveryCode }
+ * @returns {string|null} 'totp' or 'recovery_code' when accepted, otherwise null
+ */
+function verifySecondFactor(user, { code, recoveryCode }) {
+  const twoFactor = user.twoFactor;
+
+  if (code) {
+    const step = verifyTotp(twoFactor.secret, code);
+    // A code can only be used once, even within its 30s window
+    if (step === null || step <= (twoFactor.lastUsedStep ?? -1)) return null;
+    twoFactor.lastUsedStep = step;
+    return 'totp';
+  }
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const index = twoFactor.recoveryCodes.indexOf(hash);
+    if (index === -1) return null;
+    twoFactor.recoveryCodes.splice(index, 1);
+    return 'recovery_code';
+  }
+
+  return null;
+}
+
+/**
+ * Token proving the password step of a login passed
+ */
+function createChallengeToken(user) {
+  return jwt.sign(
+    { id: user._id, tv: user.tokenVersion, purpose: CHALLENGE_PURPOSE },
+    process.env.JWT_SECRET,
+    { expiresIn: CHALLENGE_TTL }
+  );
+}
+
+/**
+ * @throws {Error} When the token is expired, tampered with or not a challenge token
+ */
+function decodeChallengeToken(token) {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (decoded.purpose !== CHALLENGE_PURPOSE) {
+    throw new jwt.JsonWebTokenError('Wrong token purpose');
+  }
+  return decoded;
+}
+
+export {
+  ISSUER,
+  STAFF_ROLES,
+  isTwoFactorRequired,
+  generateRecoveryCodes,
+  verifySecondFactor,
+  createChallengeToken,
+  decodeChallengeToken
+};
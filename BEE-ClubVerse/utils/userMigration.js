@@ -0,0 +1,110 @@
+import { USER_COLUMNS } from '../models/postgresUser.js';
+
+/**
+ * User Migration
+ * Copies MongoDB user documents into the PostgreSQL users table (used by
+ * migrate_users.js) and checks the copy. Rows are upserted by id, so
+ * re-running is safe, and a run writes every user or none of them.
+ */
+
+const getPath = (obj, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), obj);
+
+function toParams(doc) {
+  return [
+    String(doc._id),
+    ...USER_COLUMNS.map(field => {
+      const value = getPath(doc, field.path);
+      if (value === undefined || value === null) return field.default ? field.default() : null;
+      if (field.type === 'array') return value.map(String);
+      if (field.type === 'date') return new Date(value);
+      return value;
+    })
+  ];
+}
+
+const columns = ['id', ...USER_COLUMNS.map(f => f.column)];
+const upsertSql = `
+  INSERT INTO users (${columns.join(', ')})
+  VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')})
+  ON CONFLICT (id) DO UPDATE SET ${columns.slice(1).map(c => `${c} = EXCLUDED.${c}`).join(', ')}`;
+
+/**
+ * Upsert users in one transaction. Each row gets a savepoint so every
+ * failing user is reported, but if any fails the whole copy is rolled back.
+ * @param {object} db - pg Pool
+ * @param {object[]} docs - Raw MongoDB user documents
+ * @returns {Promise<object>} { copied, failed: [{ id, email, error }] }
+ */
+async function copyUsers(db, docs) {
+  const client = await db.connect();
+  const failed = [];
+
+  try {
+    await client.query('BEGIN');
+    for (const doc of docs) {
+      await client.query('SAVEPOINT copy_user');
+      try {
+        await client.query(upsertSql, toParams(doc));
+        await client.query('RELEASE SAVEPOINT copy_user');
+      } catch (err) {
+        await client.query('ROLLBACK TO SAVEPOINT copy_user');
+        failed.push({ id: String(doc._id), email: doc.email, error: err.message });
+      }
+    }
+    await client.query(failed.length > 0 ? 'ROLLBACK' : 'COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  return { copied: failed.length > 0 ? 0 : docs.length, failed };
+}
+
+const sameTime = (a, b) => (a ? new Date(a).getTime() : null) === (b ? new Date(b).getTime() : null);
+
+/**
+ * Compare what was copied against MongoDB: row counts, and for every user
+ * the password hash and lockout state
+ * @returns {Promise<string[]>} Problems found
+ */
+async function verifyUsers(db, docs) {
+  const problems = [];
+
+  const { rows: [{ count }] } = await db.query('SELECT COUNT(*)::int AS count FROM users');
+  if (count !== docs.length) {
+    problems.push(`MongoDB has ${docs.length} user(s), PostgreSQL has ${count}`);
+  }
+
+  const res = await db.query('SELECT id, password, login_attempts, lock_until, admin_locked_until FROM users WHERE id = ANY($1)', [docs.map(d => String(d._id))]);
+  const rows = new Map(res.rows.map(row => [row.id, row]));
+
+  for (const doc of docs) {
+    const id = String(doc._id);
+    const row = rows.get(id);
+    if (!row) {
+      problems.push(`User ${id} (${doc.email}) is missing`);
+    } else if (row.password !== doc.password) {
+      problems.push(`User ${id} (${doc.email}) has a different password hash`);
+    } else if (row.login_attempts !== (doc.loginAttempts || 0) || !sameTime(row.lock_until, doc.lockUntil)
+      || !sameTime(row.admin_locked_until, doc.adminLockedUntil)) {
+      problems.push(`User ${id} (${doc.email}) has different lockout state`);
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Postgres reservations naming a user that wasn't copied. Migration 005
+ * refuses to link reservations to users while there are any.
+ */
+async function countOrphanedReservations(db) {
+  const res = await db.query(`
+    SELECT COUNT(*)::int AS count FROM reservations r
+    WHERE r.user_id IS NOT NULL AND NOT EXISTS (SELECT 1 FROM users u WHERE u.id = r.user_id)`);
+  return res.rows[0].count;
+}
+
+export { copyUsers, verifyUsers, countOrphanedReservations, toParams };
@@ -0,0 +1,85 @@
+/**
+ * Venue Time
+ * Booking dates and times are wall-clock values at the venues, in
+ * VENUE_TIMEZONE (an IANA name, default Asia/Kolkata). Everything that
+ * turns them into instants, or an instant into "today", goes through here
+ * so the result does not depend on the server's own timezone.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatters = new Map();
+
+function getVenueTimeZone() {
+  return process.env.VENUE_TIMEZONE || 'Asia/Kolkata';
+}
+
+const formatterFor = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+/**
+ * Wall-clock parts of an instant at the venue
+ * @returns {object} { date: 'YYYY-MM-DD', time: 'HH:MM', offsetMs }
+ */
+function venueParts(instant = new Date()) {
+  const ms = instant.getTime();
+  const parts = Object.fromEntries(formatterFor(getVenueTimeZone())
+    .formatToParts(new Date(ms))
+    .map(({ type, value }) => [type, value]));
+
+  const wallMs = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`,
+    offsetMs: wallMs - (ms - (ms % 1000))
+  };
+}
+
+/**
+ * The venue's calendar date at an instant (YYYY-MM-DD)
+ */
+function venueDate(instant = new Date()) {
+  return venueParts(instant).date;
+}
+
+/**
+ * A YYYY-MM-DD date moved by whole days
+ */
+function addDays(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * The instant a venue wall-clock date and time (HH:MM) happen. Times
+ * skipped by a daylight saving change resolve to the hour after.
+ */
+function venueTimeToDate(date, time) {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  const wallMs = Date.parse(`${date}T00:00:00Z`) + (hours * 60 + minutes) * 60 * 1000;
+
+  // The offset at the guess is right unless a DST change falls in between
+  let instant = wallMs - venueParts(new Date(wallMs)).offsetMs;
+  instant = wallMs - venueParts(new Date(instant)).offsetMs;
+  return new Date(instant);
+}
+
+export {
+  getVenueTimeZone,
+  venueParts,
+  venueDate,
+  addDays,
+  venueTimeToDate
+};
@@ -0,0 +1,268 @@
+import crypto from 'crypto';
+import Waitlist from '../models/waitlist.js';
+import Reservation from '../models/reservation.js';
+import { queueEmail } from './outbox.js';
+import { findClubByName } from './clubCatalog.js';
+import { slotFor } from './availability.js';
+import { validateReservation } from './reservationRules.js';
+import { appUrl } from './appUrl.js';
+import { withSlotLock } from './slotLock.js';
+
+/**
+ * Waitlist Promotion
+ * When a table frees up, the oldest waiting party whose group fits is
+ * offered it. The offer holds the table (see findActiveReservations) for
+ * WAITLIST_CLAIM_MINUTES (default 30) and is claimed with a single-use
+ * token sent by email. Unclaimed offers expire and pass to the next party.
+ * The emailed link opens a confirmation page; only its POST claims, so
+ * mail scanners following the link don't.
+ */
+
+const getClaimWindowMinutes = () => {
+  const minutes = Number(process.env.WAITLIST_CLAIM_MINUTES);
+  return Number.isFinite(minutes) && minutes > 0 ? minutes : 30;
+};
+
+// A claim still unfinished after this long was interrupted (e.g. a restart)
+const CLAIM_LOCK_MS = 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const sendClaimEmail = (entry, token) => {
+  const claimUrl = appUrl(`/waitlist/claim/${token}`);
+  queueEmail('waitlist-offer', entry.email, {
+    name: entry.name,
+    club: entry.club,
+    date: entry.date,
+    time: entry.time,
+    guests: entry.guests,
+    expiresAt: entry.offerExpiresAt.toLocaleString(),
+    claimUrl
+  });
+};
+
+/**
+ * Offer the freed table in a slot to the next eligible waiting party.
+ * The check and the offer happen under the night's slot lock, so a new
+ * booking can't take the table in between.
+ * @returns {Promise<object|null>} The promoted waitlist entry, if any
+ */
+async function promoteNextInSlot(clubName, date, time) {
+  const club = await findClubByName(clubName);
+  if (!club) return null;
+
+  const slot = slotFor(time);
+
+  const result = await withSlotLock(club.name, date, async () => {
+    const waiting = await Waitlist.find({ club: club.name, date, status: 'waiting' }).sort({ createdAt: 1 });
+
+    for (const entry of waiting.filter(e => slotFor(e.time) === slot)) {
+      const conflict = await validateReservation(club, {
+        userId: entry.userId,
+        date: entry.date,
+        time: entry.time,
+        guests: entry.guests
+      });
+      if (conflict) continue;
+
+      const token = crypto.randomBytes(32).toString('hex');
+      const now = new Date();
+      entry.set({
+        status: 'offered',
+        claimTokenHash: hashToken(token),
+        offeredAt: now,
+        offerExpiresAt: new Date(now.getTime() + getClaimWindowMinutes() * 60 * 1000),
+        updatedAt: now
+      });
+      await entry.save();
+      return { entry, token };
+    }
+
+    return { entry: null };
+  });
+
+  if (result.conflict) {
+    console.error(`Waitlist promotion skipped: ${club.name} on ${date} stayed locked`);
+    return null;
+  }
+
+  if (result.entry) sendClaimEmail(result.entry, result.token);
+  return result.entry;
+}
+
+/**
+ * Mark lapsed offers as expired and pass each freed table on
+ * @returns {Promise<number>} Number of offers expired
+ */
+async function expireStaleOffers() {
+  const now = new Date();
+  const stale = await Waitlist.find({
+    offerExpiresAt: { $lte: now },
+    $or: [
+      { status: 'offered' },
+      { status: 'claiming', updatedAt: { $lte: new Date(now.getTime() - CLAIM_LOCK_MS) } }
+    ]
+  });
+
+  let expired = 0;
+  for (const entry of stale) {
+    // Conditional, so an offer claimed meanwhile is left alone
+    const result = await Waitlist.updateOne(
+      { _id: entry._id, status: entry.status },
+      { status: 'expired', claimTokenHash: null, updatedAt: Date.now() }
+    );
+    if (result.modifiedCount === 0) continue;
+
+    expired++;
+    await promoteNextInSlot(entry.club, entry.date, entry.time);
+  }
+
+  return expired;
+}
+
+/**
+ * Called whenever a reservation gives up its place in a slot: cancelled,
+ * deleted, or rescheduled (with the booking as it was). Failures are
+ * logged and never bubble up to the change itself.
+ */
+async function handleReservationCancelled(reservation) {
+  try {
+    await expireStaleOffers();
+    return await promoteNextInSlot(reservation.club, reservation.date, reservation.time);
+  } catch (error) {
+    console.error('Waitlist promotion error:', error);
+    return null;
+  }
+}
+
+const invalidClaim = { status: 404, error: 'Claim link is invalid or already used', code: 'INVALID_CLAIM_TOKEN' };
+
+/**
+ * The open offer behind a claim link, for the confirmation page
+ * @returns {Promise<object|null>} The waitlist entry, or null if the link no longer works
+ */
+async function findOffer(token) {
+  return Waitlist.findOne({
+    claimTokenHash: hashToken(token),
+    status: 'offered',
+    offerExpiresAt: { $gt: new Date() }
+  }).select('-claimTokenHash');
+}
+
+/**
+ * Turn an offer into a confirmed reservation. The offer is moved to
+ * `claiming` first, so of two concurrent claims only one gets past it;
+ * if the booking then can't be made the offer is handed back.
+ * @returns {Promise<object>} { reservation, entry } or { conflict }
+ */
+async function claimOffer(token) {
+  const entry = await Waitlist.findOneAndUpdate(
+    { claimTokenHash: hashToken(token), status: 'offered' },
+    { status: 'claiming', updatedAt: Date.now() },
+    { new: true }
+  );
+
+  if (!entry) return { conflict: invalidClaim };
+
+  const release = () => Waitlist.updateOne(
+    { _id: entry._id, status: 'claiming' },
+    { status: 'offered', updatedAt: Date.now() }
+  );
+
+  if (entry.offerExpiresAt <= new Date()) {
+    await release();
+    await expireStaleOffers();
+    return { conflict: { status: 410, error: 'This offer has expired', code: 'OFFER_EXPIRED' } };
+  }
+
+  let reservation;
+  try {
+    const club = await findClubByName(entry.club);
+    if (!club) {
+      await release();
+      return { conflict: { status: 409, error: 'This club is no longer taking bookings', code: 'CLUB_NOT_FOUND' } };
+    }
+
+    const result = await withSlotLock(club.name, entry.date, async () => {
+      const conflict = await validateReservation(club, {
+        userId: entry.userId,
+        date: entry.date,
+        time: entry.time,
+        guests: entry.guests
+      }, { excludeId: entry._id });
+      if (conflict) return { conflict };
+
+      const booking = new Reservation({
+        userId: entry.userId,
+        name: entry.name,
+        email: entry.email,
+        phone: entry.phone,
+        date: entry.date,
+        time: entry.time,
+        guests: entry.guests,
+        specialRequests: entry.specialRequests,
+        club: entry.club,
+        clubLocation: entry.clubLocation,
+        status: 'confirmed'
+      });
+      await booking.save();
+      return { reservation: booking };
+    });
+    if (result.conflict) {
+      await release();
+      return { conflict: result.conflict };
+    }
+    reservation = result.reservation;
+  } catch (error) {
+    await release();
+    throw error;
+  }
+
+  entry.set({
+    status: 'claimed',
+    claimTokenHash: null,
+    reservationId: String(reservation._id),
+    updatedAt: Date.now()
+  });
+  await entry.save();
+
+  return { reservation, entry };
+}
+
+/**
+ * Take a party off the waitlist. Leaving with an open offer passes the
+ * held table to the next party.
+ * @returns {Promise<object>} { entry } or { conflict }
+ */
+async function leaveWaitlist(entryId, userId) {
+  const previous = await Waitlist.findOneAndUpdate(
+    { _id: entryId, userId, status: { $in: ['waiting', 'offered'] } },
+    { status: 'cancelled', claimTokenHash: null, updatedAt: Date.now() }
+  );
+
+  if (!previous) {
+    const existing = await Waitlist.findOne({ _id: entryId, userId }).select('status');
+    return {
+      conflict: existing
+        ? { status: 409, error: `This waitlist entry is already ${existing.status}`, code: 'WAITLIST_CLOSED' }
+        : { status: 404, error: 'Waitlist entry not found', code: 'NOT_FOUND' }
+    };
+  }
+
+  if (previous.status === 'offered') {
+    await promoteNextInSlot(previous.club, previous.date, previous.time).catch(error => {
+      console.error('Waitlist promotion error:', error);
+    });
+  }
+
+  return { entry: await Waitlist.findById(entryId).select('-claimTokenHash') };
+}
+
+export {
+  promoteNextInSlot,
+  expireStaleOffers,
+  handleReservationCancelled,
+  findOffer,
+  claimOffer,
+  leaveWaitlist
+};